@@ -1,5 +1,5 @@
 // Card-draw behavioral data for the MTG Monte Carlo Simulator.
-// Covers 115 of the most commonly played card-draw sources in the Commander format.
+// Covers 117 of the most commonly played card-draw sources in the Commander format.
 //
 // Fields:
 //   cardType        – 'enchantment' | 'instant' | 'sorcery' | 'creature' |
@@ -31,6 +31,15 @@
 //   avgCardsPerTurn – realistic estimated hand-size gain per full 4-player turn rotation;
 //                     for variable/conditional cards this is a conservative median estimate
 //   note            – brief rules summary and assumptions used for the estimate
+//
+// Optional library-manipulation fields, applied before the card draws (each
+// upkeep for per-turn permanents). Which cards stay on top is decided by the
+// play policy (see keepOnTop in src/simulation/libraryUtils.js):
+//   scry            – look at the top N; the rest go to the bottom
+//   surveil         – look at the top N; the rest go to the graveyard
+//   lookAt, putBack – look at the top `lookAt`, put exactly `putBack` of them back
+//                     on top in any order, the rest on the bottom (Ponder: 3 and 3;
+//                     Dig Through Time: 7 and 2, then draw those 2)
 
 export const CARD_DRAW_DATA = new Map([
   // ══════════════════════════════════════════════════════════════════════════
@@ -100,6 +109,8 @@ export const CARD_DRAW_DATA = new Map([
       netCardsDrawn: 1,
       avgCardsPerTurn: 2,
       colorIdentity: ['G'],
+      lookAt: 3,
+      putBack: 3,
       note: 'Draw 3 each upkeep; put back up to 2 or pay 4 life each to keep. Avg ~2 net cards/turn with life payments.',
     },
   ],
@@ -233,10 +244,46 @@ export const CARD_DRAW_DATA = new Map([
       netCardsDrawn: 1,
       avgCardsPerTurn: 1,
       colorIdentity: ['U'],
+      lookAt: 3,
+      putBack: 3,
       note: 'Draw 3, put 2 cards from hand on top of library. Net +1 hand size; excellent with shuffle effects.',
     },
   ],
 
+  // Scry 1, then draw.
+  [
+    'opt',
+    {
+      cardType: 'instant',
+      cmc: 1,
+      triggerType: 'cast',
+      cardsDrawn: 1,
+      cardsDiscarded: 0,
+      netCardsDrawn: 1,
+      avgCardsPerTurn: 1,
+      colorIdentity: ['U'],
+      scry: 1,
+      note: 'Scry 1, then draw 1. Net +1 with light filtering.',
+    },
+  ],
+
+  // Surveil 1, then draw.
+  [
+    'consider',
+    {
+      cardType: 'instant',
+      cmc: 1,
+      triggerType: 'cast',
+      cardsDrawn: 1,
+      cardsDiscarded: 0,
+      netCardsDrawn: 1,
+      avgCardsPerTurn: 1,
+      colorIdentity: ['U'],
+      surveil: 1,
+      note: 'Surveil 1, then draw 1. Net +1; the binned card fuels graveyard synergies.',
+    },
+  ],
+
   // Reveal top 5; opponent divides into two piles, you pick one pile.
   // With 5 revealed, a conservative pick averages ~3 cards.
   [
@@ -266,6 +313,8 @@ export const CARD_DRAW_DATA = new Map([
       netCardsDrawn: 2,
       avgCardsPerTurn: 2,
       colorIdentity: ['U'],
+      lookAt: 7,
+      putBack: 2,
       note: 'Delve; look at top 7, put 2 in hand, rest on bottom. Net +2 with strong selection.',
     },
   ],
@@ -318,6 +367,8 @@ export const CARD_DRAW_DATA = new Map([
       netCardsDrawn: 1,
       avgCardsPerTurn: 1,
       colorIdentity: ['U'],
+      lookAt: 3,
+      putBack: 3,
       note: 'Look at top 3, reorder or shuffle library, draw 1. Net +1 with significant filtering.',
     },
   ],
@@ -334,6 +385,7 @@ export const CARD_DRAW_DATA = new Map([
       netCardsDrawn: 1,
       avgCardsPerTurn: 1,
       colorIdentity: ['U'],
+      scry: 2,
       note: 'Scry 2, then draw 1. Net +1 with light filtering.',
     },
   ],
@@ -526,6 +578,7 @@ export const CARD_DRAW_DATA = new Map([
       netCardsDrawn: 2,
       avgCardsPerTurn: 2,
       colorIdentity: ['B'],
+      scry: 2,
       note: 'Scry 2, then draw 2; you lose 2 life.',
     },
   ],
@@ -886,6 +939,7 @@ export const CARD_DRAW_DATA = new Map([
       netCardsDrawn: 1,
       avgCardsPerTurn: 1,
       colorIdentity: ['G'],
+      scry: 1,
       note: 'Scry 1 at upkeep; {G}: draw whenever you cast a creature. Avg ~1 card/turn in creature-heavy decks.',
     },
   ],
@@ -986,6 +1040,8 @@ export const CARD_DRAW_DATA = new Map([
       netCardsDrawn: 1,
       avgCardsPerTurn: 1,
       colorIdentity: ['U'],
+      lookAt: 2,
+      putBack: 1,
       note: 'ETB: look at top 2, put 1 in hand and 1 on bottom of library. One-time +1 with top-deck selection.',
     },
   ],
@@ -0,0 +1,102 @@
+// Tutor data for the MTG Monte Carlo Simulator.
+// Tutors search the library for a specific card. The simulator casts one only
+// when a key card it can find is still in the library, and fetches the best
+// such card (see chooseTutorTarget in src/simulation/tutorUtils.js).
+//
+// Fields (TUTOR_DATA):
+//   finds               – what the tutor can find:
+//                         'any' | 'creature' | 'artifact' | 'enchantment' |
+//                         'artifact_enchantment' | 'instant_sorcery' | 'sorcery' | 'land'
+//   manaValue           – optional: only cards of exactly this mana value
+//                         (transmute); `maxManaValue` caps it instead
+//   destination         – 'hand' | 'top' (top of the library, drawn next turn) |
+//                         'battlefield' (lands only)
+//   staysOnBattlefield  – true for creatures whose ETB trigger tutors
+//   transmuteCost       – transmute cards are modelled by their transmute
+//                         ability: this cost replaces the card's mana cost
+//   colors              – color identity array for display/filtering
+//
+// Land tutors are classified here so they are not counted as plain spells, but
+// key cards are non-land cards, so the simulator never casts them.
+
+export const TUTOR_DATA = new Map([
+  // ── Unrestricted tutors ───────────────────────────────────────────────────
+  ['demonic tutor', { finds: 'any', destination: 'hand', colors: ['B'] }],
+  ['vampiric tutor', { finds: 'any', destination: 'top', colors: ['B'] }],
+  ['imperial seal', { finds: 'any', destination: 'top', colors: ['B'] }],
+  ['grim tutor', { finds: 'any', destination: 'hand', colors: ['B'] }],
+  ['diabolic tutor', { finds: 'any', destination: 'hand', colors: ['B'] }],
+  // Sacrifices a creature as an additional cost; assumed to have one spare.
+  ['diabolic intent', { finds: 'any', destination: 'hand', colors: ['B'] }],
+  // Discards a card at random afterwards; modelled as a plain tutor to hand.
+  ['gamble', { finds: 'any', destination: 'hand', colors: ['R'] }],
+  ['scheming symmetry', { finds: 'any', destination: 'top', colors: ['B'] }],
+
+  // ── Type-restricted tutors ────────────────────────────────────────────────
+  ['mystical tutor', { finds: 'instant_sorcery', destination: 'top', colors: ['U'] }],
+  ['personal tutor', { finds: 'sorcery', destination: 'top', colors: ['U'] }],
+  ['worldly tutor', { finds: 'creature', destination: 'top', colors: ['G'] }],
+  ['sylvan tutor', { finds: 'creature', destination: 'top', colors: ['G'] }],
+  ["eladamri's call", { finds: 'creature', destination: 'hand', colors: ['G', 'W'] }],
+  ['enlightened tutor', { finds: 'artifact_enchantment', destination: 'top', colors: ['W'] }],
+  ['idyllic tutor', { finds: 'enchantment', destination: 'hand', colors: ['W'] }],
+  ['fabricate', { finds: 'artifact', destination: 'hand', colors: ['U'] }],
+
+  // ── Creatures with an ETB tutor trigger ───────────────────────────────────
+  [
+    'trophy mage',
+    {
+      finds: 'artifact',
+      manaValue: 3,
+      destination: 'hand',
+      staysOnBattlefield: true,
+      colors: ['U'],
+    },
+  ],
+  [
+    'trinket mage',
+    {
+      finds: 'artifact',
+      maxManaValue: 1,
+      destination: 'hand',
+      staysOnBattlefield: true,
+      colors: ['U'],
+    },
+  ],
+
+  // ── Transmute (discard from hand, pay the cost: find a card of equal MV) ──
+  [
+    'dimir machinations',
+    { finds: 'any', manaValue: 3, destination: 'hand', transmuteCost: '{1}{B}{B}', colors: ['B'] },
+  ],
+  [
+    'muddle the mixture',
+    { finds: 'any', manaValue: 2, destination: 'hand', transmuteCost: '{1}{U}{U}', colors: ['U'] },
+  ],
+  [
+    'shred memory',
+    { finds: 'any', manaValue: 2, destination: 'hand', transmuteCost: '{1}{B}{B}', colors: ['B'] },
+  ],
+  [
+    'drift of phantasms',
+    { finds: 'any', manaValue: 3, destination: 'hand', transmuteCost: '{1}{U}{U}', colors: ['U'] },
+  ],
+  [
+    'perplex',
+    {
+      finds: 'any',
+      manaValue: 3,
+      destination: 'hand',
+      transmuteCost: '{1}{U}{B}',
+      colors: ['U', 'B'],
+    },
+  ],
+  [
+    'dizzy spell',
+    { finds: 'any', manaValue: 1, destination: 'hand', transmuteCost: '{1}{U}{U}', colors: ['U'] },
+  ],
+
+  // ── Land tutors ───────────────────────────────────────────────────────────
+  // Sacrifices a land as an additional cost.
+  ['crop rotation', { finds: 'land', destination: 'battlefield', colors: ['G'] }],
+]);
@@ -0,0 +1,111 @@
+/**
+ * cli.mjs
+ *
+ * Headless Monte Carlo runs on deck files, without the browser:
+ *
+ *   node cli.mjs sim deck.txt --cards default-cards.json --iterations 20000 --turns 8 --key "Sol Ring"
+ *   node cli.mjs sim Test_Decks/*.txt --cards default-cards.json --seed 42 --format csv > results.csv
+ *
+ * Decks are parsed exactly as in the app (local-file mode) and run through
+ * monteCarloSharded, which follows the worker pool's shard plan — a given
+ * seed reproduces the numbers the app shows. Results go to stdout as a
+ * summary table, JSON or CSV; parse warnings and progress go to stderr.
+ *
+ * Run `node cli.mjs --help` for every option (see src/cli/simCli.js).
+ */
+
+import { readFileSync } from 'fs';
+import { parseDeckList } from './src/parser/deckParser.js';
+import {
+  buildCardLookupMap,
+  buildPrintingMap,
+  findCardInMap,
+  findPrinting,
+} from './src/parser/cardLookup.js';
+import { monteCarloSharded } from './src/simulation/monteCarlo.js';
+import {
+  CLI_USAGE,
+  parseCliArgs,
+  buildCliConfig,
+  formatSummaryTable,
+  formatCsv,
+  formatJson,
+} from './src/cli/simCli.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+function fail(message, code = 1) {
+  console.error(`❌  ${message}`);
+  process.exit(code);
+}
+
+function readJson(filePath, what) {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    return fail(`Could not read ${what} "${filePath}": ${err.message}`);
+  }
+}
+
+function progressReporter(label) {
+  if (!process.stderr.isTTY) return null;
+  let lastPct = -1;
+  return (completed, total) => {
+    const pct = Math.floor((completed / total) * 100);
+    if (pct === lastPct) return;
+    lastPct = pct;
+    process.stderr.write(`\r⏳  ${label}: ${pct}%`);
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+async function main() {
+  const { command, deckFiles, options, error } = parseCliArgs(process.argv.slice(2));
+  if (command === 'help') {
+    console.log(CLI_USAGE);
+    return;
+  }
+  if (error) fail(`${error}\n\n${CLI_USAGE}`, 2);
+
+  const cards = readJson(options.cards, 'cards file');
+  if (!Array.isArray(cards)) fail('Invalid cards file. Expected an array of card objects.');
+  const cardLookupMap = buildCardLookupMap(cards);
+  const printingMap = buildPrintingMap(cards);
+  const lookupCard = async (name, printing) =>
+    findPrinting(printingMap, name, printing) ?? findCardInMap(cardLookupMap, name);
+  const fileConfig = options.config ? readJson(options.config, 'config file') : {};
+
+  const runs = [];
+  for (const deckFile of deckFiles) {
+    let deckText;
+    try {
+      deckText = readFileSync(deckFile, 'utf-8');
+    } catch (err) {
+      fail(`Could not read deck "${deckFile}": ${err.message}`);
+    }
+
+    const deck = await parseDeckList(deckText, { cardLookupMap, apiMode: 'local', lookupCard });
+    if (!deck || deck.totalCards === 0) {
+      fail(
+        `Parsing failed (${deckFile})${deck?.errors?.length ? ': ' + deck.errors.join(', ') : ''}`
+      );
+    }
+    deck.errors.forEach(msg => console.error(`⚠️   ${deckFile}: ${msg}`));
+
+    const { config, errors } = buildCliConfig(options, deck, fileConfig);
+    if (errors.length) fail(`${deckFile}: ${errors.join(', ')}`);
+
+    const results = monteCarloSharded(deck, config, progressReporter(deckFile));
+    if (process.stderr.isTTY) process.stderr.write('\n');
+    runs.push({ label: deckFile, results });
+  }
+
+  if (options.format === 'json') console.log(formatJson(runs));
+  else if (options.format === 'csv') console.log(formatCsv(runs));
+  else console.log(runs.map(run => formatSummaryTable(run.label, run.results)).join('\n\n'));
+}
+
+main().catch(err => fail(err.stack ?? String(err)));
@@ -54,7 +54,7 @@ export default [
 
   // ── Node / config scripts (no browser globals) ──────────────────────────
   {
-    files: ['deploy.mjs', 'vite.config.js', 'eslint.config.js'],
+    files: ['deploy.mjs', 'cli.mjs', 'vite.config.js', 'eslint.config.js'],
     languageOptions: {
       globals: globals.node,
     },
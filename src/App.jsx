@@ -3,7 +3,18 @@ import LZString from 'lz-string';
 
 // ─── Simulation & Parsing ─────────────────────────────────────────────────────────────────────────────
 import { parseDeckList } from './parser/deckParser.js';
+import { applySideboardPlan } from './parser/sideboardPlan.js';
+import { exportDeckList } from './parser/deckExport.js';
 import { SIM_SET_FIELDS } from './simulation/simConstants.js';
+import { normalizeSeed, randomSeed } from './simulation/rng.js';
+import { runSimulationPool } from './simulation/workerPool.js';
+import { planLandSweep, summarizeLandSweep } from './simulation/landOptimizer.js';
+import { planMarginalValue, marginalValueCandidates } from './simulation/marginalValue.js';
+import {
+  coloredKeyCardNames,
+  buildManaBasePool,
+  optimizeManaBase,
+} from './simulation/manaBaseOptimizer.js';
 
 // ─── UI Utilities ─────────────────────────────────────────────────────────────
 import {
@@ -13,20 +24,28 @@ import {
   renderSequenceBody,
   prepareChartData,
 } from './utils/uiHelpers.jsx';
+import { toCsv } from './utils/csv.js';
 
 // ─── Hooks ────────────────────────────────────────────────────────────────────
-import { useDeckSlot, serializeDeckSlot } from './hooks/useDeckSlot.js';
+import { useDeckSlot, serializeDeckSlot, defaultDeckSlot } from './hooks/useDeckSlot.js';
 import { useCardLookup, SCRYFALL_SOFT_LIMIT, SCRYFALL_HARD_LIMIT } from './hooks/useCardLookup.js';
 
 // ─── Panel Components ─────────────────────────────────────────────────────────
 import SimulationSettingsPanel from './components/SimulationSettingsPanel.jsx';
 import ResultsPanel from './components/ResultsPanel.jsx';
 import ComparisonResultsPanel from './components/ComparisonResultsPanel.jsx';
+import PlayDrawImpactPanel from './components/PlayDrawImpactPanel.jsx';
+import LandOptimizerPanel from './components/LandOptimizerPanel.jsx';
+import MarginalValuePanel from './components/MarginalValuePanel.jsx';
+import ManaBaseOptimizerPanel from './components/ManaBaseOptimizerPanel.jsx';
 import DeckPanels from './components/DeckPanels.jsx';
 import ComparisonPanelGrid from './components/ComparisonPanelGrid.jsx';
 
 import html2canvas from 'html2canvas';
 
+/** Deck files the "Import file" inputs accept (see parser/deckImport.js). */
+const DECK_FILE_TYPES = '.txt,.dek,.cod,.csv';
+
 // =============================================================================
 // localStorage persistence helpers
 // =============================================================================
@@ -98,10 +117,13 @@ const MTGMonteCarloAnalyzer = () => {
   const {
     cardsDatabase,
     isLoadingFile,
+    loadProgress,
     lookupCacheRef,
     scryfallCallCount,
     handleFileUpload,
     lookupCard,
+    cacheStamp,
+    handleClearCardCache,
   } = useCardLookup(apiMode, setError);
 
   // ── Mulligan settings ──────────────────────────────────────────────────────
@@ -131,6 +153,20 @@ const MTGMonteCarloAnalyzer = () => {
     () => _s.selectedTurnForSequences ?? 3
   );
   const [commanderMode, setCommanderMode] = useState(() => _s.commanderMode ?? false);
+  // Scenario: each commander dies this many times and is recast with tax.
+  const [commanderDeaths, setCommanderDeaths] = useState(() => _s.commanderDeaths ?? 0);
+  // '' = draw a fresh random seed on every run; a number pins the RNG.
+  const [seed, setSeed] = useState(() => _s.seed ?? '');
+  // 'play' | 'draw' | 'both' — 'both' simulates each and reports the per-turn delta.
+  const [playDraw, setPlayDraw] = useState(() => _s.playDraw ?? 'play');
+  // '' = always run every iteration; a number stops once every key card's 95%
+  // CI half-width is within that many percentage points.
+  const [ciTarget, setCiTarget] = useState(() => _s.ciTarget ?? '');
+  // 'greedy' | 'planner' — see turnPlanner.js.
+  const [castingPolicy, setCastingPolicy] = useState(() => _s.castingPolicy ?? 'greedy');
+  const [playPolicy, setPlayPolicy] = useState(() => _s.playPolicy ?? 'default');
+  // Also cast non-mana spells each turn and report curve usage.
+  const [curveOut, setCurveOut] = useState(() => _s.curveOut ?? false);
 
   // ── Flood / screw thresholds ───────────────────────────────────────────────
   const [floodNLands, setFloodNLands] = useState(() => _s.floodNLands ?? 5);
@@ -141,6 +177,15 @@ const MTGMonteCarloAnalyzer = () => {
   const [isSimulating, setIsSimulating] = useState(false);
   const [simProgress, setSimProgress] = useState(0);
 
+  // ── Land-count optimizer (last sweep; not persisted) ───────────────────────
+  const [landSweep, setLandSweep] = useState(null);
+
+  // ── Per-card marginal value (last analysis; not persisted) ─────────────────
+  const [marginalValue, setMarginalValue] = useState(null);
+
+  // ── Mana-base optimizer (last search; not persisted) ───────────────────────
+  const [manaBaseResult, setManaBaseResult] = useState(null);
+
   // ── Share URL ──────────────────────────────────────────────────────────────
   const [shareCopied, setShareCopied] = useState(false);
 
@@ -164,6 +209,13 @@ const MTGMonteCarloAnalyzer = () => {
       maxSequences,
       selectedTurnForSequences,
       commanderMode,
+      commanderDeaths,
+      seed,
+      playDraw,
+      ciTarget,
+      castingPolicy,
+      playPolicy,
+      curveOut,
       enableMulligans,
       mulliganRule,
       mulliganStrategy,
@@ -186,6 +238,13 @@ const MTGMonteCarloAnalyzer = () => {
       maxSequences,
       selectedTurnForSequences,
       commanderMode,
+      commanderDeaths,
+      seed,
+      playDraw,
+      ciTarget,
+      castingPolicy,
+      playPolicy,
+      curveOut,
       enableMulligans,
       mulliganRule,
       mulliganStrategy,
@@ -198,14 +257,18 @@ const MTGMonteCarloAnalyzer = () => {
   );
 
   // ── Share URL handler ──────────────────────────────────────────────────────
+  // When the seed field is blank, pin the seed of the results on screen so the
+  // link reproduces that exact run rather than a fresh random one.
   const handleShareUrl = useCallback(() => {
-    const hash = encodeStateToHash(buildPersistableState());
+    const state = buildPersistableState();
+    if (state.seed === '' && simulationResults?.seed != null) state.seed = simulationResults.seed;
+    const hash = encodeStateToHash(state);
     const url = `${window.location.origin}${window.location.pathname}#${hash}`;
     navigator.clipboard.writeText(url).then(() => {
       setShareCopied(true);
       setTimeout(() => setShareCopied(false), 2500);
     });
-  }, [buildPersistableState]);
+  }, [buildPersistableState, simulationResults]);
 
   // ── Derived chart data ─────────────────────────────────────────────────────
   const chartData = useMemo(
@@ -237,7 +300,17 @@ const MTGMonteCarloAnalyzer = () => {
         lookupCard,
       });
       if (deck) {
-        setSlot(prev => ({ ...prev, parsedDeck: deck, selectedKeyCards: new Set() }));
+        // A Commander section fills in commander / partner names left blank…
+        const [listedCommander = '', listedPartner = ''] = (deck.commanders ?? []).map(c => c.name);
+        setSlot(prev => ({
+          ...prev,
+          parsedDeck: deck,
+          selectedKeyCards: new Set(),
+          commanderName: prev.commanderName?.trim() ? prev.commanderName : listedCommander,
+          partnerName: prev.partnerName?.trim() ? prev.partnerName : listedPartner,
+          // …and a deck with one is checked as Commander unless a format is set.
+          format: prev.format || (listedCommander ? 'commander' : ''),
+        }));
         setError(deck.errors?.length > 0 ? deck.errors.join(', ') : '');
       } else {
         setSlot(prev => ({ ...prev, parsedDeck: null }));
@@ -247,6 +320,33 @@ const MTGMonteCarloAnalyzer = () => {
     [apiMode, lookupCard, lookupCacheRef, setError]
   );
 
+  // =============================================================================
+  // Import a deck file (.dek / .cod / .csv / .txt) — its text goes into the deck
+  // box as-is; parseDeckList detects the format.
+  // =============================================================================
+  const handleImportDeckFile = setSlot => async e => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setSlot(prev => ({ ...prev, deckText: text }));
+    e.target.value = '';
+  };
+
+  // =============================================================================
+  // Compare a sideboard plan — Deck B becomes Deck A with the plan's swaps made
+  // and the same settings, and comparison mode opens so both can be simulated.
+  // =============================================================================
+  const handleCompareSideboardPlan = plan => {
+    const { deck } = applySideboardPlan(parsedDeck, plan);
+    setDeckSlotB({
+      ...defaultDeckSlot(serializeDeckSlot(deckSlotA)),
+      deckText: exportDeckList(deck),
+      parsedDeck: deck,
+    });
+    setLabelB(`${labelA} + ${plan.name}`);
+    setComparisonMode(true);
+  };
+
   // =============================================================================
   // serializeConfig — converts Set fields to Arrays for postMessage transfer
   // Uses SIM_SET_FIELDS from simConstants.js (shared with simulationWorker.js).
@@ -262,13 +362,21 @@ const MTGMonteCarloAnalyzer = () => {
   // =============================================================================
   // buildSimConfig — assembles the monteCarlo config object for a given slot
   // =============================================================================
-  const buildSimConfig = slot => ({
+  const buildSimConfig = (slot, runSeed, startMode) => ({
     iterations,
+    seed: runSeed,
+    playDraw: startMode,
+    ciTarget: ciTarget === '' ? null : ciTarget,
+    curveOut,
+    castingPolicy,
+    playPolicy,
     turns,
     handSize,
     maxSequences,
     commanderMode,
     commanderName: slot.commanderName ?? '',
+    partnerName: slot.partnerName ?? '',
+    commanderDeaths,
     enableMulligans,
     mulliganRule,
     mulliganStrategy,
@@ -278,6 +386,7 @@ const MTGMonteCarloAnalyzer = () => {
     screwNLands,
     screwTurn,
     selectedKeyCards: slot.selectedKeyCards,
+    comboGroups: slot.comboGroups,
     includeExploration: slot.includeExploration,
     disabledExploration: slot.disabledExploration,
     includeRampSpells: slot.includeRampSpells,
@@ -297,11 +406,14 @@ const MTGMonteCarloAnalyzer = () => {
     includeTreasures: slot.includeTreasures,
     disabledTreasures: slot.disabledTreasures,
     treasureOverrides: slot.treasureOverrides,
+    includeTutors: slot.includeTutors,
+    disabledTutors: slot.disabledTutors,
     ritualOverrides: slot.ritualOverrides,
   });
 
   // =============================================================================
-  // runSimulation — offloads monteCarlo to a Web Worker (improvement #24)
+  // runSimulation — shards monteCarlo across a pool of Web Workers
+  // (improvement #24; pool sized to navigator.hardwareConcurrency)
   // =============================================================================
   const runSimulation = () => {
     if (!parsedDeck) {
@@ -317,61 +429,194 @@ const MTGMonteCarloAnalyzer = () => {
     setSimProgress(0);
     setError('');
 
-    const worker = new Worker(new URL('./simulation/simulationWorker.js', import.meta.url), {
-      type: 'module',
-    });
-    const totalDecks = comparisonMode ? 2 : 1;
-    const configB = comparisonMode ? serializeConfig(buildSimConfig(deckSlotB)) : null;
+    // Both decks share one seed per run so comparison mode draws from the
+    // same random stream (common random numbers reduce A/B noise).
+    const runSeed = normalizeSeed(seed) ?? randomSeed();
+
+    // "Both" adds an on-the-draw job per deck (keyed '<deck>:draw'). Commander
+    // always draws on turn 1, so there is nothing to compare there.
+    const startModes =
+      playDraw === 'both' && !commanderMode
+        ? ['play', 'draw']
+        : [playDraw === 'draw' ? 'draw' : 'play'];
+    const decks = [['A', parsedDeck, deckSlotA]];
+    if (comparisonMode) decks.push(['B', parsedDeckB, deckSlotB]);
+    // Each job's results also carry the exact on-curve figures (hypergeometric.js),
+    // computed in a worker from the same deck and config.
+    const jobs = decks.flatMap(([deckId, deckToParse, slot]) =>
+      startModes.map((mode, i) => ({
+        deckId: i === 0 ? deckId : `${deckId}:draw`,
+        deckToParse,
+        config: serializeConfig(buildSimConfig(slot, runSeed, mode)),
+        withExact: true,
+      }))
+    );
+
+    runSimulationPool(jobs, {
+      onProgress: (completed, total) => setSimProgress(Math.round((completed / total) * 100)),
+    })
+      .then(results => {
+        setDeckSlotA(prev => ({
+          ...prev,
+          simulationResults: results.A,
+          simulationResultsDraw: results['A:draw'] ?? null,
+        }));
+        if (results.B) {
+          setDeckSlotB(prev => ({
+            ...prev,
+            simulationResults: results.B,
+            simulationResultsDraw: results['B:draw'] ?? null,
+          }));
+        }
+        setSimProgress(100);
+      })
+      .catch(err => setError('Simulation error: ' + (err.message ?? 'unknown')))
+      .finally(() => setIsSimulating(false));
+  };
 
-    const finish = () => {
-      worker.terminate();
-      setIsSimulating(false);
-    };
+  // =============================================================================
+  // runLandSweep — one pool job per land count (keyed 'land:<count>'), all
+  // sharing one seed so the curve reflects the land count, not the draws
+  // =============================================================================
+  const runLandSweep = ({ landName, flexName, minLands, maxLands }) => {
+    if (!parsedDeck) return;
+    const plan = planLandSweep(parsedDeck, { landName, flexName, minLands, maxLands });
+    const sweepOf = rows => ({ deck: parsedDeck, landName, flexName, rows });
+    if (plan.length === 0) {
+      setLandSweep(sweepOf([]));
+      return;
+    }
 
-    worker.onerror = err => {
-      setError('Simulation error: ' + (err.message ?? 'unknown'));
-      finish();
-    };
+    setIsSimulating(true);
+    setSimProgress(0);
+    setError('');
 
-    worker.onmessage = ({ data }) => {
-      if (data.type === 'PROGRESS') {
-        // Deck A fills 0→100% (single) or 0→50% (comparison);
-        // Deck B fills 50→100% in comparison mode.
-        const offset = data.deckId === 'B' ? 50 : 0;
-        const share = 100 / totalDecks;
-        setSimProgress(Math.round(offset + (data.completed / data.total) * share));
-      } else if (data.type === 'RESULT') {
-        if (data.deckId === 'A') {
-          setDeckSlotA(prev => ({ ...prev, simulationResults: data.results }));
-          if (comparisonMode) {
-            setSimProgress(50);
-            worker.postMessage({
-              type: 'RUN',
-              deckId: 'B',
-              deckToParse: parsedDeckB,
-              config: configB,
-            });
-          } else {
-            setSimProgress(100);
-            finish();
-          }
-        } else {
-          setDeckSlotB(prev => ({ ...prev, simulationResults: data.results }));
-          setSimProgress(100);
-          finish();
-        }
-      } else if (data.type === 'ERROR') {
-        setError('Simulation error: ' + data.message);
-        finish();
+    const config = serializeConfig(
+      buildSimConfig(
+        deckSlotA,
+        normalizeSeed(seed) ?? randomSeed(),
+        playDraw === 'draw' ? 'draw' : 'play'
+      )
+    );
+    const jobs = plan.map(v => ({ deckId: `land:${v.landCount}`, deckToParse: v.deck, config }));
+
+    runSimulationPool(jobs, {
+      onProgress: (completed, total) => setSimProgress(Math.round((completed / total) * 100)),
+    })
+      .then(results => setLandSweep(sweepOf(summarizeLandSweep(plan, results))))
+      .catch(err => setError('Land sweep error: ' + (err.message ?? 'unknown')))
+      .finally(() => setIsSimulating(false));
+  };
+
+  // =============================================================================
+  // runMarginalValue — the unchanged deck (keyed 'baseline') plus one
+  // leave-one-out variant per enabled mana card, all on one seed
+  // =============================================================================
+  const runMarginalValue = () => {
+    if (!parsedDeck) return;
+
+    const simConfig = buildSimConfig(
+      deckSlotA,
+      normalizeSeed(seed) ?? randomSeed(),
+      playDraw === 'draw' ? 'draw' : 'play'
+    );
+    const plan = planMarginalValue(parsedDeck, simConfig);
+    if (plan.length === 0) return;
+
+    setIsSimulating(true);
+    setSimProgress(0);
+    setError('');
+
+    const config = serializeConfig(simConfig);
+    const jobs = [
+      { deckId: 'baseline', deckToParse: parsedDeck, config },
+      ...plan.map(v => ({ deckId: v.id, deckToParse: v.deck, config })),
+    ];
+
+    runSimulationPool(jobs, {
+      onProgress: (completed, total) => setSimProgress(Math.round((completed / total) * 100)),
+    })
+      .then(results =>
+        setMarginalValue({
+          deck: parsedDeck,
+          plan: plan.map(({ deck: _deck, ...meta }) => meta),
+          baseline: results.baseline,
+          results,
+        })
+      )
+      .catch(err => setError('Marginal value error: ' + (err.message ?? 'unknown')))
+      .finally(() => setIsSimulating(false));
+  };
+
+  // =============================================================================
+  // runManaBaseOptimizer — simulated annealing over mixes of the deck's lands
+  // and the candidate list; every step's batch of mixes goes to the worker pool
+  // as one run, all on one seed
+  // =============================================================================
+  const runManaBaseOptimizer = async ({ candidateText, landCount, iterationsPerMix, steps }) => {
+    if (!parsedDeck) return;
+
+    const keyCardNames = coloredKeyCardNames(parsedDeck, deckSlotA.selectedKeyCards);
+    if (keyCardNames.length === 0) {
+      setError('Select at least one key card with coloured mana symbols to optimise for');
+      return;
+    }
+
+    let candidateLands = [];
+    if (candidateText.trim()) {
+      const candidates = await parseDeckList(candidateText, {
+        cardLookupMap: lookupCacheRef.current,
+        apiMode,
+        lookupCard,
+      });
+      if (!candidates) {
+        setError('Parsing failed (candidate lands)');
+        return;
       }
-    };
+      if (candidates.errors?.length > 0) {
+        setError(candidates.errors.join(', '));
+        return;
+      }
+      if (candidates.landCount < candidates.totalCards) {
+        setError('The candidate list may only contain lands');
+        return;
+      }
+      candidateLands = candidates.lands;
+    }
 
-    worker.postMessage({
-      type: 'RUN',
-      deckId: 'A',
-      deckToParse: parsedDeck,
-      config: serializeConfig(buildSimConfig(deckSlotA)),
+    const runSeed = normalizeSeed(seed) ?? randomSeed();
+    const config = serializeConfig({
+      ...buildSimConfig(deckSlotA, runSeed, playDraw === 'draw' ? 'draw' : 'play'),
+      iterations: iterationsPerMix,
+      ciTarget: null,
     });
+
+    setIsSimulating(true);
+    setSimProgress(0);
+    setError('');
+
+    try {
+      const result = await optimizeManaBase({
+        parsedDeck,
+        pool: buildManaBasePool(parsedDeck, candidateLands, { commanderMode }),
+        landCount,
+        keyCardNames,
+        seed: runSeed,
+        steps,
+        evaluate: async decks => {
+          const results = await runSimulationPool(
+            decks.map((deck, i) => ({ deckId: `mix:${i}`, deckToParse: deck, config }))
+          );
+          return decks.map((_, i) => results[`mix:${i}`]);
+        },
+        onStep: (step, total) => setSimProgress(Math.round((step / total) * 100)),
+      });
+      setManaBaseResult({ deck: parsedDeck, keyCardNames, ...result });
+    } catch (err) {
+      setError('Mana base optimizer error: ' + (err.message ?? 'unknown'));
+    } finally {
+      setIsSimulating(false);
+    }
   };
 
   // =============================================================================
@@ -450,7 +695,7 @@ const MTGMonteCarloAnalyzer = () => {
   const exportResultsAsCSV = useCallback(() => {
     const buildRows = cd => {
       if (!cd) return [];
-      const { landsData, manaByColorData, lifeLossData, keyCardsData } = cd;
+      const { landsData, manaByColorData, lifeLossData, keyCardsData, comboData, curveData } = cd;
       return Array.from({ length: landsData.length }, (_, i) => {
         const row = {
           Turn: landsData[i].turn,
@@ -466,8 +711,17 @@ const MTGMonteCarloAnalyzer = () => {
         };
         const keyRow = keyCardsData[i];
         Object.keys(keyRow).forEach(k => {
-          if (k !== 'turn') row[k] = keyRow[k];
+          if (k !== 'turn' && !k.startsWith('_')) row[k] = keyRow[k];
+        });
+        const comboRow = comboData[i];
+        Object.keys(comboRow).forEach(k => {
+          if (k !== 'turn' && !k.startsWith('_')) row[`Combo: ${k}`] = comboRow[k];
         });
+        if (curveData) {
+          ['Mana Spent', 'Mana Wasted', 'Spells Cast', 'Mana Used (%)'].forEach(k => {
+            row[k] = curveData[i][k];
+          });
+        }
         return row;
       });
     };
@@ -501,16 +755,7 @@ const MTGMonteCarloAnalyzer = () => {
       headers = Object.keys(rows[0]);
     }
 
-    const escape = v => {
-      const s = String(v ?? '');
-      return s.includes(',') || s.includes('"') || s.includes('\n')
-        ? `"${s.replace(/"/g, '""')}"`
-        : s;
-    };
-    const csv = [
-      headers.map(escape).join(','),
-      ...rows.map(r => headers.map(h => escape(r[h])).join(',')),
-    ].join('\n');
+    const csv = toCsv(headers, rows);
 
     const blob = new Blob([csv], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
@@ -539,6 +784,20 @@ const MTGMonteCarloAnalyzer = () => {
     setSelectedTurnForSequences,
     commanderMode,
     setCommanderMode,
+    commanderDeaths,
+    setCommanderDeaths,
+    seed,
+    setSeed,
+    playDraw,
+    setPlayDraw,
+    ciTarget,
+    setCiTarget,
+    castingPolicy,
+    setCastingPolicy,
+    playPolicy,
+    setPlayPolicy,
+    curveOut,
+    setCurveOut,
     enableMulligans,
     setEnableMulligans,
     mulliganRule,
@@ -693,7 +952,9 @@ const MTGMonteCarloAnalyzer = () => {
               className="file-input"
               disabled={isLoadingFile}
             />
-            {isLoadingFile && <p className="loading-message">Loading cards.json&hellip;</p>}
+            {isLoadingFile && (
+              <p className="loading-message">Loading cards.json&hellip; {loadProgress}%</p>
+            )}
             {!isLoadingFile && cardsDatabase && (
               <p className="loaded-success">
                 ✓ Loaded {cardsDatabase.length.toLocaleString()} cards
@@ -702,6 +963,19 @@ const MTGMonteCarloAnalyzer = () => {
           </div>
         )}
 
+        {/* Card data kept in IndexedDB from earlier uploads / API lookups */}
+        {cacheStamp && (
+          <p className="card-meta">
+            💾 {cacheStamp.cardCount.toLocaleString()} cards cached from {cacheStamp.source} on{' '}
+            {new Date(cacheStamp.savedAt).toLocaleDateString()} — reused on your next visit. Upload
+            a newer file to refresh it, or{' '}
+            <button className="inline-link" onClick={handleClearCardCache}>
+              clear the cache
+            </button>
+            .
+          </p>
+        )}
+
         {/* Mode toggle */}
         <div style={{ marginTop: 16 }}>
           <div className="mode-toggle">
@@ -731,12 +1005,21 @@ const MTGMonteCarloAnalyzer = () => {
           <div className="panel">
             <div className="panel-header-row">
               <h3>📝 Deck List</h3>
+              <label className="deck-import-label">
+                Import file
+                <input
+                  type="file"
+                  accept={DECK_FILE_TYPES}
+                  onChange={handleImportDeckFile(setDeckSlotA)}
+                  className="deck-import-input"
+                />
+              </label>
             </div>
             <textarea
               value={deckSlotA.deckText}
               onChange={e => setDeckSlotA(prev => ({ ...prev, deckText: e.target.value }))}
               placeholder={
-                'Paste your deck list here (MTG Arena format)\nExample:\n4 Lightning Bolt\n4 Island\n3 Counterspell'
+                'Paste your deck list here (MTG Arena format) or import a .dek / .cod / .csv file\nExample:\n4 Lightning Bolt\n4 Island\n3 Counterspell'
               }
               className="deck-textarea"
             />
@@ -759,8 +1042,20 @@ const MTGMonteCarloAnalyzer = () => {
                   value={deckSlotA.commanderName}
                   onChange={e => setDeckSlotA(prev => ({ ...prev, commanderName: e.target.value }))}
                 />
+                <label className="settings-label" htmlFor="partner-name-input">
+                  Partner / background (optional)
+                </label>
+                <input
+                  id="partner-name-input"
+                  type="text"
+                  className="settings-input"
+                  placeholder="e.g. Thrasios, Triton Hero"
+                  value={deckSlotA.partnerName}
+                  onChange={e => setDeckSlotA(prev => ({ ...prev, partnerName: e.target.value }))}
+                />
                 <div className="commander-name-hint">
-                  Always tracked as a key card (command zone — always available).
+                  Always tracked as a key card and cast from the command zone once the deck list
+                  gives its cost (a Commander section or the main list).
                 </div>
               </div>
             )}
@@ -775,6 +1070,7 @@ const MTGMonteCarloAnalyzer = () => {
                 getManaSymbol={getManaSymbol}
                 getFetchSymbol={getFetchSymbol}
                 renderManaCost={renderManaCost}
+                onComparePlan={handleCompareSideboardPlan}
               />
               <SimulationSettingsPanel {...simSettingsProps} />
             </>
@@ -800,11 +1096,41 @@ const MTGMonteCarloAnalyzer = () => {
             enableMulligans={enableMulligans}
             selectedKeyCards={deckSlotA.selectedKeyCards}
             commanderName={deckSlotA.commanderName}
+            partnerName={deckSlotA.partnerName}
             selectedTurnForSequences={selectedTurnForSequences}
             exportResultsAsPNG={exportResultsAsPNG}
             exportResultsAsCSV={exportResultsAsCSV}
             renderSequenceBody={renderSequenceBody}
           />
+
+          <PlayDrawImpactPanel
+            playResults={simulationResults}
+            drawResults={deckSlotA.simulationResultsDraw}
+            turns={turns}
+          />
+
+          <LandOptimizerPanel
+            parsedDeck={parsedDeck}
+            sweep={landSweep}
+            onRun={runLandSweep}
+            isRunning={isSimulating}
+          />
+
+          <MarginalValuePanel
+            parsedDeck={parsedDeck}
+            analysis={marginalValue}
+            candidates={marginalValueCandidates(parsedDeck, deckSlotA).length}
+            onRun={runMarginalValue}
+            isRunning={isSimulating}
+            turns={turns}
+          />
+
+          <ManaBaseOptimizerPanel
+            parsedDeck={parsedDeck}
+            result={manaBaseResult}
+            onRun={runManaBaseOptimizer}
+            isRunning={isSimulating}
+          />
         </>
       )}
 
@@ -828,6 +1154,15 @@ const MTGMonteCarloAnalyzer = () => {
                 className="deck-textarea"
                 style={{ height: 180 }}
               />
+              <label className="deck-import-label">
+                Import file
+                <input
+                  type="file"
+                  accept={DECK_FILE_TYPES}
+                  onChange={handleImportDeckFile(setDeckSlotA)}
+                  className="deck-import-input"
+                />
+              </label>
               <button
                 onClick={() => handleParseDeck(deckSlotA.deckText, setDeckSlotA)}
                 className="btn-primary"
@@ -846,6 +1181,13 @@ const MTGMonteCarloAnalyzer = () => {
                       setDeckSlotA(prev => ({ ...prev, commanderName: e.target.value }))
                     }
                   />
+                  <input
+                    type="text"
+                    className="settings-input"
+                    placeholder="Partner / background (optional)"
+                    value={deckSlotA.partnerName}
+                    onChange={e => setDeckSlotA(prev => ({ ...prev, partnerName: e.target.value }))}
+                  />
                   <div className="commander-name-hint">
                     Always tracked as a key card (command zone).
                   </div>
@@ -867,6 +1209,15 @@ const MTGMonteCarloAnalyzer = () => {
                 className="deck-textarea"
                 style={{ height: 180 }}
               />
+              <label className="deck-import-label">
+                Import file
+                <input
+                  type="file"
+                  accept={DECK_FILE_TYPES}
+                  onChange={handleImportDeckFile(setDeckSlotB)}
+                  className="deck-import-input"
+                />
+              </label>
               <button
                 onClick={() => handleParseDeck(deckSlotB.deckText, setDeckSlotB, 'Deck B')}
                 className="btn-primary"
@@ -885,6 +1236,13 @@ const MTGMonteCarloAnalyzer = () => {
                       setDeckSlotB(prev => ({ ...prev, commanderName: e.target.value }))
                     }
                   />
+                  <input
+                    type="text"
+                    className="settings-input"
+                    placeholder="Partner / background (optional)"
+                    value={deckSlotB.partnerName}
+                    onChange={e => setDeckSlotB(prev => ({ ...prev, partnerName: e.target.value }))}
+                  />
                   <div className="commander-name-hint">
                     Always tracked as a key card (command zone).
                   </div>
@@ -919,6 +1277,8 @@ const MTGMonteCarloAnalyzer = () => {
               selectedKeyCardsB={deckSlotB.selectedKeyCards}
               commanderNameA={deckSlotA.commanderName}
               commanderNameB={deckSlotB.commanderName}
+              partnerNameA={deckSlotA.partnerName}
+              partnerNameB={deckSlotB.partnerName}
               labelA={labelA}
               labelB={labelB}
               exportResultsAsPNG={exportResultsAsPNG}
@@ -933,6 +1293,19 @@ const MTGMonteCarloAnalyzer = () => {
               </p>
             </div>
           ) : null}
+
+          <PlayDrawImpactPanel
+            playResults={simulationResults}
+            drawResults={deckSlotA.simulationResultsDraw}
+            turns={turns}
+            label={labelA}
+          />
+          <PlayDrawImpactPanel
+            playResults={simulationResultsB}
+            drawResults={deckSlotB.simulationResultsDraw}
+            turns={turns}
+            label={labelB}
+          />
         </>
       )}
 
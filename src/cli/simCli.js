@@ -0,0 +1,340 @@
+/**
+ * simCli.js
+ *
+ * Pure helpers behind the headless CLI (cli.mjs): argument parsing, config
+ * assembly and result formatting. No file-system or process access here, so
+ * everything is unit-testable; cli.mjs does the I/O.
+ *
+ * The config handed to the engine has the same shape the simulation worker
+ * receives (see monteCarlo.js). A `--config` JSON file is read in the worker's
+ * serialised form — Set fields as arrays — and rehydrated via SIM_SET_FIELDS;
+ * individual flags then override it.
+ *
+ * Exports:
+ *   CLI_USAGE          – help text
+ *   parseCliArgs       – argv → { command, deckFiles, options, error }
+ *   rehydrateConfig    – serialised worker config → engine config (arrays → Sets)
+ *   resolveKeyCards    – case-insensitive key-card names → deck card names
+ *   buildCliConfig     – options + --config file + parsed deck → engine config
+ *   resultsToRows      – per-turn summary rows for one result set
+ *   formatSummaryTable – human-readable table for one deck
+ *   formatCsv          – per-turn CSV across one or more decks
+ *   formatJson         – full results as JSON
+ */
+
+import { SIM_SET_FIELDS } from '../simulation/simConstants.js';
+import { MANA_COLORS } from '../simulation/simResults.js';
+import { safeToFixed } from '../utils/math.js';
+import { toCsv } from '../utils/csv.js';
+
+export const CLI_USAGE = `Usage: node cli.mjs sim <deck.txt> [more decks...] --cards <default-cards.json> [options]
+
+Deck files may be MTG Arena text, MTGO .dek, Cockatrice .cod or CSV exports.
+
+Options:
+  --cards <file>             Scryfall Default Cards JSON (required)
+  --config <file>            Simulation config JSON (worker shape; Set fields as arrays)
+  --iterations <n>           Iterations per deck (default 10000)
+  --turns <n>                Turns to simulate (default 7)
+  --hand-size <n>            Opening hand size (default 7)
+  --key <card>               Track a key card; repeat for several
+  --commander <card>         Commander mode, with this card in the command zone
+  --partner <card>           A second commander (partner, background, Friends Forever)
+  --commander-deaths <n>     Each commander dies n times and is recast with tax
+  --seed <n>                 Seed for a reproducible run
+  --play-draw <play|draw>    Start on the play or on the draw (default play)
+  --mulligans                Enable mulligans
+  --mulligan-rule <rule>     london | vancouver (default london)
+  --mulligan-strategy <s>    conservative | balanced | aggressive (default balanced)
+  --ci-target <pct>          Stop early once every key card's 95% CI is within ± pct
+  --casting-policy <p>       greedy | planner (default greedy)
+  --play-policy <p>          default | colors | untapped (mulligan, land and fetch choices)
+  --format <fmt>             table | json | csv (default table)
+  --help                     Show this help`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Argument parsing
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Flags that take a value → [option key, kind]. */
+const VALUE_FLAGS = {
+  '--cards': ['cards', 'string'],
+  '--config': ['config', 'string'],
+  '--iterations': ['iterations', 'int'],
+  '--turns': ['turns', 'int'],
+  '--hand-size': ['handSize', 'int'],
+  '--key': ['keys', 'list'],
+  '--commander': ['commander', 'string'],
+  '--partner': ['partner', 'string'],
+  '--commander-deaths': ['commanderDeaths', 'int'],
+  '--seed': ['seed', 'seed'],
+  '--play-draw': ['playDraw', ['play', 'draw']],
+  '--mulligan-rule': ['mulliganRule', ['london', 'vancouver']],
+  '--mulligan-strategy': ['mulliganStrategy', ['conservative', 'balanced', 'aggressive']],
+  '--ci-target': ['ciTarget', 'number'],
+  '--casting-policy': ['castingPolicy', ['greedy', 'planner']],
+  '--play-policy': ['playPolicy', ['default', 'colors', 'untapped']],
+  '--format': ['format', ['table', 'json', 'csv']],
+};
+
+const parseValue = (flag, kind, raw) => {
+  if (Array.isArray(kind)) {
+    return kind.includes(raw)
+      ? { value: raw }
+      : { error: `${flag} must be one of: ${kind.join(', ')}` };
+  }
+  if (kind === 'int') {
+    const n = Number(raw);
+    return Number.isInteger(n) && n > 0
+      ? { value: n }
+      : { error: `${flag} must be a positive integer` };
+  }
+  if (kind === 'seed') {
+    const n = Number(raw);
+    return Number.isInteger(n) && n >= 0
+      ? { value: n }
+      : { error: `${flag} must be a non-negative integer` };
+  }
+  if (kind === 'number') {
+    const n = Number(raw);
+    return n > 0 ? { value: n } : { error: `${flag} must be a positive number` };
+  }
+  return { value: raw };
+};
+
+/**
+ * Parses CLI arguments (process.argv without the node / script entries).
+ * Accepts both `--flag value` and `--flag=value`.
+ *
+ * Returns { command, deckFiles, options, error } — `error` is a message
+ * string when the arguments are unusable, null otherwise.
+ */
+export const parseCliArgs = argv => {
+  const options = { keys: [], format: 'table', mulligans: false, help: false };
+  const positional = [];
+  const fail = error => ({ command: null, deckFiles: [], options, error });
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    if (flag === '--help') {
+      options.help = true;
+      continue;
+    }
+    if (flag === '--mulligans') {
+      options.mulligans = true;
+      continue;
+    }
+
+    const spec = VALUE_FLAGS[flag];
+    if (!spec) return fail(`Unknown option ${flag}`);
+    const raw = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+    if (raw === undefined) return fail(`${flag} needs a value`);
+
+    const [key, kind] = spec;
+    if (kind === 'list') {
+      options[key].push(raw);
+      continue;
+    }
+    const { value, error } = parseValue(flag, kind, raw);
+    if (error) return fail(error);
+    options[key] = value;
+  }
+
+  const [command = null, ...deckFiles] = positional;
+  if (options.help || command === 'help')
+    return { command: 'help', deckFiles, options, error: null };
+  if (command !== 'sim') {
+    return fail(command ? `Unknown command "${command}"` : 'No command given');
+  }
+  if (deckFiles.length === 0) return fail('No deck file given');
+  if (!options.cards) return fail('--cards <default-cards.json> is required');
+  return { command, deckFiles, options, error: null };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Config assembly
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Serialised (worker-message) config → engine config with Set fields. */
+export const rehydrateConfig = (serialized = {}) => {
+  const config = { ...serialized };
+  SIM_SET_FIELDS.forEach(field => {
+    config[field] = new Set(serialized[field] ?? []);
+  });
+  return config;
+};
+
+/** Every card a deck can track as a key card (everything but lands). */
+const keyCardCandidates = parsedDeck =>
+  [
+    'artifacts',
+    'creatures',
+    'exploration',
+    'costReducers',
+    'rituals',
+    'rampSpells',
+    'drawSpells',
+    'treasureCards',
+    'tutors',
+    'spells',
+  ].flatMap(group => (parsedDeck[group] ?? []).map(card => card.name));
+
+/**
+ * Maps key-card names to the names used in the parsed deck, ignoring case.
+ * Returns { names, missing } — `missing` lists the names not in the deck.
+ */
+export const resolveKeyCards = (parsedDeck, requested) => {
+  const byLower = new Map(keyCardCandidates(parsedDeck).map(name => [name.toLowerCase(), name]));
+  const names = [];
+  const missing = [];
+  requested.forEach(name => {
+    const match = byLower.get(name.toLowerCase().trim());
+    if (match) names.push(match);
+    else missing.push(name);
+  });
+  return { names, missing };
+};
+
+/**
+ * Builds the engine config for one deck: the `--config` file (if any),
+ * overridden by explicit flags. Returns { config, errors }.
+ */
+export const buildCliConfig = (options, parsedDeck, fileConfig = {}) => {
+  const config = rehydrateConfig(fileConfig);
+  const errors = [];
+
+  const overrides = {
+    iterations: options.iterations,
+    turns: options.turns,
+    handSize: options.handSize,
+    seed: options.seed,
+    playDraw: options.playDraw,
+    mulliganRule: options.mulliganRule,
+    mulliganStrategy: options.mulliganStrategy,
+    ciTarget: options.ciTarget,
+    castingPolicy: options.castingPolicy,
+    playPolicy: options.playPolicy,
+    commanderDeaths: options.commanderDeaths,
+  };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) config[key] = value;
+  });
+  if (options.mulligans) config.enableMulligans = true;
+  if (options.commander) {
+    config.commanderMode = true;
+    config.commanderName = options.commander;
+  }
+  if (options.partner) {
+    config.commanderMode = true;
+    config.partnerName = options.partner;
+  }
+
+  const { names, missing } = resolveKeyCards(parsedDeck, options.keys ?? []);
+  names.forEach(name => config.selectedKeyCards.add(name));
+  missing.forEach(name => errors.push(`Key card "${name}" not found in deck`));
+
+  return { config, errors };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Output formatting
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** One row per turn: land / mana averages, then each key card's castable %. */
+export const resultsToRows = results =>
+  (results.landsPerTurn ?? []).map((lands, i) => {
+    const row = {
+      Turn: i + 1,
+      'Total Lands': safeToFixed(lands, 2),
+      'Untapped Lands': safeToFixed(results.untappedLandsPerTurn?.[i], 2),
+      'Total Mana': safeToFixed(results.totalManaPerTurn?.[i], 2),
+    };
+    MANA_COLORS.forEach(c => {
+      row[`${c} Mana`] = safeToFixed(results.colorsByTurn?.[i]?.[c], 2);
+    });
+    row['Life Loss'] = safeToFixed(results.lifeLossPerTurn?.[i], 2);
+    row['Cards Drawn'] = safeToFixed(results.cardsDrawnPerTurn?.[i], 2);
+    row['Treasure Pool'] = safeToFixed(results.treasurePerTurn?.[i], 2);
+    Object.entries(results.keyCardPlayability ?? {}).forEach(([card, pcts]) => {
+      row[card] = safeToFixed(pcts[i], 1);
+    });
+    return row;
+  });
+
+const TABLE_COLUMNS = ['Turn', 'Total Lands', 'Untapped Lands', 'Total Mana', 'Life Loss'];
+
+const formatRate = (rate, interval) => {
+  if (rate == null) return 'n/a';
+  const half = interval ? ` ± ${safeToFixed((interval.high - interval.low) / 2, 1)}` : '';
+  return `${safeToFixed(rate, 1)}%${half}`;
+};
+
+/**
+ * Plain-text summary for one deck: a header line, a per-turn table (lands,
+ * mana, life loss and key-card castable %), then flood / screw / mulligan rates.
+ */
+export const formatSummaryTable = (label, results) => {
+  const rows = resultsToRows(results);
+  const keyCards = Object.keys(results.keyCardPlayability ?? {});
+  const columns = [...TABLE_COLUMNS, ...keyCards.map(c => `${c} %`)];
+  const cells = rows.map(row => [
+    ...TABLE_COLUMNS.map(c => String(row[c])),
+    ...keyCards.map(c => String(row[c])),
+  ]);
+  const widths = columns.map((c, j) => Math.max(c.length, ...cells.map(r => r[j].length)));
+  const line = values => values.map((v, j) => v.padStart(widths[j])).join('  ');
+
+  const iterations = results.stoppedEarly
+    ? `${results.handsKept.toLocaleString('en-US')} iterations (stopped early at ± ${results.ciTarget}%)`
+    : `${results.handsKept.toLocaleString('en-US')} iterations`;
+  const start = results.playDraw === 'draw' ? 'on the draw' : 'on the play';
+  const policy =
+    (results.castingPolicy === 'planner' ? ', turn planner' : '') +
+    (results.playPolicy && results.playPolicy !== 'default'
+      ? `, ${results.playPolicy} play policy`
+      : '');
+  const ci = results.confidenceIntervals ?? {};
+  const { floodThreshold: flood, screwThreshold: screw } = results;
+  const mulliganRate = results.handsKept
+    ? safeToFixed((results.mulligans / results.handsKept) * 100, 1)
+    : 0;
+
+  return [
+    `${label} — ${iterations}, seed ${results.seed}, ${start}${policy}`,
+    '',
+    line(columns),
+    line(widths.map(w => '─'.repeat(w))),
+    ...cells.map(line),
+    '',
+    `Flood (≥${flood?.lands} lands by turn ${flood?.turn}): ${formatRate(results.floodRate, ci.floodRate)}`,
+    `Screw (≤${screw?.lands} lands by turn ${screw?.turn}): ${formatRate(results.screwRate, ci.screwRate)}`,
+    `Mulligans: ${results.mulligans} (${mulliganRate}% of kept hands)`,
+  ].join('\n');
+};
+
+/**
+ * Per-turn CSV for one or more decks — `runs` is [{ label, results }]. Rows
+ * are prefixed with a Deck column; key-card columns are the union across decks.
+ */
+export const formatCsv = runs => {
+  const rows = runs.flatMap(({ label, results }) =>
+    resultsToRows(results).map(row => ({ Deck: label, ...row }))
+  );
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return toCsv(headers, rows);
+};
+
+/** Full results for every deck as pretty-printed JSON: [{ deck, results }]. */
+export const formatJson = runs =>
+  JSON.stringify(
+    runs.map(({ label, results }) => ({ deck: label, results })),
+    null,
+    2
+  );
@@ -128,7 +128,7 @@ const ArtifactsPanel = ({
                     setDisabledArtifacts(newSet);
                   }}
                 />
-                <CardTooltip name={artifact.name}>
+                <CardTooltip name={artifact.name} printing={artifact.printing}>
                   <span className="card-name">
                     {artifact.quantity}x {artifact.name}
                   </span>
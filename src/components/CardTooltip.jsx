@@ -6,12 +6,20 @@
  *
  * Props:
  *   name     – exact card name used to query Scryfall
+ *   printing – optional { set, collectorNumber, finish } from the deck line:
+ *              shows that printing's image and a set / number / finish caption
  *   children – the content to wrap (the card name label)
  */
 
 import React, { useState, useCallback } from 'react';
 
-const CardTooltip = ({ name, children }) => {
+// "C21 · #263 · foil"
+const printingLabel = printing =>
+  [printing.set, printing.collectorNumber && `#${printing.collectorNumber}`, printing.finish]
+    .filter(Boolean)
+    .join(' · ');
+
+const CardTooltip = ({ name, printing = null, children }) => {
   const [pos, setPos] = useState(null);
 
   const handleMouseEnter = useCallback((e) => {
@@ -26,7 +34,9 @@ const CardTooltip = ({ name, children }) => {
     setPos(null);
   }, []);
 
-  const imgUrl = `https://api.scryfall.com/cards/named?exact=${encodeURIComponent(name)}&format=image`;
+  const imgUrl = printing?.collectorNumber
+    ? `https://api.scryfall.com/cards/${encodeURIComponent(printing.set.toLowerCase())}/${encodeURIComponent(printing.collectorNumber)}?format=image`
+    : `https://api.scryfall.com/cards/named?exact=${encodeURIComponent(name)}&format=image`;
 
   // Keep the tooltip on screen: offset right of cursor, flip left if near right edge
   const tooltipStyle = pos
@@ -54,6 +64,7 @@ const CardTooltip = ({ name, children }) => {
             alt={name}
             className="card-tooltip-img"
           />
+          {printing && <div className="card-tooltip-printing">{printingLabel(printing)}</div>}
         </div>
       )}
     </>
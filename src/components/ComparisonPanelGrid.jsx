@@ -28,6 +28,7 @@ import RitualsPanel from './RitualsPanel.jsx';
 import CostReducersPanel from './CostReducersPanel.jsx';
 import DrawSpellsPanel from './DrawSpellsPanel.jsx';
 import TreasuresPanel from './TreasuresPanel.jsx';
+import TutorsPanel from './TutorsPanel.jsx';
 import SpellsPanel from './SpellsPanel.jsx';
 
 // True when a deck has any non-land spells that the simulator can track.
@@ -39,7 +40,8 @@ const hasCastables = deck =>
     deck.rituals?.length > 0 ||
     deck.rampSpells?.length > 0 ||
     deck.drawSpells?.length > 0 ||
-    deck.exploration?.length > 0);
+    deck.exploration?.length > 0 ||
+    deck.tutors?.length > 0);
 
 // =============================================================================
 const ComparisonPanelGrid = ({
@@ -352,6 +354,42 @@ const ComparisonPanelGrid = ({
         </details>
       )}
 
+      {/* Tutors */}
+      {(parsedDeckA?.tutors?.length > 0 || parsedDeckB?.tutors?.length > 0) && (
+        <details className="section-details" open>
+          <summary className="section-summary">
+            🔎 Tutors
+            <span className="section-summary__chevron">▾</span>
+          </summary>
+          <ComparisonRow
+            left={
+              parsedDeckA?.tutors?.length > 0 ? (
+                <TutorsPanel
+                  parsedDeck={parsedDeckA}
+                  includeTutors={slotA.includeTutors}
+                  setIncludeTutors={setA('includeTutors')}
+                  disabledTutors={slotA.disabledTutors}
+                  setDisabledTutors={setA('disabledTutors')}
+                  renderManaCost={renderManaCost}
+                />
+              ) : null
+            }
+            right={
+              parsedDeckB?.tutors?.length > 0 ? (
+                <TutorsPanel
+                  parsedDeck={parsedDeckB}
+                  includeTutors={slotB.includeTutors}
+                  setIncludeTutors={setB('includeTutors')}
+                  disabledTutors={slotB.disabledTutors}
+                  setDisabledTutors={setB('disabledTutors')}
+                  renderManaCost={renderManaCost}
+                />
+              ) : null
+            }
+          />
+        </details>
+      )}
+
       {/* Treasure Generators */}
       {(parsedDeckA?.treasureCards?.length > 0 || parsedDeckB?.treasureCards?.length > 0) && (
         <details className="section-details" open>
@@ -406,6 +444,8 @@ const ComparisonPanelGrid = ({
                   parsedDeck={parsedDeckA}
                   selectedKeyCards={slotA.selectedKeyCards}
                   setSelectedKeyCards={setA('selectedKeyCards')}
+                  comboGroups={slotA.comboGroups}
+                  setComboGroups={setA('comboGroups')}
                   renderManaCost={renderManaCost}
                 />
               ) : null
@@ -416,6 +456,8 @@ const ComparisonPanelGrid = ({
                   parsedDeck={parsedDeckB}
                   selectedKeyCards={slotB.selectedKeyCards}
                   setSelectedKeyCards={setB('selectedKeyCards')}
+                  comboGroups={slotB.comboGroups}
+                  setComboGroups={setB('comboGroups')}
                   renderManaCost={renderManaCost}
                 />
               ) : null
@@ -3,7 +3,9 @@
  *
  * Renders side-by-side overlay charts for two simulated decklists (A/B mode).
  * Each chart plots both decks on the same axes so differences are immediately
- * visible.  Solid lines = Deck A, dashed lines = Deck B.
+ * visible.  Solid lines = Deck A, dashed lines = Deck B.  A significance
+ * section says which differences are beyond simulation noise (see
+ * prepareSignificanceReport).
  *
  * Props:
  *   chartDataA           – object returned by prepareChartData() for Deck A
@@ -16,6 +18,8 @@
  *   selectedKeyCardsB    – Set<string>
  *   commanderNameA       – string (auto-tracked commander for Deck A)
  *   commanderNameB       – string (auto-tracked commander for Deck B)
+ *   partnerNameA         – string (second commander for Deck A)
+ *   partnerNameB         – string (second commander for Deck B)
  *   labelA               – string (default "Deck A")
  *   labelB               – string (default "Deck B")
  *   exportResultsAsPNG   – () => void
@@ -35,6 +39,7 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
+import { prepareSignificanceReport } from '../utils/uiHelpers.jsx';
 
 // ── Colour palette ─────────────────────────────────────────────────────────────
 // Deck A: cool blues/greens   Deck B: warm amber/reds
@@ -94,6 +99,27 @@ const DeltaBadge = ({ a, b, higherIsBetter = true, labelB }) => {
   );
 };
 
+// ── Significance helpers ─────────────────────────────────────────────────────
+const formatPValue = p => (p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`);
+
+const moreIterationsText = row =>
+  row.moreIterations === Infinity
+    ? 'no difference measured'
+    : row.moreIterations === 0
+      ? 'borderline — a rerun could tip it'
+      : `~${row.moreIterations.toLocaleString()} more iterations per deck to tell apart`;
+
+const SignificanceBadge = ({ row }) => {
+  if (!row) return null;
+  return row.significant ? (
+    <span className="sig-badge sig-badge--yes">{formatPValue(row.pValue)} · significant</span>
+  ) : (
+    <span className="sig-badge sig-badge--no" title={moreIterationsText(row)}>
+      {formatPValue(row.pValue)} · not significant
+    </span>
+  );
+};
+
 // ── Collapsible panel header ─────────────────────────────────────────────────
 const ColHdr = ({ id, collapsed, toggle, children }) => (
   <button className="panel-collapse-btn" onClick={() => toggle(id)} aria-expanded={!collapsed[id]}>
@@ -114,6 +140,8 @@ const ComparisonResultsPanel = ({
   selectedKeyCardsB,
   commanderNameA = '',
   commanderNameB = '',
+  partnerNameA = '',
+  partnerNameB = '',
   labelA = 'Deck A',
   labelB = 'Deck B',
   exportResultsAsPNG,
@@ -185,16 +213,12 @@ const ComparisonResultsPanel = ({
   }));
 
   // ── Key card playability — union of both sets + both commanders ─────────────
-  const cmdA = commanderNameA?.trim();
-  const cmdB = commanderNameB?.trim();
-  const effectiveA =
-    cmdA && !selectedKeyCardsA.has(cmdA)
-      ? new Set([...selectedKeyCardsA, cmdA])
-      : selectedKeyCardsA;
-  const effectiveB =
-    cmdB && !selectedKeyCardsB.has(cmdB)
-      ? new Set([...selectedKeyCardsB, cmdB])
-      : selectedKeyCardsB;
+  const withCommanders = (keyCards, ...names) => {
+    const cmds = names.map(n => n?.trim()).filter(Boolean);
+    return cmds.some(n => !keyCards.has(n)) ? new Set([...keyCards, ...cmds]) : keyCards;
+  };
+  const effectiveA = withCommanders(selectedKeyCardsA, commanderNameA, partnerNameA);
+  const effectiveB = withCommanders(selectedKeyCardsB, commanderNameB, partnerNameB);
   const allKeyCards = new Set([...effectiveA, ...effectiveB]);
   const keyCompare = Array.from({ length: numTurns }, (_, i) => {
     const row = { turn: chartDataA.keyCardsData[i]?.turn ?? i + 1 };
@@ -218,6 +242,8 @@ const ComparisonResultsPanel = ({
   const finalTreasureB = chartDataB.treasureData.at(-1)?.['Treasure Pool'] ?? 0;
   const hasTreasures = finalTreasureA > 0 || finalTreasureB > 0;
 
+  const significance = prepareSignificanceReport(simulationResultsA, simulationResultsB, numTurns);
+
   return (
     <div id="results-section">
       {/* ── Summary ─────────────────────────────────────────────────────────── */}
@@ -248,11 +274,26 @@ const ComparisonResultsPanel = ({
                   <h4 className={label === labelA ? 'deck-label-a' : 'deck-label-b'}>{label}</h4>
                   <p>
                     Hands kept: <strong>{res.handsKept.toLocaleString()}</strong>
+                    {res.stoppedEarly && ` of ${iterations.toLocaleString()} (stopped early)`}
                   </p>
+                  {res.maxKeyCardCIHalfWidth != null && (
+                    <p className="ci-summary">
+                      Key-card 95% CI: within{' '}
+                      <strong>±{res.maxKeyCardCIHalfWidth.toFixed(2)}%</strong>
+                    </p>
+                  )}
+                  {res.seed != null && (
+                    <p>
+                      Seed: <code>{res.seed}</code>
+                    </p>
+                  )}
                   {enableMulligans && (
                     <p>
                       Mulligan rate:{' '}
-                      <strong>{((res.mulligans / iterations) * 100).toFixed(1)}%</strong>
+                      <strong>
+                        {(res.handsKept > 0 ? (res.mulligans / res.handsKept) * 100 : 0).toFixed(1)}
+                        %
+                      </strong>
                     </p>
                   )}
                   <p>
@@ -278,11 +319,13 @@ const ComparisonResultsPanel = ({
                 <h4>Δ Difference (B vs A)</h4>
                 <p>
                   Lands:{' '}
-                  <DeltaBadge a={finalLandA} b={finalLandB} higherIsBetter={true} labelB={labelB} />
+                  <DeltaBadge a={finalLandA} b={finalLandB} higherIsBetter={true} labelB={labelB} />{' '}
+                  <SignificanceBadge row={significance?.finalTurn.lands} />
                 </p>
                 <p>
                   Mana:{' '}
-                  <DeltaBadge a={finalManaA} b={finalManaB} higherIsBetter={true} labelB={labelB} />
+                  <DeltaBadge a={finalManaA} b={finalManaB} higherIsBetter={true} labelB={labelB} />{' '}
+                  <SignificanceBadge row={significance?.finalTurn.mana} />
                 </p>
                 <p>
                   Life loss:{' '}
@@ -291,7 +334,8 @@ const ComparisonResultsPanel = ({
                     b={finalLifeB}
                     higherIsBetter={false}
                     labelB={labelB}
-                  />
+                  />{' '}
+                  <SignificanceBadge row={significance?.finalTurn.lifeLoss} />
                 </p>
                 {hasTreasures && (
                   <p>
@@ -318,6 +362,77 @@ const ComparisonResultsPanel = ({
         )}
       </div>
 
+      {/* ── Statistical significance ────────────────────────────────────────────── */}
+      {significance && (
+        <div className="panel">
+          <ColHdr id="significance" collapsed={collapsed} toggle={toggle}>
+            🧪 Statistical Significance
+          </ColHdr>
+          {!collapsed.significance && (
+            <>
+              <p className="card-meta">
+                Is {labelB} really different from {labelA}, or is it simulation noise? Averages use
+                a Welch t-test, percentages a two-proportion z-test; a difference is significant at
+                p &lt; 0.05. With this many rows, expect about 1 in 20 to look significant by chance
+                alone.
+              </p>
+              <div className="sig-table-wrap">
+                <table className="first-playable-table sig-table">
+                  <thead>
+                    <tr>
+                      <th>Metric</th>
+                      <th>{labelA}</th>
+                      <th>{labelB}</th>
+                      <th>Δ</th>
+                      <th>p-value</th>
+                      <th>Verdict</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {significance.sections.map(section => {
+                      const fmt = v => (section.unit === '%' ? `${v.toFixed(1)}%` : v.toFixed(2));
+                      return (
+                        <React.Fragment key={section.title}>
+                          <tr className="sig-section">
+                            <th colSpan={6}>{section.title}</th>
+                          </tr>
+                          {section.rows.map(row => {
+                            const better = section.higherIsBetter ? row.diff > 0 : row.diff < 0;
+                            return (
+                              <tr key={row.label}>
+                                <td>{row.label}</td>
+                                <td>{fmt(row.a)}</td>
+                                <td>{fmt(row.b)}</td>
+                                <td>
+                                  {row.diff > 0 ? '+' : ''}
+                                  {fmt(row.diff)}
+                                </td>
+                                <td>{formatPValue(row.pValue)}</td>
+                                <td>
+                                  {row.significant ? (
+                                    <span className={better ? 'delta-better' : 'delta-worse'}>
+                                      ✓ Significant
+                                    </span>
+                                  ) : (
+                                    <span className="delta-neutral">
+                                      Not significant — {moreIterationsText(row)}
+                                    </span>
+                                  )}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {/* ── Lands per Turn ───────────────────────────────────────────────────────── */}
       <div className="panel">
         <ColHdr id="lands" collapsed={collapsed} toggle={toggle}>
@@ -74,7 +74,7 @@ const CostReducersPanel = ({
                 setDisabledCostReducers(newSet);
               }}
             />
-            <CardTooltip name={reducer.name}>
+            <CardTooltip name={reducer.name} printing={reducer.printing}>
               <span className="card-name">
                 {reducer.quantity}x {reducer.name}
               </span>
@@ -125,7 +125,7 @@ const CreaturesPanel = ({
                     setDisabledCreatures(newSet);
                   }}
                 />
-                <CardTooltip name={creature.name}>
+                <CardTooltip name={creature.name} printing={creature.printing}>
                   <span className="card-name">
                     {creature.quantity}x {creature.name}
                   </span>
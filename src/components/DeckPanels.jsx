@@ -14,6 +14,8 @@
  *   getManaSymbol     fn      — from uiHelpers
  *   getFetchSymbol    fn      — from uiHelpers
  *   renderManaCost    fn      — from uiHelpers
+ *   onComparePlan     fn      — (plan) => void; loads a sideboard plan as Deck B
+ *                               (optional — no compare buttons without it)
  */
 
 import React, { useMemo } from 'react';
@@ -28,8 +30,10 @@ import RitualsPanel from './RitualsPanel.jsx';
 import CostReducersPanel from './CostReducersPanel.jsx';
 import DrawSpellsPanel from './DrawSpellsPanel.jsx';
 import TreasuresPanel from './TreasuresPanel.jsx';
+import TutorsPanel from './TutorsPanel.jsx';
 import SpellsPanel from './SpellsPanel.jsx';
 import DeckStatisticsPanel from './DeckStatisticsPanel.jsx';
+import SideboardPanel from './SideboardPanel.jsx';
 
 // True when a deck has any non-land spells that the simulator can track.
 const hasCastables = deck =>
@@ -40,7 +44,12 @@ const hasCastables = deck =>
     deck.rituals?.length > 0 ||
     deck.rampSpells?.length > 0 ||
     deck.drawSpells?.length > 0 ||
-    deck.exploration?.length > 0);
+    deck.exploration?.length > 0 ||
+    deck.tutors?.length > 0);
+
+// True when a deck lists cards outside the simulated deck.
+const hasSideSections = deck =>
+  deck.sideboard?.length > 0 || deck.companions?.length > 0 || deck.maybeboard?.length > 0;
 
 // =============================================================================
 const DeckPanels = ({
@@ -50,6 +59,7 @@ const DeckPanels = ({
   getManaSymbol,
   getFetchSymbol,
   renderManaCost,
+  onComparePlan,
 }) => {
   // Stable setter factory — only recreated when setSlot reference changes (never in practice)
   const set = useMemo(() => makeSlotSetter(setSlot), [setSlot]);
@@ -58,6 +68,8 @@ const DeckPanels = ({
 
   const {
     selectedKeyCards,
+    comboGroups,
+    sideboardPlans,
     includeArtifacts,
     disabledArtifacts,
     includeCreatures,
@@ -78,11 +90,21 @@ const DeckPanels = ({
     includeTreasures,
     disabledTreasures,
     treasureOverrides,
+    includeTutors,
+    disabledTutors,
+    format,
+    commanderName,
+    partnerName,
   } = slot;
 
   return (
     <div>
-      <DeckStatisticsPanel parsedDeck={parsedDeck} />
+      <DeckStatisticsPanel
+        parsedDeck={parsedDeck}
+        format={format}
+        setFormat={set('format')}
+        commanderNames={[commanderName, partnerName]}
+      />
 
       {/* Lands — always shown */}
       <details className="section-details" open>
@@ -239,6 +261,25 @@ const DeckPanels = ({
         </details>
       )}
 
+      {parsedDeck.tutors?.length > 0 && (
+        <details className="section-details" open>
+          <summary className="section-summary">
+            🔎 Tutors
+            <span className="section-summary__chevron">▾</span>
+          </summary>
+          <div className="panel-grid">
+            <TutorsPanel
+              parsedDeck={parsedDeck}
+              includeTutors={includeTutors}
+              setIncludeTutors={set('includeTutors')}
+              disabledTutors={disabledTutors}
+              setDisabledTutors={set('disabledTutors')}
+              renderManaCost={renderManaCost}
+            />
+          </div>
+        </details>
+      )}
+
       {parsedDeck.treasureCards?.length > 0 && (
         <details className="section-details" open>
           <summary className="section-summary">
@@ -270,10 +311,27 @@ const DeckPanels = ({
             parsedDeck={parsedDeck}
             selectedKeyCards={selectedKeyCards}
             setSelectedKeyCards={set('selectedKeyCards')}
+            comboGroups={comboGroups}
+            setComboGroups={set('comboGroups')}
             renderManaCost={renderManaCost}
           />
         </details>
       )}
+
+      {hasSideSections(parsedDeck) && (
+        <details className="section-details" open>
+          <summary className="section-summary">
+            🧰 Sideboard
+            <span className="section-summary__chevron">▾</span>
+          </summary>
+          <SideboardPanel
+            parsedDeck={parsedDeck}
+            sideboardPlans={sideboardPlans}
+            setSideboardPlans={set('sideboardPlans')}
+            onComparePlan={onComparePlan}
+          />
+        </details>
+      )}
     </div>
   );
 };
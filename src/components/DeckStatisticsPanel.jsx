@@ -1,3 +1,18 @@
+/**
+ * DeckStatisticsPanel.jsx
+ *
+ * Deck overview: card and land counts, derived stats (avg. CMC, ramp, draw,
+ * tutors, land tapped-ness), mana curve, color pip demand and creation, and
+ * the legality check against a chosen format (deckLegality.js), and a deck
+ * list export that keeps each card's printing (deckExport.js).
+ *
+ * Props:
+ *   parsedDeck      – parsed deck object
+ *   format          – FORMATS id to check against, '' for none
+ *   setFormat       – setter
+ *   commanderNames  – string[] — commanders named outside the deck list
+ */
+
 import React from 'react';
 import {
   BarChart,
@@ -9,6 +24,9 @@ import {
   ResponsiveContainer,
   Cell,
 } from 'recharts';
+import { FORMATS, validateDeck } from '../parser/deckLegality.js';
+import { exportDeckList } from '../parser/deckExport.js';
+import { downloadTextFile } from '../utils/uiHelpers.jsx';
 
 // ─── Module-level constants ────────────────────────────────────────────────────
 const BAR_COLORS = [
@@ -41,6 +59,7 @@ const NON_LAND_KEYS = [
   'exploration',
   'drawSpells',
   'treasureCards',
+  'tutors',
 ];
 const getNonLandCards = deck => NON_LAND_KEYS.flatMap(k => deck[k] || []);
 
@@ -65,6 +84,7 @@ function DerivedStats({ parsedDeck }) {
 
   const drawCount = (parsedDeck.drawSpells || []).reduce((s, c) => s + (c.quantity || 1), 0);
   const treasureCount = (parsedDeck.treasureCards || []).reduce((s, c) => s + (c.quantity || 1), 0);
+  const tutorCount = (parsedDeck.tutors || []).reduce((s, c) => s + (c.quantity || 1), 0);
 
   const lands = parsedDeck.lands || [];
   let tappedCount = 0,
@@ -103,6 +123,11 @@ function DerivedStats({ parsedDeck }) {
           Treasure Generators: <strong>{treasureCount}</strong>
         </p>
       )}
+      {tutorCount > 0 && (
+        <p>
+          Tutors: <strong>{tutorCount}</strong>
+        </p>
+      )}
       {lands.length > 0 && (
         <p style={{ lineHeight: 1.8 }}>
           Lands — Untapped: <strong>{untappedCount + fetchCount}</strong>
@@ -301,8 +326,51 @@ function ColorPipCreation({ parsedDeck }) {
   );
 }
 
+function Legality({ parsedDeck, format, setFormat, commanderNames }) {
+  const formatLabel = FORMATS.find(f => f.id === format)?.label;
+  const issues = formatLabel
+    ? validateDeck(parsedDeck.legalityInfo ?? [], format, { commanderNames })
+    : [];
+
+  return (
+    <div style={{ marginTop: '1.75rem' }}>
+      <label className="settings-label" htmlFor="deck-format-select">
+        Format legality
+      </label>
+      <select
+        id="deck-format-select"
+        value={format}
+        onChange={e => setFormat(e.target.value)}
+        className="settings-input"
+      >
+        <option value="">Don&apos;t check</option>
+        {FORMATS.map(f => (
+          <option key={f.id} value={f.id}>
+            {f.label}
+          </option>
+        ))}
+      </select>
+      {formatLabel && issues.length === 0 && (
+        <p className="legality-ok">✓ Legal in {formatLabel}</p>
+      )}
+      {issues.length > 0 && (
+        <ul className="legality-issues">
+          {issues.map((issue, i) => (
+            <li key={i}>⚠️ {issue.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 // ─── Main export ──────────────────────────────────────────────────────────────
-export default function DeckStatisticsPanel({ parsedDeck }) {
+export default function DeckStatisticsPanel({
+  parsedDeck,
+  format = '',
+  setFormat = () => {},
+  commanderNames = [],
+}) {
   return (
     <div className="panel-grid">
       <div className="panel">
@@ -319,6 +387,20 @@ export default function DeckStatisticsPanel({ parsedDeck }) {
         <ManaCurve parsedDeck={parsedDeck} />
         <ColorPipDemand parsedDeck={parsedDeck} />
         <ColorPipCreation parsedDeck={parsedDeck} />
+        <Legality
+          parsedDeck={parsedDeck}
+          format={format}
+          setFormat={setFormat}
+          commanderNames={commanderNames}
+        />
+        <div className="export-buttons">
+          <button
+            onClick={() => downloadTextFile(exportDeckList(parsedDeck), 'deck.txt')}
+            className="btn-success"
+          >
+            📋 Export Deck List
+          </button>
+        </div>
       </div>
     </div>
   );
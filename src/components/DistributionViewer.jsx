@@ -0,0 +1,162 @@
+/**
+ * DistributionViewer.jsx
+ *
+ * Full per-turn distributions for one metric at a time: a percentile fan
+ * chart (P10–P90 and P25–P75 bands around the median, mean dashed) and a
+ * histogram of games by value for a selected turn. Rendered inside
+ * ResultsPanel's "Distributions" section.
+ *
+ * Props:
+ *   simulationResults – monteCarlo() result (needs `histograms` / `percentiles`)
+ */
+
+import React, { useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  ComposedChart,
+  Line,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { prepareFanChartData, prepareHistogramData } from '../utils/uiHelpers.jsx';
+
+const DISTRIBUTION_METRICS = [
+  { key: 'totalManaPerTurn', label: 'Total Mana' },
+  { key: 'landsPerTurn', label: 'Lands' },
+  { key: 'untappedLandsPerTurn', label: 'Untapped Lands' },
+  { key: 'lifeLossPerTurn', label: 'Life Loss' },
+  { key: 'cardsDrawnPerTurn', label: 'Cards Drawn' },
+  { key: 'treasurePerTurn', label: 'Treasure Pool' },
+];
+
+const DistributionViewer = ({ simulationResults }) => {
+  const [metric, setMetric] = useState('totalManaPerTurn');
+  const [selectedTurn, setSelectedTurn] = useState(3);
+
+  const turns = simulationResults?.percentiles?.[metric]?.length ?? 0;
+  if (!turns) return null;
+
+  // Clamp in case a later run simulated fewer turns.
+  const turn = Math.min(Math.max(1, selectedTurn), turns);
+  const { label } = DISTRIBUTION_METRICS.find(m => m.key === metric);
+  const fanData = prepareFanChartData(simulationResults, metric, turns);
+  const histogramData = prepareHistogramData(simulationResults, metric, turn - 1);
+  const p = simulationResults.percentiles[metric][turn - 1];
+
+  return (
+    <div className="distribution-viewer">
+      <div className="distribution-controls">
+        <label className="settings-label" htmlFor="dist-metric-select">
+          Metric
+        </label>
+        <select
+          id="dist-metric-select"
+          value={metric}
+          onChange={e => setMetric(e.target.value)}
+          className="settings-input"
+        >
+          {DISTRIBUTION_METRICS.map(m => (
+            <option key={m.key} value={m.key}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <p className="card-meta">
+        Outer band = 10th–90th percentile, inner band = 25th–75th, solid line = median, dashed line
+        = mean. About four in five games fall inside the outer band.
+      </p>
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={fanData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="turn" label={{ value: 'Turn', position: 'insideBottom', offset: -5 }} />
+          <YAxis
+            allowDecimals={false}
+            label={{ value: label, angle: -90, position: 'insideLeft' }}
+          />
+          <Tooltip
+            formatter={(value, name) => [Array.isArray(value) ? value.join('–') : value, name]}
+            labelFormatter={t => `Turn ${t}`}
+          />
+          <Legend />
+          <Area
+            type="monotone"
+            dataKey="P10–P90"
+            fill="rgba(124,58,237,0.15)"
+            stroke="none"
+            activeDot={false}
+          />
+          <Area
+            type="monotone"
+            dataKey="P25–P75"
+            fill="rgba(124,58,237,0.3)"
+            stroke="none"
+            activeDot={false}
+          />
+          <Line type="monotone" dataKey="Median" stroke="#7c3aed" strokeWidth={2} dot={false} />
+          <Line
+            type="monotone"
+            dataKey="Mean"
+            stroke="#9ca3af"
+            strokeWidth={2}
+            strokeDasharray="6 3"
+            dot={false}
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div className="distribution-controls">
+        <label className="settings-label" htmlFor="dist-turn-range">
+          Distribution on Turn
+        </label>
+        <input
+          id="dist-turn-range"
+          type="range"
+          value={turn}
+          onChange={e => setSelectedTurn(parseInt(e.target.value))}
+          min="1"
+          max={turns}
+          className="settings-input"
+        />
+        <div className="range-display">Turn {turn}</div>
+      </div>
+      <p className="distribution-percentiles">
+        P10 <strong>{p.p10}</strong> · P25 <strong>{p.p25}</strong> · Median{' '}
+        <strong>{p.p50}</strong> · P75 <strong>{p.p75}</strong> · P90 <strong>{p.p90}</strong>
+      </p>
+      <ResponsiveContainer width="100%" height={220}>
+        <BarChart data={histogramData} margin={{ top: 8, right: 20, left: 0, bottom: 4 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey="value"
+            label={{ value: `${label} on turn ${turn}`, position: 'insideBottom', offset: -3 }}
+          />
+          <YAxis tickFormatter={v => `${v}%`} domain={[0, 'auto']} />
+          <Tooltip
+            formatter={(value, _name, props) => [
+              `${value}% of games (${props.payload.count.toLocaleString()})`,
+              `${label} = ${props.payload.value}`,
+            ]}
+            labelFormatter={() => null}
+          />
+          <Bar
+            dataKey="pct"
+            name="Games %"
+            fill="#7c3aed"
+            fillOpacity={0.85}
+            radius={[3, 3, 0, 0]}
+          />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default DistributionViewer;
@@ -165,7 +165,7 @@ const DrawSpellsPanel = ({
                     setDisabledDrawSpells(newSet);
                   }}
                 />
-                <CardTooltip name={card.name}>
+                <CardTooltip name={card.name} printing={card.printing}>
                   <span className="card-name">
                     {card.quantity}x {card.name}
                   </span>
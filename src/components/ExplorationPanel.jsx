@@ -55,7 +55,7 @@ const ExplorationPanel = ({
                 setDisabledExploration(newSet);
               }}
             />
-            <CardTooltip name={expl.name}><span className="card-name">{expl.quantity}x {expl.name}</span></CardTooltip>
+            <CardTooltip name={expl.name} printing={expl.printing}><span className="card-name">{expl.quantity}x {expl.name}</span></CardTooltip>
             <span className="card-meta">{expl.landsPerTurn} Lands/Turn, CMC {expl.cmc}</span>
           </label>
         </div>
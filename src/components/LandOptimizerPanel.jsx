@@ -0,0 +1,254 @@
+/**
+ * LandOptimizerPanel.jsx
+ *
+ * Land-count optimizer: pick a land to sweep (a basic by default), the flex
+ * card it trades against and a range of total land counts, then simulate
+ * every variant with the current settings. Key-card on-curve rate, flood
+ * rate and screw rate are plotted against land count, and the count that
+ * scores best under the chosen objective is highlighted.
+ *
+ * Props:
+ *   parsedDeck – parsed deck of the current slot
+ *   sweep      – { deck, landName, flexName, rows } from the last run, or null
+ *                (ignored once the deck is re-parsed)
+ *   onRun      – ({ landName, flexName, minLands, maxLands }) => void
+ *   isRunning  – boolean
+ */
+
+import React, { useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import {
+  LAND_SWEEP_OBJECTIVES,
+  sweepLandOptions,
+  flexCardOptions,
+  recommendLandCount,
+} from '../simulation/landOptimizer.js';
+
+/** Widest sweep offered by default on each side of the deck's land count. */
+const DEFAULT_SPAN = 3;
+
+const pct = value => (value == null ? '—' : `${value}%`);
+
+const LandOptimizerPanel = ({ parsedDeck, sweep, onRun, isRunning }) => {
+  const landOptions = sweepLandOptions(parsedDeck);
+  const flexOptions = flexCardOptions(parsedDeck);
+  const [landName, setLandName] = useState('');
+  const [flexName, setFlexName] = useState('');
+  const [minLands, setMinLands] = useState('');
+  const [maxLands, setMaxLands] = useState('');
+  const [objective, setObjective] = useState('balanced');
+
+  if (!parsedDeck || landOptions.length === 0 || flexOptions.length === 0) return null;
+
+  // Selections fall back to sensible defaults until the user picks (or after
+  // a re-parse drops the picked card).
+  const land =
+    landOptions.find(o => o.name === landName) ??
+    landOptions.find(o => o.isBasic) ??
+    landOptions[0];
+  const flex = flexOptions.find(o => o.name === flexName) ?? flexOptions[0];
+  const low = minLands === '' ? Math.max(0, parsedDeck.landCount - DEFAULT_SPAN) : minLands;
+  const high = maxLands === '' ? parsedDeck.landCount + DEFAULT_SPAN : maxLands;
+  const rangeValid = Number.isInteger(low) && Number.isInteger(high) && low >= 0 && high >= low;
+
+  const current = sweep && sweep.deck === parsedDeck ? sweep : null;
+  const rows = current?.rows ?? [];
+  const best = recommendLandCount(rows, objective);
+  const keyCardNames = Object.keys(rows[0]?.onCurveByCard ?? {});
+
+  return (
+    <div className="panel land-optimizer-panel">
+      <h3>🏔️ Land Count Optimizer</h3>
+      <p className="card-meta">
+        Simulates the deck at each total land count in the range, adding or removing copies of the
+        swept land and trading them against the flex card so the deck size stays at{' '}
+        {parsedDeck.totalCards}. Uses the settings and key cards above.
+      </p>
+
+      <div className="settings-grid">
+        <div>
+          <label className="settings-label" htmlFor="land-opt-land-select">
+            Land to sweep
+          </label>
+          <select
+            id="land-opt-land-select"
+            value={land.name}
+            onChange={e => setLandName(e.target.value)}
+            className="settings-input"
+          >
+            {landOptions.map(o => (
+              <option key={o.name} value={o.name}>
+                {o.name} ({o.quantity})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="land-opt-flex-select">
+            Flex slot
+          </label>
+          <select
+            id="land-opt-flex-select"
+            value={flex.name}
+            onChange={e => setFlexName(e.target.value)}
+            className="settings-input"
+          >
+            {flexOptions.map(o => (
+              <option key={o.name} value={o.name}>
+                {o.name} ({o.quantity})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="land-opt-min-input">
+            Min lands
+          </label>
+          <input
+            id="land-opt-min-input"
+            type="number"
+            min="0"
+            value={low}
+            onChange={e => setMinLands(e.target.value === '' ? '' : parseInt(e.target.value))}
+            className="settings-input"
+          />
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="land-opt-max-input">
+            Max lands
+          </label>
+          <input
+            id="land-opt-max-input"
+            type="number"
+            min="0"
+            value={high}
+            onChange={e => setMaxLands(e.target.value === '' ? '' : parseInt(e.target.value))}
+            className="settings-input"
+          />
+          <div className="range-display">Deck has {parsedDeck.landCount} lands</div>
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="land-opt-objective-select">
+            Objective
+          </label>
+          <select
+            id="land-opt-objective-select"
+            value={objective}
+            onChange={e => setObjective(e.target.value)}
+            className="settings-input"
+          >
+            {Object.entries(LAND_SWEEP_OBJECTIVES).map(([id, { label }]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <button
+        className="btn-primary"
+        disabled={isRunning || !rangeValid}
+        onClick={() =>
+          onRun({ landName: land.name, flexName: flex.name, minLands: low, maxLands: high })
+        }
+      >
+        {isRunning ? '⏳ Sweeping...' : '📈 Run Land Sweep'}
+      </button>
+
+      {current && rows.length === 0 && (
+        <p className="card-meta">
+          No land count in that range is reachable by trading {current.landName} against{' '}
+          {current.flexName}.
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <p className="land-optimizer-recommendation">
+            {best ? (
+              <>
+                Recommended: <strong>{best.landCount} lands</strong> ({best.landCopies}×{' '}
+                {current.landName}, {best.flexCopies}× {current.flexName}) —{' '}
+                {LAND_SWEEP_OBJECTIVES[objective].label.toLowerCase()}.
+              </>
+            ) : (
+              'Select key cards or flood/screw thresholds to get a recommendation.'
+            )}
+          </p>
+
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={rows}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="landCount"
+                label={{ value: 'Lands', position: 'insideBottom', offset: -5 }}
+              />
+              <YAxis label={{ value: 'Rate (%)', angle: -90, position: 'insideLeft' }} />
+              <Tooltip />
+              <Legend />
+              {best && <ReferenceLine x={best.landCount} stroke="#667eea" strokeDasharray="4 4" />}
+              {rows[0].onCurve != null && (
+                <Line dataKey="onCurve" name="Key cards on curve" stroke="#22c55e" />
+              )}
+              {rows[0].floodRate != null && (
+                <Line dataKey="floodRate" name="Flood" stroke="#60a5fa" />
+              )}
+              {rows[0].screwRate != null && (
+                <Line dataKey="screwRate" name="Screw" stroke="#dc2626" />
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+
+          <div className="play-draw-table-wrap">
+            <table className="first-playable-table land-optimizer-table">
+              <thead>
+                <tr>
+                  <th>Lands</th>
+                  <th>{current.landName}</th>
+                  <th>{current.flexName}</th>
+                  <th>On curve</th>
+                  {keyCardNames.map(name => (
+                    <th key={name}>{name}</th>
+                  ))}
+                  <th>Flood</th>
+                  <th>Screw</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr
+                    key={row.landCount}
+                    className={row === best ? 'land-optimizer-table__best' : undefined}
+                  >
+                    <td>{row.landCount}</td>
+                    <td>{row.landCopies}</td>
+                    <td>{row.flexCopies}</td>
+                    <td>{pct(row.onCurve)}</td>
+                    {keyCardNames.map(name => (
+                      <td key={name}>{pct(row.onCurveByCard[name])}</td>
+                    ))}
+                    <td>{pct(row.floodRate)}</td>
+                    <td>{pct(row.screwRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LandOptimizerPanel;
@@ -22,7 +22,7 @@ const LandsPanel = ({ parsedDeck, getManaSymbol, getFetchSymbol }) => {
       {parsedDeck.lands.map((land, idx) => (
         <div key={idx} className="card-row">
           <div className="card-row-label">
-            <CardTooltip name={land.name}>
+            <CardTooltip name={land.name} printing={land.printing}>
               <span className="land-name">
                 {land.quantity}x {land.name}
               </span>
@@ -0,0 +1,229 @@
+/**
+ * ManaBaseOptimizerPanel.jsx
+ *
+ * Mana-base optimizer: paste candidate lands (duals, fetches, utility lands),
+ * pick the number of land slots, and a simulated-annealing search looks for
+ * the mix of the deck's lands and the candidates that casts the coloured key
+ * cards on curve most often. The best mix is shown against the current one,
+ * with the search's progress plotted per step.
+ *
+ * Props:
+ *   parsedDeck – parsed deck of the current slot
+ *   result     – { deck, keyCardNames, initial, best, history } from the last
+ *                search, or null (ignored once the deck is re-parsed)
+ *   onRun      – ({ candidateText, landCount, iterationsPerMix, steps }) => void
+ *   isRunning  – boolean
+ */
+
+import React, { useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import CardTooltip from './CardTooltip';
+import { OPTIMIZER_DEFAULTS, flexibleLandCount } from '../simulation/manaBaseOptimizer.js';
+
+const DEFAULT_ITERATIONS_PER_MIX = 2000;
+
+const signed = value => (value === 0 ? '' : `${value > 0 ? '+' : ''}${value}`);
+
+/** Current and best copy counts side by side, one row per land in either mix. */
+const compareMixes = (initial, best) => {
+  const names = [...new Set([...initial.lands, ...best.lands].map(l => l.name))];
+  const count = (lands, name) => lands.find(l => l.name === name)?.quantity ?? 0;
+  return names.map(name => ({
+    name,
+    current: count(initial.lands, name),
+    best: count(best.lands, name),
+  }));
+};
+
+const ManaBaseOptimizerPanel = ({ parsedDeck, result, onRun, isRunning }) => {
+  const [candidateText, setCandidateText] = useState('');
+  const [landCount, setLandCount] = useState('');
+  const [iterationsPerMix, setIterationsPerMix] = useState(DEFAULT_ITERATIONS_PER_MIX);
+  const [steps, setSteps] = useState(OPTIMIZER_DEFAULTS.steps);
+
+  if (!parsedDeck || parsedDeck.lands.length === 0) return null;
+
+  const slots = landCount === '' ? flexibleLandCount(parsedDeck) : landCount;
+  const valid =
+    Number.isInteger(slots) &&
+    slots > 0 &&
+    Number.isInteger(iterationsPerMix) &&
+    iterationsPerMix > 0 &&
+    Number.isInteger(steps) &&
+    steps > 0;
+
+  const current = result && result.deck === parsedDeck ? result : null;
+  const rows = current ? compareMixes(current.initial, current.best) : [];
+  const improved = current && current.best.score > current.initial.score;
+
+  return (
+    <div className="panel mana-base-optimizer-panel">
+      <h3>🎨 Mana Base Optimizer</h3>
+      <p className="card-meta">
+        Searches mixes of the deck&apos;s lands and the candidates below for the one that casts the
+        selected coloured key cards on curve most often. Every mix is simulated with the settings
+        above on one seed; MDFC lands stay as they are.
+      </p>
+
+      <label className="settings-label" htmlFor="mana-base-candidates">
+        Candidate lands (one per line; quantities are ignored)
+      </label>
+      <textarea
+        id="mana-base-candidates"
+        className="deck-textarea mana-base-candidates"
+        placeholder={'Hallowed Fountain\nGlacial Fortress\nIsland'}
+        value={candidateText}
+        onChange={e => setCandidateText(e.target.value)}
+      />
+
+      <div className="settings-grid">
+        <div>
+          <label className="settings-label" htmlFor="mana-base-lands-input">
+            Land slots
+          </label>
+          <input
+            id="mana-base-lands-input"
+            type="number"
+            min="1"
+            value={slots}
+            onChange={e => setLandCount(e.target.value === '' ? '' : parseInt(e.target.value))}
+            className="settings-input"
+          />
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="mana-base-iterations-input">
+            Iterations per mix
+          </label>
+          <input
+            id="mana-base-iterations-input"
+            type="number"
+            min="100"
+            step="100"
+            value={iterationsPerMix}
+            onChange={e => setIterationsPerMix(parseInt(e.target.value))}
+            className="settings-input"
+          />
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="mana-base-steps-input">
+            Search steps
+          </label>
+          <input
+            id="mana-base-steps-input"
+            type="number"
+            min="1"
+            value={steps}
+            onChange={e => setSteps(parseInt(e.target.value))}
+            className="settings-input"
+          />
+          <div className="range-display">
+            Up to {steps * OPTIMIZER_DEFAULTS.batchSize + 1} mixes
+          </div>
+        </div>
+      </div>
+
+      <button
+        className="btn-primary"
+        disabled={isRunning || !valid}
+        onClick={() => onRun({ candidateText, landCount: slots, iterationsPerMix, steps })}
+      >
+        {isRunning ? '⏳ Searching...' : '🔍 Optimise Mana Base'}
+      </button>
+
+      {current && (
+        <>
+          <p className="land-optimizer-recommendation">
+            {improved ? (
+              <>
+                Best mix found: <strong>{current.best.score}%</strong> of{' '}
+                {current.keyCardNames.join(', ')} on curve, against {current.initial.score}% for the
+                current lands ({current.evaluated} mixes tried).
+              </>
+            ) : (
+              <>
+                No better mix found in {current.evaluated} tries — the current lands score{' '}
+                {current.initial.score}% on curve.
+              </>
+            )}
+          </p>
+
+          <div className="play-draw-table-wrap">
+            <table className="first-playable-table mana-base-table">
+              <thead>
+                <tr>
+                  <th>Land</th>
+                  <th>Current</th>
+                  <th>Best</th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.name}>
+                    <td>
+                      <CardTooltip name={row.name}>{row.name}</CardTooltip>
+                    </td>
+                    <td>{row.current}</td>
+                    <td>{row.best}</td>
+                    <td>{signed(row.best - row.current)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="play-draw-table-wrap">
+            <table className="first-playable-table mana-base-table">
+              <thead>
+                <tr>
+                  <th>Key card on curve</th>
+                  <th>Current</th>
+                  <th>Best</th>
+                </tr>
+              </thead>
+              <tbody>
+                {current.keyCardNames.map(name => (
+                  <tr key={name}>
+                    <td>
+                      <CardTooltip name={name}>{name}</CardTooltip>
+                    </td>
+                    <td>{current.initial.onCurve[name]}%</td>
+                    <td>{current.best.onCurve[name]}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {current.history.length > 1 && (
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={current.history}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="step"
+                  label={{ value: 'Step', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis label={{ value: 'On curve (%)', angle: -90, position: 'insideLeft' }} />
+                <Tooltip />
+                <Legend />
+                <Line dataKey="score" name="Current mix" stroke="#60a5fa" dot={false} />
+                <Line dataKey="bestScore" name="Best so far" stroke="#22c55e" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ManaBaseOptimizerPanel;
@@ -0,0 +1,157 @@
+/**
+ * MarginalValuePanel.jsx
+ *
+ * Leave-one-out report: how much each mana-producing card adds. Every card
+ * switched on in the deck panels is replaced in turn by a blank filler and
+ * simulated against the unchanged deck; cards are ranked by the average mana
+ * and key-card playability they add by the chosen turn.
+ *
+ * Props:
+ *   parsedDeck  – parsed deck of the current slot
+ *   analysis    – { deck, plan, baseline, results } from the last run, or null
+ *                 (ignored once the deck is re-parsed)
+ *   candidates  – number of cards a run would analyse
+ *   onRun       – () => void
+ *   isRunning   – boolean
+ *   turns       – number of simulated turns
+ */
+
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import CardTooltip from './CardTooltip';
+import { summarizeMarginalValue, rankMarginalValue } from '../simulation/marginalValue.js';
+
+const BUCKET_LABELS = {
+  artifacts: 'Artifact',
+  creatures: 'Creature',
+  rampSpells: 'Ramp spell',
+  rituals: 'Ritual',
+  exploration: 'Exploration',
+  costReducers: 'Cost reducer',
+  treasureCards: 'Treasure',
+};
+
+const signed = (value, suffix = '') =>
+  value == null ? '—' : `${value > 0 ? '+' : ''}${value}${suffix}`;
+
+const MarginalValuePanel = ({ parsedDeck, analysis, candidates, onRun, isRunning, turns }) => {
+  const [turn, setTurn] = useState(Math.min(4, turns));
+  const [sortBy, setSortBy] = useState('mana');
+
+  if (!parsedDeck || candidates === 0) return null;
+
+  const current = analysis && analysis.deck === parsedDeck ? analysis : null;
+  const lastTurn = current?.baseline.landsPerTurn?.length || turns;
+  const shownTurn = Math.min(turn, lastTurn);
+  const rows = current
+    ? rankMarginalValue(
+        summarizeMarginalValue(current.plan, current.baseline, current.results, shownTurn),
+        sortBy
+      )
+    : [];
+  const hasKeyCards = rows.some(r => r.keyCardDelta != null);
+  const chartKey = sortBy === 'keyCards' && hasKeyCards ? 'keyCardDelta' : 'manaDelta';
+
+  return (
+    <div className="panel marginal-value-panel">
+      <h3>🧮 What Does Each Card Add?</h3>
+      <p className="card-meta">
+        Replaces each of the {candidates} enabled mana cards, one at a time, with a blank card of
+        the same mana value and simulates against the unchanged deck (same seed and settings). The
+        drop is what the card earns its slot with.
+      </p>
+
+      <div className="settings-grid">
+        <div>
+          <label className="settings-label" htmlFor="marginal-turn-input">
+            Measure by turn
+          </label>
+          <input
+            id="marginal-turn-input"
+            type="range"
+            min="1"
+            max={lastTurn}
+            value={shownTurn}
+            onChange={e => setTurn(parseInt(e.target.value))}
+            className="settings-input"
+          />
+          <div className="range-display">Turn {shownTurn}</div>
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="marginal-sort-select">
+            Rank by
+          </label>
+          <select
+            id="marginal-sort-select"
+            value={sortBy}
+            onChange={e => setSortBy(e.target.value)}
+            className="settings-input"
+          >
+            <option value="mana">Average mana added</option>
+            <option value="keyCards">Key-card playability added</option>
+          </select>
+        </div>
+      </div>
+
+      <button className="btn-primary" disabled={isRunning} onClick={onRun}>
+        {isRunning ? '⏳ Analysing...' : `🔬 Analyse ${candidates} Cards`}
+      </button>
+
+      {rows.length > 0 && (
+        <>
+          <ResponsiveContainer width="100%" height={Math.max(160, rows.length * 28 + 40)}>
+            <BarChart data={rows} layout="vertical" margin={{ left: 24 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" />
+              <YAxis type="category" dataKey="name" width={160} />
+              <Tooltip />
+              <Bar
+                dataKey={chartKey}
+                name={chartKey === 'manaDelta' ? 'Mana added' : 'Key-card playability added (pts)'}
+                fill="#667eea"
+              />
+            </BarChart>
+          </ResponsiveContainer>
+
+          <div className="play-draw-table-wrap">
+            <table className="first-playable-table marginal-value-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Card</th>
+                  <th>Category</th>
+                  <th>Mana T{shownTurn}</th>
+                  <th>Without</th>
+                  <th>Mana added</th>
+                  <th>Lands added</th>
+                  {hasKeyCards && <th>Key cards</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, i) => (
+                  <tr key={row.name}>
+                    <td>{i + 1}</td>
+                    <td>
+                      <CardTooltip name={row.name}>
+                        {row.quantity > 1 ? `${row.quantity}× ` : ''}
+                        {row.name}
+                      </CardTooltip>
+                    </td>
+                    <td>{BUCKET_LABELS[row.bucket] ?? row.bucket}</td>
+                    <td>{row.manaWith}</td>
+                    <td>{row.manaWithout}</td>
+                    <td>{signed(row.manaDelta)}</td>
+                    <td>{signed(row.landsDelta)}</td>
+                    {hasKeyCards && <td>{signed(row.keyCardDelta, ' pts')}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MarginalValuePanel;
@@ -0,0 +1,109 @@
+/**
+ * PlayDrawImpactPanel.jsx
+ *
+ * Side-by-side report of the same deck simulated on the play and on the draw
+ * (Play/Draw setting = "Both"). One row per turn shows lands, untapped lands,
+ * total mana and key-card playability as "play → draw" with the delta;
+ * flood and screw rates are summarised above the table.
+ *
+ * Props:
+ *   playResults  – monteCarlo() result simulated on the play
+ *   drawResults  – monteCarlo() result simulated on the draw
+ *   turns        – number
+ *   label        – string (optional deck label, shown in comparison mode)
+ */
+
+import React from 'react';
+import CardTooltip from './CardTooltip';
+import { preparePlayDrawDelta } from '../utils/uiHelpers.jsx';
+
+/** Signed delta badge; `higherIsBetter` decides the colour. */
+const Delta = ({ value, higherIsBetter = true, suffix = '' }) => {
+  if (value === 0) return <span className="delta-neutral">±0{suffix}</span>;
+  const better = higherIsBetter ? value > 0 : value < 0;
+  return (
+    <span className={better ? 'delta-better' : 'delta-worse'}>
+      {value > 0 ? '+' : ''}
+      {value}
+      {suffix}
+    </span>
+  );
+};
+
+const Cell = ({ cell, higherIsBetter, suffix = '' }) => (
+  <td>
+    {cell.play}
+    {suffix} → {cell.draw}
+    {suffix} <Delta value={cell.delta} higherIsBetter={higherIsBetter} suffix={suffix} />
+  </td>
+);
+
+const PlayDrawImpactPanel = ({ playResults, drawResults, turns, label = '' }) => {
+  const report = preparePlayDrawDelta(playResults, drawResults, turns);
+  if (!report) return null;
+
+  const { rows, keyCardNames, floodRate, screwRate, floodThreshold, screwThreshold } = report;
+
+  return (
+    <div className="panel play-draw-panel">
+      <h3>🔄 On the Play vs On the Draw{label ? ` — ${label}` : ''}</h3>
+      <p className="card-meta">
+        Same seed and settings, simulated going first and going second. Each cell reads
+        <strong> play → draw</strong> followed by the change from drawing on turn 1. Charts above
+        show the on-the-play run.
+      </p>
+
+      {(floodRate || screwRate) && (
+        <div className="play-draw-rates">
+          {floodRate && (
+            <span>
+              🌊 Flood (≥{floodThreshold.lands} lands by T{floodThreshold.turn}): {floodRate.play}%
+              → {floodRate.draw}%{' '}
+              <Delta value={floodRate.delta} higherIsBetter={false} suffix=" pts" />
+            </span>
+          )}
+          {screwRate && (
+            <span>
+              🏜️ Screw (≤{screwThreshold.lands} lands by T{screwThreshold.turn}): {screwRate.play}%
+              → {screwRate.draw}%{' '}
+              <Delta value={screwRate.delta} higherIsBetter={false} suffix=" pts" />
+            </span>
+          )}
+        </div>
+      )}
+
+      <div className="play-draw-table-wrap">
+        <table className="first-playable-table play-draw-table">
+          <thead>
+            <tr>
+              <th>Turn</th>
+              <th>Lands</th>
+              <th>Untapped</th>
+              <th>Total Mana</th>
+              {keyCardNames.map(name => (
+                <th key={name}>
+                  <CardTooltip name={name}>{name}</CardTooltip> %
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.turn}>
+                <td>T{row.turn}</td>
+                <Cell cell={row.lands} />
+                <Cell cell={row.untappedLands} />
+                <Cell cell={row.mana} />
+                {keyCardNames.map(name => (
+                  <Cell key={name} cell={row.keyCards[name]} />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PlayDrawImpactPanel;
@@ -57,7 +57,7 @@ const RampSpellsPanel = ({
                 setDisabledRampSpells(newSet);
               }}
             />
-            <CardTooltip name={ramp.name}><span className="card-name">{ramp.quantity}x {ramp.name}</span></CardTooltip>
+            <CardTooltip name={ramp.name} printing={ramp.printing}><span className="card-name">{ramp.quantity}x {ramp.name}</span></CardTooltip>
             <span className="card-meta">
               +{ramp.landsToAdd} land{ramp.landsToAdd !== 1 ? 's' : ''}{ramp.landsTapped ? ' (tapped)' : ' (untapped)'}
               {ramp.fetchFilter === 'basic'   ? ' · basics only'                            : ''}
@@ -2,16 +2,20 @@
  * ResultsPanel.jsx
  *
  * Displays Monte Carlo simulation results: summary statistics, four recharts
- * line charts (lands, mana, life loss, key-card playability), and the
- * play-sequence explorer for the selected turn.
+ * line charts (lands, mana, life loss, key-card playability), curve-out mana
+ * usage (curve-out runs only), commander cast turns, combo-group playability,
+ * per-turn distributions (DistributionViewer), and the play-sequence explorer
+ * for the selected turn.
  *
  * Props:
- *   simulationResults  – object returned by monteCarlo()
+ *   simulationResults  – object returned by monteCarlo(), plus exactOnCurve
+ *                        (hypergeometric.js) when the app ran it
  *   chartData          – object returned by prepareChartData()
  *   iterations         – number
  *   enableMulligans    – boolean
  *   selectedKeyCards   – Set<string>
  *   commanderName      – string (auto-tracked key card when commander mode is on)
+ *   partnerName        – string (second commander, auto-tracked the same way)
  *   selectedTurnForSequences – number
  *   exportResultsAsPNG – () => void
  *   renderSequenceBody – (data, accentColor) => JSX
@@ -19,6 +23,7 @@
 
 import React, { useState } from 'react';
 import CardTooltip from './CardTooltip';
+import DistributionViewer from './DistributionViewer';
 import {
   BarChart,
   Bar,
@@ -34,14 +39,17 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
+import { PLAY_POLICIES } from '../simulation/playPolicy.js';
+import { COMMANDER_TAX } from '../simulation/commandZone.js';
 
 /**
  * Factory for a custom recharts Tooltip content component.
  * sdMap: { 'Series Name': '_sdDataKey', ... }
- * Each average series is shown as "name: value ± σ".
+ * ciMap: { 'Series Name': '_ciDataKey', ... } — 95% CI half-widths
+ * Each average series is shown as "name: value ± σ (95% CI ± x)".
  * Band-area entries (array values) and internal _* keys are hidden.
  */
-const makeStdTooltip = (sdMap = {}) => {
+const makeStdTooltip = (sdMap = {}, ciMap = {}) => {
   const StdTooltip = ({ active, payload, label }) => {
     if (!active || !payload || !payload.length) return null;
     const rows = payload.filter(
@@ -63,6 +71,8 @@ const makeStdTooltip = (sdMap = {}) => {
         {rows.map(p => {
           const sdKey = sdMap[p.name];
           const sd = sdKey != null ? p.payload?.[sdKey] : null;
+          const ciKey = ciMap[p.name];
+          const ci = ciKey != null ? p.payload?.[ciKey] : null;
           const avg = typeof p.value === 'number' ? p.value.toFixed(2) : p.value;
           return (
             <p key={p.name} style={{ margin: '2px 0', color: p.color || '#e5e7eb' }}>
@@ -70,6 +80,9 @@ const makeStdTooltip = (sdMap = {}) => {
               {sd != null ? (
                 <span style={{ opacity: 0.75 }}> ± {Number(sd).toFixed(2)}</span>
               ) : null}
+              {ci != null ? (
+                <span style={{ opacity: 0.6 }}> (95% CI ± {Number(ci).toFixed(2)})</span>
+              ) : null}
             </p>
           );
         })}
@@ -81,6 +94,41 @@ const makeStdTooltip = (sdMap = {}) => {
 
 const FIRST_PLAYABLE_THRESHOLDS = [50, 80, 95];
 
+const COMBO_COLORS = ['#22c55e', '#a855f7', '#f59e0b', '#60a5fa', '#dc2626'];
+
+/** "low–high%" for a percent { low, high } interval, or null. */
+const formatPercentCI = interval =>
+  interval ? `${interval.low.toFixed(1)}–${interval.high.toFixed(1)}%` : null;
+
+/**
+ * Exact and Gap cells of the on-curve table for one key card. The exact cell
+ * lists the land sources per colour and, when it differs, Karsten's figure
+ * (the rate among games that hit every land drop).
+ */
+const ExactOnCurveCells = ({ exact, simulated }) => {
+  if (!exact) return <td colSpan={2}>—</td>;
+  const gap = simulated != null ? simulated - exact.probability : null;
+  const sources = Object.entries(exact.sources)
+    .map(([color, n]) => `${n} ${color}`)
+    .join(' · ');
+  return (
+    <>
+      <td>
+        <span className="on-curve-pct">{exact.probability.toFixed(1)}%</span>
+        <div className="on-curve-ci">
+          {sources && `${sources} sources`}
+          {exact.givenLandDrops != null &&
+            exact.givenLandDrops !== exact.probability &&
+            `${sources ? ' · ' : ''}${exact.givenLandDrops.toFixed(1)}% with land drops`}
+        </div>
+      </td>
+      <td className="on-curve-ci">
+        {gap == null ? '—' : `${gap > 0 ? '+' : ''}${gap.toFixed(1)} pts`}
+      </td>
+    </>
+  );
+};
+
 // ── Collapsible panel header ─────────────────────────────────────────────────
 const ColHdr = ({ id, collapsed, toggle, children }) => (
   <button className="panel-collapse-btn" onClick={() => toggle(id)} aria-expanded={!collapsed[id]}>
@@ -96,6 +144,7 @@ const ResultsPanel = ({
   enableMulligans,
   selectedKeyCards,
   commanderName,
+  partnerName,
   selectedTurnForSequences,
   exportResultsAsPNG,
   exportResultsAsCSV,
@@ -106,14 +155,17 @@ const ResultsPanel = ({
 
   if (!simulationResults || !chartData) return null;
 
-  // Commander card is auto-tracked in the simulation but lives outside
-  // selectedKeyCards (it's in the command zone, not the deck slot).  Merge
-  // it in so charts/tables render even when selectedKeyCards is empty.
-  const commanderTrimmed = commanderName?.trim() ?? '';
-  const effectiveKeyCards =
-    commanderTrimmed && !selectedKeyCards.has(commanderTrimmed)
-      ? new Set([...selectedKeyCards, commanderTrimmed])
-      : selectedKeyCards;
+  // Commanders are auto-tracked in the simulation but live outside
+  // selectedKeyCards (they're in the command zone, not the deck slot).  Merge
+  // them in so charts/tables render even when selectedKeyCards is empty.
+  const commanderNames = [commanderName, partnerName].map(n => n?.trim() ?? '').filter(Boolean);
+  const effectiveKeyCards = commanderNames.some(n => !selectedKeyCards.has(n))
+    ? new Set([...selectedKeyCards, ...commanderNames])
+    : selectedKeyCards;
+  const commanderCasts = Object.entries(simulationResults.commanderCasts ?? {});
+  const hasExact = !!simulationResults?.exactOnCurve;
+  const hasInHand = !!simulationResults?.keyCardInHandPlayability;
+  const comboNames = Object.keys(simulationResults.comboPlayability ?? {});
 
   return (
     <div id="results-section">
@@ -123,12 +175,45 @@ const ResultsPanel = ({
           📊 Simulation Results
         </ColHdr>
         <div style={{ display: collapsed.summary ? 'none' : undefined }}>
-          <p>Iterations: {iterations.toLocaleString()}</p>
+          <p>
+            Iterations:{' '}
+            {simulationResults.stoppedEarly
+              ? `${simulationResults.handsKept.toLocaleString()} of ${iterations.toLocaleString()}`
+              : iterations.toLocaleString()}
+          </p>
           <p>Hands Kept: {simulationResults.handsKept.toLocaleString()}</p>
+          {simulationResults.maxKeyCardCIHalfWidth != null && (
+            <p className="ci-summary">
+              Key-card precision: every per-turn playability is within{' '}
+              <strong>±{simulationResults.maxKeyCardCIHalfWidth.toFixed(2)}%</strong> (95% CI)
+              {simulationResults.stoppedEarly
+                ? ` — stopped early at the ±${simulationResults.ciTarget}% target`
+                : simulationResults.ciTarget != null
+                  ? ` — ±${simulationResults.ciTarget}% target not reached within the cap`
+                  : ''}
+            </p>
+          )}
+          {simulationResults.seed != null && (
+            <p>
+              Seed: <code>{simulationResults.seed}</code>
+            </p>
+          )}
+          {simulationResults.castingPolicy === 'planner' && (
+            <p>Casting policy: turn planner (most mana used)</p>
+          )}
+          {simulationResults.playPolicy && simulationResults.playPolicy !== 'default' && (
+            <p>
+              Play policy:{' '}
+              {PLAY_POLICIES.find(p => p.id === simulationResults.playPolicy)?.label ??
+                simulationResults.playPolicy}
+            </p>
+          )}
           {enableMulligans &&
             (() => {
               const mulliganPct =
-                iterations > 0 ? (simulationResults.mulligans / iterations) * 100 : 0;
+                simulationResults.handsKept > 0
+                  ? (simulationResults.mulligans / simulationResults.handsKept) * 100
+                  : 0;
               return (
                 <p>
                   Mulligan Rate:{' '}
@@ -225,10 +310,10 @@ const ResultsPanel = ({
               />
               <YAxis label={{ value: 'Count', angle: -90, position: 'insideLeft' }} />
               <Tooltip
-                content={makeStdTooltip({
-                  'Total Lands': '_landsSd',
-                  'Untapped Lands': '_untappedSd',
-                })}
+                content={makeStdTooltip(
+                  { 'Total Lands': '_landsSd', 'Untapped Lands': '_untappedSd' },
+                  { 'Total Lands': '_landsCi', 'Untapped Lands': '_untappedCi' }
+                )}
               />
               <Legend />
               {/* ±1σ bands */}
@@ -284,6 +369,11 @@ const ResultsPanel = ({
                   <span className="flood-screw-badge__pct">
                     {simulationResults.floodRate.toFixed(1)}%
                   </span>
+                  {simulationResults.confidenceIntervals?.floodRate && (
+                    <span className="flood-screw-badge__ci">
+                      95% CI {formatPercentCI(simulationResults.confidenceIntervals.floodRate)}
+                    </span>
+                  )}
                 </div>
               )}
               {simulationResults.screwRate != null && (
@@ -297,6 +387,11 @@ const ResultsPanel = ({
                   <span className="flood-screw-badge__pct">
                     {simulationResults.screwRate.toFixed(1)}%
                   </span>
+                  {simulationResults.confidenceIntervals?.screwRate && (
+                    <span className="flood-screw-badge__ci">
+                      95% CI {formatPercentCI(simulationResults.confidenceIntervals.screwRate)}
+                    </span>
+                  )}
                 </div>
               )}
             </div>
@@ -321,7 +416,9 @@ const ResultsPanel = ({
                 label={{ value: 'Turn', position: 'insideBottom', offset: -5 }}
               />
               <YAxis label={{ value: 'Mana', angle: -90, position: 'insideLeft' }} />
-              <Tooltip content={makeStdTooltip({ 'Total Mana': '_manaSd' })} />
+              <Tooltip
+                content={makeStdTooltip({ 'Total Mana': '_manaSd' }, { 'Total Mana': '_manaCi' })}
+              />
               <Legend />
               {/* ±1σ band for total mana */}
               <Area
@@ -352,6 +449,18 @@ const ResultsPanel = ({
         </div>
       </div>
 
+      {/* Distributions & percentiles */}
+      {simulationResults.percentiles && (
+        <div className="panel">
+          <ColHdr id="distribution" collapsed={collapsed} toggle={toggle}>
+            Distributions &amp; Percentiles
+          </ColHdr>
+          <div style={{ display: collapsed.distribution ? 'none' : undefined }}>
+            <DistributionViewer simulationResults={simulationResults} />
+          </div>
+        </div>
+      )}
+
       {/* Life Loss */}
       <div className="panel">
         <ColHdr id="life" collapsed={collapsed} toggle={toggle}>
@@ -367,7 +476,12 @@ const ResultsPanel = ({
                 label={{ value: 'Turn', position: 'insideBottom', offset: -5 }}
               />
               <YAxis label={{ value: 'Life Loss', angle: -90, position: 'insideLeft' }} />
-              <Tooltip content={makeStdTooltip({ 'Life Loss': '_lifeLossSd' })} />
+              <Tooltip
+                content={makeStdTooltip(
+                  { 'Life Loss': '_lifeLossSd' },
+                  { 'Life Loss': '_lifeLossCi' }
+                )}
+              />
               <Legend />
               <Area
                 type="monotone"
@@ -410,7 +524,12 @@ const ResultsPanel = ({
                   label={{ value: 'Turn', position: 'insideBottom', offset: -5 }}
                 />
                 <YAxis label={{ value: 'Cards', angle: -90, position: 'insideLeft' }} />
-                <Tooltip content={makeStdTooltip({ 'Cards Drawn': '_drawnSd' })} />
+                <Tooltip
+                  content={makeStdTooltip(
+                    { 'Cards Drawn': '_drawnSd' },
+                    { 'Cards Drawn': '_drawnCi' }
+                  )}
+                />
                 <Legend />
                 <Area
                   type="monotone"
@@ -455,7 +574,12 @@ const ResultsPanel = ({
                   label={{ value: 'Turn', position: 'insideBottom', offset: -5 }}
                 />
                 <YAxis label={{ value: 'Treasures', angle: -90, position: 'insideLeft' }} />
-                <Tooltip content={makeStdTooltip({ 'Treasure Pool': '_treasureSd' })} />
+                <Tooltip
+                  content={makeStdTooltip(
+                    { 'Treasure Pool': '_treasureSd' },
+                    { 'Treasure Pool': '_treasureCi' }
+                  )}
+                />
                 <Legend />
                 <Area
                   type="monotone"
@@ -495,7 +619,17 @@ const ResultsPanel = ({
                   label={{ value: 'Turn', position: 'insideBottom', offset: -5 }}
                 />
                 <YAxis label={{ value: 'Playable (%)', angle: -90, position: 'insideLeft' }} />
-                <Tooltip />
+                <Tooltip
+                  content={makeStdTooltip(
+                    {},
+                    Object.fromEntries(
+                      Array.from(effectiveKeyCards).flatMap(name => [
+                        [name, `_ci:${name}`],
+                        [`${name} (+burst)`, `_ci:${name} (+burst)`],
+                      ])
+                    )
+                  )}
+                />
                 <Legend />
                 {Array.from(effectiveKeyCards).map((cardName, idx) => {
                   const colors = ['#667eea', '#f59e0b', '#22c55e', '#dc2626', '#60a5fa'];
@@ -597,6 +731,13 @@ const ResultsPanel = ({
                   <h4 className="on-curve-title">🎯 On-Curve Playability</h4>
                   <p className="card-meta">
                     % of games where the card is castable on exactly the turn matching its CMC.
+                    {hasExact &&
+                      ' Exact: the hypergeometric probability that the lands seen by then' +
+                        ' (all untapped, best ones played) pay for it — the gap is what tapped' +
+                        ' lands, land sequencing and mana from other cards add or cost.'}
+                    {hasInHand &&
+                      ' In hand: castable and actually drawn (or tutored) by then — the mana' +
+                        ' alone does not put the card in your hand.'}
                   </p>
                   <table className="on-curve-table">
                     <thead>
@@ -605,6 +746,10 @@ const ResultsPanel = ({
                         <th>CMC</th>
                         <th>On-Curve Turn</th>
                         <th>On-Curve %</th>
+                        <th>95% CI</th>
+                        {hasInHand && <th>In Hand</th>}
+                        {hasExact && <th>Exact</th>}
+                        {hasExact && <th>Gap</th>}
                       </tr>
                     </thead>
                     <tbody>
@@ -615,6 +760,19 @@ const ResultsPanel = ({
                         const pct = simulationResults.keyCardOnCurvePlayability?.[cardName] ?? null;
                         const onCurveTurn = cmc != null ? (cmc === 0 ? 1 : cmc) : null;
                         const pctDisplay = pct != null ? `${pct.toFixed(1)}%` : '—';
+                        const ciDisplay =
+                          formatPercentCI(
+                            simulationResults.confidenceIntervals?.keyCardOnCurvePlayability?.[
+                              cardName
+                            ]
+                          ) ?? '—';
+                        const inHand =
+                          onCurveTurn != null
+                            ? simulationResults.keyCardInHandPlayability?.[cardName]?.[
+                                onCurveTurn - 1
+                              ]
+                            : null;
+                        const exact = simulationResults.exactOnCurve?.[cardName];
                         const cmcDisplay = cmc != null ? cmc : '—';
                         const turnDisplay = onCurveTurn != null ? `Turn ${onCurveTurn}` : '—';
                         return (
@@ -652,6 +810,13 @@ const ResultsPanel = ({
                                 {pctDisplay}
                               </span>
                             </td>
+                            <td className="on-curve-ci">{ciDisplay}</td>
+                            {hasInHand && (
+                              <td className="on-curve-ci">
+                                {inHand != null ? `${inHand.toFixed(1)}%` : '—'}
+                              </td>
+                            )}
+                            {hasExact && <ExactOnCurveCells exact={exact} simulated={pct} />}
                           </tr>
                         );
                       })}
@@ -663,6 +828,180 @@ const ResultsPanel = ({
         </div>
       )}
 
+      {/* Commander Cast Turns */}
+      {commanderCasts.length > 0 && (
+        <div className="panel">
+          <ColHdr id="commanderCasts" collapsed={collapsed} toggle={toggle}>
+            🎩 Commander Cast Turns
+          </ColHdr>
+          <div style={{ display: collapsed.commanderCasts ? 'none' : undefined }}>
+            <p className="card-meta card-meta--spaced">
+              % of games in which each commander has been cast from the command zone by each turn.
+              Recasts follow a death at the end of the turn it was cast and cost {COMMANDER_TAX}{' '}
+              more per previous cast (commander tax).
+            </p>
+            <table className="on-curve-table">
+              <thead>
+                <tr>
+                  <th>Commander</th>
+                  <th>Cast</th>
+                  <th>Avg Turn</th>
+                  {commanderCasts[0][1][0].castBy.map((_, t) => (
+                    <th key={t}>By T{t + 1}</th>
+                  ))}
+                  <th>Never</th>
+                </tr>
+              </thead>
+              <tbody>
+                {commanderCasts.flatMap(([name, casts]) =>
+                  casts.map((cast, i) => (
+                    <tr key={`${name}-${i}`}>
+                      <td>{i === 0 && <CardTooltip name={name}>{name}</CardTooltip>}</td>
+                      <td>{i === 0 ? 'First cast' : `Recast ${i} (+${COMMANDER_TAX * i} tax)`}</td>
+                      <td>{cast.avgTurn != null ? `T${cast.avgTurn.toFixed(1)}` : '—'}</td>
+                      {cast.castBy.map((pct, t) => (
+                        <td key={t} className="on-curve-ci">
+                          {pct.toFixed(1)}%
+                        </td>
+                      ))}
+                      <td className="on-curve-ci">{cast.notCast.toFixed(1)}%</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Curve Out */}
+      {chartData.curveData && (
+        <div className="panel">
+          <ColHdr id="curveOut" collapsed={collapsed} toggle={toggle}>
+            📈 Curve Out: Mana Usage per Turn
+          </ColHdr>
+          <div style={{ display: collapsed.curveOut ? 'none' : undefined }}>
+            <p className="card-meta card-meta--spaced">
+              {simulationResults.castingPolicy === 'planner'
+                ? 'Non-mana spells cast each turn by the turn planner (most mana used).'
+                : 'Non-mana spells cast greedily each turn (most expensive affordable first).'}{' '}
+              Bars split the available mana into spent and wasted; the line is the average number of
+              spells cast.
+            </p>
+            <ResponsiveContainer width="100%" height={300}>
+              <ComposedChart data={chartData.curveData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="turn"
+                  label={{ value: 'Turn', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis label={{ value: 'Mana', angle: -90, position: 'insideLeft' }} />
+                <Tooltip
+                  content={makeStdTooltip(
+                    {},
+                    {
+                      'Mana Spent': '_spentCi',
+                      'Mana Wasted': '_wastedCi',
+                      'Spells Cast': '_spellsCi',
+                    }
+                  )}
+                />
+                <Legend />
+                <Bar dataKey="Mana Spent" stackId="mana" fill="#22c55e" />
+                <Bar dataKey="Mana Wasted" stackId="mana" fill="#f87171" />
+                <Line type="monotone" dataKey="Spells Cast" stroke="#60a5fa" strokeWidth={2} />
+              </ComposedChart>
+            </ResponsiveContainer>
+            <div className="play-draw-table-wrap">
+              <table className="first-playable-table">
+                <thead>
+                  <tr>
+                    <th>Turn</th>
+                    {chartData.curveData.map(row => (
+                      <th key={row.turn}>{row.turn}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>Mana used</td>
+                    {chartData.curveData.map(row => (
+                      <td key={row.turn}>{row['Mana Used (%)']}%</td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Combo Groups */}
+      {comboNames.length > 0 && (
+        <div className="panel">
+          <ColHdr id="combos" collapsed={collapsed} toggle={toggle}>
+            🧩 Combo Groups Playability (%)
+          </ColHdr>
+          <div style={{ display: collapsed.combos ? 'none' : undefined }}>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={chartData.comboData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="turn"
+                  label={{ value: 'Turn', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis label={{ value: 'Assembled (%)', angle: -90, position: 'insideLeft' }} />
+                <Tooltip
+                  content={makeStdTooltip(
+                    {},
+                    Object.fromEntries(comboNames.map(name => [name, `_ci:${name}`]))
+                  )}
+                />
+                <Legend />
+                {comboNames.map((name, idx) => (
+                  <Line
+                    key={name}
+                    type="monotone"
+                    dataKey={name}
+                    stroke={COMBO_COLORS[idx % COMBO_COLORS.length]}
+                    strokeWidth={2}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+
+            <h4 className="first-playable-title">
+              Example sequences for turn {selectedTurnForSequences}
+            </h4>
+            {comboNames.map(name => {
+              const sequences =
+                simulationResults.comboSequences?.[name]?.[selectedTurnForSequences] ?? [];
+              return (
+                <div key={name} className="sequence-group">
+                  <h4 className="sequence-card-name">{name}</h4>
+                  {sequences.length === 0 ? (
+                    <p className="sequence-no-result">
+                      This combo was not assembled on turn {selectedTurnForSequences} in any
+                      simulated game.
+                    </p>
+                  ) : (
+                    sequences.map((data, seqIdx) => (
+                      <div key={seqIdx} className="sequence-card">
+                        <p className="sequence-meta">
+                          <strong>Example {seqIdx + 1}:</strong> Assembled on turn {data.turn} (
+                          {data.manaAvailable} mana available)
+                        </p>
+                        {renderSequenceBody(data, '#22c55e')}
+                      </div>
+                    ))
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Play Sequences */}
       {Object.keys(simulationResults.fastestPlaySequences).length > 0 && (
         <div className="panel">
@@ -127,7 +127,7 @@ const RitualsPanel = ({
                     setDisabledRituals(newSet);
                   }}
                 />
-                <CardTooltip name={ritual.name}>
+                <CardTooltip name={ritual.name} printing={ritual.printing}>
                   <span className="card-name">
                     {ritual.quantity}x {ritual.name}
                   </span>
@@ -0,0 +1,176 @@
+/**
+ * SideboardPanel.jsx
+ *
+ * Lists the deck's Companion, Sideboard and Maybeboard cards — kept out of the
+ * simulated deck — and edits sideboard plans: named swap sets ("out 2 Opt,
+ * in 2 Negate") that can be loaded as Deck B to simulate and compare the
+ * post-board configuration against the main one.
+ *
+ * Props:
+ *   parsedDeck        – parsed deck object
+ *   sideboardPlans    – [{ name, out: [{ name, quantity }], in: [{ name, quantity }] }]
+ *   setSideboardPlans – setter
+ *   onComparePlan     – (plan) => void; loads the deck with the plan made as Deck B
+ */
+
+import React, { useState } from 'react';
+import CardTooltip from './CardTooltip';
+import { parseSwapList, formatSwapList, applySideboardPlan } from '../parser/sideboardPlan.js';
+
+/** "Out: 2 Opt, 1 Duress · In: 3 Negate" */
+export const describeSideboardPlan = plan => {
+  const swaps = cards => formatSwapList(cards).replaceAll('\n', ', ') || 'nothing';
+  return `Out: ${swaps(plan.out)} · In: ${swaps(plan.in)}`;
+};
+
+const SECTIONS = [
+  ['companions', '🐾 Companion'],
+  ['sideboard', '🧰 Sideboard'],
+  ['maybeboard', '🤔 Maybeboard'],
+];
+
+const SideboardPlanEditor = ({ parsedDeck, sideboardPlans, setSideboardPlans, onComparePlan }) => {
+  const [name, setName] = useState('');
+  const [outText, setOutText] = useState('');
+  const [inText, setInText] = useState('');
+
+  const trimmed = name.trim();
+  const duplicate = sideboardPlans.some(p => p.name === trimmed);
+  const out = parseSwapList(outText);
+  const cardsIn = parseSwapList(inText);
+  const valid = trimmed !== '' && !duplicate && out.length + cardsIn.length > 0;
+
+  const add = () => {
+    setSideboardPlans([...sideboardPlans, { name: trimmed, out, in: cardsIn }]);
+    setName('');
+    setOutText('');
+    setInText('');
+  };
+
+  return (
+    <div className="combo-groups">
+      <h4>🔁 Sideboard Plans</h4>
+      <p className="card-meta">
+        Name a set of swaps — cards out of the main deck, cards in from the sideboard or maybeboard
+        — and compare the deck after them against the main configuration.
+      </p>
+
+      {sideboardPlans.map(plan => {
+        const { issues } = applySideboardPlan(parsedDeck, plan);
+        return (
+          <div key={plan.name} className="combo-group-row">
+            <span>
+              <strong>{plan.name}</strong>: {describeSideboardPlan(plan)}
+              {issues.length > 0 && <span className="card-meta"> — {issues.join('; ')}</span>}
+            </span>
+            <span>
+              {onComparePlan && (
+                <button
+                  className="combo-group-remove"
+                  aria-label={`Compare sideboard plan ${plan.name}`}
+                  onClick={() => onComparePlan(plan)}
+                >
+                  ⚔️ Compare with main deck
+                </button>
+              )}{' '}
+              <button
+                className="combo-group-remove"
+                aria-label={`Remove sideboard plan ${plan.name}`}
+                onClick={() => setSideboardPlans(sideboardPlans.filter(p => p !== plan))}
+              >
+                ✕
+              </button>
+            </span>
+          </div>
+        );
+      })}
+
+      <label className="settings-label" htmlFor="sideboard-plan-name">
+        New sideboard plan
+      </label>
+      <input
+        id="sideboard-plan-name"
+        type="text"
+        placeholder="e.g. vs. Control"
+        value={name}
+        onChange={e => setName(e.target.value)}
+        className="settings-input"
+      />
+      <div className="settings-grid">
+        <div>
+          <label className="settings-label" htmlFor="sideboard-plan-out">
+            Out (main deck)
+          </label>
+          <textarea
+            id="sideboard-plan-out"
+            rows={4}
+            placeholder="2 Opt"
+            value={outText}
+            onChange={e => setOutText(e.target.value)}
+            className="settings-input"
+          />
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="sideboard-plan-in">
+            In (sideboard / maybeboard)
+          </label>
+          <textarea
+            id="sideboard-plan-in"
+            rows={4}
+            placeholder="2 Negate"
+            value={inText}
+            onChange={e => setInText(e.target.value)}
+            className="settings-input"
+          />
+        </div>
+      </div>
+      <button className="btn-primary" disabled={!valid} onClick={add}>
+        ➕ Add Sideboard Plan
+      </button>
+      {duplicate && <p className="card-meta">A sideboard plan with that name already exists.</p>}
+    </div>
+  );
+};
+
+const SideboardPanel = ({ parsedDeck, sideboardPlans = [], setSideboardPlans, onComparePlan }) => {
+  if (!parsedDeck) return null;
+
+  return (
+    <div className="panel">
+      <h3>🧰 Sideboard &amp; Other Sections</h3>
+      <p className="card-meta">These cards are not part of the simulated deck.</p>
+      {SECTIONS.map(([key, title]) => {
+        // MDFC spell sides repeat their land entry
+        const cards = (parsedDeck[key] ?? []).filter(card => !card.isMDFCSpellSide);
+        if (cards.length === 0) return null;
+        return (
+          <div key={key}>
+            <h4>{title}</h4>
+            {cards.map((card, idx) => (
+              <div key={idx} className="card-row">
+                <div className="card-row-label">
+                  <CardTooltip name={card.name} printing={card.printing}>
+                    <span className="spell-card-name">
+                      {card.quantity}x {card.name}
+                    </span>
+                  </CardTooltip>
+                </div>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+
+      {setSideboardPlans && (
+        <SideboardPlanEditor
+          parsedDeck={parsedDeck}
+          sideboardPlans={sideboardPlans}
+          setSideboardPlans={setSideboardPlans}
+          onComparePlan={onComparePlan}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SideboardPanel;
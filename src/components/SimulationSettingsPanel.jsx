@@ -2,13 +2,16 @@
  * SimulationSettingsPanel.jsx
  *
  * Simulation configuration: iteration count, turns, hand size, sequence
- * viewer, Commander mode, mulligan settings, and the Run button.
+ * viewer, random seed, play/draw, CI early-stop target, casting and play
+ * policies, Commander mode (with the commander-deaths scenario), curve-out mode, mulligan settings, and the Run button.
  *
  * Props: all simulation state values + their setters, plus runSimulation and
  * isSimulating.
  */
 
 import React from 'react';
+import { CASTING_POLICIES } from '../simulation/turnPlanner.js';
+import { PLAY_POLICIES } from '../simulation/playPolicy.js';
 
 const SimulationSettingsPanel = ({
   iterations,
@@ -23,6 +26,20 @@ const SimulationSettingsPanel = ({
   setSelectedTurnForSequences,
   commanderMode,
   setCommanderMode,
+  commanderDeaths,
+  setCommanderDeaths,
+  seed,
+  setSeed,
+  playDraw,
+  setPlayDraw,
+  ciTarget,
+  setCiTarget,
+  castingPolicy,
+  setCastingPolicy,
+  playPolicy,
+  setPlayPolicy,
+  curveOut,
+  setCurveOut,
   enableMulligans,
   setEnableMulligans,
   mulliganRule,
@@ -106,6 +123,109 @@ const SimulationSettingsPanel = ({
           {maxSequences} {maxSequences === 1 ? 'example' : 'examples'}
         </div>
       </div>
+      <div>
+        <label className="settings-label" htmlFor="sim-seed-input">
+          Random Seed
+        </label>
+        <input
+          id="sim-seed-input"
+          type="number"
+          value={seed}
+          onChange={e => setSeed(e.target.value === '' ? '' : parseInt(e.target.value))}
+          min="0"
+          placeholder="Random each run"
+          className="settings-input"
+        />
+        <div className="range-display">
+          {seed === '' ? 'Blank = new seed every run' : 'Same seed → identical results'}
+        </div>
+      </div>
+      <div>
+        <label className="settings-label" htmlFor="sim-play-draw-select">
+          Play / Draw
+        </label>
+        <select
+          id="sim-play-draw-select"
+          value={playDraw}
+          onChange={e => setPlayDraw(e.target.value)}
+          disabled={commanderMode}
+          className="settings-input"
+        >
+          <option value="play">On the play (no turn-1 draw)</option>
+          <option value="draw">On the draw</option>
+          <option value="both">Both — compare play vs draw</option>
+        </select>
+        <div className="range-display">
+          {commanderMode
+            ? 'Commander always draws on turn 1'
+            : playDraw === 'both'
+              ? 'Runs each configuration and reports the delta'
+              : `Going ${playDraw === 'draw' ? 'second' : 'first'}`}
+        </div>
+      </div>
+      <div>
+        <label className="settings-label" htmlFor="sim-ci-target-input">
+          Stop Early at 95% CI ± (%)
+        </label>
+        <input
+          id="sim-ci-target-input"
+          type="number"
+          value={ciTarget}
+          onChange={e => setCiTarget(e.target.value === '' ? '' : parseFloat(e.target.value))}
+          min="0.1"
+          max="10"
+          step="0.1"
+          placeholder="Run all iterations"
+          className="settings-input"
+        />
+        <div className="range-display">
+          {ciTarget === ''
+            ? 'Blank = always run every iteration'
+            : `Stops once every key card is within ±${ciTarget}% (simulations = cap)`}
+        </div>
+      </div>
+      <div>
+        <label className="settings-label" htmlFor="sim-casting-policy-select">
+          Casting Policy
+        </label>
+        <select
+          id="sim-casting-policy-select"
+          value={castingPolicy}
+          onChange={e => setCastingPolicy(e.target.value)}
+          className="settings-input"
+        >
+          {CASTING_POLICIES.map(({ id, label }) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <div className="range-display">
+          {castingPolicy === 'planner'
+            ? 'Casts the subset of the hand that uses the most mana'
+            : 'Mana sources first, cheapest first'}
+        </div>
+      </div>
+      <div>
+        <label className="settings-label" htmlFor="sim-play-policy-select">
+          Play Policy
+        </label>
+        <select
+          id="sim-play-policy-select"
+          value={playPolicy}
+          onChange={e => setPlayPolicy(e.target.value)}
+          className="settings-input"
+        >
+          {PLAY_POLICIES.map(({ id, label }) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <div className="range-display">
+          {PLAY_POLICIES.find(p => p.id === playPolicy)?.description}
+        </div>
+      </div>
     </div>
 
     {/* Commander mode */}
@@ -125,6 +245,42 @@ const SimulationSettingsPanel = ({
           (official Commander rule).
         </div>
       )}
+      {commanderMode && (
+        <div className="commander-name-field">
+          <label className="settings-label" htmlFor="sim-commander-deaths-input">
+            Commander deaths
+          </label>
+          <input
+            id="sim-commander-deaths-input"
+            type="number"
+            value={commanderDeaths}
+            onChange={e => setCommanderDeaths(Math.max(0, parseInt(e.target.value) || 0))}
+            min="0"
+            max="5"
+            className="settings-input"
+          />
+          <div className="commander-name-hint">
+            {commanderDeaths === 0
+              ? 'Commanders stay on the battlefield once cast'
+              : `Each commander dies ${commanderDeaths}× at the end of the turn it is cast and is recast with +2 tax per previous cast`}
+          </div>
+        </div>
+      )}
+    </div>
+
+    {/* Curve-out mode */}
+    <div className="commander-box">
+      <label className="commander-label">
+        <input type="checkbox" checked={curveOut} onChange={e => setCurveOut(e.target.checked)} />
+        <span>📈 Curve Out (cast non-mana spells each turn)</span>
+      </label>
+      {curveOut && (
+        <div className="commander-hint">
+          Each turn, after mana sources, the most expensive affordable spells in hand are cast until
+          nothing else fits. Reports mana spent, mana wasted, spells cast and the share of available
+          mana used.
+        </div>
+      )}
     </div>
 
     {/* Mulligan logic */}
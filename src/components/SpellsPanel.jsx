@@ -1,19 +1,154 @@
 /**
  * SpellsPanel.jsx
  *
- * Shows the combined "Spells & Creatures" list for key-card selection.
+ * Shows the combined "Spells & Creatures" list for key-card selection, and
+ * the combo-group editor: named groups of cards tracked as "all of these" or
+ * "any N of these" castable on the same turn, either each on its own or
+ * together out of the turn's total mana.
  *
  * Props:
  *   parsedDeck        – parsed deck object
  *   selectedKeyCards  – Set<string>
  *   setSelectedKeyCards – setter
+ *   comboGroups       – [{ name, cards: string[], need, payment: 'each' | 'together' }]
+ *   setComboGroups    – setter (the editor is hidden without one)
  *   renderManaCost    – (manaCost: string) => JSX
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import CardTooltip from './CardTooltip';
 
-const SpellsPanel = ({ parsedDeck, selectedKeyCards, setSelectedKeyCards, renderManaCost }) => {
+/** "All of" / "Any 2 of" plus how the group is paid for. */
+export const describeComboGroup = ({ cards, need, payment }) => {
+  const count = need ?? cards.length;
+  const quantifier = count >= cards.length ? 'All of' : `Any ${count} of`;
+  return `${quantifier} ${cards.join(' + ')} (${
+    payment === 'together' ? 'paid together' : 'each castable'
+  })`;
+};
+
+const ComboGroupEditor = ({ cardNames, comboGroups, setComboGroups }) => {
+  const [name, setName] = useState('');
+  const [cards, setCards] = useState([]);
+  const [need, setNeed] = useState('');
+  const [payment, setPayment] = useState('together');
+
+  const trimmed = name.trim();
+  const duplicate = comboGroups.some(g => g.name === trimmed);
+  const count = need === '' ? cards.length : Math.min(need, cards.length);
+  const valid = trimmed !== '' && !duplicate && cards.length >= 2;
+
+  const toggleCard = cardName =>
+    setCards(prev =>
+      prev.includes(cardName) ? prev.filter(c => c !== cardName) : [...prev, cardName]
+    );
+
+  const add = () => {
+    setComboGroups([...comboGroups, { name: trimmed, cards, need: count, payment }]);
+    setName('');
+    setCards([]);
+    setNeed('');
+  };
+
+  return (
+    <div className="combo-groups">
+      <h4>🧩 Combo Groups</h4>
+      <p className="card-meta">
+        Track how often several cards can be cast on the same turn — together out of the turn&apos;s
+        mana, or each on its own.
+      </p>
+
+      {comboGroups.map(group => (
+        <div key={group.name} className="combo-group-row">
+          <span>
+            <strong>{group.name}</strong>: {describeComboGroup(group)}
+            {group.cards.some(c => !cardNames.includes(c)) && (
+              <span className="card-meta"> — some cards are not in this deck</span>
+            )}
+          </span>
+          <button
+            className="combo-group-remove"
+            aria-label={`Remove combo group ${group.name}`}
+            onClick={() => setComboGroups(comboGroups.filter(g => g !== group))}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <label className="settings-label" htmlFor="combo-group-name">
+        New combo group
+      </label>
+      <input
+        id="combo-group-name"
+        type="text"
+        placeholder="e.g. Oracle + Consultation"
+        value={name}
+        onChange={e => setName(e.target.value)}
+        className="settings-input"
+      />
+      <div className="combo-group-cards">
+        {cardNames.map(cardName => (
+          <label key={cardName} className="card-row-label">
+            <input
+              type="checkbox"
+              checked={cards.includes(cardName)}
+              onChange={() => toggleCard(cardName)}
+            />
+            <span className="spell-card-name">{cardName}</span>
+          </label>
+        ))}
+      </div>
+      <div className="settings-grid">
+        <div>
+          <label className="settings-label" htmlFor="combo-group-need">
+            Cards needed
+          </label>
+          <select
+            id="combo-group-need"
+            value={need === '' ? '' : count}
+            onChange={e => setNeed(e.target.value === '' ? '' : parseInt(e.target.value))}
+            className="settings-input"
+          >
+            <option value="">All of them</option>
+            {Array.from({ length: Math.max(0, cards.length - 1) }, (_, i) => (
+              <option key={i + 1} value={i + 1}>
+                Any {i + 1} of {cards.length}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="settings-label" htmlFor="combo-group-payment">
+            Mana
+          </label>
+          <select
+            id="combo-group-payment"
+            value={payment}
+            onChange={e => setPayment(e.target.value)}
+            className="settings-input"
+          >
+            <option value="together">Cast together (sum of costs)</option>
+            <option value="each">Each castable on its own</option>
+          </select>
+        </div>
+      </div>
+      <button className="btn-primary" disabled={!valid} onClick={add}>
+        ➕ Add Combo Group
+      </button>
+      {duplicate && <p className="card-meta">A combo group with that name already exists.</p>}
+    </div>
+  );
+};
+
+const SpellsPanel = ({
+  parsedDeck,
+  selectedKeyCards,
+  setSelectedKeyCards,
+  comboGroups = [],
+  setComboGroups,
+  renderManaCost,
+}) => {
   if (!parsedDeck) return null;
 
   const hasAny =
@@ -23,6 +158,7 @@ const SpellsPanel = ({ parsedDeck, selectedKeyCards, setSelectedKeyCards, render
     parsedDeck.rituals?.length > 0 ||
     parsedDeck.rampSpells?.length > 0 ||
     parsedDeck.drawSpells?.length > 0 ||
+    parsedDeck.tutors?.length > 0 ||
     parsedDeck.exploration?.length > 0;
 
   if (!hasAny) return null;
@@ -34,6 +170,7 @@ const SpellsPanel = ({ parsedDeck, selectedKeyCards, setSelectedKeyCards, render
     ...(parsedDeck.rituals || []),
     ...(parsedDeck.rampSpells || []),
     ...(parsedDeck.drawSpells || []),
+    ...(parsedDeck.tutors || []),
     ...(parsedDeck.exploration || []),
   ].sort((a, b) => a.cmc - b.cmc);
 
@@ -57,7 +194,7 @@ const SpellsPanel = ({ parsedDeck, selectedKeyCards, setSelectedKeyCards, render
         >
           <div className="card-row-label">
             <input type="checkbox" checked={selectedKeyCards.has(card.name)} readOnly />
-            <CardTooltip name={card.name}>
+            <CardTooltip name={card.name} printing={card.printing}>
               <span className="spell-card-name">
                 {card.quantity}x {card.name}
               </span>
@@ -67,6 +204,14 @@ const SpellsPanel = ({ parsedDeck, selectedKeyCards, setSelectedKeyCards, render
           <div className="mana-cost-container">{renderManaCost(card.manaCost)}</div>
         </div>
       ))}
+
+      {setComboGroups && (
+        <ComboGroupEditor
+          cardNames={[...new Set(allCards.map(c => c.name))]}
+          comboGroups={comboGroups}
+          setComboGroups={setComboGroups}
+        />
+      )}
     </div>
   );
 };
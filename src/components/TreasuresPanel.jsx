@@ -127,7 +127,7 @@ const TreasuresPanel = ({
                     setDisabledTreasures(newSet);
                   }}
                 />
-                <CardTooltip name={card.name}>
+                <CardTooltip name={card.name} printing={card.printing}>
                   <span className="card-name">
                     {card.quantity}x {card.name}
                   </span>
@@ -0,0 +1,114 @@
+/**
+ * TutorsPanel.jsx
+ *
+ * Displays tutors (Demonic Tutor, Worldly Tutor, transmute cards, etc.) with
+ * enable/disable toggles. A tutor is cast only when a key card it can find is
+ * still in the library; it then fetches that card to hand or to the top of
+ * the library.
+ *
+ * Props:
+ *   parsedDeck         – parsed deck object
+ *   includeTutors      – boolean (master toggle)
+ *   setIncludeTutors   – setter
+ *   disabledTutors     – Set<string>
+ *   setDisabledTutors  – setter
+ *   renderManaCost     – (manaCost: string) => JSX
+ */
+
+import React from 'react';
+import CardTooltip from './CardTooltip';
+
+const FINDS_LABELS = {
+  any: 'any card',
+  creature: 'a creature',
+  artifact: 'an artifact',
+  enchantment: 'an enchantment',
+  artifact_enchantment: 'an artifact or enchantment',
+  instant_sorcery: 'an instant or sorcery',
+  sorcery: 'a sorcery',
+  land: 'a land',
+};
+
+const DESTINATION_LABELS = {
+  hand: 'to hand',
+  top: 'to top of library',
+  battlefield: 'onto the battlefield',
+};
+
+// Human-readable summary of what a tutor finds, e.g. "an artifact (MV 3) to hand"
+const findsLabel = tutor => {
+  const finds = FINDS_LABELS[tutor.finds] ?? 'any card';
+  const mv =
+    tutor.manaValue != null
+      ? ` (MV ${tutor.manaValue})`
+      : tutor.maxManaValue != null
+        ? ` (MV ≤ ${tutor.maxManaValue})`
+        : '';
+  return `${finds}${mv} ${DESTINATION_LABELS[tutor.destination] ?? 'to hand'}`;
+};
+
+const TutorsPanel = ({
+  parsedDeck,
+  includeTutors,
+  setIncludeTutors,
+  disabledTutors,
+  setDisabledTutors,
+  renderManaCost,
+}) => {
+  if (!parsedDeck?.tutors?.length) return null;
+
+  return (
+    <div className="panel">
+      <h3>🔎 Tutors</h3>
+      <p className="card-meta card-meta--spaced">
+        Tutors are cast only when a key card they can find is still in the library; the cheapest
+        such key card is fetched. Land tutors are listed but never cast.
+      </p>
+      <label className="enable-all-label">
+        <input
+          type="checkbox"
+          checked={includeTutors}
+          onChange={e => {
+            setIncludeTutors(e.target.checked);
+            if (e.target.checked) {
+              setDisabledTutors(new Set());
+            } else {
+              setDisabledTutors(new Set(parsedDeck.tutors.map(c => c.name)));
+            }
+          }}
+        />
+        <span className="checkbox-text">Enable All Tutors</span>
+      </label>
+
+      {parsedDeck.tutors.map((tutor, idx) => (
+        <div key={idx} className="card-row">
+          <label className="card-row-label">
+            <input
+              type="checkbox"
+              checked={includeTutors && !disabledTutors.has(tutor.name)}
+              onChange={e => {
+                const newSet = new Set(disabledTutors);
+                if (e.target.checked) newSet.delete(tutor.name);
+                else newSet.add(tutor.name);
+                setDisabledTutors(newSet);
+              }}
+            />
+            <CardTooltip name={tutor.name} printing={tutor.printing}>
+              <span className="card-name">
+                {tutor.quantity}x {tutor.name}
+              </span>
+            </CardTooltip>
+            <span className="card-meta">
+              {tutor.isTransmute ? 'Transmute: ' : 'Finds '}
+              {findsLabel(tutor)}&nbsp;&nbsp;{'· CMC '}
+              {tutor.cmc}
+            </span>
+          </label>
+          <div className="mana-cost-container">{renderManaCost(tutor.manaCost)}</div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TutorsPanel;
@@ -2,17 +2,41 @@
  * useCardLookup — custom hook encapsulating local-file and Scryfall API card lookups.
  *
  * Manages:
- *   cardsDatabase        — loaded JSON array (or null)
- *   isLoadingFile        — true while a JSON file is being parsed (shows a spinner in UI)
+ *   cardsDatabase        — distinct cards from the uploaded file or the card cache (or null)
+ *   isLoadingFile        — true while a JSON file is being read (shows a spinner in UI)
+ *   loadProgress         — percentage of the file read so far while loading
  *   lookupCacheRef       — mutable Map used as a fast name → card cache
+ *   printingCacheRef     — internal Map of exact printings (set + collector number)
  *   scryfallCallCount    — session-persistent API call counter (shown in UI)
- *   handleFileUpload()   — processes a local Scryfall Default Cards JSON upload
- *   lookupCard(name)     — async lookup: cache → Scryfall API fallback
+ *   handleFileUpload()   — streams a local Scryfall Default Cards JSON upload through
+ *                          cardFileWorker.js (see parser/cardStream.js)
+ *   lookupCard(name, printing) — async lookup: exact printing → cache → Scryfall API fallback
+ *   cacheStamp           — { savedAt, source, cardCount, … } of the IndexedDB card cache, or null
+ *   handleClearCardCache() — empties the card cache and the in-memory maps
+ *
+ * The card data is kept in IndexedDB (parser/cardCache.js): it is loaded on
+ * mount, replaced by each uploaded file, and Scryfall API results are added
+ * to it, so a reload needs neither the file nor the API again.
  *
  * Also re-exports the two limit constants so consumers can render threshold UI.
  */
 
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
+import {
+  findCardInMap,
+  findPrinting,
+  indexPrinting,
+  isTokenCard,
+  matchesCardName,
+} from '../parser/cardLookup.js';
+import { indexCollectedCards, loadCardFile } from '../parser/cardStream.js';
+import {
+  openCardCache,
+  loadCachedCards,
+  saveCardFile,
+  addCachedCard,
+  clearCardCache,
+} from '../parser/cardCache.js';
 
 // =============================================================================
 // Scryfall session limits
@@ -30,12 +54,14 @@ export const SCRYFALL_HARD_LIMIT = 150; // block further API calls
 export const useCardLookup = (apiMode, setError) => {
   const [cardsDatabase, setCardsDatabase] = useState(null);
   const lookupCacheRef = useRef(new Map());
+  const printingCacheRef = useRef(new Map());
 
   /**
-   * True while handleFileUpload is parsing the JSON file.
+   * True while handleFileUpload is reading the JSON file.
    * Exposed so the UI can disable the file input and show a loading indicator.
    */
   const [isLoadingFile, setIsLoadingFile] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(0);
 
   // ── Scryfall call counter ──────────────────────────────────────────────────
   // A ref tracks the live counter so lookupCard never needs it as a dep
@@ -45,6 +71,69 @@ export const useCardLookup = (apiMode, setError) => {
     parseInt(sessionStorage.getItem('scryfall_call_count') || '0', 10)
   );
   const [scryfallCallCount, setScryfallCallCount] = useState(scryfallCallCountRef.current);
+  const countScryfallCall = useCallback(() => {
+    scryfallCallCountRef.current += 1;
+    sessionStorage.setItem('scryfall_call_count', scryfallCallCountRef.current);
+    setScryfallCallCount(scryfallCallCountRef.current);
+  }, []);
+
+  // ── Persistent card cache ──────────────────────────────────────────────────
+  // The database is opened once, on first use. The generation counter stops a
+  // slow cache read from overwriting a file uploaded (or a cache cleared)
+  // while it was running.
+  const [cacheStamp, setCacheStamp] = useState(null);
+  const cacheDbRef = useRef(null);
+  const cacheGenerationRef = useRef(0);
+  const cardCache = useCallback(() => {
+    cacheDbRef.current ??= openCardCache().catch(err => {
+      console.error('Card cache unavailable:', err);
+      return null;
+    });
+    return cacheDbRef.current;
+  }, []);
+
+  const applyCards = useCallback(collected => {
+    const { cardLookupMap, printingMap } = indexCollectedCards(collected);
+    setCardsDatabase(collected.cards);
+    lookupCacheRef.current = cardLookupMap;
+    printingCacheRef.current = printingMap;
+  }, []);
+
+  useEffect(() => {
+    const generation = cacheGenerationRef.current;
+    cardCache()
+      .then(loadCachedCards)
+      .then(cached => {
+        if (!cached || generation !== cacheGenerationRef.current) return;
+        applyCards(cached);
+        setCacheStamp(cached.stamp);
+      })
+      .catch(err => console.error('Card cache unreadable:', err));
+  }, [cardCache, applyCards]);
+
+  /** Adds a Scryfall API result to the card cache (in the background). */
+  const cacheApiCard = useCallback(
+    card => {
+      cardCache()
+        .then(db => addCachedCard(db, card))
+        .then(stamp => stamp && setCacheStamp(stamp))
+        .catch(err => console.error('Card cache write failed:', err));
+    },
+    [cardCache]
+  );
+
+  const handleClearCardCache = useCallback(async () => {
+    cacheGenerationRef.current += 1;
+    lookupCacheRef.current = new Map();
+    printingCacheRef.current = new Map();
+    setCardsDatabase(null);
+    setCacheStamp(null);
+    try {
+      await clearCardCache(await cardCache());
+    } catch (err) {
+      console.error('Card cache could not be cleared:', err);
+    }
+  }, [cardCache]);
 
   // ── File upload ────────────────────────────────────────────────────────────
   const handleFileUpload = useCallback(
@@ -59,52 +148,37 @@ export const useCardLookup = (apiMode, setError) => {
         return;
       }
 
+      // The file is read in a worker, a chunk at a time, and comes back cut
+      // down to the fields the app reads — never held in memory whole.
       setIsLoadingFile(true);
+      setLoadProgress(0);
+      cacheGenerationRef.current += 1;
       try {
-        const text = await file.text();
-        const data = JSON.parse(text);
-
-        if (!Array.isArray(data)) {
-          setError('Invalid JSON format. Expected an array of card objects.');
-          return;
-        }
-
-        setCardsDatabase(data);
-
-        const lookupMap = new Map();
-        data.forEach(card => {
-          if (
-            card.layout === 'token' ||
-            card.layout === 'double_faced_token' ||
-            card.set_type === 'token' ||
-            card.type_line?.includes('Token')
-          ) {
-            return;
-          }
-          const name = card.name.toLowerCase();
-          if (lookupMap.has(name)) {
-            const existing = lookupMap.get(name);
-            if ((card.cmc || 0) > (existing.cmc || 0)) lookupMap.set(name, card);
-          } else {
-            lookupMap.set(name, card);
-          }
-        });
-
-        lookupCacheRef.current = lookupMap;
+        const collected = await loadCardFile(file, { onProgress: setLoadProgress });
+        applyCards(collected);
         setError('');
+
+        // Kept for the next visit — in the background, the cards are usable now.
+        cardCache()
+          .then(db => saveCardFile(db, collected, file.name))
+          .then(stamp => stamp && setCacheStamp(stamp))
+          .catch(err => console.error('Card cache write failed:', err));
       } catch (err) {
-        setError('Invalid JSON file. Please check the file format.');
+        setError(`Invalid JSON file: ${err.message}. Please check the file format.`);
         console.error(err);
       } finally {
         setIsLoadingFile(false);
       }
     },
-    [setError]
+    [setError, cardCache, applyCards]
   );
 
   // ── Card lookup (cache → Scryfall API) ────────────────────────────────────
   /**
-   * Looks up a card by name:
+   * Looks up a card by name. When the deck line named a printing
+   * ({ set, collectorNumber }), that printing is tried first — from the
+   * uploaded file, or in Scryfall mode from /cards/:set/:number — and a miss
+   * falls back to the name:
    *   1. Exact match in cache.
    *   2. Prefix match — prevents "Force Spike" from returning before "Force of Will".
    *   3. Substring fallback for partial / alternate-name searches.
@@ -114,22 +188,40 @@ export const useCardLookup = (apiMode, setError) => {
    * the call counter uses a ref, not state, so it is NOT a dep here.
    */
   const lookupCard = useCallback(
-    async cardName => {
+    async (cardName, printing = null) => {
       const cache = lookupCacheRef.current;
       const searchName = cardName.toLowerCase().trim();
 
-      // 1. Exact cache hit
-      if (cache.has(searchName)) return cache.get(searchName);
-
-      // 2. Prefix match (more precise than substring)
-      for (const [name, card] of cache.entries()) {
-        if (name.startsWith(searchName)) return card;
+      // 0. The exact printing the deck line names
+      const exact = findPrinting(printingCacheRef.current, cardName, printing);
+      if (exact) return exact;
+      if (
+        printing?.collectorNumber &&
+        apiMode === 'scryfall' &&
+        scryfallCallCountRef.current < SCRYFALL_HARD_LIMIT
+      ) {
+        try {
+          const response = await fetch(
+            `https://api.scryfall.com/cards/${encodeURIComponent(printing.set.toLowerCase())}/${encodeURIComponent(printing.collectorNumber)}`
+          );
+          countScryfallCall();
+          if (response.ok) {
+            const data = await response.json();
+            if (!isTokenCard(data) && matchesCardName(data, cardName)) {
+              indexPrinting(printingCacheRef.current, data);
+              if (!cache.has(searchName)) cache.set(searchName, data);
+              cacheApiCard(data);
+              return data;
+            }
+          }
+        } catch (err) {
+          console.error('Scryfall API error:', err);
+        }
       }
 
-      // 3. Substring fallback
-      for (const [name, card] of cache.entries()) {
-        if (name.includes(searchName)) return card;
-      }
+      // 1–3. Exact, prefix, then substring match in the cache
+      const cached = findCardInMap(cache, cardName);
+      if (cached) return cached;
 
       if (apiMode === 'scryfall') {
         if (scryfallCallCountRef.current >= SCRYFALL_HARD_LIMIT) return null;
@@ -142,22 +234,13 @@ export const useCardLookup = (apiMode, setError) => {
             const data = await response.json();
 
             // Count the primary API call
-            scryfallCallCountRef.current += 1;
-            sessionStorage.setItem('scryfall_call_count', scryfallCallCountRef.current);
-            setScryfallCallCount(scryfallCallCountRef.current);
-
-            if (
-              data.layout === 'token' ||
-              data.layout === 'double_faced_token' ||
-              data.set_type === 'token' ||
-              data.type_line?.includes('Token')
-            ) {
+            countScryfallCall();
+
+            if (isTokenCard(data)) {
               console.warn(`⚠️ Skipping token for: ${cardName}`);
 
               // Token fallback requires a second API call — count it separately
-              scryfallCallCountRef.current += 1;
-              sessionStorage.setItem('scryfall_call_count', scryfallCallCountRef.current);
-              setScryfallCallCount(scryfallCallCountRef.current);
+              countScryfallCall();
 
               const searchResponse = await fetch(
                 `https://api.scryfall.com/cards/search?q=!"${encodeURIComponent(cardName)}"+-is:token&unique=cards&order=released`
@@ -167,6 +250,7 @@ export const useCardLookup = (apiMode, setError) => {
                 if (searchData.data?.length > 0) {
                   const nonToken = searchData.data[0];
                   cache.set(searchName, nonToken);
+                  cacheApiCard(nonToken);
                   return nonToken;
                 }
               }
@@ -174,6 +258,7 @@ export const useCardLookup = (apiMode, setError) => {
             }
 
             cache.set(searchName, data);
+            cacheApiCard(data);
             return data;
           }
         } catch (err) {
@@ -183,15 +268,18 @@ export const useCardLookup = (apiMode, setError) => {
 
       return null;
     },
-    [apiMode] // stable — call counter uses a ref, not state
+    [apiMode, countScryfallCall, cacheApiCard] // stable — call counter uses a ref, not state
   );
 
   return {
     cardsDatabase,
     isLoadingFile,
+    loadProgress,
     lookupCacheRef,
     scryfallCallCount,
     handleFileUpload,
     lookupCard,
+    cacheStamp,
+    handleClearCardCache,
   };
 };
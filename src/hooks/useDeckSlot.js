@@ -17,12 +17,20 @@ export const defaultDeckSlot = (saved = {}) => ({
   deckText: saved.deckText ?? '',
   parsedDeck: null,
   selectedKeyCards: new Set(saved.selectedKeyCards ?? []),
+  // Named combo groups: [{ name, cards: string[], need, payment: 'each' | 'together' }]
+  comboGroups: saved.comboGroups ?? [],
+  // Named sideboard swap sets: [{ name, out: [{ name, quantity }], in: [{ name, quantity }] }]
+  sideboardPlans: saved.sideboardPlans ?? [],
   includeArtifacts: saved.includeArtifacts ?? true,
   disabledArtifacts: new Set(saved.disabledArtifacts ?? []),
   includeCreatures: saved.includeCreatures ?? true,
   disabledCreatures: new Set(saved.disabledCreatures ?? []),
   manaOverrides: saved.manaOverrides ?? {},
   commanderName: saved.commanderName ?? '',
+  // Second commander (partner, background, Friends Forever); '' = none.
+  partnerName: saved.partnerName ?? '',
+  // Format the deck is checked against (deckLegality.js FORMATS id); '' = none.
+  format: saved.format ?? '',
   includeExploration: saved.includeExploration ?? true,
   disabledExploration: new Set(saved.disabledExploration ?? []),
   includeRampSpells: saved.includeRampSpells ?? true,
@@ -37,8 +45,12 @@ export const defaultDeckSlot = (saved = {}) => ({
   includeTreasures: saved.includeTreasures ?? true,
   disabledTreasures: new Set(saved.disabledTreasures ?? []),
   treasureOverrides: saved.treasureOverrides ?? {},
+  includeTutors: saved.includeTutors ?? true,
+  disabledTutors: new Set(saved.disabledTutors ?? []),
   ritualOverrides: saved.ritualOverrides ?? {},
   simulationResults: null,
+  // On-the-draw results when Play/Draw = "Both" (simulationResults holds the play run).
+  simulationResultsDraw: null,
 });
 
 // =============================================================================
@@ -47,12 +59,16 @@ export const defaultDeckSlot = (saved = {}) => ({
 export const serializeDeckSlot = slot => ({
   deckText: slot.deckText,
   selectedKeyCards: [...slot.selectedKeyCards],
+  comboGroups: slot.comboGroups,
+  sideboardPlans: slot.sideboardPlans,
   includeArtifacts: slot.includeArtifacts,
   disabledArtifacts: [...slot.disabledArtifacts],
   includeCreatures: slot.includeCreatures,
   disabledCreatures: [...slot.disabledCreatures],
   manaOverrides: slot.manaOverrides,
   commanderName: slot.commanderName,
+  partnerName: slot.partnerName,
+  format: slot.format,
   includeExploration: slot.includeExploration,
   disabledExploration: [...slot.disabledExploration],
   includeRampSpells: slot.includeRampSpells,
@@ -67,6 +83,8 @@ export const serializeDeckSlot = slot => ({
   includeTreasures: slot.includeTreasures,
   disabledTreasures: [...slot.disabledTreasures],
   treasureOverrides: slot.treasureOverrides,
+  includeTutors: slot.includeTutors,
+  disabledTutors: [...slot.disabledTutors],
   ritualOverrides: slot.ritualOverrides,
 });
 
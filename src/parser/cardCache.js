@@ -0,0 +1,176 @@
+/**
+ * cardCache.js
+ *
+ * Persists the compacted card data (see cardStream.js) in IndexedDB, so the
+ * next visit reuses it instead of re-uploading the Default Cards file or
+ * spending Scryfall calls. Cards fetched from the Scryfall API are added to
+ * the same store as they arrive. Nothing expires: the cache is replaced when a
+ * new file is uploaded and emptied on demand.
+ *
+ * Database 'mtg_mca_cards':
+ *   cards  – lower-cased name → { card, printings: [[set, collectorNumber], …] }
+ *   meta   – 'stamp' → { version, savedAt, source, cardCount }
+ *            `version` is CARD_CACHE_VERSION when the data was written; data
+ *            from another version (older slim fields) is ignored. `savedAt` is
+ *            an ISO date, `source` the uploaded file's name or 'Scryfall API'.
+ *
+ * Every function takes the database from openCardCache; without IndexedDB
+ * (private browsing in some browsers, tests) openCardCache resolves null.
+ *
+ * Exports:
+ *   CARD_CACHE_VERSION – bump when slimCard's fields change
+ *   toCacheRecords     – { cards, printings } → one record per card name
+ *   fromCacheRecords   – the reverse
+ *   openCardCache      – opens (creating) the database, or null
+ *   loadCachedCards    – { stamp, cards, printings } or null when empty / stale
+ *   saveCardFile       – replaces the cache with an uploaded file's cards
+ *   addCachedCard      – adds one card from the Scryfall API
+ *   clearCardCache     – empties the cache
+ */
+
+import { slimCard } from './cardStream.js';
+
+export const CARD_CACHE_VERSION = 1;
+
+const DB_NAME = 'mtg_mca_cards';
+const CARDS = 'cards';
+const META = 'meta';
+const STAMP = 'stamp';
+
+const request = req =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const transactionDone = tx =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+const cardKey = card => card.name.toLowerCase();
+
+/**
+ * One record per card name, its printings attached. When two distinct cards
+ * share a name the higher-cmc one is kept, as buildCardLookupMap does.
+ */
+export const toCacheRecords = ({ cards, printings }) => {
+  const records = new Map();
+  const byIndex = cards.map(card => {
+    const key = cardKey(card);
+    const existing = records.get(key);
+    if (!existing || (card.cmc || 0) > (existing.card.cmc || 0)) {
+      records.set(key, { card, printings: existing?.printings ?? [] });
+    }
+    return key;
+  });
+  printings.forEach(([index, set, collectorNumber]) => {
+    records.get(byIndex[index]).printings.push([set, collectorNumber]);
+  });
+  return records;
+};
+
+export const fromCacheRecords = records => {
+  const cards = [];
+  const printings = [];
+  records.forEach(record => {
+    const index = cards.push(record.card) - 1;
+    record.printings.forEach(([set, collectorNumber]) =>
+      printings.push([index, set, collectorNumber])
+    );
+  });
+  return { cards, printings };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// IndexedDB access
+// ─────────────────────────────────────────────────────────────────────────────
+export const openCardCache = async (idb = globalThis.indexedDB) => {
+  if (!idb) return null;
+  const open = idb.open(DB_NAME, 1);
+  open.onupgradeneeded = () => {
+    open.result.createObjectStore(CARDS);
+    open.result.createObjectStore(META);
+  };
+  return request(open);
+};
+
+export const loadCachedCards = async db => {
+  if (!db) return null;
+  const tx = db.transaction([CARDS, META], 'readonly');
+  const [stamp, records] = await Promise.all([
+    request(tx.objectStore(META).get(STAMP)),
+    request(tx.objectStore(CARDS).getAll()),
+  ]);
+  if (stamp?.version !== CARD_CACHE_VERSION || records.length === 0) return null;
+  return { stamp, ...fromCacheRecords(records) };
+};
+
+/** Replaces the cache with `collected` (cardStream.js); resolves the new stamp. */
+export const saveCardFile = async (db, collected, source) => {
+  if (!db) return null;
+  const records = toCacheRecords(collected);
+  const stamp = {
+    version: CARD_CACHE_VERSION,
+    savedAt: new Date().toISOString(),
+    source,
+    cardCount: records.size,
+  };
+  const tx = db.transaction([CARDS, META], 'readwrite');
+  const cardStore = tx.objectStore(CARDS);
+  cardStore.clear();
+  records.forEach((record, key) => cardStore.put(record, key));
+  tx.objectStore(META).put(stamp, STAMP);
+  await transactionDone(tx);
+  return stamp;
+};
+
+/**
+ * Adds a card the Scryfall API returned — slimmed, with its printing — to the
+ * cache; resolves the stamp, updated when the card is new.
+ */
+export const addCachedCard = async (db, apiCard) => {
+  if (!db) return null;
+  const key = cardKey(apiCard);
+  const printing = apiCard.set ? [apiCard.set, apiCard.collector_number ?? null] : null;
+  const tx = db.transaction([CARDS, META], 'readwrite');
+  const cardStore = tx.objectStore(CARDS);
+  const metaStore = tx.objectStore(META);
+  const [stored, current] = await Promise.all([
+    request(cardStore.get(key)),
+    request(metaStore.get(STAMP)),
+  ]);
+  // Data from another version is dropped rather than mixed with this card.
+  const fresh = current?.version === CARD_CACHE_VERSION;
+  if (!fresh) cardStore.clear();
+  const record = fresh ? stored : undefined;
+
+  const printings = record?.printings ?? [];
+  const known = printings.some(
+    ([set, number]) => set === printing?.[0] && number === printing?.[1]
+  );
+  if (printing && !known) printings.push(printing);
+  cardStore.put({ card: record?.card ?? slimCard(apiCard), printings }, key);
+
+  const stamp = fresh
+    ? { ...current, cardCount: current.cardCount + (record ? 0 : 1) }
+    : {
+        version: CARD_CACHE_VERSION,
+        savedAt: new Date().toISOString(),
+        source: 'Scryfall API',
+        cardCount: 1,
+      };
+  metaStore.put(stamp, STAMP);
+  await transactionDone(tx);
+  return stamp;
+};
+
+export const clearCardCache = async db => {
+  if (!db) return;
+  const tx = db.transaction([CARDS, META], 'readwrite');
+  tx.objectStore(CARDS).clear();
+  tx.objectStore(META).clear();
+  await transactionDone(tx);
+};
@@ -0,0 +1,39 @@
+/**
+ * cardFileWorker.js
+ *
+ * ES-module Web Worker that reads an uploaded Scryfall Default Cards file off
+ * the main thread with readCardStream (cardStream.js), so a 300 MB file never
+ * sits in memory whole and the tab stays responsive.
+ *
+ * Message protocol
+ * ────────────────
+ * Incoming  { type: 'LOAD', file }
+ *
+ * Outgoing
+ *   { type: 'PROGRESS', percent }           — each time the whole percentage read changes
+ *   { type: 'DONE', cards, printings }      — see cardStream.js
+ *   { type: 'ERROR', message }              — unreadable file or JSON
+ */
+
+import { readCardStream } from './cardStream.js';
+
+self.onmessage = async ({ data }) => {
+  if (data.type !== 'LOAD') return;
+
+  const { file } = data;
+  let lastPercent = -1;
+  try {
+    const { cards, printings } = await readCardStream(file.stream(), {
+      totalBytes: file.size,
+      onProgress: (loaded, total) => {
+        const percent = total > 0 ? Math.floor((loaded / total) * 100) : 0;
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        self.postMessage({ type: 'PROGRESS', percent });
+      },
+    });
+    self.postMessage({ type: 'DONE', cards, printings });
+  } catch (err) {
+    self.postMessage({ type: 'ERROR', message: err.message ?? String(err) });
+  }
+};
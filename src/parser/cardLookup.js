@@ -0,0 +1,109 @@
+/**
+ * cardLookup.js
+ *
+ * Pure helpers for resolving card names against a local Scryfall Default
+ * Cards JSON. Shared by the useCardLookup hook (browser uploads) and the
+ * headless CLI (cli.mjs), so both resolve names identically.
+ *
+ * Exports:
+ *   isTokenCard        – true for token / double-faced-token printings
+ *   buildCardLookupMap – lower-cased name → card Map from a card array
+ *   findCardInMap      – exact → prefix → substring match against that Map
+ *   indexPrinting      – adds one printing to that kind of Map
+ *   buildPrintingMap   – set + collector number / name → card Map from a card array
+ *   matchesCardName    – true when a card is the one a name refers to
+ *   findPrinting       – the printing a deck line names, checked against its name
+ */
+
+export const isTokenCard = card =>
+  card.layout === 'token' ||
+  card.layout === 'double_faced_token' ||
+  card.set_type === 'token' ||
+  Boolean(card.type_line?.includes('Token'));
+
+/**
+ * Builds a lower-cased name → card Map, skipping tokens. When a name has
+ * several printings the one with the higher cmc wins (a transform card's
+ * front face, not a zero-cost back face printing).
+ */
+export const buildCardLookupMap = cards => {
+  const lookupMap = new Map();
+  cards.forEach(card => {
+    if (isTokenCard(card)) return;
+    const name = card.name.toLowerCase();
+    const existing = lookupMap.get(name);
+    if (!existing || (card.cmc || 0) > (existing.cmc || 0)) lookupMap.set(name, card);
+  });
+  return lookupMap;
+};
+
+/**
+ * Looks up a card name in a map built by buildCardLookupMap:
+ *   1. Exact match.
+ *   2. Prefix match — prevents "Force Spike" from returning before "Force of Will".
+ *   3. Substring fallback for partial / alternate-name searches.
+ * Returns null when nothing matches.
+ */
+export const findCardInMap = (lookupMap, cardName) => {
+  const searchName = cardName.toLowerCase().trim();
+
+  if (lookupMap.has(searchName)) return lookupMap.get(searchName);
+
+  for (const [name, card] of lookupMap.entries()) {
+    if (name.startsWith(searchName)) return card;
+  }
+
+  for (const [name, card] of lookupMap.entries()) {
+    if (name.includes(searchName)) return card;
+  }
+
+  return null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Printings
+//   A deck line can name its printing — "1 Sol Ring (C21) 263" — by set code
+//   and collector number, or by set code alone. Each printing is indexed under
+//   both keys; for a set-only key the first printing of the name in that set
+//   wins.
+// ─────────────────────────────────────────────────────────────────────────────
+const printingKey = (set, id) => `${set.toLowerCase()}|${String(id).toLowerCase()}`;
+
+/** Adds one printing to a map built by buildPrintingMap (mutates). */
+export const indexPrinting = (printingMap, card) => {
+  if (isTokenCard(card) || !card.set) return;
+  if (card.collector_number) {
+    printingMap.set(printingKey(card.set, `#${card.collector_number}`), card);
+  }
+  const byName = printingKey(card.set, card.name);
+  if (!printingMap.has(byName)) printingMap.set(byName, card);
+};
+
+export const buildPrintingMap = cards => {
+  const printingMap = new Map();
+  cards.forEach(card => indexPrinting(printingMap, card));
+  return printingMap;
+};
+
+/**
+ * True when `card` is the card `cardName` names — its full name or, for a
+ * double-faced card, its front face.
+ */
+export const matchesCardName = (card, cardName) => {
+  const name = card.name.toLowerCase();
+  const searchName = cardName.toLowerCase().trim();
+  return name === searchName || name.startsWith(`${searchName} //`);
+};
+
+/**
+ * The printing `printing` ({ set, collectorNumber }) names, or null when the
+ * map has none or it is a different card than `cardName` (a mistyped
+ * collector number).
+ */
+export const findPrinting = (printingMap, cardName, printing) => {
+  if (!printing?.set) return null;
+  const card = printing.collectorNumber
+    ? printingMap.get(printingKey(printing.set, `#${printing.collectorNumber}`))
+    : printingMap.get(printingKey(printing.set, cardName.trim()));
+  return card && matchesCardName(card, cardName) ? card : null;
+};
@@ -0,0 +1,213 @@
+/**
+ * cardStream.js
+ *
+ * Streaming, memory-bounded loader for a Scryfall Default Cards JSON file
+ * (200–300 MB). The file is read in chunks and split into one card object at
+ * a time, so only the current card's text is held — never the whole file or
+ * the parsed array. Each card is cut down to the fields the parser and the
+ * legality checks read, and printings of the same card share one copy of
+ * them, so the result is a fraction of the file's size.
+ *
+ * The reading runs in cardFileWorker.js; the main thread gets back
+ *   { cards, printings }
+ *   cards      – one slim card per distinct card (tokens left out)
+ *   printings  – [cardIndex, set, collectorNumber] per distinct printing
+ * and builds the lookup maps from it with indexCollectedCards.
+ *
+ * Exports:
+ *   slimCard               – the fields of a Scryfall card the app reads
+ *   createJsonArrayReader  – incremental splitter of a JSON array into items
+ *   createCardCollector    – dedupes cards and printings as they arrive
+ *   readCardStream         – a byte stream of the file → { cards, printings }
+ *   indexCollectedCards    – { cards, printings } → name and printing lookup maps
+ *   loadCardFile           – reads a File in the worker, reporting progress
+ */
+
+import { buildCardLookupMap, indexPrinting, isTokenCard } from './cardLookup.js';
+
+/** Card fields read by processCardData, deckParser and deckLegality. */
+const CARD_FIELDS = [
+  'name',
+  'layout',
+  'type_line',
+  'oracle_text',
+  'mana_cost',
+  'cmc',
+  'color_identity',
+  'legalities',
+];
+const FACE_FIELDS = ['name', 'type_line', 'oracle_text', 'mana_cost', 'cmc'];
+
+const pick = (source, fields) => {
+  const out = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) out[field] = source[field];
+  });
+  return out;
+};
+
+export const slimCard = card => {
+  const slim = pick(card, CARD_FIELDS);
+  if (card.card_faces) slim.card_faces = card.card_faces.map(face => pick(face, FACE_FIELDS));
+  return slim;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createJsonArrayReader
+//   Feeds text chunks through write(); each complete element of the top-level
+//   array is JSON.parse'd on its own and passed to onItem. Only the text of
+//   the element being read is buffered. end() throws when the array was not
+//   closed. Chunks may split anywhere — inside strings and escapes too.
+// ─────────────────────────────────────────────────────────────────────────────
+const isWhitespace = ch => ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t';
+
+export const createJsonArrayReader = onItem => {
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let pending = '';
+
+  const write = chunk => {
+    let start = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (depth === 0) {
+        if (isWhitespace(ch)) continue;
+        if (!started) {
+          if (ch !== '[') throw new Error('Expected an array of card objects');
+          started = true;
+        } else if (finished) {
+          throw new Error('Unexpected content after the card array');
+        } else if (ch === ']') {
+          finished = true;
+        } else if (ch === '{') {
+          depth = 1;
+          start = i;
+        } else if (ch !== ',') {
+          throw new Error('Expected an array of card objects');
+        }
+        continue;
+      }
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+        if (depth === 0) {
+          onItem(JSON.parse(pending + chunk.slice(start, i + 1)));
+          pending = '';
+        }
+      }
+    }
+    if (depth > 0) pending += chunk.slice(start);
+  };
+
+  const end = () => {
+    if (!finished) throw new Error('The card file ends before its array is closed');
+  };
+
+  return { write, end };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createCardCollector
+//   add(card) keeps one slim copy per distinct card — printings with the same
+//   oracle id and name share it — and one [cardIndex, set, collectorNumber]
+//   entry per distinct printing; tokens are skipped. result() returns
+//   { cards, printings }.
+// ─────────────────────────────────────────────────────────────────────────────
+export const createCardCollector = () => {
+  const cards = [];
+  const printings = [];
+  const cardIndex = new Map();
+  const seenPrintings = new Set();
+
+  const add = card => {
+    if (typeof card?.name !== 'string' || isTokenCard(card)) return;
+    const oracleId = card.oracle_id ?? card.card_faces?.[0]?.oracle_id ?? '';
+    const key = `${oracleId}|${card.name}`;
+    let index = cardIndex.get(key);
+    if (index === undefined) {
+      index = cards.push(slimCard(card)) - 1;
+      cardIndex.set(key, index);
+    }
+    if (!card.set) return;
+    const collectorNumber = card.collector_number ?? null;
+    const printingKey = `${card.set}|${collectorNumber}|${card.name}`;
+    if (seenPrintings.has(printingKey)) return;
+    seenPrintings.add(printingKey);
+    printings.push([index, card.set, collectorNumber]);
+  };
+
+  return { add, result: () => ({ cards, printings }) };
+};
+
+/**
+ * Reads a byte stream of a Default Cards file (ReadableStream<Uint8Array>,
+ * e.g. File.stream()) into { cards, printings }. `onProgress(loaded, total)`
+ * is called after each chunk with the bytes read so far.
+ */
+export const readCardStream = async (stream, { totalBytes = 0, onProgress = null } = {}) => {
+  const collector = createCardCollector();
+  const reader = createJsonArrayReader(collector.add);
+  const decoder = new TextDecoder();
+  const chunks = stream.getReader();
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await chunks.read();
+    if (done) break;
+    loaded += value.byteLength;
+    reader.write(decoder.decode(value, { stream: true }));
+    onProgress?.(loaded, totalBytes);
+  }
+  reader.write(decoder.decode());
+  reader.end();
+  return collector.result();
+};
+
+/**
+ * The lookup maps useCardLookup and the parser use — lower-cased name → card
+ * (buildCardLookupMap) and set + collector number → card (indexPrinting) —
+ * from a collector's result. A printing is its card with `set` and
+ * `collector_number` added.
+ */
+export const indexCollectedCards = ({ cards, printings }) => {
+  const printingMap = new Map();
+  printings.forEach(([index, set, collectorNumber]) => {
+    indexPrinting(printingMap, { ...cards[index], set, collector_number: collectorNumber });
+  });
+  return { cardLookupMap: buildCardLookupMap(cards), printingMap };
+};
+
+const spawnWorker = () =>
+  new Worker(new URL('./cardFileWorker.js', import.meta.url), { type: 'module' });
+
+/**
+ * Reads `file` in cardFileWorker.js. Resolves { cards, printings }; rejects
+ * with the worker's error. `onProgress(percent)` follows the bytes read.
+ */
+export const loadCardFile = (file, { onProgress = null, createWorker = spawnWorker } = {}) =>
+  new Promise((resolve, reject) => {
+    const worker = createWorker();
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'PROGRESS') {
+        onProgress?.(data.percent);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'DONE') resolve({ cards: data.cards, printings: data.printings });
+      else reject(new Error(data.message));
+    };
+    worker.onerror = err => {
+      worker.terminate();
+      reject(new Error(err.message ?? 'Card file worker failed'));
+    };
+    worker.postMessage({ type: 'LOAD', file });
+  });
@@ -0,0 +1,41 @@
+/**
+ * deckExport.js
+ *
+ * Writes a parsed deck back out as an MTG Arena / Moxfield list, keeping the
+ * printing each card was imported with: "1 Sol Ring (C21) 263 *F*". The
+ * result reads back through deckImport.js to the same cards and printings.
+ *
+ * Exports:
+ *   formatCardLine  – one "quantity name (SET) number *F*" line
+ *   exportDeckList  – the whole deck: Commander, Companion, Deck, Sideboard
+ *                     and Maybeboard sections
+ */
+
+import { DECK_BUCKETS } from './deckParser.js';
+
+const FINISH_TAGS = { foil: '*F*', etched: '*E*' };
+
+export const formatCardLine = card => {
+  const { printing } = card;
+  const parts = [card.quantity, card.name];
+  if (printing) {
+    parts.push(`(${printing.set})`);
+    if (printing.collectorNumber) parts.push(printing.collectorNumber);
+    if (FINISH_TAGS[printing.finish]) parts.push(FINISH_TAGS[printing.finish]);
+  }
+  return parts.join(' ');
+};
+
+// MDFC spell sides duplicate a land entry and are left out.
+const sectionLines = cards => cards.filter(card => !card.isMDFCSpellSide).map(formatCardLine);
+
+export const exportDeckList = parsedDeck => {
+  const sections = [
+    ['Commander', sectionLines(parsedDeck.commanders ?? [])],
+    ['Companion', sectionLines(parsedDeck.companions ?? [])],
+    ['Deck', sectionLines(DECK_BUCKETS.flatMap(bucket => parsedDeck[bucket] ?? []))],
+    ['Sideboard', sectionLines(parsedDeck.sideboard ?? [])],
+    ['Maybeboard', sectionLines(parsedDeck.maybeboard ?? [])],
+  ].filter(([header, lines]) => header === 'Deck' || lines.length > 0);
+  return `${sections.map(([header, lines]) => [header, ...lines].join('\n')).join('\n\n')}\n`;
+};
@@ -0,0 +1,274 @@
+/**
+ * deckImport.js
+ *
+ * Format-detecting import layer in front of parseDeckList: reads a deck from
+ * MTG Arena / plain text, an MTGO .dek file, a Cockatrice .cod file or a CSV
+ * collection export into the same quantity-by-name maps, one per section.
+ *
+ * Every importer returns
+ * {
+ *   format,       // 'arena' | 'dek' | 'cod' | 'csv'
+ *   main,         // Map<cardName, quantity>
+ *   sideboard,    // Map<cardName, quantity>
+ *   commanders,   // Map<cardName, quantity>
+ *   companions,   // Map<cardName, quantity>
+ *   maybeboard,   // Map<cardName, quantity> – cards under consideration
+ *   printings,    // Map<cardName, { set, collectorNumber, finish }> – the
+ *                 //   printing a line names, e.g. "1 Sol Ring (C21) 263 *F*";
+ *                 //   the first one listed wins when a name repeats
+ *   unparsed,     // string[] – lines / rows / elements it could not interpret
+ * }
+ *
+ * The XML formats are read with regular expressions rather than a DOM parser
+ * so the same code runs in the browser, the worker and the CLI.
+ *
+ * Exports:
+ *   detectDeckFormat  – which importer a deck text needs
+ *   parsePrintedName  – splits "Sol Ring (C21) 263 *F*" into name and printing
+ *   importArena       – MTG Arena / plain "4 Card Name" lists
+ *   importDek         – MTGO .dek XML
+ *   importCod         – Cockatrice .cod XML
+ *   importCsv         – CSV exports with a quantity and a name column
+ *   importDeckText    – detects the format and runs its importer
+ */
+
+import { parseCsv } from '../utils/csv.js';
+
+const emptyImport = format => ({
+  format,
+  main: new Map(),
+  sideboard: new Map(),
+  commanders: new Map(),
+  companions: new Map(),
+  maybeboard: new Map(),
+  printings: new Map(),
+  unparsed: [],
+});
+
+const addCard = (counts, name, quantity) => {
+  counts.set(name, (counts.get(name) || 0) + quantity);
+};
+
+const addPrinting = (result, name, printing) => {
+  if (printing && !result.printings.has(name)) result.printings.set(name, printing);
+};
+
+/** Moxfield finish tags: *F* foil, *E* etched. */
+const FINISH_TAGS = { F: 'foil', E: 'etched' };
+
+/**
+ * Splits an Arena / Moxfield card reference — "Sol Ring (C21) 263 *F*" — into
+ * { name, printing }. The collector number and finish tags are optional;
+ * `printing` is null when the text names no set.
+ */
+export const parsePrintedName = text => {
+  const match = text.match(/^(.+?)\s+\(([A-Za-z0-9]{2,6})\)(?:\s+([^\s*]+))?((?:\s+\*\w+\*)*)\s*$/);
+  if (!match) return { name: text.trim(), printing: null };
+  const [, name, set, collectorNumber = null, tags] = match;
+  const finish =
+    tags
+      .match(/\*(\w+)\*/g)
+      ?.map(tag => FINISH_TAGS[tag.slice(1, -1).toUpperCase()])
+      .find(Boolean) ?? null;
+  return { name: name.trim(), printing: { set: set.toUpperCase(), collectorNumber, finish } };
+};
+
+/** Section names used by the different exporters, mapped to our sections. */
+const ZONES = {
+  main: 'main',
+  maindeck: 'main',
+  mainboard: 'main',
+  deck: 'main',
+  side: 'sideboard',
+  sideboard: 'sideboard',
+  commander: 'commanders',
+  command: 'commanders',
+  companion: 'companions',
+  maybe: 'maybeboard',
+  maybeboard: 'maybeboard',
+};
+
+/** Section headers an Arena / Moxfield list may use, with an optional colon. */
+const ARENA_HEADERS = ['deck', 'sideboard', 'commander', 'companion', 'maybeboard'];
+
+const CSV_QUANTITY_COLUMNS = ['quantity', 'count', 'qty', 'amount'];
+const CSV_NAME_COLUMNS = ['name', 'card name', 'card'];
+const CSV_ZONE_COLUMNS = ['section', 'zone', 'board'];
+const CSV_SET_COLUMNS = ['set', 'set code', 'edition'];
+const CSV_NUMBER_COLUMNS = ['collector number', 'collector_number', 'card number', 'number'];
+const CSV_FINISH_COLUMNS = ['finish', 'foil'];
+/** Finish / Foil column values; a Foil column holds true / yes / 1. */
+const CSV_FINISHES = { foil: 'foil', etched: 'etched', true: 'foil', yes: 'foil', 1: 'foil' };
+
+const csvColumn = (header, names) => header.findIndex(h => names.includes(h));
+const csvHeader = row => row.map(h => h.trim().toLowerCase());
+
+/**
+ * 'dek' | 'cod' | 'csv' | 'arena' for `text`. CSV needs a header row naming a
+ * quantity and a card-name column; anything unrecognised is read as an Arena
+ * list.
+ */
+export const detectDeckFormat = text => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('<')) {
+    if (/<cockatrice_deck\b/i.test(trimmed)) return 'cod';
+    if (/<Deck\b/.test(trimmed) || /<Cards\b/.test(trimmed)) return 'dek';
+  }
+  const firstLine = trimmed.split('\n')[0];
+  if (firstLine.includes(',')) {
+    const header = csvHeader(parseCsv(firstLine)[0] ?? []);
+    if (
+      csvColumn(header, CSV_QUANTITY_COLUMNS) !== -1 &&
+      csvColumn(header, CSV_NAME_COLUMNS) !== -1
+    ) {
+      return 'csv';
+    }
+  }
+  return 'arena';
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// importArena
+//   "4 Lightning Bolt" or "4x Lightning Bolt"; a line without a quantity is a
+//   single copy. A set code, collector number and finish tags after the name
+//   ("1 Sol Ring (C21) 263 *F*") name the printing. "Deck" / "Sideboard" /
+//   "Commander" / "Companion" / "Maybeboard" headers switch the section until
+//   the next header or blank line; "//" and "#" lines are comments.
+// ─────────────────────────────────────────────────────────────────────────────
+export const importArena = text => {
+  const result = emptyImport('arena');
+  let zone = 'main';
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    const header = trimmed.toLowerCase().replace(/:$/, '');
+    if (ARENA_HEADERS.includes(header) || !trimmed) {
+      zone = trimmed ? ZONES[header] : 'main';
+      continue;
+    }
+    if (trimmed.startsWith('//') || trimmed.startsWith('#')) continue;
+
+    const numMatch = trimmed.match(/^(\d+)x?\s+(.+)$/);
+    // No leading number — treat as a single copy
+    const { name, printing } = parsePrintedName(numMatch ? numMatch[2] : trimmed);
+    addCard(result[zone], name, numMatch ? parseInt(numMatch[1], 10) : 1);
+    addPrinting(result, name, printing);
+  }
+  return result;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// XML helpers
+// ─────────────────────────────────────────────────────────────────────────────
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = value =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const hex = code[1].toLowerCase() === 'x';
+      return String.fromCodePoint(parseInt(code.slice(hex ? 2 : 1), hex ? 16 : 10));
+    }
+    return XML_ENTITIES[code] ?? entity;
+  });
+
+/** Attributes of one element's opening tag, keyed by lower-cased name. */
+const xmlAttributes = tag => {
+  const attributes = {};
+  for (const [, name, , value] of tag.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/gs)) {
+    attributes[name.toLowerCase()] = decodeXml(value);
+  }
+  return attributes;
+};
+
+const importXmlCard = (result, counts, tag, quantityAttr, nameAttr) => {
+  const attributes = xmlAttributes(tag);
+  const quantity = Number(attributes[quantityAttr]);
+  const name = attributes[nameAttr]?.trim();
+  if (!name || !Number.isInteger(quantity) || quantity < 1) result.unparsed.push(tag);
+  else addCard(counts, name, quantity);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// importDek
+//   MTGO: <Cards CatID="…" Quantity="4" Sideboard="false" Name="…" />
+// ─────────────────────────────────────────────────────────────────────────────
+export const importDek = text => {
+  const result = emptyImport('dek');
+  for (const [tag] of text.matchAll(/<Cards\b[^>]*>/g)) {
+    const sideboard = xmlAttributes(tag).sideboard?.toLowerCase() === 'true';
+    importXmlCard(result, sideboard ? result.sideboard : result.main, tag, 'quantity', 'name');
+  }
+  return result;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// importCod
+//   Cockatrice: <zone name="main"> <card number="4" name="…"/> … </zone>;
+//   the "side" zone is the sideboard. Cards in other zones (tokens) are
+//   reported as unparsed.
+// ─────────────────────────────────────────────────────────────────────────────
+export const importCod = text => {
+  const result = emptyImport('cod');
+  for (const [, zoneTag, body] of text.matchAll(/(<zone\b[^>]*>)(.*?)<\/zone>/gis)) {
+    const zone = ZONES[xmlAttributes(zoneTag).name?.toLowerCase()];
+    for (const [tag] of body.matchAll(/<card\b[^>]*>/gi)) {
+      if (zone) importXmlCard(result, result[zone], tag, 'number', 'name');
+      else result.unparsed.push(tag);
+    }
+  }
+  return result;
+};
+
+const csvPrinting = (row, setCol, numberCol, finishCol) => {
+  const set = row[setCol]?.trim();
+  if (!set) return null;
+  const finish = row[finishCol]?.trim().toLowerCase();
+  return {
+    set: set.toUpperCase(),
+    collectorNumber: row[numberCol]?.trim() || null,
+    finish: CSV_FINISHES[finish] ?? null,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// importCsv
+//   A header row naming a quantity column (Quantity / Count / Qty / Amount)
+//   and a name column (Name / Card Name / Card); an optional Section / Zone /
+//   Board column puts rows in another section (sideboard, commander,
+//   companion, maybeboard), and Set / Collector Number / Finish (or Foil)
+//   columns name the printing. Other columns (condition, price …) are ignored.
+// ─────────────────────────────────────────────────────────────────────────────
+export const importCsv = text => {
+  const result = emptyImport('csv');
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const header = csvHeader(headerRow);
+  const quantityCol = csvColumn(header, CSV_QUANTITY_COLUMNS);
+  const nameCol = csvColumn(header, CSV_NAME_COLUMNS);
+  const zoneCol = csvColumn(header, CSV_ZONE_COLUMNS);
+  const setCol = csvColumn(header, CSV_SET_COLUMNS);
+  const numberCol = csvColumn(header, CSV_NUMBER_COLUMNS);
+  const finishCol = csvColumn(header, CSV_FINISH_COLUMNS);
+  if (quantityCol === -1 || nameCol === -1) {
+    result.unparsed.push(headerRow.join(','));
+    return result;
+  }
+
+  rows.forEach(row => {
+    const quantity = Number(row[quantityCol]?.trim());
+    const name = row[nameCol]?.trim();
+    const zoneName = zoneCol === -1 ? '' : (row[zoneCol]?.trim().toLowerCase() ?? '');
+    const zone = zoneName ? ZONES[zoneName] : 'main';
+    if (!name || !zone || !Number.isInteger(quantity) || quantity < 1) {
+      result.unparsed.push(row.join(','));
+    } else {
+      addCard(result[zone], name, quantity);
+      addPrinting(result, name, csvPrinting(row, setCol, numberCol, finishCol));
+    }
+  });
+  return result;
+};
+
+const IMPORTERS = { arena: importArena, dek: importDek, cod: importCod, csv: importCsv };
+
+/** Detects the format of `text` and imports it. */
+export const importDeckText = text => IMPORTERS[detectDeckFormat(text)](text);
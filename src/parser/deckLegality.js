@@ -0,0 +1,164 @@
+/**
+ * deckLegality.js
+ *
+ * Deck-construction checks for a parsed deck: deck size, copy limits,
+ * banned / restricted / not-legal cards and, in Commander, the commanders'
+ * color identity. Works from the Scryfall fields kept per card by
+ * parseDeckList (`deck.legalityInfo`); a card JSON without `legalities` or
+ * `color_identity` simply skips those checks.
+ *
+ * Exports:
+ *   FORMATS           – supported formats and their construction rules
+ *   cardLegalityInfo  – the Scryfall fields the checks need, from one card
+ *   copyLimit         – copies of a card a format allows
+ *   validateDeck      – list of legality issues for a deck in a format
+ */
+
+export const FORMATS = [
+  { id: 'commander', label: 'Commander', deckSize: 100, exactSize: true, maxCopies: 1 },
+  { id: 'standard', label: 'Standard', deckSize: 60, maxCopies: 4, sideboardSize: 15 },
+  { id: 'pioneer', label: 'Pioneer', deckSize: 60, maxCopies: 4, sideboardSize: 15 },
+  { id: 'modern', label: 'Modern', deckSize: 60, maxCopies: 4, sideboardSize: 15 },
+  { id: 'legacy', label: 'Legacy', deckSize: 60, maxCopies: 4, sideboardSize: 15 },
+  { id: 'vintage', label: 'Vintage', deckSize: 60, maxCopies: 4, sideboardSize: 15 },
+  { id: 'pauper', label: 'Pauper', deckSize: 60, maxCopies: 4, sideboardSize: 15 },
+];
+
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+
+/**
+ * The fields validateDeck reads, from a raw Scryfall card. `inSideboard`
+ * marks sideboard and companion cards: they count toward copy limits but not
+ * the deck size.
+ */
+export const cardLegalityInfo = (cardData, quantity, isCommander = false, inSideboard = false) => ({
+  name: cardData.name,
+  quantity,
+  isCommander,
+  inSideboard,
+  typeLine: cardData.type_line ?? cardData.card_faces?.[0]?.type_line ?? '',
+  oracleText: cardData.oracle_text ?? cardData.card_faces?.[0]?.oracle_text ?? '',
+  colorIdentity: cardData.color_identity ?? null,
+  legalities: cardData.legalities ?? null,
+});
+
+/**
+ * Copies of `card` allowed in `format`: any number of basic lands and of
+ * "A deck can have any number of cards named …" cards, the printed limit of
+ * "up to seven cards named …" cards, one of a restricted card, else the
+ * format's limit.
+ */
+export const copyLimit = (card, format) => {
+  if (/\bbasic\b/i.test(card.typeLine)) return Infinity;
+  if (/a deck can have any number of cards named/i.test(card.oracleText)) return Infinity;
+  const upTo = card.oracleText.match(/a deck can have up to (\w+) cards named/i);
+  if (upTo) return NUMBER_WORDS[upTo[1].toLowerCase()] ?? (Number(upTo[1]) || format.maxCopies);
+  if (card.legalities?.[format.id] === 'restricted') return 1;
+  return format.maxCopies;
+};
+
+const isCommanderEligible = card =>
+  /can be your commander/i.test(card.oracleText) ||
+  (/\blegendary\b/i.test(card.typeLine) && /\b(creature|background)\b/i.test(card.typeLine));
+
+/** Copies of the same card listed under different spellings count together. */
+const mergeByName = cards => {
+  const byName = new Map();
+  cards.forEach(card => {
+    const key = card.name.toLowerCase();
+    const seen = byName.get(key);
+    if (seen) byName.set(key, { ...seen, quantity: seen.quantity + card.quantity });
+    else byName.set(key, { ...card });
+  });
+  return [...byName.values()];
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// validateDeck
+//   Returns [{ kind, card, message }] — kind is 'size' | 'copies' | 'banned' |
+//   'not_legal' | 'identity' | 'commander'; `card` is null for deck-wide
+//   issues. An empty array means the deck is legal as far as the card data
+//   tells. Commanders are the cards flagged `isCommander` (the deck's Commander
+//   section) or named in `commanderNames`; they count toward the 100.
+//   Sideboard and companion cards (`inSideboard`) are checked like the rest
+//   but sized apart, against the format's sideboard limit if it has one.
+// ─────────────────────────────────────────────────────────────────────────────
+export const validateDeck = (cards, formatId, { commanderNames = [] } = {}) => {
+  const format = FORMATS.find(f => f.id === formatId);
+  if (!format) throw new Error(`Unknown format: ${formatId}`);
+  const issues = [];
+  const issue = (kind, card, message) => issues.push({ kind, card, message });
+
+  const named = new Set(commanderNames.map(n => n.trim().toLowerCase()).filter(Boolean));
+  const deck = mergeByName(cards).map(card => ({
+    ...card,
+    isCommander: card.isCommander || named.has(card.name.toLowerCase()),
+  }));
+
+  const sizeOf = list => list.reduce((sum, card) => sum + card.quantity, 0);
+  const size = sizeOf(cards.filter(card => !card.inSideboard));
+  const sideboardSize = sizeOf(cards.filter(card => card.inSideboard));
+  if (format.exactSize && size !== format.deckSize) {
+    issue(
+      'size',
+      null,
+      `${size} cards — ${format.label} decks have exactly ${format.deckSize}, commanders included`
+    );
+  } else if (size < format.deckSize) {
+    issue('size', null, `${size} cards — ${format.label} decks need at least ${format.deckSize}`);
+  }
+  if (format.sideboardSize && sideboardSize > format.sideboardSize) {
+    issue(
+      'size',
+      null,
+      `${sideboardSize} sideboard cards — ${format.label} allows at most ${format.sideboardSize}`
+    );
+  }
+
+  deck.forEach(card => {
+    const limit = copyLimit(card, format);
+    if (card.quantity > limit) {
+      const allowed = limit === 1 ? 'only one copy' : `at most ${limit} copies`;
+      issue('copies', card.name, `${card.quantity} copies of ${card.name} — ${allowed} allowed`);
+    }
+    const status = card.legalities?.[format.id];
+    if (status === 'banned')
+      issue('banned', card.name, `${card.name} is banned in ${format.label}`);
+    if (status === 'not_legal') {
+      issue('not_legal', card.name, `${card.name} is not legal in ${format.label}`);
+    }
+  });
+
+  if (format.id === 'commander') {
+    const commanders = deck.filter(card => card.isCommander);
+    if (commanders.length === 0) {
+      issue('commander', null, 'No commander — name one to check color identity');
+      return issues;
+    }
+    if (commanders.length > 2) {
+      issue('commander', null, `${commanders.length} commanders — at most two (partners)`);
+    }
+    commanders
+      .filter(card => !isCommanderEligible(card))
+      .forEach(card => {
+        issue('commander', card.name, `${card.name} can't be a commander`);
+      });
+
+    // Without the commanders' color identity in the card data there is
+    // nothing to check against.
+    if (commanders.some(card => !card.colorIdentity)) return issues;
+    const identity = new Set(commanders.flatMap(card => card.colorIdentity ?? []));
+    const label = [...identity].join('') || 'colorless';
+    deck.forEach(card => {
+      const outside = (card.colorIdentity ?? []).filter(color => !identity.has(color));
+      if (card.isCommander || outside.length === 0) return;
+      issue(
+        'identity',
+        card.name,
+        `${card.name} (${outside.join('')}) is outside the commander's color identity (${label})`
+      );
+    });
+  }
+
+  return issues;
+};
@@ -1,23 +1,44 @@
 /**
  * deckParser.js
  *
- * Parses an MTG Arena–format deck list into the internal card arrays used by
- * the simulation engine.
+ * Parses a deck list into the internal card arrays used by the simulation
+ * engine. The text may be an MTG Arena list, an MTGO .dek, a Cockatrice .cod or
+ * a CSV export (see deckImport.js); `importFormat` says which it was read as.
  *
  * All state that was previously closed over from the React component is passed
  * explicitly through `parserCtx`:
  * {
  *   cardLookupMap,   // Map<string, object>  – pre-built from the JSON file
  *   apiMode,         // 'local' | 'scryfall'
- *   lookupCard,      // async (name: string) => cardData | null
+ *   lookupCard,      // async (name: string, printing?: object) => cardData | null
  * }
  *
+ * Cards under a "Commander" header (up to the next blank line or header) go to
+ * `commanders` rather than the library buckets: they start in the command zone
+ * (see commandZone.js) and are not counted in `totalCards`. "Sideboard",
+ * "Companion" and "Maybeboard" sections are kept apart the same way, in
+ * `sideboard`, `companions` and `maybeboard` — flat card lists in which each
+ * card carries the `bucket` it would join the deck in.
+ *
+ * A line may name its printing — "1 Sol Ring (C21) 263 *F*". `lookupCard`
+ * receives it as a second argument ({ set, collectorNumber, finish }) and each
+ * card keeps the printing it resolved to as `printing` (tooltips, deck export).
+ *
+ * `legalityInfo` keeps, per card found (commanders, sideboard and companion
+ * included; maybeboard not), the Scryfall fields deckLegality.js checks: type
+ * line, color identity and legalities.
+ *
+ * DECK_BUCKETS and countCards are exported for code that rebuilds a deck from
+ * these buckets (sideboardPlan.js, deckExport.js).
+ *
  * Returns a deck object (see return type below) or null on fatal parse failure.
  * Errors are included in the returned object's `errors` array — the caller is
  * responsible for surfacing them to the UI.
  */
 
 import { processCardData, processSpell } from '../simulation/cardProcessors.js';
+import { cardLegalityInfo } from './deckLegality.js';
+import { importDeckText } from './deckImport.js';
 
 const EMPTY_RESULT = (errors = []) => ({
   errors,
@@ -30,15 +51,111 @@ const EMPTY_RESULT = (errors = []) => ({
   costReducers: [],
   drawSpells: [],
   treasureCards: [],
+  tutors: [],
   spells: [],
+  commanders: [],
+  sideboard: [],
+  companions: [],
+  maybeboard: [],
+  legalityInfo: [],
   totalCards: 0,
   landCount: 0,
 });
 
+/** The parsed deck's library buckets, in the order parseDeckList fills them. */
+export const DECK_BUCKETS = [
+  'lands',
+  'artifacts',
+  'creatures',
+  'exploration',
+  'costReducers',
+  'rituals',
+  'rampSpells',
+  'drawSpells',
+  'treasureCards',
+  'tutors',
+  'spells',
+];
+
+/** processCardData flags → bucket, first match wins; anything else is a spell. */
+const BUCKET_FLAGS = [
+  ['isLand', 'lands'],
+  ['isManaArtifact', 'artifacts'],
+  ['isManaCreature', 'creatures'],
+  ['isExploration', 'exploration'],
+  ['isCostReducer', 'costReducers'],
+  ['isRitual', 'rituals'],
+  ['isRampSpell', 'rampSpells'],
+  ['isDrawSpell', 'drawSpells'],
+  ['isTreasureCard', 'treasureCards'],
+  ['isTutor', 'tutors'],
+];
+
+/**
+ * The deck entries for one card as [bucket, card] pairs: one entry, two for
+ * an MDFC with a land face (the land plus an `isMDFCSpellSide` spell entry
+ * for key-card selection), none for a transform land's back face.
+ */
+const categorise = (cardData, quantity, printing) => {
+  const processed = processCardData(cardData);
+  if (!processed) return []; // transform-land back face → skip
+  processed.quantity = quantity;
+  processed.printing = printing;
+
+  // MDFCs with a land face also get a spell-side entry for key-card selection
+  if (cardData.layout === 'modal_dfc' && cardData.card_faces?.length > 0) {
+    const frontFace = cardData.card_faces[0];
+    const backFace = cardData.card_faces[1];
+    const frontIsLand = frontFace.type_line?.toLowerCase().includes('land');
+    const backIsLand = backFace.type_line?.toLowerCase().includes('land');
+
+    if (frontIsLand || backIsLand) {
+      // Add the non-land face as a spell option
+      const spellVersion = processSpell(cardData);
+      spellVersion.quantity = quantity;
+      spellVersion.printing = printing;
+      spellVersion.name = cardData.name;
+      spellVersion.isMDFCSpellSide = true;
+      return [
+        ['lands', processed],
+        ['spells', spellVersion],
+      ];
+    }
+  }
+
+  // Normal categorisation
+  const bucket = BUCKET_FLAGS.find(([flag]) => processed[flag])?.[1] ?? 'spells';
+  return [[bucket, processed]];
+};
+
+/**
+ * Cards in a deck's library buckets. MDFCs are stored in both lands[] and
+ * spells[] (isMDFCSpellSide); the spell copy is not counted.
+ */
+export const countCards = deck =>
+  DECK_BUCKETS.reduce(
+    (sum, bucket) =>
+      sum + (deck[bucket] ?? []).reduce((s, c) => s + (c.isMDFCSpellSide ? 0 : c.quantity), 0),
+    0
+  );
+
+/**
+ * The printing a deck line named, as found: { set, collectorNumber, finish },
+ * or null when the line named none or the lookup fell back to another
+ * printing of the card.
+ */
+const resolvedPrinting = (cardData, requested) => {
+  if (!requested || cardData.set?.toUpperCase() !== requested.set) return null;
+  const collectorNumber = cardData.collector_number ?? null;
+  const wanted = requested.collectorNumber?.toLowerCase();
+  if (wanted && collectorNumber?.toLowerCase() !== wanted) return null;
+  return { set: requested.set, collectorNumber, finish: requested.finish };
+};
+
 /**
  * parseDeckList
  *
- * @param {string}  deckText   Raw deck list text (MTG Arena format).
+ * @param {string}  deckText   Raw deck list text (any format deckImport.js reads).
  * @param {object}  parserCtx  { cardLookupMap, apiMode, lookupCard }
  * @returns {Promise<object|null>}
  */
@@ -57,129 +174,81 @@ export const parseDeckList = async (deckText, parserCtx = {}) => {
   }
 
   // ── Parse quantity + name pairs ──────────────────────────────────────────
-  const lines = deckText.split('\n');
-  const cardCounts = new Map();
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (
-      !trimmed ||
-      trimmed.startsWith('//') ||
-      trimmed.startsWith('#') ||
-      trimmed.toLowerCase() === 'deck' ||
-      trimmed.toLowerCase() === 'sideboard' ||
-      trimmed.toLowerCase() === 'commander'
-    )
-      continue;
-
-    const numMatch = trimmed.match(/^(\d+)x?\s+(.+)$/);
-    let quantity, cardName;
-    if (numMatch) {
-      quantity = parseInt(numMatch[1], 10);
-      cardName = numMatch[2].trim();
-    } else {
-      // No leading number — treat as a single copy
-      quantity = 1;
-      cardName = trimmed;
-    }
-    cardCounts.set(cardName, (cardCounts.get(cardName) || 0) + quantity);
-  }
+  const imported = importDeckText(deckText);
+  imported.unparsed.forEach(line => errors.push(`Could not read "${line}"`));
 
-  if (cardCounts.size === 0) return null;
+  if (imported.main.size === 0 && imported.commanders.size === 0) return null;
 
   // ── Look up and categorise each card ─────────────────────────────────────
   // All lookups are dispatched in parallel so Scryfall API mode doesn't
   // serialise 60+ individual network requests one after another.
-  const lands = [];
-  const artifacts = [];
-  const creatures = [];
-  const rituals = [];
-  const rampSpells = [];
-  const costReducers = [];
-  const exploration = [];
-  const drawSpells = [];
-  const treasureCards = [];
-  const spells = [];
-
-  const cardEntries = [...cardCounts.entries()];
-  const cardDataResults = await Promise.all(cardEntries.map(([name]) => lookupCard(name)));
-
-  for (let ei = 0; ei < cardEntries.length; ei++) {
-    const [cardName, quantity] = cardEntries[ei];
-    const cardData = cardDataResults[ei];
-    if (!cardData) {
-      errors.push(`Card "${cardName}" not found`);
-      continue;
-    }
+  const lookUp = async counts => {
+    const entries = [...counts.entries()];
+    const found = await Promise.all(
+      entries.map(([name]) => lookupCard(name, imported.printings.get(name)))
+    );
+    return entries.map(([name, quantity], i) => ({ name, quantity, cardData: found[i] }));
+  };
+  const sections = await Promise.all(
+    ['commanders', 'main', 'sideboard', 'companions', 'maybeboard'].map(section =>
+      lookUp(imported[section])
+    )
+  );
+  const [commanderCards, mainCards, sideboardCards, companionCards, maybeboardCards] = sections.map(
+    cards =>
+      cards.flatMap(({ name, quantity, cardData }) => {
+        if (!cardData) {
+          errors.push(`Card "${name}" not found`);
+          return [];
+        }
+        const printing = resolvedPrinting(cardData, imported.printings.get(name));
+        return [{ quantity, cardData, printing }];
+      })
+  );
 
+  const legalityInfo = [];
+  const commanders = [];
+  commanderCards.forEach(({ cardData, quantity, printing }) => {
+    legalityInfo.push(cardLegalityInfo(cardData, quantity, true));
     const processed = processCardData(cardData);
-    if (!processed) continue; // transform-land back face → skip
-
+    if (!processed) return;
     processed.quantity = quantity;
-
-    // MDFCs with a land face also get a spell-side entry for key-card selection
-    if (cardData.layout === 'modal_dfc' && cardData.card_faces?.length > 0) {
-      const frontFace = cardData.card_faces[0];
-      const backFace = cardData.card_faces[1];
-      const frontIsLand = frontFace.type_line?.toLowerCase().includes('land');
-      const backIsLand = backFace.type_line?.toLowerCase().includes('land');
-
-      if (frontIsLand || backIsLand) {
-        lands.push(processed);
-
-        // Add the non-land face as a spell option
-        const spellVersion = processSpell(cardData);
-        spellVersion.quantity = quantity;
-        spellVersion.name = cardData.name;
-        spellVersion.isMDFCSpellSide = true;
-        spells.push(spellVersion);
-        continue;
-      }
-    }
-
-    // Normal categorisation
-    if (processed.isLand) lands.push(processed);
-    else if (processed.isManaArtifact) artifacts.push(processed);
-    else if (processed.isManaCreature) creatures.push(processed);
-    else if (processed.isExploration) exploration.push(processed);
-    else if (processed.isCostReducer) costReducers.push(processed);
-    else if (processed.isRitual) rituals.push(processed);
-    else if (processed.isRampSpell) rampSpells.push(processed);
-    else if (processed.isDrawSpell) drawSpells.push(processed);
-    else if (processed.isTreasureCard) treasureCards.push(processed);
-    else spells.push(processed);
-  }
-
-  const groups = [
-    lands,
-    artifacts,
-    creatures,
-    exploration,
-    costReducers,
-    rituals,
-    rampSpells,
-    drawSpells,
-    treasureCards,
-    spells,
-  ];
-  // MDFCs are stored in both lands[] and spells[] (isMDFCSpellSide); exclude the spell copy from the count
-  const totalCards = groups.reduce(
-    (sum, g) => sum + g.reduce((s, c) => s + (c.isMDFCSpellSide ? 0 : c.quantity), 0),
-    0
-  );
-
+    processed.printing = printing;
+    commanders.push(processed);
+  });
+
+  const buckets = Object.fromEntries(DECK_BUCKETS.map(bucket => [bucket, []]));
+  mainCards.forEach(({ cardData, quantity, printing }) => {
+    legalityInfo.push(cardLegalityInfo(cardData, quantity));
+    categorise(cardData, quantity, printing).forEach(([bucket, card]) => {
+      buckets[bucket].push(card);
+    });
+  });
+
+  // Sideboard, companion and maybeboard cards stay out of the library; each
+  // keeps the bucket it would join the deck in (see sideboardPlan.js).
+  const setAside = (cards, inSideboard) =>
+    cards.flatMap(({ cardData, quantity, printing }) => {
+      if (inSideboard) legalityInfo.push(cardLegalityInfo(cardData, quantity, false, true));
+      return categorise(cardData, quantity, printing).map(([bucket, card]) => ({
+        ...card,
+        bucket,
+      }));
+    });
+  const sideboard = setAside(sideboardCards, true);
+  const companions = setAside(companionCards, true);
+  const maybeboard = setAside(maybeboardCards, false);
+
+  const { lands } = buckets;
   return {
-    lands,
-    artifacts,
-    creatures,
-    exploration,
-    costReducers,
-    rituals,
-    rampSpells,
-    drawSpells,
-    treasureCards,
-    spells,
-    totalCards,
+    ...buckets,
+    commanders,
+    sideboard,
+    companions,
+    maybeboard,
+    legalityInfo,
+    importFormat: imported.format,
+    totalCards: countCards(buckets),
     landCount: lands.reduce((sum, c) => sum + c.quantity, 0),
     errors,
   };
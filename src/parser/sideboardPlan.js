@@ -0,0 +1,121 @@
+/**
+ * sideboardPlan.js
+ *
+ * Sideboard plans: named swap sets — take these cards out of the main deck,
+ * bring these in from the sideboard (or maybeboard) — applied to a parsed
+ * deck so the post-board configuration can be simulated and compared against
+ * the main one.
+ *
+ * A plan is { name, out: [{ name, quantity }], in: [{ name, quantity }] }.
+ *
+ * Exports:
+ *   parseSwapList      – "2 Negate" lines → [{ name, quantity }]
+ *   formatSwapList     – the reverse, for editing a plan
+ *   applySideboardPlan – the deck with a plan's swaps made, and what could not be
+ */
+
+import { DECK_BUCKETS, countCards } from './deckParser.js';
+import { importArena } from './deckImport.js';
+
+export const parseSwapList = text =>
+  [...importArena(text).main].map(([name, quantity]) => ({ name, quantity }));
+
+export const formatSwapList = cards => cards.map(c => `${c.quantity} ${c.name}`).join('\n');
+
+const sameName = (card, name) => card.name.toLowerCase() === name.trim().toLowerCase();
+
+/** Adds copies of `card` to `list`, merging with the same card (and MDFC side). */
+const addCopies = (list, card, quantity) => {
+  const existing = list.find(
+    c => sameName(c, card.name) && !!c.isMDFCSpellSide === !!card.isMDFCSpellSide
+  );
+  if (existing) existing.quantity += quantity;
+  else list.push({ ...card, quantity });
+};
+
+/**
+ * Moves up to `quantity` copies of the card in `entries` ([{ card, bucket }],
+ * all entries of one card — an MDFC has two) via `add(card, bucket, moved)`.
+ * Returns the number moved: the wanted quantity or all there are.
+ */
+const moveCopies = (entries, quantity, add) => {
+  const available = entries.find(e => !e.card.isMDFCSpellSide)?.card.quantity ?? 0;
+  const moved = Math.min(quantity, available);
+  entries.forEach(({ card, bucket }) => {
+    card.quantity -= moved;
+    add(card, bucket, moved);
+  });
+  return moved;
+};
+
+/** Moves a card's legality entry between the main deck and the sideboard. */
+const moveLegality = (legalityInfo, name, quantity, toSideboard) => {
+  const from = legalityInfo.find(i => sameName(i, name) && !!i.inSideboard !== toSideboard);
+  if (!from) return; // maybeboard cards have no legality entry
+  from.quantity -= quantity;
+  const to = legalityInfo.find(i => sameName(i, name) && !!i.inSideboard === toSideboard);
+  if (to) to.quantity += quantity;
+  else legalityInfo.push({ ...from, quantity, inSideboard: toSideboard });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// applySideboardPlan
+//   Returns { deck, issues }: a copy of `parsedDeck` with the plan's `out`
+//   cards moved to the sideboard and its `in` cards moved from the sideboard
+//   (or, failing that, the maybeboard) into the buckets they belong to, and
+//   a message for each swap that could not be made in full.
+// ─────────────────────────────────────────────────────────────────────────────
+export const applySideboardPlan = (parsedDeck, plan) => {
+  const issues = [];
+  const copyCards = list => (list ?? []).map(card => ({ ...card }));
+  const deck = {
+    ...parsedDeck,
+    ...Object.fromEntries(DECK_BUCKETS.map(bucket => [bucket, copyCards(parsedDeck[bucket])])),
+    sideboard: copyCards(parsedDeck.sideboard),
+    maybeboard: copyCards(parsedDeck.maybeboard),
+    legalityInfo: copyCards(parsedDeck.legalityInfo),
+  };
+
+  plan.out.forEach(({ name, quantity }) => {
+    const entries = DECK_BUCKETS.flatMap(bucket =>
+      deck[bucket].filter(card => sameName(card, name)).map(card => ({ card, bucket }))
+    );
+    if (entries.length === 0) {
+      issues.push(`${name} is not in the main deck`);
+      return;
+    }
+    const moved = moveCopies(entries, quantity, (card, bucket, n) =>
+      addCopies(deck.sideboard, { ...card, bucket }, n)
+    );
+    if (moved < quantity) issues.push(`Only ${moved} ${name} in the main deck`);
+    moveLegality(deck.legalityInfo, name, moved, true);
+  });
+
+  plan.in.forEach(({ name, quantity }) => {
+    const source = [deck.sideboard, deck.maybeboard].find(list =>
+      list.some(card => sameName(card, name))
+    );
+    if (!source) {
+      issues.push(`${name} is not in the sideboard or maybeboard`);
+      return;
+    }
+    const entries = source
+      .filter(card => sameName(card, name))
+      .map(card => ({ card, bucket: card.bucket }));
+    const moved = moveCopies(entries, quantity, ({ bucket, ...card }, _bucket, n) =>
+      addCopies(deck[bucket], card, n)
+    );
+    if (moved < quantity) issues.push(`Only ${moved} ${name} in the sideboard`);
+    moveLegality(deck.legalityInfo, name, moved, false);
+  });
+
+  DECK_BUCKETS.forEach(bucket => {
+    deck[bucket] = deck[bucket].filter(card => card.quantity > 0);
+  });
+  deck.sideboard = deck.sideboard.filter(card => card.quantity > 0);
+  deck.maybeboard = deck.maybeboard.filter(card => card.quantity > 0);
+  deck.legalityInfo = deck.legalityInfo.filter(info => info.quantity > 0);
+  deck.totalCards = countCards(deck);
+  deck.landCount = deck.lands.reduce((sum, card) => sum + card.quantity, 0);
+  return { deck, issues };
+};
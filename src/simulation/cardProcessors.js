@@ -13,6 +13,7 @@ import { EXPLORATION_EFFECTS } from '../../card_data/Exploration_Effects.js';
 import { RITUAL_DATA } from '../../card_data/Rituals.js';
 import { CARD_DRAW_DATA } from '../../card_data/Card_Draw.js';
 import { TREASURE_DATA } from '../../card_data/Treasures.js';
+import { TUTOR_DATA } from '../../card_data/Tutors.js';
 import LAND_DATA, {
   FETCH_LAND_DATA,
   KNOWN_FETCH_LANDS,
@@ -250,6 +251,49 @@ export const detectDrawFromOracle = (oracleText, typeLine) => {
     : { cardType, triggerType, netCardsDrawn: netCards, cardsDiscarded: 0, avgCardsPerTurn: 0 };
 };
 
+/**
+ * Detects tutors from oracle text. Returns a TUTOR_DATA-shaped object, or null.
+ *
+ * Heuristics:
+ *   - "Transmute {cost}": finds a card with the card's own mana value, to hand.
+ *   - "Search your library for a[n] <type> card": `finds` from the type words
+ *     (none = any card). Land searches are left to the ramp logic, and so are
+ *     searches that put the card onto the battlefield.
+ *   - Destination: "on top of" → 'top'; "into your hand" → 'hand'.
+ */
+export const detectTutorFromOracle = (oracleText, typeLine, cmc = 0) => {
+  if (!oracleText) return null;
+  const text = oracleText.toLowerCase();
+  const isPermanent = !/(instant|sorcery)/i.test(typeLine || '');
+
+  const transmute = oracleText.match(/\bTransmute ((?:\{[^}]+\})+)/);
+  if (transmute) {
+    return { finds: 'any', manaValue: cmc, destination: 'hand', transmuteCost: transmute[1] };
+  }
+
+  const search = text.match(/search your library for an? ([a-z ]*?)card/);
+  if (!search || search[1].includes('land')) return null;
+  const words = search[1].trim();
+  const finds =
+    words === ''
+      ? 'any'
+      : words.includes('artifact or enchantment')
+        ? 'artifact_enchantment'
+        : words.includes('instant or sorcery')
+          ? 'instant_sorcery'
+          : (['creature', 'artifact', 'enchantment', 'sorcery'].find(t => words.includes(t)) ??
+            null);
+  if (!finds) return null;
+
+  const destination = /on top of (?:your|their) library/.test(text)
+    ? 'top'
+    : /into your hand/.test(text)
+      ? 'hand'
+      : null;
+  if (!destination) return null;
+  return { finds, destination, staysOnBattlefield: isPermanent };
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // processLand
 // ─────────────────────────────────────────────────────────────────────────────
@@ -746,6 +790,17 @@ export const processTreasureCard = (data, tdOverride) => {
   };
 };
 
+// Scry / surveil / look-at fields from the card data. Cards without a data
+// entry fall back to "Scry N" or "Surveil N" in their oracle text.
+const extractLibraryManipulation = (drawData, oracleText, hasDataEntry) => {
+  const { scry, surveil, lookAt, putBack } = drawData;
+  if (lookAt) return { lookAt, putBack: putBack ?? 0 };
+  if (scry) return { scry };
+  if (surveil) return { surveil };
+  const match = !hasDataEntry && oracleText?.match(/\b(scry|surveil) (\d+)/i);
+  return match ? { [match[1].toLowerCase()]: parseInt(match[2], 10) } : {};
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // processDrawSpell
 //   Converts raw Scryfall data into a draw-spell card object using CARD_DRAW_DATA
@@ -755,6 +810,8 @@ export const processTreasureCard = (data, tdOverride) => {
 //   · isOneTimeDraw: true for one-shot effects (cast / etb triggers on instants or
 //     sorceries, or ETB effects that only fire once); false for per-turn effects
 //     (upkeep triggers, opponent_cast triggers, etc.).
+//   · scry / surveil / lookAt + putBack: library manipulation resolved before
+//     the draws (see libraryUtils.js); absent when the card has none.
 // ─────────────────────────────────────────────────────────────────────────────
 export const processDrawSpell = (data, drawDataOverride) => {
   const cardName = data.name.toLowerCase();
@@ -787,6 +844,36 @@ export const processDrawSpell = (data, drawDataOverride) => {
     cmc: calculateCMC(data.cmc, data.mana_cost),
     manaCost: data.mana_cost || '',
     oracleText: data.oracle_text,
+    ...extractLibraryManipulation(drawData, data.oracle_text, CARD_DRAW_DATA.has(cardName)),
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// processTutor
+//   Converts raw Scryfall data into a tutor card object using TUTOR_DATA.
+//   · finds / manaValue / maxManaValue: what the tutor can find (tutorUtils.js)
+//   · destination: 'hand' | 'top' | 'battlefield'
+//   · Transmute cards take their transmute cost as cmc / manaCost.
+// ─────────────────────────────────────────────────────────────────────────────
+export const processTutor = (data, tutorDataOverride) => {
+  const { cmc, manaCost, oracleText, typeLine } = resolveCardFaceFields(data);
+  const td = tutorDataOverride ??
+    TUTOR_DATA.get(data.name.toLowerCase()) ?? { finds: 'any', destination: 'hand' };
+  const cost = td.transmuteCost ?? manaCost;
+  return {
+    name: data.name,
+    type: 'tutor',
+    isTutor: true,
+    finds: td.finds,
+    manaValue: td.manaValue ?? null,
+    maxManaValue: td.maxManaValue ?? null,
+    destination: td.destination,
+    staysOnBattlefield: td.staysOnBattlefield ?? false,
+    isTransmute: !!td.transmuteCost,
+    cmc: td.transmuteCost ? calculateCMC(null, cost) : calculateCMC(cmc, cost),
+    manaCost: cost || '',
+    oracleText,
+    typeLine,
   };
 };
 
@@ -861,6 +948,7 @@ export const processCardData = data => {
   if (TREASURE_DATA.has(cardName)) return processTreasureCard(data);
   if (RITUAL_DATA.has(cardName)) return processRitual(data);
   if (CARD_DRAW_DATA.has(cardName)) return processDrawSpell(data);
+  if (TUTOR_DATA.has(cardName)) return processTutor(data);
 
   // Oracle-text fallbacks for cards not in the hand-authored maps.
   // Uses the resolved oracle text / type line so MDFCs are handled correctly.
@@ -870,5 +958,12 @@ export const processCardData = data => {
   const oracleDd = detectDrawFromOracle(resolvedOracle, resolvedTypeLine);
   if (oracleDd) return processDrawSpell(data, oracleDd);
 
+  const oracleTu = detectTutorFromOracle(
+    resolvedOracle,
+    resolvedTypeLine,
+    calculateCMC(data.cmc, data.mana_cost || frontFace.mana_cost)
+  );
+  if (oracleTu) return processTutor(data, oracleTu);
+
   return processSpell(data);
 };
@@ -2,11 +2,20 @@
  * castSpells.js
  *
  * The `castSpells` turn function: casts cost reducers, mana producers,
- * ramp spells, draw spells, and treasure generators in priority order.
+ * ramp spells, tutors, draw spells, and treasure generators in priority order.
  * Extracted from simulationCore.js for maintainability.
  *
+ * `castCurveSpells` is the optional "curve out" phase that follows it: it
+ * casts the ordinary (non-mana) spells in hand with whatever mana is left.
+ *
+ * Both take a casting policy: 'greedy' (the fixed order above, cheapest
+ * first) or 'planner', which casts the subset chosen by planTurn
+ * (turnPlanner.js) to use the most mana.
+ *
  * Exports:
- *   castSpells – mutates gameState, returns { cardsDrawn, treasuresProduced }
+ *   castSpells      – mutates gameState, returns { cardsDrawn, treasuresProduced, cardsCast }
+ *   isNonManaSpell  – true for cards with no mana, ramp, tutor, draw or treasure role
+ *   castCurveSpells – mutates gameState, returns { spellsCast, manaSpent }
  */
 
 import {
@@ -21,13 +30,16 @@ import {
   canPlayCard,
 } from './manaUtils.js';
 import { matchesRampFilter } from './landUtils.js';
+import { planTurn, sortSourcesForPlan, effectiveCost } from './turnPlanner.js';
+import { manipulateLibrary, keepOnTop as defaultKeepOnTop } from './libraryUtils.js';
+import { chooseTutorTarget as defaultChooseTutorTarget, resolveTutor } from './tutorUtils.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // _runCastingLoop  (private)
 //
 // Repeatedly scans a candidate list until no additional cast is possible.
 // Recomputes mana availability after each successful cast because every cast
-// changes the battlefield.
+// changes the battlefield. Returns the number of cards cast.
 //
 // @param {object[]} battlefield - current battlefield permanents (mutated)
 // @param {number}   turn        - current turn (0-based)
@@ -37,6 +49,7 @@ import { matchesRampFilter } from './landUtils.js';
 //   skip this candidate due to a secondary constraint (e.g. ETB cost unpayable).
 // ─────────────────────────────────────────────────────────────────────────────
 const _runCastingLoop = (battlefield, turn, getCandidates, tryCast) => {
+  let cast = 0;
   let changed = true;
   while (changed) {
     changed = false;
@@ -45,11 +58,66 @@ const _runCastingLoop = (battlefield, turn, getCandidates, tryCast) => {
       const discount = calculateCostDiscount(spell, battlefield);
       if (!canPlayCard(spell, manaAvailable, discount)) continue;
       if (tryCast(spell, manaAvailable, discount)) {
+        cast++;
         changed = true;
         break;
       }
     }
   }
+  return cast;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Turn planner policy  (private)
+//
+// Plans the turn over every card castSpells may cast, then runs castSpells
+// restricted to the plan (`castOnly`), so planned cards keep their ETB
+// costs, fetched lands and draws. Re-plans until nothing more is cast: draw
+// spells bring new cards, and a planned card that could not be cast after
+// all (no land to discard, no land left to fetch) is left out from then on.
+// ─────────────────────────────────────────────────────────────────────────────
+const _isCastSpellsCandidate = (card, simConfig) => {
+  const {
+    includeRampSpells = true,
+    disabledRampSpells = new Set(),
+    includeCostReducers = true,
+    disabledCostReducers = new Set(),
+    includeDrawSpells = true,
+    disabledDrawSpells = new Set(),
+    includeTreasures = true,
+    disabledTreasures = new Set(),
+    includeTutors = true,
+    disabledTutors = new Set(),
+  } = simConfig;
+  if (card.isCostReducer) return includeCostReducers && !disabledCostReducers.has(card.name);
+  if (card.isManaCreature || card.isExploration) return true;
+  if (card.isManaArtifact) return !BURST_MANA_SOURCES.has(card.name?.toLowerCase());
+  if (card.isRampSpell) return includeRampSpells && !disabledRampSpells.has(card.name);
+  if (card.isDrawSpell) return includeDrawSpells && !disabledDrawSpells.has(card.name);
+  if (card.isTreasureCard) return includeTreasures && !disabledTreasures.has(card.name);
+  if (card.isTutor) return includeTutors && !disabledTutors.has(card.name);
+  return false;
+};
+
+const _castPlannedSpells = (gameState, turn, simConfig) => {
+  const { hand, battlefield } = gameState;
+  const totals = { cardsDrawn: 0, treasuresProduced: 0, cardsCast: 0 };
+  const leftOut = new Set();
+  for (;;) {
+    const plan = planTurn(
+      hand.filter(c => !leftOut.has(c) && _isCastSpellsCandidate(c, simConfig)),
+      battlefield,
+      turn
+    );
+    if (plan.cards.length === 0) break;
+    sortSourcesForPlan(battlefield, plan.cards);
+    const cast = castSpells(gameState, turn, { ...simConfig, castOnly: new Set(plan.cards) });
+    totals.cardsDrawn += cast.cardsDrawn;
+    totals.treasuresProduced += cast.treasuresProduced;
+    totals.cardsCast += cast.cardsCast;
+    plan.cards.filter(c => hand.includes(c)).forEach(c => leftOut.add(c));
+  }
+  return totals;
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -57,7 +125,14 @@ const _runCastingLoop = (battlefield, turn, getCandidates, tryCast) => {
 //   gameState  = { hand, battlefield, graveyard, library, turnLog }
 //   simConfig  = { includeRampSpells, disabledRampSpells, includeCostReducers,
 //                  disabledCostReducers, includeDrawSpells, disabledDrawSpells,
-//                  includeTreasures, disabledTreasures, ... }
+//                  includeTreasures, disabledTreasures, includeTutors, disabledTutors,
+//                  keyCardNames, castingPolicy, castOnly, keepOnTop,
+//                  chooseTutorTarget, ... }
+//   `keepOnTop` is the play policy's choice for scry / surveil / look-at
+//   effects of draw spells (see libraryUtils.js); `chooseTutorTarget` picks
+//   the key card (from `keyCardNames`) a tutor finds (see tutorUtils.js).
+//   `castingPolicy` is 'greedy' (default) or 'planner'; `castOnly` (a Set of
+//   hand cards) restricts every phase to those cards.
 // ─────────────────────────────────────────────────────────────────────────────
 export const castSpells = (
   { hand, battlefield, graveyard, library, turnLog = null },
@@ -73,20 +148,33 @@ export const castSpells = (
     disabledDrawSpells = new Set(),
     includeTreasures = true,
     disabledTreasures = new Set(),
+    castingPolicy = 'greedy',
+    castOnly = null,
+    keepOnTop = defaultKeepOnTop,
+    includeTutors = true,
+    disabledTutors = new Set(),
+    keyCardNames = [],
+    chooseTutorTarget = defaultChooseTutorTarget,
   } = simConfig;
 
+  if (castingPolicy === 'planner' && !castOnly) {
+    return _castPlannedSpells({ hand, battlefield, graveyard, library, turnLog }, turn, simConfig);
+  }
+  const allowed = card => !castOnly || castOnly.has(card);
+
   let _cardsDrawn = 0;
   let _treasuresProduced = 0;
+  let _cardsCast = 0;
 
   // Phase 0: cost reducers — cast before mana producers so their discount
   // applies to everything cast on the same turn.
   if (includeCostReducers) {
-    _runCastingLoop(
+    _cardsCast += _runCastingLoop(
       battlefield,
       turn,
       () =>
         hand
-          .filter(c => c.isCostReducer && !disabledCostReducers.has(c.name))
+          .filter(c => c.isCostReducer && !disabledCostReducers.has(c.name) && allowed(c))
           .sort((a, b) => a.cmc - b.cmc),
       reducer => {
         hand.splice(hand.indexOf(reducer), 1);
@@ -115,14 +203,14 @@ export const castSpells = (
   }
 
   // Phase 1: mana-producing permanents
-  _runCastingLoop(
+  _cardsCast += _runCastingLoop(
     battlefield,
     turn,
     () => {
-      const creatures = hand.filter(c => c.isManaCreature);
-      const exploration = hand.filter(c => c.isExploration);
+      const creatures = hand.filter(c => c.isManaCreature && allowed(c));
+      const exploration = hand.filter(c => c.isExploration && allowed(c));
       const artifacts = hand.filter(
-        c => c.isManaArtifact && !BURST_MANA_SOURCES.has(c.name?.toLowerCase())
+        c => c.isManaArtifact && !BURST_MANA_SOURCES.has(c.name?.toLowerCase()) && allowed(c)
       );
       return [...creatures, ...exploration, ...artifacts].sort((a, b) => {
         const aPrio = MOX_PRIORITY_ARTIFACTS.has(a.name?.toLowerCase()) ? -1 : a.cmc;
@@ -201,12 +289,12 @@ export const castSpells = (
 
   // Phase 2: ramp spells
   if (includeRampSpells) {
-    _runCastingLoop(
+    _cardsCast += _runCastingLoop(
       battlefield,
       turn,
       () =>
         hand
-          .filter(c => c.isRampSpell && !disabledRampSpells.has(c.name))
+          .filter(c => c.isRampSpell && !disabledRampSpells.has(c.name) && allowed(c))
           .sort((a, b) => a.cmc - b.cmc),
       (rampSpell, manaAvailable, rampDiscount) => {
         // For cards with an activated ability (e.g. Wayfarer's Bauble), also verify
@@ -321,17 +409,54 @@ export const castSpells = (
     );
   }
 
+  // Phase 2b: tutors — cast only when a key card they can find is still in the
+  // library. The found card goes to hand or on top of the library; a tutor
+  // creature stays on the battlefield, everything else goes to the graveyard.
+  if (includeTutors && keyCardNames.length > 0) {
+    const context = () => ({ hand, battlefield, keyCardNames, turn });
+    _cardsCast += _runCastingLoop(
+      battlefield,
+      turn,
+      () =>
+        hand
+          .filter(c => c.isTutor && !disabledTutors.has(c.name) && allowed(c))
+          .sort((a, b) => a.cmc - b.cmc),
+      (tutor, _mana, tutorDiscount) => {
+        const target = chooseTutorTarget(tutor, library, context());
+        if (!target) return false;
+        hand.splice(hand.indexOf(tutor), 1);
+        if (tutor.staysOnBattlefield) {
+          battlefield.push({
+            card: tutor,
+            tapped: false,
+            summoningSick: true,
+            enteredOnTurn: turn,
+          });
+        } else {
+          graveyard.push(tutor);
+        }
+        tapManaSources(tutor, battlefield, tutorDiscount);
+        const found = resolveTutor(tutor, target, { hand, library });
+        if (turnLog) {
+          const verb = tutor.isTransmute ? 'Transmute' : 'Cast tutor';
+          turnLog.actions.push(`${verb}: ${tutor.name} → ${found}`);
+        }
+        return true;
+      }
+    );
+  }
+
   // Phase 3: draw spells — cast after ramp spells; lowest priority.
   // One-shot draw spells (instants/sorceries) are put in the graveyard and
   // immediately draw their cards.  Permanent draw spells enter the battlefield
   // and will produce cards every upkeep (handled in monteCarlo.js).
   if (includeDrawSpells) {
-    _runCastingLoop(
+    _cardsCast += _runCastingLoop(
       battlefield,
       turn,
       () =>
         hand
-          .filter(c => c.isDrawSpell && !disabledDrawSpells.has(c.name))
+          .filter(c => c.isDrawSpell && !disabledDrawSpells.has(c.name) && allowed(c))
           .sort((a, b) => a.cmc - b.cmc),
       (drawSpell, _mana, drawDiscount) => {
         hand.splice(hand.indexOf(drawSpell), 1);
@@ -349,9 +474,17 @@ export const castSpells = (
 
         // One-shot draw: immediately draw cards into hand
         // Supports scaling override: cards drawn = base + turn * growth (turn is 0-indexed)
+        // Scry / surveil / look-at effects resolve first, so the kept cards are drawn.
         let cardsDrawn = 0;
         const drawnCardNames = [];
+        let libraryNote = null;
         if (drawSpell.isOneTimeDraw) {
+          libraryNote = manipulateLibrary(
+            drawSpell,
+            { hand, battlefield, graveyard, library },
+            { turn },
+            keepOnTop
+          );
           const scaledCards =
             drawSpell.drawScaling?.type === 'onetime'
               ? Math.max(0, drawSpell.drawScaling.base + turn * drawSpell.drawScaling.growth)
@@ -373,6 +506,7 @@ export const castSpells = (
             ? ` → drew ${cardsDrawn} card${cardsDrawn !== 1 ? 's' : ''}${drawnList}`
             : ' → draws each turn';
           turnLog.actions.push(`${verb}: ${drawSpell.name}${drawNote}`);
+          if (libraryNote) turnLog.actions.push(libraryNote);
         }
         return true;
       }
@@ -384,12 +518,12 @@ export const castSpells = (
   // immediately via simConfig.treasureTracker.  Recurring permanents enter the
   // battlefield and are handled by the upkeep loop in monteCarlo.js.
   if (includeTreasures) {
-    _runCastingLoop(
+    _cardsCast += _runCastingLoop(
       battlefield,
       turn,
       () =>
         hand
-          .filter(c => c.isTreasureCard && !disabledTreasures.has(c.name))
+          .filter(c => c.isTreasureCard && !disabledTreasures.has(c.name) && allowed(c))
           .sort((a, b) => a.cmc - b.cmc),
       (tc, _mana, tcDiscount) => {
         hand.splice(hand.indexOf(tc), 1);
@@ -424,5 +558,59 @@ export const castSpells = (
     );
   }
 
-  return { cardsDrawn: _cardsDrawn, treasuresProduced: _treasuresProduced };
+  return { cardsDrawn: _cardsDrawn, treasuresProduced: _treasuresProduced, cardsCast: _cardsCast };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// castCurveSpells
+//   gameState = { hand, battlefield, graveyard, turnLog }
+//   options   = { castingPolicy }
+//
+//   Greedy policy: cast the most expensive non-mana spell the remaining mana
+//   pays for, recompute, and repeat until nothing else fits. The planner
+//   policy casts the subset planTurn finds to spend the most mana instead.
+//   The simulator tracks no board beyond mana, so resolved spells go to the
+//   graveyard. `manaSpent` is what the spells cost after cost-reducer
+//   discounts (never below their coloured pips).
+// ─────────────────────────────────────────────────────────────────────────────
+export const isNonManaSpell = card =>
+  !card.isLand &&
+  !card.isManaCreature &&
+  !card.isManaArtifact &&
+  !card.isExploration &&
+  !card.isRampSpell &&
+  !card.isRitual &&
+  !card.isCostReducer &&
+  !card.isDrawSpell &&
+  !card.isTreasureCard &&
+  !card.isTutor;
+
+export const castCurveSpells = (
+  { hand, battlefield, graveyard, turnLog = null },
+  turn = 999,
+  { castingPolicy = 'greedy' } = {}
+) => {
+  let spellsCast = 0;
+  let manaSpent = 0;
+  const costOf = card => effectiveCost(card, calculateCostDiscount(card, battlefield));
+
+  let getCandidates = () => hand.filter(isNonManaSpell).sort((a, b) => costOf(b) - costOf(a));
+  if (castingPolicy === 'planner') {
+    const plan = planTurn(hand.filter(isNonManaSpell), battlefield, turn).cards;
+    sortSourcesForPlan(battlefield, plan);
+    getCandidates = () => plan.filter(c => hand.includes(c));
+  }
+
+  _runCastingLoop(battlefield, turn, getCandidates, (spell, _mana, discount) => {
+    const cost = costOf(spell);
+    hand.splice(hand.indexOf(spell), 1);
+    graveyard.push(spell);
+    tapManaSources(spell, battlefield, discount);
+    spellsCast++;
+    manaSpent += cost;
+    if (turnLog) turnLog.actions.push(`Cast spell: ${spell.name} (${cost} mana)`);
+    return true;
+  });
+
+  return { spellsCast, manaSpent };
 };
@@ -0,0 +1,135 @@
+/**
+ * commandZone.js
+ *
+ * Commanders in the command zone: a commander (and an optional partner or
+ * background) starts there rather than in the library and is cast from there
+ * as soon as the mana allows. Each time it dies it returns to the command zone
+ * and costs {2} more to cast again (commander tax).
+ *
+ * The commander's real card data comes from the parsed deck — its Commander
+ * section (deckParser.js) or, failing that, the main deck list. A name found
+ * in neither has no known cost and is never cast.
+ *
+ * Exports:
+ *   COMMANDER_TAX      – generic mana added per previous cast
+ *   resolveCommander   – card data for a commander name from the parsed deck
+ *   taxedCommander     – the commander with its tax added to cmc / manaCost
+ *   castCommanders     – casts commanders from the command zone (mutates)
+ *   killCommanders     – scenario deaths at the end of a turn (mutates)
+ */
+
+import {
+  calculateManaAvailability,
+  calculateCostDiscount,
+  canPlayCard,
+  tapManaSources,
+} from './manaUtils.js';
+import { effectiveCost } from './turnPlanner.js';
+
+export const COMMANDER_TAX = 2;
+
+/** Parsed-deck buckets that can hold a commander listed in the main deck. */
+const DECK_BUCKETS = [
+  'creatures',
+  'artifacts',
+  'exploration',
+  'costReducers',
+  'rampSpells',
+  'drawSpells',
+  'treasureCards',
+  'tutors',
+  'spells',
+];
+
+/**
+ * Card data for `name` (case-insensitive): the deck's Commander section first,
+ * then the main deck list. Returns { card, inDeck } — `inDeck` is true when the
+ * card came from the main deck, so one copy must be kept out of the library —
+ * or null when the deck has no such card.
+ */
+export const resolveCommander = (name, parsedDeck) => {
+  const lower = name.trim().toLowerCase();
+  if (!lower || !parsedDeck) return null;
+  const matches = c => c.name.toLowerCase() === lower && !c.isMDFCSpellSide;
+  const commander = (parsedDeck.commanders ?? []).find(matches);
+  if (commander) return { card: commander, inDeck: false };
+  for (const bucket of DECK_BUCKETS) {
+    const card = (parsedDeck[bucket] ?? []).find(matches);
+    if (card) return { card, inDeck: true };
+  }
+  return null;
+};
+
+/** The commander as it costs after `timesCast` earlier casts. */
+export const taxedCommander = (card, timesCast) => {
+  const tax = COMMANDER_TAX * timesCast;
+  if (tax === 0) return card;
+  return { ...card, cmc: (card.cmc ?? 0) + tax, manaCost: `{${tax}}${card.manaCost ?? ''}` };
+};
+
+const isCreatureCard = card =>
+  !!(card.isManaCreature || card.isCreature || /creature/i.test(card.typeLine ?? ''));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// castCommanders
+//   Casts each commander still in the command zone whose taxed cost the
+//   untapped mana can pay, cheapest first. `zone` is one entry per commander:
+//   { card, timesCast, onBattlefield } — mutated, as is the battlefield.
+//   Returns { entry, castIndex, manaSpent } per commander cast this turn:
+//   its zone entry, the cast index (0 = first cast) and the mana it cost
+//   after tax and cost-reducer discounts.
+// ─────────────────────────────────────────────────────────────────────────────
+export const castCommanders = (zone, battlefield, turn, turnLog = null) => {
+  const cast = [];
+  const waiting = zone
+    .filter(z => !z.onBattlefield)
+    .sort(
+      (a, b) => taxedCommander(a.card, a.timesCast).cmc - taxedCommander(b.card, b.timesCast).cmc
+    );
+  waiting.forEach(entry => {
+    const taxed = taxedCommander(entry.card, entry.timesCast);
+    const discount = calculateCostDiscount(taxed, battlefield);
+    if (!canPlayCard(taxed, calculateManaAvailability(battlefield, turn), discount)) return;
+    tapManaSources(taxed, battlefield, discount);
+    battlefield.push({
+      card: entry.card,
+      tapped: false,
+      summoningSick: isCreatureCard(entry.card),
+      enteredOnTurn: turn,
+      isCommander: true,
+    });
+    if (turnLog) {
+      const tax = taxed.cmc - (entry.card.cmc ?? 0);
+      turnLog.actions.push(
+        `Cast commander: ${entry.card.name}${tax > 0 ? ` (+${tax} commander tax)` : ''}`
+      );
+    }
+    cast.push({ entry, castIndex: entry.timesCast, manaSpent: effectiveCost(taxed, discount) });
+    entry.timesCast++;
+    entry.onBattlefield = true;
+  });
+  return cast;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// killCommanders
+//   The "commander dies N times" scenario: a commander on the battlefield that
+//   has been cast no more than `deaths` times is removed before your next turn
+//   and returns to the command zone. Returns the number of commanders killed.
+// ─────────────────────────────────────────────────────────────────────────────
+export const killCommanders = (zone, battlefield, deaths, turnLog = null) => {
+  let killed = 0;
+  zone.forEach(entry => {
+    if (!entry.onBattlefield || entry.timesCast > deaths) return;
+    const idx = battlefield.findIndex(p => p.isCommander && p.card === entry.card);
+    if (idx !== -1) battlefield.splice(idx, 1);
+    entry.onBattlefield = false;
+    killed++;
+    if (turnLog) {
+      turnLog.actions.push(
+        `${entry.card.name} dies — back to the command zone (tax now +${COMMANDER_TAX * entry.timesCast})`
+      );
+    }
+  });
+  return killed;
+};
@@ -0,0 +1,315 @@
+/**
+ * hypergeometric.js
+ *
+ * Exact, Karsten-style source-count maths to set beside the simulation. For
+ * each key card it computes the probability that, by its on-curve turn, the
+ * lands seen can pay for it: at least CMC lands, with enough sources of each
+ * colour among them. Nothing is sampled — the answer comes from hypergeometric
+ * distributions over the same deck and settings as the run.
+ *
+ * The model:
+ *   • Cards seen by turn T: the kept hand plus T − 1 draws (one more on the
+ *     draw or in Commander).
+ *   • Mulligans follow the default play policy exactly, through the keep and
+ *     bottoming rules playPolicy.js exports. The keep decision looks at land
+ *     count and early plays only, so hands are enumerated by how many lands,
+ *     0-CMC spells, other early plays and other spells they hold.
+ *   • Every land is untapped and the best ones are played, so a land seen is a
+ *     land available. Colour needs are met when Hall's condition holds: for
+ *     every set of the card's colours, the lands producing any of them cover
+ *     the pips of that set.
+ * Mana rocks, dorks, rituals, tapped lands and fetch sequencing are left out
+ * on purpose: the gap to the simulated rate is what they add or cost.
+ * Hybrid and Phyrexian symbols count as generic mana.
+ *
+ * Exports:
+ *   colorRequirement        – card → { cmc, turn, pips }
+ *   landsSeenDistribution   – P(lands seen by turn T = ℓ) under the mulligan rules
+ *   castableWithLands       – P(ℓ random lands pay for the card) for every ℓ
+ *   exactOnCurve            – per key card: exact on-curve %, % given land drops, sources
+ */
+
+import { choose, hypergeometricPmf, safeToFixed } from '../utils/math.js';
+import { parseColorPips } from './simHelpers.js';
+import { buildCompleteDeck } from './monteCarlo.js';
+import { earlyPlayCmc, mulliganWanted, londonBottomOrder } from './playPolicy.js';
+
+const MAX_MULLIGANS = 6;
+
+/**
+ * Mana requirement of a card: its CMC, on-curve turn (CMC, or 1 for free
+ * spells) and coloured pips per colour.
+ * @returns {{ cmc: number, turn: number, pips: { [color]: number } }}
+ */
+export const colorRequirement = card => {
+  const cmc = card.cmc ?? 0;
+  const pips = {};
+  parseColorPips(card.manaCost).forEach(c => (pips[c] = (pips[c] ?? 0) + 1));
+  return { cmc, turn: Math.max(1, cmc), pips };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Mulligans and lands seen
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Hands are enumerated by how many cards of each category they hold: lands,
+// 0-CMC spells, early plays with CMC above 0 (see earlyPlayCmc) and the other
+// spells. A stand-in card per category is enough to rank them the way
+// londonBottomOrder sorts a hand.
+const LANDS = 0;
+const FREE = 1;
+const EARLY = 2;
+const OTHER = 3;
+const STAND_INS = [
+  { isLand: true, cmc: 0 },
+  { isLand: false, cmc: 0 },
+  { isLand: false, cmc: 1 },
+  { isLand: false, cmc: Infinity },
+];
+
+const categoryOf = (card, earlyCmc) => {
+  if (card.isLand) return LANDS;
+  const cmc = card.cmc || 0;
+  if (cmc === 0) return FREE;
+  return cmc <= earlyCmc ? EARLY : OTHER;
+};
+
+/** Every way to split `size` cards among the categories, as counts per category. */
+const handCounts = size => {
+  const hands = [];
+  for (let lands = 0; lands <= size; lands++) {
+    for (let free = 0; free <= size - lands; free++) {
+      for (let early = 0; early <= size - lands - free; early++) {
+        hands.push([lands, free, early, size - lands - free - early]);
+      }
+    }
+  }
+  return hands;
+};
+
+/**
+ * London bottoming of a hand given as counts per category, in
+ * keepAfterMulligan's order. Categories the order ties (lands and 0-CMC spells
+ * when neither goes first) keep their shuffled hand order, so the bottomed
+ * cards are split between them hypergeometrically.
+ * @returns {{ kept: number[], p: number }[]} counts kept per category, with probabilities
+ */
+const bottomCards = (counts, count) => {
+  const order = londonBottomOrder(counts[LANDS]);
+  const ranked = STAND_INS.map((_, i) => i).sort((a, b) => order(STAND_INS[a], STAND_INS[b]));
+  const groups = [];
+  ranked.forEach((category, i) => {
+    const tied = i > 0 && order(STAND_INS[ranked[i - 1]], STAND_INS[category]) === 0;
+    if (tied) groups[groups.length - 1].push(category);
+    else groups.push([category]);
+  });
+
+  // Bottoms `n` cards picked at random from the categories of `group`
+  const bottomFrom = ([category, ...rest], kept, n, p) => {
+    const pool = rest.reduce((sum, c) => sum + kept[c], kept[category]);
+    if (rest.length === 0 || n === 0) {
+      const next = [...kept];
+      next[category] -= n;
+      return [{ kept: next, p }];
+    }
+    const outcomes = [];
+    for (let j = Math.max(0, n - (pool - kept[category])); j <= Math.min(n, kept[category]); j++) {
+      const next = [...kept];
+      next[category] -= j;
+      const q = hypergeometricPmf(pool, kept[category], n, j);
+      outcomes.push(...bottomFrom(rest, next, n - j, p * q));
+    }
+    return outcomes;
+  };
+
+  let left = count;
+  return groups.reduce(
+    (outcomes, group) => {
+      const pool = group.reduce((sum, c) => sum + counts[c], 0);
+      const n = Math.min(left, pool);
+      left -= n;
+      return outcomes.flatMap(({ kept, p }) => bottomFrom(group, kept, n, p));
+    },
+    [{ kept: [...counts], p: 1 }]
+  );
+};
+
+/**
+ * Probability distribution of the number of lands seen (kept hand + draws)
+ * by turn `turn`, as an array indexed by land count.
+ *
+ * @param {object[]} deck   – complete deck (see buildCompleteDeck)
+ * @param {object}   config – monteCarlo settings: handSize, playDraw, commanderMode,
+ *                            enableMulligans, mulliganRule, mulliganStrategy,
+ *                            customMulliganRules
+ * @param {number}   turn   – 1-based
+ */
+export const landsSeenDistribution = (deck, config, turn) => {
+  const {
+    handSize = 7,
+    playDraw = 'play',
+    commanderMode = false,
+    enableMulligans = false,
+    mulliganRule = 'london',
+    mulliganStrategy = 'balanced',
+    customMulliganRules = {},
+  } = config;
+  const rules = { mulliganStrategy, customMulliganRules };
+  const earlyCmc = earlyPlayCmc(rules);
+  const hasEarlyPlay = kept => kept[EARLY] > 0 || (kept[FREE] > 0 && earlyCmc >= 0);
+
+  const total = deck.length;
+  const totals = STAND_INS.map(() => 0);
+  deck.forEach(card => totals[categoryOf(card, earlyCmc)]++);
+  const landTotal = totals[LANDS];
+  const draws = turn - 1 + (playDraw === 'draw' || commanderMode ? 1 : 0);
+  if (total < handSize) return [];
+
+  const seen = [];
+  const keep = (weight, keptLands, handLands, drawnFromTop) => {
+    const library = total - drawnFromTop;
+    for (let j = 0; j <= Math.min(draws, landTotal - handLands); j++) {
+      const p = weight * hypergeometricPmf(library, landTotal - handLands, draws, j);
+      seen[keptLands + j] = (seen[keptLands + j] ?? 0) + p;
+    }
+  };
+
+  // Probability of reaching mulligan number m (independent reshuffles)
+  let reach = 1;
+  for (let m = 0; m <= MAX_MULLIGANS && reach > 0; m++) {
+    const bottom = Math.max(0, m - (commanderMode ? 1 : 0));
+    const london = m > 0 && mulliganRule === 'london';
+    const size = m === 0 ? handSize : london ? 7 : 7 - bottom;
+    const denominator = choose(total, size);
+    let mulligan = 0;
+
+    handCounts(size).forEach(counts => {
+      const p =
+        counts.reduce((ways, n, category) => ways * choose(totals[category], n), 1) / denominator;
+      if (p === 0) return;
+      const outcomes = london ? bottomCards(counts, bottom) : [{ kept: counts, p: 1 }];
+      outcomes.forEach(({ kept, p: q }) => {
+        const wanted = mulliganWanted(kept[LANDS], hasEarlyPlay(kept), rules);
+        if (enableMulligans && m < MAX_MULLIGANS && wanted) {
+          mulligan += p * q;
+        } else {
+          keep(reach * p * q, kept[LANDS], counts[LANDS], size);
+        }
+      });
+    });
+    reach *= mulligan;
+  }
+  return Array.from(seen, p => p ?? 0);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Colour requirements
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * For every ℓ from 0 to the number of lands, the probability that ℓ lands
+ * drawn at random from `lands` (one entry per copy, each with `produces`) can
+ * pay for a card with `requirement`: ℓ ≥ CMC and Hall's condition on the pips.
+ *
+ * Lands are grouped by which of the card's colours they produce; a dynamic
+ * programme over the groups tracks, for every set of colours, how many of the
+ * chosen lands produce one of them (capped at what the set needs), weighting
+ * each way of choosing by its number of combinations.
+ */
+export const castableWithLands = (lands, { cmc, pips }) => {
+  const colors = Object.keys(pips);
+  const subsets = Array.from({ length: (1 << colors.length) - 1 }, (_, i) => i + 1);
+  const need = subsets.map(s => colors.reduce((n, c, i) => (s & (1 << i) ? n + pips[c] : n), 0));
+
+  const groups = new Map();
+  lands.forEach(land => {
+    const mask = colors.reduce((m, c, i) => (land.produces?.includes(c) ? m | (1 << i) : m), 0);
+    groups.set(mask, (groups.get(mask) ?? 0) + 1);
+  });
+
+  // state key → { n, cover, ways }
+  let states = new Map([['0|', { n: 0, cover: subsets.map(() => 0), ways: 1 }]]);
+  groups.forEach((count, mask) => {
+    const next = new Map();
+    states.forEach(({ n, cover, ways }) => {
+      for (let x = 0; x <= count; x++) {
+        const nextCover = cover.map((v, i) => (subsets[i] & mask ? Math.min(need[i], v + x) : v));
+        const key = `${n + x}|${nextCover.join(',')}`;
+        const entry = next.get(key);
+        const w = ways * choose(count, x);
+        if (entry) entry.ways += w;
+        else next.set(key, { n: n + x, cover: nextCover, ways: w });
+      }
+    });
+    states = next;
+  });
+
+  const good = new Array(lands.length + 1).fill(0);
+  states.forEach(({ n, cover, ways }) => {
+    if (cover.every((v, i) => v >= need[i])) good[n] += ways;
+  });
+  return good.map((ways, n) => (n < cmc ? 0 : ways / choose(lands.length, n)));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Key cards
+// ─────────────────────────────────────────────────────────────────────────────
+const KEY_CARD_BUCKETS = [
+  'spells',
+  'creatures',
+  'artifacts',
+  'rampSpells',
+  'drawSpells',
+  'exploration',
+  'costReducers',
+  'rituals',
+  'treasureCards',
+  'tutors',
+];
+
+/**
+ * Exact on-curve figures for every selected key card found in the deck (a
+ * commander that lives only in the command zone is skipped).
+ *
+ * @param {object} parsedDeck
+ * @param {object} config – the run's monteCarlo config (selectedKeyCards, card
+ *                          toggles, hand size, play/draw, mulligan settings)
+ * @returns {{ [name]: { turn, probability, givenLandDrops, sources } }} with
+ *   probability — % of games with the mana to cast it on curve from lands alone,
+ *   givenLandDrops — the same % among games that hit every land drop up to the
+ *   turn (Karsten's tables), or null when that never happens,
+ *   sources — { [color]: number of lands producing it }.
+ */
+export const exactOnCurve = (parsedDeck, config = {}) => {
+  const deck = buildCompleteDeck(parsedDeck, config);
+  const lands = deck.filter(c => c.isLand);
+  const cards = KEY_CARD_BUCKETS.flatMap(bucket => parsedDeck[bucket] ?? []);
+  const out = {};
+
+  [...(config.selectedKeyCards ?? [])].forEach(name => {
+    const card = cards.find(c => c.name === name);
+    if (!card) return;
+    const requirement = colorRequirement(card);
+    const seen = landsSeenDistribution(deck, config, requirement.turn);
+    const castable = castableWithLands(lands, requirement);
+
+    let probability = 0;
+    let landDrops = 0;
+    seen.forEach((p, n) => {
+      probability += p * (castable[n] ?? 0);
+      if (n >= requirement.cmc) landDrops += p;
+    });
+    out[name] = {
+      turn: requirement.turn,
+      probability: safeToFixed(probability * 100, 1),
+      givenLandDrops: landDrops > 0 ? safeToFixed((probability / landDrops) * 100, 1) : null,
+      sources: Object.fromEntries(
+        Object.keys(requirement.pips).map(c => [
+          c,
+          lands.filter(l => l.produces?.includes(c)).length,
+        ])
+      ),
+    };
+  });
+  return out;
+};
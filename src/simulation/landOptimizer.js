@@ -0,0 +1,194 @@
+/**
+ * landOptimizer.js
+ *
+ * Land-count sweep — "how many lands should I run?" answered by simulation.
+ * One land of the parsed deck (usually a basic) is run at a range of counts;
+ * every copy added or removed is traded against a chosen flex card, so the
+ * deck size never changes. Each variant is simulated with the same seed and
+ * settings, and the sweep reports key-card on-curve rate, flood rate and
+ * screw rate per total land count, with a recommended count under an
+ * objective.
+ *
+ * Exports:
+ *   LAND_SWEEP_OBJECTIVES – objective id → { label, score(row) }
+ *   sweepLandOptions      – lands whose count can be swept
+ *   flexCardOptions       – non-land cards that can absorb the difference
+ *   buildLandVariant      – parsed deck with the swept land at a given count
+ *   planLandSweep         – one feasible variant per total land count in a range
+ *   summarizeLandSweep    – variant results → one row per land count
+ *   recommendLandCount    – best row under an objective
+ */
+
+import { safeToFixed } from '../utils/math.js';
+
+/** Parsed-deck buckets holding non-land cards (each card carries `quantity`). */
+const NON_LAND_BUCKETS = [
+  'artifacts',
+  'creatures',
+  'exploration',
+  'costReducers',
+  'rituals',
+  'rampSpells',
+  'drawSpells',
+  'treasureCards',
+  'tutors',
+  'spells',
+];
+
+/**
+ * Score functions are "higher is better". A null score means the objective
+ * cannot rank that row (e.g. on-curve rate without key cards).
+ */
+export const LAND_SWEEP_OBJECTIVES = {
+  onCurve: {
+    label: 'Maximise key-card on-curve rate',
+    score: row => row.onCurve,
+  },
+  floodScrew: {
+    label: 'Minimise flood + screw',
+    score: row =>
+      row.floodRate == null && row.screwRate == null
+        ? null
+        : -((row.floodRate ?? 0) + (row.screwRate ?? 0)),
+  },
+  balanced: {
+    label: 'On-curve rate minus flood and screw',
+    score: row =>
+      row.onCurve == null && row.floodRate == null && row.screwRate == null
+        ? null
+        : (row.onCurve ?? 0) - (row.floodRate ?? 0) - (row.screwRate ?? 0),
+  },
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Candidates
+// ─────────────────────────────────────────────────────────────────────────────
+const mdfcNames = parsedDeck =>
+  new Set(parsedDeck.spells.filter(c => c.isMDFCSpellSide).map(c => c.name));
+
+/**
+ * Lands whose count can be swept, most copies first. MDFC lands are left out:
+ * their spell side lives in `spells` and would have to move with them.
+ */
+export const sweepLandOptions = parsedDeck => {
+  if (!parsedDeck) return [];
+  const mdfc = mdfcNames(parsedDeck);
+  return parsedDeck.lands
+    .filter(land => !mdfc.has(land.name))
+    .sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name))
+    .map(land => ({ name: land.name, quantity: land.quantity, isBasic: !!land.isBasic }));
+};
+
+/** Non-land, non-MDFC cards that can stand in for the swept land, by name. */
+export const flexCardOptions = parsedDeck => {
+  if (!parsedDeck) return [];
+  const seen = new Map();
+  NON_LAND_BUCKETS.forEach(bucket =>
+    (parsedDeck[bucket] ?? []).forEach(card => {
+      if (!card.isMDFCSpellSide && !seen.has(card.name)) {
+        seen.set(card.name, { name: card.name, quantity: card.quantity });
+      }
+    })
+  );
+  return [...seen.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Variants
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns a copy of `parsedDeck` with `landName` at `count` copies and the
+ * flex card's quantity moved by the opposite amount, or null when either
+ * would drop below zero (or either card is not in the deck). A card left at
+ * zero copies stays in its bucket so the deck panels' names still resolve.
+ */
+export const buildLandVariant = (parsedDeck, { landName, count, flexName }) => {
+  const land = parsedDeck.lands.find(c => c.name === landName);
+  if (!land || count < 0) return null;
+  const delta = count - land.quantity;
+
+  const variant = { ...parsedDeck, landCount: parsedDeck.landCount + delta };
+  variant.lands = parsedDeck.lands.map(c => (c === land ? { ...c, quantity: count } : c));
+
+  let flexFound = false;
+  for (const bucket of NON_LAND_BUCKETS) {
+    const cards = parsedDeck[bucket] ?? [];
+    const flex = cards.find(c => c.name === flexName && !c.isMDFCSpellSide);
+    if (!flex) continue;
+    if (flex.quantity - delta < 0) return null;
+    variant[bucket] = cards.map(c => (c === flex ? { ...c, quantity: flex.quantity - delta } : c));
+    flexFound = true;
+    break;
+  }
+  return flexFound ? variant : null;
+};
+
+/**
+ * One variant per total land count in [minLands, maxLands]; counts the swap
+ * cannot reach (swept land or flex card would go negative) are skipped.
+ * @returns {{ landCount: number, landCopies: number, flexCopies: number, deck: object }[]}
+ */
+export const planLandSweep = (parsedDeck, { landName, flexName, minLands, maxLands }) => {
+  const land = parsedDeck.lands.find(c => c.name === landName);
+  if (!land) return [];
+  const plan = [];
+  for (let landCount = minLands; landCount <= maxLands; landCount++) {
+    const count = land.quantity + (landCount - parsedDeck.landCount);
+    const deck = buildLandVariant(parsedDeck, { landName, count, flexName });
+    if (!deck) continue;
+    const flex = flexCardOptions(deck).find(c => c.name === flexName);
+    plan.push({ landCount, landCopies: count, flexCopies: flex.quantity, deck });
+  }
+  return plan;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Results
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Pairs each planned variant with its monteCarlo results (looked up by
+ * `jobId(landCount)`). Rates are percentages; `onCurve` is the mean on-curve
+ * rate across the tracked key cards (null without key cards).
+ */
+export const summarizeLandSweep = (plan, resultsById, jobId = n => `land:${n}`) =>
+  plan
+    .filter(v => resultsById[jobId(v.landCount)])
+    .map(({ landCount, landCopies, flexCopies }) => {
+      const results = resultsById[jobId(landCount)];
+      const onCurveByCard = Object.fromEntries(
+        Object.entries(results.keyCardOnCurvePlayability ?? {}).map(([name, pct]) => [
+          name,
+          safeToFixed(pct, 1),
+        ])
+      );
+      const pcts = Object.values(results.keyCardOnCurvePlayability ?? {});
+      return {
+        landCount,
+        landCopies,
+        flexCopies,
+        onCurve: pcts.length ? safeToFixed(pcts.reduce((s, v) => s + v, 0) / pcts.length, 1) : null,
+        onCurveByCard,
+        floodRate: results.floodRate == null ? null : safeToFixed(results.floodRate, 1),
+        screwRate: results.screwRate == null ? null : safeToFixed(results.screwRate, 1),
+      };
+    });
+
+/**
+ * The row with the highest objective score; ties go to the lower land count.
+ * Null when no row can be scored under the objective.
+ */
+export const recommendLandCount = (rows, objective) => {
+  const { score } = LAND_SWEEP_OBJECTIVES[objective] ?? LAND_SWEEP_OBJECTIVES.balanced;
+  let best = null;
+  let bestScore = -Infinity;
+  rows.forEach(row => {
+    const s = score(row);
+    if (s != null && s > bestScore) {
+      best = row;
+      bestScore = s;
+    }
+  });
+  return best;
+};
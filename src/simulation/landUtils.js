@@ -8,6 +8,7 @@
  *   matchesRampFilter    – checks whether a library land satisfies a ramp spell's filter
  *   doesLandEnterTapped  – returns the default tapped-entry state of a land
  *   selectBestLand       – chooses the best land to play from hand this turn
+ *   fetchTargets         – library lands a fetch land can find
  *   findBestLandToFetch  – chooses the best land to pull from a fetch activation
  *   playLand             – moves a land from hand → battlefield (mutates game state)
  */
@@ -137,26 +138,30 @@ export const selectBestLand = (hand, battlefield, turn = 0, commanderMode = fals
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// findBestLandToFetch
+// fetchTargets / findBestLandToFetch
 // ─────────────────────────────────────────────────────────────────────────────
-export const findBestLandToFetch = (
-  fetchLand,
-  library,
-  battlefield,
-  keyCardNames,
-  parsedDeck,
-  turn
-) => {
-  const onlyBasics = fetchLand.isHideawayFetch || fetchLand.fetchesOnlyBasics;
 
-  const eligibleLands = library.filter(card => {
+/** Lands in `library` that `fetchLand` can find: the right subtypes, basics only if it says so. */
+export const fetchTargets = (fetchLand, library) => {
+  const onlyBasics = fetchLand.isHideawayFetch || fetchLand.fetchesOnlyBasics;
+  return library.filter(card => {
     if (!card.isLand) return false;
     if (onlyBasics && !card.isBasic) return false;
     const landTypes = card.landSubtypes || [];
     const fetchColors = fetchLand.fetchColors || [];
     return landTypes.some(type => fetchColors.includes(SUBTYPE_TO_COLOR[type]));
   });
+};
 
+export const findBestLandToFetch = (
+  fetchLand,
+  library,
+  battlefield,
+  keyCardNames,
+  parsedDeck,
+  turn
+) => {
+  const eligibleLands = fetchTargets(fetchLand, library);
   if (eligibleLands.length === 0) return null;
 
   const neededColors = new Set();
@@ -202,7 +207,9 @@ export const findBestLandToFetch = (
 
 // ─────────────────────────────────────────────────────────────────────────────
 // playLand
-//   `commanderMode` is an explicit parameter (was a closure over state)
+//   `commanderMode` is an explicit parameter (was a closure over state).
+//   `chooseFetchTarget` picks what a hideaway fetch finds (a play policy's
+//   decision, see playPolicy.js); it defaults to findBestLandToFetch.
 // ─────────────────────────────────────────────────────────────────────────────
 export const playLand = (
   land,
@@ -214,7 +221,8 @@ export const playLand = (
   turnLog,
   keyCardNames,
   parsedDeck,
-  commanderMode
+  commanderMode,
+  chooseFetchTarget = findBestLandToFetch
 ) => {
   const index = hand.indexOf(land);
   hand.splice(index, 1);
@@ -257,7 +265,7 @@ export const playLand = (
 
   if (land.isFetch) {
     if (land.isHideawayFetch) {
-      const fetchedLand = findBestLandToFetch(
+      const fetchedLand = chooseFetchTarget(
         land,
         library,
         battlefield,
@@ -0,0 +1,91 @@
+/**
+ * libraryUtils.js
+ *
+ * Library manipulation: the scry, surveil and "look at the top N, put M back"
+ * effects of draw spells and draw permanents (the optional `scry`, `surveil`,
+ * `lookAt` and `putBack` fields of Card_Draw.js). The effect resolves before
+ * the card's draws, so the cards kept on top are the ones drawn next.
+ *
+ * Exports:
+ *   keepOnTop              – default choice of the cards kept on top, in order
+ *   hasLibraryManipulation – true for cards that scry, surveil or look at the top
+ *   manipulateLibrary      – applies a card's effect; mutates the library
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// keepOnTop
+//   Picks the cards to keep on top of the library, in drawing order, from
+//   `cards` (the cards looked at). `count` is null for scry / surveil (keep
+//   any number) or the exact number to put back.
+//
+//   Each kept card is drawn one turn after the one before it. A card counts
+//   as short of lands when fewer lands are in play and in hand than the land
+//   drops up to the turn it is drawn; then a land is kept, otherwise a spell.
+//   With no card of the wanted type left, scry / surveil stop (an unknown
+//   card beats a known wrong one) and an exact count takes the other type.
+//
+//   `beforeLandDrop` is true for upkeep effects: the first kept card is drawn
+//   in time for this turn's land drop rather than the next one.
+// ─────────────────────────────────────────────────────────────────────────────
+export const keepOnTop = (
+  cards,
+  { hand, battlefield, turn, beforeLandDrop = false },
+  count = null
+) => {
+  let lands = battlefield.filter(p => p.card.isLand).length + hand.filter(c => c.isLand).length;
+  const firstDrop = beforeLandDrop ? turn : turn + 1;
+  const rest = [...cards];
+  const kept = [];
+  while (rest.length > 0 && (count === null || kept.length < count)) {
+    const wantLand = lands <= firstDrop + kept.length;
+    let pick = rest.find(c => !!c.isLand === wantLand);
+    if (!pick) {
+      if (count === null) break;
+      pick = rest[0];
+    }
+    rest.splice(rest.indexOf(pick), 1);
+    kept.push(pick);
+    if (pick.isLand) lands++;
+  }
+  return kept;
+};
+
+export const hasLibraryManipulation = card =>
+  (card.scry ?? 0) > 0 || (card.surveil ?? 0) > 0 || (card.lookAt ?? 0) > 0;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// manipulateLibrary
+//   Takes the top cards of the library, lets `choose` (a play policy's
+//   keepOnTop) pick the ones going back on top, and puts the rest on the
+//   bottom — or in the graveyard for surveil.
+//
+//   gameState = { hand, battlefield, graveyard, library }
+//   context   = { turn, beforeLandDrop }
+//   Returns the action-log line, e.g.
+//     "Preordain: scry 2 — kept Forest; bottomed Counterspell"
+//   or null when the card has no such effect or the library is empty.
+// ─────────────────────────────────────────────────────────────────────────────
+export const manipulateLibrary = (
+  card,
+  { hand, battlefield, graveyard, library },
+  { turn, beforeLandDrop = false },
+  choose = keepOnTop
+) => {
+  if (!hasLibraryManipulation(card)) return null;
+  const count = card.scry || card.surveil || card.lookAt;
+  const seen = library.splice(0, Math.min(count, library.length));
+  if (seen.length === 0) return null;
+
+  const exact = card.lookAt ? Math.min(card.putBack ?? 0, seen.length) : null;
+  const kept = choose(seen, { hand, battlefield, turn, beforeLandDrop }, exact);
+  const rest = seen.filter(c => !kept.includes(c));
+  library.unshift(...kept);
+  if (card.surveil) graveyard.push(...rest);
+  else library.push(...rest);
+
+  const names = list => (list.length > 0 ? list.map(c => c.name).join(', ') : 'nothing');
+  const verb = card.scry ? 'scry' : card.surveil ? 'surveil' : 'look at';
+  const parts = [`kept ${names(kept)}`];
+  if (rest.length > 0) parts.push(`${card.surveil ? 'binned' : 'bottomed'} ${names(rest)}`);
+  return `${card.name}: ${verb} ${count} — ${parts.join('; ')}`;
+};
@@ -0,0 +1,284 @@
+/**
+ * manaBaseOptimizer.js
+ *
+ * Mana-base search: which mix of candidate lands, at a fixed land count,
+ * best casts the deck's coloured key cards on curve? The deck's non-land
+ * cards stay fixed; its lands (MDFCs aside) are replaced by a mix drawn from
+ * a candidate pool, and mixes are explored by simulated annealing.
+ *
+ * A mix is a copy count per pool land. A neighbouring mix moves a few copies
+ * from one land to another, within each land's copy limit (basics are
+ * unlimited; other lands allow 4 copies, 1 in Commander). Every step scores
+ * a batch of neighbours through the caller's `evaluate` (worker pool in the
+ * app, monteCarloSharded in tests), moves to the best one when it improves —
+ * or, while the temperature is high, sometimes when it doesn't — and
+ * remembers the best mix seen. All mixes are simulated on one seed, so the
+ * score landscape is fixed for the whole search and revisited mixes come
+ * from the cache.
+ *
+ * Score: the mean on-curve castability (%) of the key cards whose mana cost
+ * has coloured pips.
+ *
+ * Exports:
+ *   OPTIMIZER_DEFAULTS      – default steps, batch size and temperature
+ *   coloredKeyCardNames     – key cards with coloured pips (the ones scored)
+ *   buildManaBasePool       – deck lands + candidate lands, with copy limits
+ *   flexibleLandCount       – land slots the search fills (fixed MDFCs excluded)
+ *   initialManaBase         – the deck's own mix, resized to the land count
+ *   buildManaBaseVariant    – parsed deck with its lands replaced by a mix
+ *   scoreManaBase           – results → mean coloured key-card on-curve rate
+ *   optimizeManaBase        – simulated-annealing search (async)
+ */
+
+import { createRng } from './rng.js';
+import { parseColorPips } from './simHelpers.js';
+import { safeToFixed } from '../utils/math.js';
+
+export const OPTIMIZER_DEFAULTS = {
+  steps: 30,
+  batchSize: 4,
+  // Percentage points: early on, a neighbour 5 points worse is accepted
+  // with probability 1/e.
+  initialTemperature: 5,
+};
+
+const NON_LAND_BUCKETS = [
+  'artifacts',
+  'creatures',
+  'exploration',
+  'costReducers',
+  'rituals',
+  'rampSpells',
+  'drawSpells',
+  'treasureCards',
+  'tutors',
+  'spells',
+];
+
+/**
+ * MDFC lands stay as they are: their spell side is a card in its own right.
+ * Returns a predicate over land objects.
+ */
+const fixedLandTest = parsedDeck => {
+  const mdfc = new Set(parsedDeck.spells.filter(c => c.isMDFCSpellSide).map(c => c.name));
+  return land => mdfc.has(land.name) || !!land.isMDFCLand;
+};
+
+/** Selected key cards whose mana cost carries at least one coloured pip. */
+export const coloredKeyCardNames = (parsedDeck, selectedKeyCards) => {
+  const cards = NON_LAND_BUCKETS.flatMap(bucket => parsedDeck[bucket] ?? []);
+  return [...selectedKeyCards].filter(name => {
+    const card = cards.find(c => c.name === name);
+    return card && parseColorPips(card.manaCost).length > 0;
+  });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Pool and mixes
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * The deck's own lands plus `candidateLands` (processed land objects, e.g.
+ * the `lands` of a parsed candidate list), de-duplicated by name, MDFC lands
+ * left out. Each entry is
+ * { card, maxCopies } with `card` stripped of its quantity.
+ */
+export const buildManaBasePool = (
+  parsedDeck,
+  candidateLands = [],
+  { commanderMode = false } = {}
+) => {
+  const isFixed = fixedLandTest(parsedDeck);
+  const seen = new Map();
+  [...parsedDeck.lands, ...candidateLands].forEach(land => {
+    if (isFixed(land) || seen.has(land.name)) return;
+    const { quantity: _quantity, ...card } = land;
+    seen.set(land.name, { card, maxCopies: card.isBasic ? Infinity : commanderMode ? 1 : 4 });
+  });
+  return [...seen.values()];
+};
+
+/** Number of land slots the optimizer fills: every land except fixed MDFCs. */
+export const flexibleLandCount = parsedDeck => {
+  const isFixed = fixedLandTest(parsedDeck);
+  return parsedDeck.lands.reduce((sum, c) => sum + (isFixed(c) ? 0 : c.quantity), 0);
+};
+
+/**
+ * Copy counts (aligned with `pool`) for the deck's current lands, trimmed from
+ * the most-played land or padded with the most-played basic until they add
+ * up to `landCount`. Null when the pool cannot hold `landCount` lands.
+ */
+export const initialManaBase = (parsedDeck, pool, landCount) => {
+  const capacity = pool.reduce((sum, p) => sum + p.maxCopies, 0);
+  if (landCount < 0 || capacity < landCount) return null;
+
+  const counts = pool.map(p =>
+    Math.min(p.maxCopies, parsedDeck.lands.find(c => c.name === p.card.name)?.quantity ?? 0)
+  );
+  const largest = () => counts.indexOf(Math.max(...counts));
+  let total = counts.reduce((a, b) => a + b, 0);
+  while (total > landCount) {
+    counts[largest()]--;
+    total--;
+  }
+  while (total < landCount) {
+    const open = pool.map((_, i) => i).filter(i => counts[i] < pool[i].maxCopies);
+    const basics = open.filter(i => pool[i].card.isBasic);
+    const pick = (basics.length ? basics : open).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+    counts[pick]++;
+    total++;
+  }
+  return counts;
+};
+
+/** Copy of `parsedDeck` whose lands are fixed MDFCs plus the mix in `counts`. */
+export const buildManaBaseVariant = (parsedDeck, pool, counts) => {
+  const lands = [
+    ...parsedDeck.lands.filter(fixedLandTest(parsedDeck)),
+    ...pool.flatMap((p, i) => (counts[i] > 0 ? [{ ...p.card, quantity: counts[i] }] : [])),
+  ];
+  const landCount = lands.reduce((sum, c) => sum + c.quantity, 0);
+  return {
+    ...parsedDeck,
+    lands,
+    landCount,
+    totalCards: parsedDeck.totalCards - parsedDeck.landCount + landCount,
+  };
+};
+
+/** Mean on-curve castability (%) of `keyCardNames`; null when none were tracked. */
+export const scoreManaBase = (results, keyCardNames) => {
+  const pcts = keyCardNames
+    .map(name => results.keyCardOnCurvePlayability?.[name])
+    .filter(v => v != null);
+  return pcts.length ? pcts.reduce((a, b) => a + b, 0) / pcts.length : null;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Search
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Moves between one copy and a sixth of the lands from one pool land to
+ * another. Single-copy moves alone crawl across plateaus — a lone Island
+ * casts no {U}{U} spell on curve, so it scores no better than the Plains it
+ * replaced.
+ */
+const neighbour = (counts, pool, rng) => {
+  const from = counts.map((_, i) => i).filter(i => counts[i] > 0);
+  const to = counts.map((_, i) => i).filter(i => counts[i] < pool[i].maxCopies);
+  const moves = from.flatMap(f => to.filter(t => t !== f).map(t => [f, t]));
+  if (moves.length === 0) return null;
+  const [f, t] = moves[Math.floor(rng() * moves.length)];
+  const total = counts.reduce((a, b) => a + b, 0);
+  const maxMove = Math.min(
+    Math.max(1, Math.round(total / 6)),
+    counts[f],
+    pool[t].maxCopies - counts[t]
+  );
+  const n = 1 + Math.floor(rng() * maxMove);
+  const next = [...counts];
+  next[f] -= n;
+  next[t] += n;
+  return next;
+};
+
+/**
+ * Simulated-annealing search over mixes of `pool` lands.
+ *
+ * @param {object}   options
+ * @param {object}   options.parsedDeck
+ * @param {object[]} options.pool          – from buildManaBasePool()
+ * @param {number}   options.landCount     – land slots to fill (fixed MDFCs excluded)
+ * @param {string[]} options.keyCardNames  – cards scored (see coloredKeyCardNames)
+ * @param {Function} options.evaluate      – async (decks[]) => results[] (monteCarlo results)
+ * @param {number}   [options.seed]        – search seed (neighbour choice and acceptance)
+ * @param {number}   [options.steps]
+ * @param {number}   [options.batchSize]   – neighbours scored per step
+ * @param {number}   [options.initialTemperature]
+ * @param {Function} [options.onStep]      – (step, steps, bestScore) after every step
+ * @returns {Promise<object>} { initial, best, history, evaluated } where initial / best are
+ *   { counts, lands: [{ name, quantity }], score, onCurve: { [keyCard]: % } } and history holds
+ *   { step, temperature, score, bestScore } per step. Rejects when the pool
+ *   cannot hold `landCount` lands.
+ */
+export const optimizeManaBase = async ({
+  parsedDeck,
+  pool,
+  landCount,
+  keyCardNames,
+  evaluate,
+  seed = 0,
+  steps = OPTIMIZER_DEFAULTS.steps,
+  batchSize = OPTIMIZER_DEFAULTS.batchSize,
+  initialTemperature = OPTIMIZER_DEFAULTS.initialTemperature,
+  onStep = null,
+}) => {
+  const start = initialManaBase(parsedDeck, pool, landCount);
+  if (!start) {
+    throw new Error(`The candidate lands cannot fill ${landCount} land slots`);
+  }
+
+  const rng = createRng(seed);
+  const cache = new Map();
+  const scoreAll = async mixes => {
+    const fresh = mixes.filter(m => !cache.has(m.join(',')));
+    if (fresh.length) {
+      const results = await evaluate(fresh.map(m => buildManaBaseVariant(parsedDeck, pool, m)));
+      // Only the scored numbers are kept: a search visits over a hundred mixes.
+      fresh.forEach((m, i) =>
+        cache.set(m.join(','), {
+          score: scoreManaBase(results[i], keyCardNames) ?? 0,
+          onCurve: Object.fromEntries(
+            keyCardNames.map(name => [
+              name,
+              safeToFixed(results[i].keyCardOnCurvePlayability?.[name], 1),
+            ])
+          ),
+        })
+      );
+    }
+    return mixes.map(m => ({ counts: m, ...cache.get(m.join(',')) }));
+  };
+
+  const [initial] = await scoreAll([start]);
+  let current = initial;
+  let best = initial;
+  const history = [];
+
+  for (let step = 0; step < steps; step++) {
+    const temperature = initialTemperature * (1 - step / steps);
+    const batch = [];
+    for (let tries = 0; batch.length < batchSize && tries < batchSize * 4; tries++) {
+      const next = neighbour(current.counts, pool, rng);
+      if (!next) break;
+      if (!batch.some(m => m.join(',') === next.join(','))) batch.push(next);
+    }
+    if (batch.length === 0) break;
+
+    const scored = await scoreAll(batch);
+    const candidate = scored.reduce((a, b) => (b.score > a.score ? b : a));
+    const delta = candidate.score - current.score;
+    if (delta >= 0 || (temperature > 0 && rng() < Math.exp(delta / temperature))) {
+      current = candidate;
+    }
+    if (candidate.score > best.score) best = candidate;
+
+    history.push({
+      step: step + 1,
+      temperature: safeToFixed(temperature, 2),
+      score: safeToFixed(current.score, 2),
+      bestScore: safeToFixed(best.score, 2),
+    });
+    if (onStep) onStep(step + 1, steps, best.score);
+  }
+
+  const summarize = mix => ({
+    ...mix,
+    score: safeToFixed(mix.score, 2),
+    lands: pool
+      .map((p, i) => ({ name: p.card.name, quantity: mix.counts[i] }))
+      .filter(l => l.quantity > 0),
+  });
+  return { initial: summarize(initial), best: summarize(best), history, evaluated: cache.size };
+};
@@ -11,6 +11,8 @@
  *   calculateCostDiscount     – generic-mana discount from cost-reducer permanents
  *   solveColorPips            – bipartite-matching pip feasibility solver
  *   canPlayCard               – returns true when mana can pay for a card
+ *   canPlayTogether           – returns true when mana can pay for several cards at once
+ *   canCastCombo              – "all / any N of" combo-group castability check
  */
 
 import { SIMPLIFY_MOX_CONDITIONS } from '../../card_data/Artifacts.js';
@@ -349,3 +351,62 @@ export const canPlayCard = (card, manaAvailable, discount = 0) => {
   }
   return true;
 };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Combos
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Returns true when the available mana can pay for every card in `cards` in
+ * the same turn: the total of their (discounted) costs, with all of their
+ * colour pips matched against distinct sources.
+ * `discounts[i]` is the cost-reducer discount for `cards[i]`.
+ */
+export const canPlayTogether = (cards, manaAvailable, discounts = []) =>
+  canPlayCard(
+    {
+      cmc: cards.reduce((sum, c, i) => sum + Math.max(0, (c.cmc ?? 0) - (discounts[i] ?? 0)), 0),
+      manaCost: cards.map(c => c.manaCost ?? '').join(''),
+    },
+    manaAvailable
+  );
+
+/** Every `k`-element subset of the indices 0…n-1, in lexicographic order. */
+const indexCombinations = (n, k) => {
+  const out = [];
+  const walk = (start, picked) => {
+    if (picked.length === k) {
+      out.push(picked);
+      return;
+    }
+    for (let i = start; i <= n - (k - picked.length); i++) walk(i + 1, [...picked, i]);
+  };
+  walk(0, []);
+  return out;
+};
+
+/**
+ * Returns true when a combo group can be assembled with the available mana.
+ *
+ * `cards` holds the group's card objects (null for cards not in the deck,
+ * which are never castable); `need` is how many of them must be castable
+ * (default: all of them). With payment 'each', `need` cards must each be
+ * castable on their own; with 'together', some `need` of them must be
+ * castable in the same turn (see canPlayTogether).
+ */
+export const canCastCombo = (cards, manaAvailable, discounts = [], { need, payment } = {}) => {
+  const required = Math.min(cards.length, Math.max(1, need ?? cards.length));
+  const present = cards.map((c, i) => i).filter(i => cards[i]);
+  if (present.length < required) return false;
+
+  if (payment !== 'together') {
+    const castable = present.filter(i => canPlayCard(cards[i], manaAvailable, discounts[i] ?? 0));
+    return castable.length >= required;
+  }
+  return indexCombinations(present.length, required).some(combo =>
+    canPlayTogether(
+      combo.map(j => cards[present[j]]),
+      manaAvailable,
+      combo.map(j => discounts[present[j]] ?? 0)
+    )
+  );
+};
@@ -0,0 +1,146 @@
+/**
+ * marginalValue.js
+ *
+ * Leave-one-out analysis — "what does this card add?". Every mana-producing
+ * card that is switched on for the run (mana artifacts, creatures, ramp
+ * spells, rituals, exploration effects, cost reducers, treasure makers) is
+ * swapped, all copies at once, for a blank filler, and the variant deck is
+ * simulated with the same seed as the unchanged deck. The drop in average
+ * mana and in key-card playability by turn N is that card's marginal value.
+ *
+ * The filler takes the card's place in its bucket and keeps its CMC, so the
+ * shuffled deck lines up card for card with the baseline and the mulligan
+ * heuristics (which look at cheap spells) see the same hands — the only
+ * difference left is what the card itself does.
+ *
+ * Exports:
+ *   MARGINAL_VALUE_BUCKETS – parsed-deck bucket → [include flag, disabled-set field]
+ *   BLANK_FILLER_NAME      – name given to the stand-in card
+ *   marginalValueCandidates – cards analysed under a run config
+ *   buildFillerVariant     – parsed deck with one card replaced by the filler
+ *   planMarginalValue      – one variant per candidate (job id 'card:<name>')
+ *   summarizeMarginalValue – baseline + variant results → one row per card at turn N
+ *   rankMarginalValue      – rows sorted by mana or key-card impact
+ */
+
+import { safeToFixed } from '../utils/math.js';
+
+export const MARGINAL_VALUE_BUCKETS = {
+  artifacts: ['includeArtifacts', 'disabledArtifacts'],
+  creatures: ['includeCreatures', 'disabledCreatures'],
+  rampSpells: ['includeRampSpells', 'disabledRampSpells'],
+  rituals: ['includeRituals', 'disabledRituals'],
+  exploration: ['includeExploration', 'disabledExploration'],
+  costReducers: ['includeCostReducers', 'disabledCostReducers'],
+  treasureCards: ['includeTreasures', 'disabledTreasures'],
+};
+
+export const BLANK_FILLER_NAME = 'Blank Filler';
+
+/** A card that is never cast and produces nothing. */
+const blankFiller = card => ({
+  name: BLANK_FILLER_NAME,
+  type: 'spell',
+  isLand: false,
+  cmc: card.cmc ?? 0,
+  manaCost: '',
+  quantity: card.quantity,
+});
+
+/**
+ * Cards that take part in a run with `config` — category switched on and
+ * card not disabled — in bucket order.
+ * @returns {{ name: string, bucket: string, quantity: number }[]}
+ */
+export const marginalValueCandidates = (parsedDeck, config = {}) => {
+  if (!parsedDeck) return [];
+  return Object.entries(MARGINAL_VALUE_BUCKETS).flatMap(([bucket, [includeKey, disabledKey]]) => {
+    if (config[includeKey] === false) return [];
+    const disabled = config[disabledKey] ?? new Set();
+    return (parsedDeck[bucket] ?? [])
+      .filter(card => card.quantity > 0 && !disabled.has(card.name))
+      .map(card => ({ name: card.name, bucket, quantity: card.quantity }));
+  });
+};
+
+/** Copy of `parsedDeck` with every copy of `name` in `bucket` replaced by the filler. */
+export const buildFillerVariant = (parsedDeck, bucket, name) => ({
+  ...parsedDeck,
+  [bucket]: parsedDeck[bucket].map(card => (card.name === name ? blankFiller(card) : card)),
+});
+
+/**
+ * @returns {{ id: string, name: string, bucket: string, quantity: number, deck: object }[]}
+ */
+export const planMarginalValue = (parsedDeck, config = {}) =>
+  marginalValueCandidates(parsedDeck, config).map(candidate => ({
+    ...candidate,
+    id: `card:${candidate.name}`,
+    deck: buildFillerVariant(parsedDeck, candidate.bucket, candidate.name),
+  }));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Results
+// ─────────────────────────────────────────────────────────────────────────────
+const meanOf = values => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : null);
+
+/**
+ * One row per analysed card at `turn` (1-based). Deltas are baseline minus
+ * variant, so a positive value is what the card adds:
+ *   manaDelta      – average total mana
+ *   landsDelta     – average lands on the battlefield (fetches, land ramp)
+ *   keyCardDelta   – mean key-card playability, percentage points
+ *                    (null without key cards)
+ * A card that is itself a key card is left out of its own keyCardDelta: the
+ * filler makes it uncastable, which says nothing about the mana it adds.
+ * Variants without results are dropped.
+ */
+export const summarizeMarginalValue = (plan, baseline, resultsById, turn) => {
+  const t = turn - 1;
+  const keyCardNames = Object.keys(baseline.keyCardPlayability ?? {});
+  return plan
+    .filter(v => resultsById[v.id])
+    .map(({ name, bucket, quantity, id }) => {
+      const results = resultsById[id];
+      const others = keyCardNames.filter(k => k !== name);
+      const keyCardDelta = meanOf(
+        others.map(
+          k =>
+            (baseline.keyCardPlayability[k]?.[t] ?? 0) - (results.keyCardPlayability?.[k]?.[t] ?? 0)
+        )
+      );
+      return {
+        name,
+        bucket,
+        quantity,
+        manaWith: safeToFixed(baseline.totalManaPerTurn?.[t], 2),
+        manaWithout: safeToFixed(results.totalManaPerTurn?.[t], 2),
+        manaDelta: safeToFixed(
+          (baseline.totalManaPerTurn?.[t] ?? 0) - (results.totalManaPerTurn?.[t] ?? 0),
+          2
+        ),
+        landsDelta: safeToFixed(
+          (baseline.landsPerTurn?.[t] ?? 0) - (results.landsPerTurn?.[t] ?? 0),
+          2
+        ),
+        keyCardDelta: keyCardDelta == null ? null : safeToFixed(keyCardDelta, 1),
+      };
+    });
+};
+
+/**
+ * Rows sorted by `by` ('mana' or 'keyCards'), biggest contribution first; ties
+ * fall back to the other measure, then to name. Rows with a null key-card
+ * delta sort last under 'keyCards'.
+ */
+export const rankMarginalValue = (rows, by = 'mana') => {
+  const primary = by === 'keyCards' ? 'keyCardDelta' : 'manaDelta';
+  const secondary = by === 'keyCards' ? 'manaDelta' : 'keyCardDelta';
+  const value = (row, key) => row[key] ?? -Infinity;
+  return [...rows].sort(
+    (a, b) =>
+      value(b, primary) - value(a, primary) ||
+      value(b, secondary) - value(a, secondary) ||
+      a.name.localeCompare(b.name)
+  );
+};
@@ -14,11 +14,20 @@
  *   handSize,              // number
  *   maxSequences,          // number
  *   commanderMode,         // boolean
+ *   commanderName,         // string — cast from the command zone (see commandZone.js)
+ *                          //   and auto-tracked as a key card
+ *   partnerName,           // string — a second commander (partner, background,
+ *                          //   Friends Forever), tracked the same way
+ *   commanderDeaths,       // number — scenario: each commander dies this many times,
+ *                          //   at the end of the turn it was cast, and is recast with tax
+ *   playDraw,              // 'play' | 'draw' — draw on turn 1 when 'draw' (Commander always draws)
  *   enableMulligans,       // boolean
  *   mulliganRule,          // 'london' | 'vancouver'
  *   mulliganStrategy,      // 'conservative' | 'balanced' | 'aggressive' | 'custom'
  *   customMulliganRules,   // object
  *   selectedKeyCards,      // Set<string>
+ *   comboGroups,           // [{ name, cards: string[], need?, payment: 'each' | 'together' }]
+ *                          //   — "all / any N of these castable on the same turn"
  *   includeExploration,    // boolean
  *   disabledExploration,   // Set<string>
  *   includeRampSpells,     // boolean
@@ -29,30 +38,74 @@
  *   disabledCreatures,     // Set<string>
  *   includeRituals,        // boolean
  *   disabledRituals,       // Set<string>
+ *   includeTutors,         // boolean
+ *   disabledTutors,        // Set<string>
+ *   seed,                  // number | null — uint32; null/blank draws a fresh seed
+ *   rng,                   // () => number in [0, 1) — optional, overrides `seed`
+ *   ciTarget,              // number | null — stop once every key card's 95% CI
+ *                          //   half-width is ≤ this many % points (`iterations` is the cap)
+ *   curveOut,              // boolean — also cast the non-mana spells in hand each turn
+ *                          //   (see castCurveSpells) and report results.curveOut
+ *   castingPolicy,         // 'greedy' | 'planner' — how castSpells and castCurveSpells
+ *                          //   choose what to cast (see turnPlanner.js); defaults to the
+ *                          //   play policy's
+ *   playPolicy,            // id from PLAY_POLICIES (default 'default') or a policy object —
+ *                          //   mulligan, land, fetch, discard and scry decisions (see playPolicy.js)
  * }
+ *
+ * The seed actually used is returned as `results.seed` so a run can be
+ * reproduced exactly (it is null when a caller-supplied `rng` was used
+ * without a seed).
+ *
+ * With a `ciTarget`, the key-card intervals are checked every SIM_SHARD_SIZE
+ * iterations; `results.stoppedEarly` says whether the target cut the run
+ * short and `results.handsKept` how many iterations it took.
+ *
+ * A commander whose card the deck lists (its Commander section or the main
+ * list) starts in the command zone instead of the library and is cast as soon
+ * as the mana allows; `results.commanderCastTurns` counts the turn of each
+ * cast (first cast, then one recast per death).
+ *
+ * Exports:
+ *   buildCompleteDeck  – flat card array honouring the include/disabled toggles
+ *   monteCarloPartial  – runs the simulation, returning mergeable raw counts/sums
+ *   monteCarlo         – monteCarloPartial + finalizeResults in one call
+ *   monteCarloSharded  – runs the same shard plan as the worker pool, in-thread
  */
 
 import { ARTIFACT_DATA, BURST_MANA_SOURCES } from '../../card_data/Artifacts.js';
-import { average, stdDev } from '../utils/math.js';
+import { createRng, normalizeSeed, randomSeed } from './rng.js';
+import {
+  MANA_COLORS,
+  createPartialResults,
+  mergePartialResults,
+  finalizeResults,
+  planShards,
+  meetsCITarget,
+  addToHistogram,
+} from './simResults.js';
+import { SIM_SHARD_SIZE } from './simConstants.js';
+import { resolvePlayPolicy, playPolicyId } from './playPolicy.js';
+import { resolveCommander, castCommanders, killCommanders } from './commandZone.js';
 import {
   shuffle,
-  selectBestLand,
   playLand,
-  findBestLandToFetch,
   doesLandEnterTapped,
   castSpells,
+  castCurveSpells,
   calculateManaAvailability,
   canPlayCard,
+  canCastCombo,
   tapManaSources,
   calculateBattlefieldDamage,
   calculateCostDiscount,
   enforceHandSizeLimit,
+  manipulateLibrary,
 } from './simulationCore.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ─────────────────────────────────────────────────────────────────────────────
-// average and stdDev are imported from '../utils/math.js'.
 
 /**
  * Append a life-loss suffix to the last turn-log action.
@@ -65,12 +118,6 @@ const appendLifeLoss = (turnLog, ll) => {
     turnLog.actions[turnLog.actions.length - 1] = `${last} [-${ll} life]`;
 };
 
-/** Create a fresh per-turn array of n empty sub-arrays. */
-const emptyPerTurn = n =>
-  Array(n)
-    .fill(null)
-    .map(() => []);
-
 // ─────────────────────────────────────────────────────────────────────────────
 // buildCompleteDeck
 //   Assembles the flat array of card objects that will be shuffled each
@@ -241,6 +288,8 @@ export const buildCompleteDeck = (deckToParse, config = {}) => {
     includeTreasures = true,
     disabledTreasures = new Set(),
     treasureOverrides = {},
+    includeTutors = true,
+    disabledTutors = new Set(),
   } = config;
 
   const deck = [];
@@ -257,6 +306,7 @@ export const buildCompleteDeck = (deckToParse, config = {}) => {
   if (includeCostReducers) pushFiltered(deck, deckToParse.costReducers, disabledCostReducers);
   if (includeDrawSpells) pushFiltered(deck, deckToParse.drawSpells, disabledDrawSpells);
   if (includeTreasures) pushFiltered(deck, deckToParse.treasureCards, disabledTreasures);
+  if (includeTutors) pushFiltered(deck, deckToParse.tutors, disabledTutors);
 
   deckToParse.spells.forEach(card => {
     for (let i = 0; i < card.quantity; i++) deck.push({ ...card });
@@ -269,9 +319,11 @@ export const buildCompleteDeck = (deckToParse, config = {}) => {
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// monteCarlo
+// monteCarloPartial
+//   Runs the simulation and returns raw counts and sums (see simResults.js)
+//   rather than averages, so shards run on separate workers can be merged.
 // ─────────────────────────────────────────────────────────────────────────────
-export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
+export const monteCarloPartial = (deckToParse, config = {}, onProgress = null) => {
   const {
     iterations = 10000,
     turns = 7,
@@ -283,6 +335,7 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
     mulliganStrategy = 'balanced',
     customMulliganRules = {},
     selectedKeyCards = new Set(),
+    comboGroups = [],
     includeExploration = true,
     disabledExploration = new Set(),
     includeRampSpells = true,
@@ -293,22 +346,59 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
     disabledDrawSpells = new Set(),
     includeTreasures = true,
     disabledTreasures = new Set(),
+    includeTutors = true,
+    disabledTutors = new Set(),
     floodNLands = 5,
     floodTurn = 5,
     screwNLands = 2,
     screwTurn = 3,
     commanderName = '',
+    partnerName = '',
+    commanderDeaths = 0,
+    playDraw = 'play',
+    seed = null,
+    rng = null,
+    ciTarget = null,
+    curveOut = false,
+    castingPolicy: requestedCastingPolicy = null,
+    playPolicy = 'default',
   } = config;
 
+  const policy = resolvePlayPolicy(playPolicy);
+  const castingPolicy = requestedCastingPolicy ?? policy.castingPolicy ?? 'greedy';
+  const mulliganSettings = { mulliganStrategy, customMulliganRules };
+
+  // A caller-supplied generator wins; otherwise seed mulberry32 from the given
+  // seed, or from a fresh one so every run still reports a reproducible seed.
+  const requestedSeed = normalizeSeed(seed);
+  const runSeed = rng ? requestedSeed : (requestedSeed ?? randomSeed());
+  const random = rng ?? createRng(runSeed);
+
   const deck = buildCompleteDeck(deckToParse, config);
   const keyCardNames = Array.from(selectedKeyCards);
 
-  // Commander card is always available from the command zone — auto-track it
-  // as a key card if it isn't already in selectedKeyCards.
-  const commanderCardName = commanderName?.trim() || '';
-  if (commanderCardName && !selectedKeyCards.has(commanderCardName)) {
-    keyCardNames.push(commanderCardName);
-  }
+  // Commanders are always available from the command zone — auto-track them
+  // as key cards if they aren't already in selectedKeyCards.
+  const commanderNames = [
+    ...new Set([commanderName, partnerName].map(n => n?.trim() || '').filter(Boolean)),
+  ];
+  commanderNames.forEach(name => {
+    if (!selectedKeyCards.has(name)) keyCardNames.push(name);
+  });
+  const deathsPerCommander = Math.max(0, Math.floor(Number(commanderDeaths) || 0));
+
+  // A commander with known card data is cast from the command zone; one listed
+  // in the main deck is kept out of the library (the built copy carries any
+  // mana overrides).
+  const commanderCards = [];
+  commanderNames.forEach(name => {
+    const resolved = resolveCommander(name, deckToParse);
+    if (!resolved || commanderCards.some(c => c.name === resolved.card.name)) return;
+    const idx = resolved.inDeck
+      ? deck.findIndex(c => c.name === resolved.card.name && !c.isMDFCSpellSide)
+      : -1;
+    commanderCards.push(idx === -1 ? resolved.card : deck.splice(idx, 1)[0]);
+  });
   const simConfig = {
     includeRampSpells,
     disabledRampSpells,
@@ -318,41 +408,42 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
     disabledDrawSpells,
     includeTreasures,
     disabledTreasures,
+    includeTutors,
+    disabledTutors,
+    castingPolicy,
+    keepOnTop: policy.keepOnTop,
+    keyCardNames,
+    chooseTutorTarget: policy.chooseTutorTarget,
   };
 
-  const results = {
-    landsPerTurn: emptyPerTurn(turns),
-    untappedLandsPerTurn: emptyPerTurn(turns),
-    colorsByTurn: Array(turns)
-      .fill(null)
-      .map(() => ({ W: [], U: [], B: [], R: [], G: [] })),
-    totalManaPerTurn: emptyPerTurn(turns),
-    lifeLossPerTurn: emptyPerTurn(turns),
-    cardsDrawnPerTurn: emptyPerTurn(turns),
-    treasurePerTurn: emptyPerTurn(turns),
-    keyCardPlayability: {},
-    keyCardPlayabilityBurst: {},
-    keyCardOnCurvePlayability: {},
-    keyCardOnCurveCMC: {},
-    floodRate: null,
-    screwRate: null,
+  const results = createPartialResults({
+    turns,
+    keyCardNames,
+    comboGroupNames: comboGroups.map(g => g.name),
+    commanderNames: commanderCards.map(c => c.name),
+    commanderCasts: deathsPerCommander + 1,
+    maxSequences,
+    seed: runSeed,
+    playDraw,
+    castingPolicy,
+    playPolicy: playPolicyId(playPolicy),
     floodThreshold: { lands: floodNLands, turn: floodTurn },
     screwThreshold: { lands: screwNLands, turn: screwTurn },
-    hasBurstCards: false,
-    fastestPlaySequences: {},
-    fastestPlaySequencesBurst: {},
-    mulligans: 0,
-    handsKept: 0,
-    // Opening hand land distribution (indices 0-7) — filled with raw counts,
-    // then normalised to percentages during post-processing.
-    openingHandLandCounts: Array(8).fill(0),
-  };
-
-  keyCardNames.forEach(name => {
-    results.keyCardPlayability[name] = Array(turns).fill(0);
-    results.keyCardPlayabilityBurst[name] = Array(turns).fill(0);
-    results.keyCardOnCurvePlayability[name] = 0;
+    ciTarget: ciTarget > 0 ? ciTarget : null,
+    curveOut,
   });
+  const { sums, sumSqs, colorSums, colorSumSqs, histograms } = results;
+  const record = (metric, turn, value) => {
+    sums[metric][turn] += value;
+    sumSqs[metric][turn] += value * value;
+    addToHistogram(histograms[metric][turn], value);
+  };
+  const recordCurve = (metric, turn, value) => {
+    results.curve.sums[metric][turn] += value;
+    results.curve.sumSqs[metric][turn] += value * value;
+  };
+  const floodTurnIdx = floodTurn - 1;
+  const screwTurnIdx = screwTurn - 1;
 
   results.hasBurstCards =
     [...deckToParse.spells, ...(deckToParse.artifacts || [])].some(c =>
@@ -373,16 +464,19 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
     ...(deckToParse.costReducers || []),
     ...(deckToParse.rituals || []),
     ...(deckToParse.treasureCards || []),
+    ...(deckToParse.tutors || []),
   ];
   const keyCardMap = new Map(
     keyCardNames.map(name => [name, allPlayableCards.find(c => c.name === name)])
   );
 
-  // If the commander card isn't in the deck list (it lives in the command zone),
-  // register a stub so the playability/CMC machinery still works.
-  if (commanderCardName && !keyCardMap.get(commanderCardName)) {
-    keyCardMap.set(commanderCardName, { name: commanderCardName, cmc: 0, colors: [] });
-  }
+  // A commander's key-card entry is its real card; one the deck doesn't list
+  // gets a stub so the playability/CMC machinery still works.
+  commanderNames.forEach(name => {
+    const card = commanderCards.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (card) keyCardMap.set(name, card);
+    else if (!keyCardMap.get(name)) keyCardMap.set(name, { name, cmc: 0, colors: [] });
+  });
 
   // Store the CMC of each key card so the UI can display the on-curve turn.
   keyCardNames.forEach(name => {
@@ -390,80 +484,46 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
     results.keyCardOnCurveCMC[name] = kc?.cmc ?? null;
   });
 
+  // Key cards the player has held this game count toward
+  // keyCardInHandPlayability; commanders are always at hand.
+  const keyCardNameSet = new Set(keyCardNames);
+
+  // Combo-group cards, resolved once; null for a card that isn't in the deck.
+  const comboGroupCards = comboGroups.map(group =>
+    group.cards.map(
+      name => keyCardMap.get(name) ?? allPlayableCards.find(c => c.name === name) ?? null
+    )
+  );
+
   // ── Main iteration loop ───────────────────────────────────────────────────
   for (let iter = 0; iter < iterations; iter++) {
     if (onProgress && iter % 250 === 0) onProgress(iter, iterations);
-    const shuffled = shuffle(deck);
+    if (iter > 0 && iter % SIM_SHARD_SIZE === 0 && meetsCITarget(results, results.ciTarget)) {
+      results.stoppedEarly = true;
+      break;
+    }
+    const shuffled = shuffle(deck, random);
     let hand = shuffled.slice(0, handSize);
     let library = shuffled.slice(handSize);
 
     // Mulligan logic
     let mulliganCount = 0;
     if (enableMulligans) {
-      let shouldMulligan = true;
-      while (shouldMulligan && mulliganCount < 6) {
-        shouldMulligan = false;
-        const landCount = hand.filter(c => c.isLand).length;
-
-        if (mulliganStrategy === 'conservative') {
-          if (landCount === 0 || landCount === 7) shouldMulligan = true;
-        } else if (mulliganStrategy === 'balanced') {
-          if (landCount === 0 || landCount === 7) {
-            shouldMulligan = true;
-          } else if (landCount < 2 || landCount > 5) {
-            if (!hand.some(c => !c.isLand && (c.cmc || 0) <= 2)) shouldMulligan = true;
-          }
-        } else if (mulliganStrategy === 'aggressive') {
-          if (landCount < 2 || landCount > 4) shouldMulligan = true;
-        } else if (mulliganStrategy === 'custom') {
-          if (customMulliganRules.mulligan0Lands && landCount === 0) shouldMulligan = true;
-          if (customMulliganRules.mulligan7Lands && landCount === 7) shouldMulligan = true;
-          if (
-            customMulliganRules.mulliganMinLands &&
-            landCount < customMulliganRules.minLandsThreshold
-          )
-            shouldMulligan = true;
-          if (
-            customMulliganRules.mulliganMaxLands &&
-            landCount > customMulliganRules.maxLandsThreshold
-          )
-            shouldMulligan = true;
-          if (customMulliganRules.mulliganNoPlaysByTurn) {
-            if (
-              !hand.some(c => !c.isLand && (c.cmc || 0) <= customMulliganRules.noPlaysTurnThreshold)
-            )
-              shouldMulligan = true;
-          }
-        }
-
-        if (shouldMulligan) {
-          mulliganCount++;
-          results.mulligans++;
-          // In Commander mode the first mulligan is free: you redraw 7 without
-          // bottoming any card (official Commander rule).
-          const effectiveMullCount = Math.max(0, mulliganCount - (commanderMode ? 1 : 0));
-          if (mulliganRule === 'london') {
-            const newShuffle = shuffle(deck);
-            const newHand = newShuffle.slice(0, 7);
-            const lc = newHand.filter(c => c.isLand).length;
-            const sortedHand = [...newHand].sort((a, b) => {
-              if (lc > 4) {
-                if (a.isLand && !b.isLand) return -1;
-                if (!a.isLand && b.isLand) return 1;
-              } else if (lc < 2) {
-                if (!a.isLand && b.isLand) return -1;
-                if (a.isLand && !b.isLand) return 1;
-              }
-              return (b.cmc || 0) - (a.cmc || 0);
-            });
-            hand = sortedHand.slice(effectiveMullCount);
-            library = newShuffle.slice(7);
-          } else {
-            const newShuffle = shuffle(deck);
-            const newHandSize = 7 - effectiveMullCount;
-            hand = newShuffle.slice(0, newHandSize);
-            library = newShuffle.slice(newHandSize);
-          }
+      while (mulliganCount < 6 && policy.shouldMulligan(hand, mulliganSettings)) {
+        mulliganCount++;
+        results.mulligans++;
+        // In Commander mode the first mulligan is free: you redraw 7 without
+        // bottoming any card (official Commander rule).
+        const effectiveMullCount = Math.max(0, mulliganCount - (commanderMode ? 1 : 0));
+        if (mulliganRule === 'london') {
+          const newShuffle = shuffle(deck, random);
+          hand = policy.keepAfterMulligan(newShuffle.slice(0, 7), effectiveMullCount);
+          library = newShuffle.slice(7);
+        } else {
+          const newShuffle = shuffle(deck, random);
+          const newHandSize = 7 - effectiveMullCount;
+          hand = newShuffle.slice(0, newHandSize);
+          library = newShuffle.slice(newHandSize);
         }
       }
     }
@@ -480,6 +540,12 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
     let cumulativeTreasures = 0;
     const turnActions = [];
     const openingHand = hand.map(c => c.name);
+    const keyCardsHeld = new Set(commanderNames);
+    const commandZone = commanderCards.map(card => ({ card, timesCast: 0, onBattlefield: false }));
+    const noteKeyCardsHeld = () => {
+      hand.forEach(c => keyCardNameSet.has(c.name) && keyCardsHeld.add(c.name));
+      battlefield.forEach(p => keyCardNameSet.has(p.card.name) && keyCardsHeld.add(p.card.name));
+    };
 
     // ── Turn loop ────────────────────────────────────────────────────────────
     for (let turn = 0; turn < turns; turn++) {
@@ -507,6 +573,14 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
           const card = p.card;
           if (!card.isDrawSpell || card.isOneTimeDraw) return;
           if (disabledDrawSpells.has(card.name)) return;
+          // Scry / surveil / look-at (Sylvan Library) before this turn's land drop
+          const libraryNote = manipulateLibrary(
+            card,
+            { hand, battlefield, graveyard, library },
+            { turn, beforeLandDrop: true },
+            policy.keepOnTop
+          );
+          if (libraryNote) turnLog.actions.push(libraryNote);
           // Scaling per-turn draw: base + turn * growth (turn is 0-indexed, so Turn 1 = base)
           const perTurn =
             card.drawScaling?.type === 'perturn'
@@ -514,7 +588,7 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
               : card.avgCardsPerTurn || 0;
           if (perTurn <= 0) return;
           const full = Math.floor(perTurn);
-          const frac = Math.random() < perTurn - full ? 1 : 0;
+          const frac = random() < perTurn - full ? 1 : 0;
           const toDraw = full + frac;
           const drawnNames = [];
           for (let d = 0; d < toDraw && library.length > 0; d++) {
@@ -541,7 +615,7 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
           const perTurn = card.avgTreasuresPerTurn || 0;
           if (perTurn <= 0) return;
           const full = Math.floor(perTurn);
-          const frac = Math.random() < perTurn - full ? 1 : 0;
+          const frac = random() < perTurn - full ? 1 : 0;
           const toCreate = full + frac;
           if (toCreate > 0) {
             cumulativeTreasures += toCreate;
@@ -553,7 +627,7 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
       }
 
       // Draw
-      const shouldDraw = turn > 0 || commanderMode;
+      const shouldDraw = turn > 0 || commanderMode || playDraw === 'draw';
       if (shouldDraw && library.length > 0) {
         const drawn = library.shift();
         hand.push(drawn);
@@ -563,7 +637,7 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
 
       // Phase 1: first land drop
       let landsPlayedThisTurn = 0;
-      const firstLand = selectBestLand(hand, battlefield, turn, commanderMode);
+      const firstLand = policy.chooseLand(hand, battlefield, turn, commanderMode);
       if (firstLand) {
         const ll = playLand(
           firstLand,
@@ -575,7 +649,8 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
           turnLog,
           keyCardNames,
           deckToParse,
-          commanderMode
+          commanderMode,
+          policy.chooseFetchTarget
         );
         turnLog.lifeLoss += ll;
         cumulativeLifeLoss += ll;
@@ -619,7 +694,7 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
 
       // Phase 4: additional land drops
       while (landsPlayedThisTurn < maxLandsPerTurn) {
-        const land = selectBestLand(hand, battlefield, turn, commanderMode);
+        const land = policy.chooseLand(hand, battlefield, turn, commanderMode);
         if (!land) break;
         const ll = playLand(
           land,
@@ -631,7 +706,8 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
           turnLog,
           keyCardNames,
           deckToParse,
-          commanderMode
+          commanderMode,
+          policy.chooseFetchTarget
         );
         turnLog.lifeLoss += ll;
         cumulativeLifeLoss += ll;
@@ -661,7 +737,7 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
           }
         }
 
-        const fetchedLand = findBestLandToFetch(
+        const fetchedLand = policy.chooseFetchTarget(
           fetchPermanent.card,
           library,
           battlefield,
@@ -717,6 +793,34 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
       );
       cardsDrawnThisTurn += spellCardsDrawn;
       cumulativeTreasures += spellTreasures;
+      noteKeyCardsHeld();
+
+      // Mana statistics and key-card checks use the mana available before
+      // any non-mana spell is cast.
+      const manaAvailable = calculateManaAvailability(battlefield, turn);
+
+      // Phase 6a: cast commanders from the command zone
+      let commanderManaSpent = 0;
+      castCommanders(commandZone, battlefield, turn, turnLog).forEach(
+        ({ entry, castIndex, manaSpent }) => {
+          results.commanderCastTurns[entry.card.name][castIndex][turn]++;
+          commanderManaSpent += manaSpent;
+        }
+      );
+
+      // Phase 6b: curve out — cast the non-mana spells in hand with the mana
+      // the commanders left untapped; their mana counts as spent, not wasted.
+      if (curveOut) {
+        const { spellsCast, manaSpent: curveManaSpent } = castCurveSpells(
+          { hand, battlefield, graveyard, turnLog },
+          turn,
+          { castingPolicy }
+        );
+        const manaSpent = commanderManaSpent + curveManaSpent;
+        recordCurve('manaSpentPerTurn', turn, manaSpent);
+        recordCurve('manaWastedPerTurn', turn, Math.max(0, manaAvailable.total - manaSpent));
+        recordCurve('spellsCastPerTurn', turn, spellsCast);
+      }
 
       // Phase 7: Calculate damage from mana sources and other permanents on the battlefield
       const { total: battlefieldDmg, breakdown: battlefieldDmgLog } = calculateBattlefieldDamage(
@@ -730,23 +834,38 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
       }
 
       // End of turn: enforce hand size limit (discard to max 7)
-      enforceHandSizeLimit(hand, graveyard, handSize, battlefield, floodNLands, turnLog);
+      noteKeyCardsHeld();
+      enforceHandSizeLimit(
+        hand,
+        graveyard,
+        handSize,
+        battlefield,
+        floodNLands,
+        turnLog,
+        policy.chooseDiscard
+      );
+
+      // The commander-deaths scenario: removal before our next turn
+      killCommanders(commandZone, battlefield, deathsPerCommander, turnLog);
 
       turnActions.push(turnLog);
 
       // Statistics
       const landCount = battlefield.filter(p => p.card.isLand).length;
       const untappedLandCount = battlefield.filter(p => p.card.isLand && !p.tapped).length;
-      results.landsPerTurn[turn].push(landCount);
-      results.untappedLandsPerTurn[turn].push(untappedLandCount);
-      results.lifeLossPerTurn[turn].push(cumulativeLifeLoss);
-      results.cardsDrawnPerTurn[turn].push(cardsDrawnThisTurn);
-      results.treasurePerTurn[turn].push(cumulativeTreasures);
-
-      const manaAvailable = calculateManaAvailability(battlefield, turn);
-      results.totalManaPerTurn[turn].push(manaAvailable.total);
-      ['W', 'U', 'B', 'R', 'G'].forEach(color => {
-        results.colorsByTurn[turn][color].push(manaAvailable.colors[color] || 0);
+      record('landsPerTurn', turn, landCount);
+      record('untappedLandsPerTurn', turn, untappedLandCount);
+      record('lifeLossPerTurn', turn, cumulativeLifeLoss);
+      record('cardsDrawnPerTurn', turn, cardsDrawnThisTurn);
+      record('treasurePerTurn', turn, cumulativeTreasures);
+      if (turn === floodTurnIdx && landCount >= floodNLands) results.floodCount++;
+      if (turn === screwTurnIdx && landCount <= screwNLands) results.screwCount++;
+
+      record('totalManaPerTurn', turn, manaAvailable.total);
+      MANA_COLORS.forEach(color => {
+        const amount = manaAvailable.colors[color] || 0;
+        colorSums[color][turn] += amount;
+        colorSumSqs[color][turn] += amount * amount;
       });
 
       // Burst mana
@@ -811,6 +930,7 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
 
         if (keyCard && canPlayCard(keyCard, manaAvailable, keyDiscount)) {
           results.keyCardPlayability[cardName][turn]++;
+          if (keyCardsHeld.has(cardName)) results.keyCardInHandPlayability[cardName][turn]++;
 
           // On-curve: castable on exactly the turn equal to the card's CMC.
           // A CMC-3 card is "on curve" on turn 3 (turn index 2).
@@ -855,71 +975,68 @@ export const monteCarlo = (deckToParse, config = {}, onProgress = null) => {
           }
         }
       });
-    } // end turn loop
-  } // end iteration loop
-  if (onProgress) onProgress(iterations, iterations);
-
-  // Flood / screw rates — computed from raw per-turn arrays BEFORE averaging
-  const floodTurnIdx = floodTurn - 1;
-  const screwTurnIdx = screwTurn - 1;
-  if (floodTurnIdx >= 0 && floodTurnIdx < turns) {
-    const floodCount = results.landsPerTurn[floodTurnIdx].filter(n => n >= floodNLands).length;
-    results.floodRate = (floodCount / results.handsKept) * 100;
-  }
-  if (screwTurnIdx >= 0 && screwTurnIdx < turns) {
-    const screwCount = results.landsPerTurn[screwTurnIdx].filter(n => n <= screwNLands).length;
-    results.screwRate = (screwCount / results.handsKept) * 100;
-  }
 
-  // Capture standard deviations before collapsing arrays to averages
-  results.landsPerTurnStdDev = results.landsPerTurn.map(arr => stdDev(arr));
-  results.untappedLandsPerTurnStdDev = results.untappedLandsPerTurn.map(arr => stdDev(arr));
-  results.totalManaPerTurnStdDev = results.totalManaPerTurn.map(arr => stdDev(arr));
-  results.lifeLossPerTurnStdDev = results.lifeLossPerTurn.map(arr => stdDev(arr));
-  results.cardsDrawnPerTurnStdDev = results.cardsDrawnPerTurn.map(arr => stdDev(arr));
-  results.treasurePerTurnStdDev = results.treasurePerTurn.map(arr => stdDev(arr));
-  results.colorsByTurnStdDev = results.colorsByTurn.map(colorObj => {
-    const out = {};
-    Object.keys(colorObj).forEach(color => {
-      out[color] = stdDev(colorObj[color]);
-    });
-    return out;
-  });
+      // Combo-group playability
+      comboGroups.forEach((group, g) => {
+        const cards = comboGroupCards[g];
+        const discounts = cards.map(c => (c ? calculateCostDiscount(c, battlefield) : 0));
+        if (!canCastCombo(cards, manaAvailable, discounts, group)) return;
+        results.comboPlayability[group.name][turn]++;
+
+        if (!results.comboSequences[group.name]) results.comboSequences[group.name] = {};
+        const ct = turn + 1;
+        if (!results.comboSequences[group.name][ct]) results.comboSequences[group.name][ct] = [];
+        if (results.comboSequences[group.name][ct].length < maxSequences) {
+          results.comboSequences[group.name][ct].push({
+            turn: ct,
+            manaAvailable: manaAvailable.total,
+            sequence: JSON.parse(JSON.stringify(turnActions)),
+            openingHand: [...openingHand],
+          });
+        }
+      });
+    } // end turn loop
 
-  // Calculate averages
-  for (let t = 0; t < turns; t++) {
-    results.landsPerTurn[t] = average(results.landsPerTurn[t]);
-    results.untappedLandsPerTurn[t] = average(results.untappedLandsPerTurn[t]);
-    results.totalManaPerTurn[t] = average(results.totalManaPerTurn[t]);
-    results.lifeLossPerTurn[t] = average(results.lifeLossPerTurn[t]);
-    results.cardsDrawnPerTurn[t] = average(results.cardsDrawnPerTurn[t]);
-    results.treasurePerTurn[t] = average(results.treasurePerTurn[t]);
-    Object.keys(results.colorsByTurn[t]).forEach(color => {
-      results.colorsByTurn[t][color] = average(results.colorsByTurn[t][color]);
+    // Casts that never happened land in the last ("not cast") slot.
+    commandZone.forEach(({ card, timesCast }) => {
+      const counts = results.commanderCastTurns[card.name];
+      for (let c = timesCast; c < counts.length; c++) counts[c][turns]++;
     });
-  }
+  } // end iteration loop
+  if (onProgress) onProgress(iterations, iterations);
 
-  // Key-card percentages
-  const toPercent = map => {
-    Object.keys(map).forEach(name => {
-      map[name] = map[name].map(count => (count / results.handsKept) * 100);
-    });
-  };
-  toPercent(results.keyCardPlayability);
-  toPercent(results.keyCardPlayabilityBurst);
+  return results;
+};
 
-  // On-curve percentage (single number per card, not per-turn)
-  Object.keys(results.keyCardOnCurvePlayability).forEach(name => {
-    results.keyCardOnCurvePlayability[name] =
-      (results.keyCardOnCurvePlayability[name] / results.handsKept) * 100;
-  });
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarlo
+// ─────────────────────────────────────────────────────────────────────────────
+export const monteCarlo = (deckToParse, config = {}, onProgress = null) =>
+  finalizeResults(monteCarloPartial(deckToParse, config, onProgress));
 
-  // Normalise opening-hand land counts to percentages.
-  if (results.handsKept > 0) {
-    results.openingHandLandCounts = results.openingHandLandCounts.map(
-      c => (c / results.handsKept) * 100
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarloSharded
+//   Runs the worker pool's shard plan sequentially on the current thread, so
+//   non-browser callers get bit-for-bit the results the app shows for a seed.
+//   A `ciTarget` is checked after each shard, exactly as the pool does.
+// ─────────────────────────────────────────────────────────────────────────────
+export const monteCarloSharded = (deckToParse, config = {}, onProgress = null) => {
+  const { iterations = 10000, ciTarget = null } = config;
+  const runSeed = normalizeSeed(config.seed) ?? randomSeed();
+  let done = 0;
+  let merged = null;
+  for (const shard of planShards(iterations, runSeed)) {
+    const partial = monteCarloPartial(
+      deckToParse,
+      { ...config, iterations: shard.iterations, seed: shard.seed, rng: null, ciTarget: null },
+      onProgress ? completed => onProgress(done + completed, iterations) : null
     );
+    done += shard.iterations;
+    merged = merged ? mergePartialResults([merged, partial]) : partial;
+    if (done < iterations && meetsCITarget(merged, ciTarget)) {
+      merged = { ...merged, stoppedEarly: true };
+      break;
+    }
   }
-
-  return results;
+  return finalizeResults({ ...merged, ciTarget: ciTarget > 0 ? ciTarget : null });
 };
@@ -0,0 +1,300 @@
+/**
+ * playPolicy.js
+ *
+ * Play policies: the decisions a simulated player makes, gathered in one
+ * object so monteCarlo can be run under different assumptions about play
+ * skill. A policy has one entry per decision point:
+ *
+ *   shouldMulligan(hand, { mulliganStrategy, customMulliganRules }) → boolean
+ *   keepAfterMulligan(hand, bottomCount)    → the London hand kept, in order
+ *   chooseLand(hand, battlefield, turn, commanderMode) → land to play, or null
+ *   chooseFetchTarget(fetchLand, library, battlefield, keyCardNames, parsedDeck, turn)
+ *                                           → land to fetch, or null
+ *   chooseDiscard(hand, battlefield, { isFlooded }) → card to discard
+ *   keepOnTop(cards, { hand, battlefield, turn, beforeLandDrop }, count)
+ *                                           → cards a scry / surveil / look-at
+ *                                             effect keeps on top, in order
+ *   chooseTutorTarget(tutor, library, { hand, battlefield, keyCardNames, turn })
+ *                                           → key card a tutor finds, or null
+ *   castingPolicy                           → cast ordering: 'greedy' | 'planner'
+ *                                             (see turnPlanner.js)
+ *
+ * DEFAULT_PLAY_POLICY is the engine's built-in heuristics. The other policies
+ * override a few entries and inherit the rest. Config carries a policy id so
+ * it can cross the worker boundary. Callers running monteCarlo in-thread may
+ * pass a policy object instead; entries it leaves out come from the default.
+ *
+ * The exact on-curve calculator (hypergeometric.js) always models the default
+ * mulligan decisions, through the keep and bottoming rules exported here.
+ *
+ * Exports:
+ *   earlyPlayCmc        – highest CMC counting as an early play for a mulligan strategy
+ *   mulliganWanted      – the default mulligan decision from land count and early plays
+ *   londonBottomOrder   – comparator putting the cards London bottoming removes first
+ *   DEFAULT_PLAY_POLICY – the built-in heuristics
+ *   PLAY_POLICIES       – ids, labels, descriptions and policies offered to users
+ *   resolvePlayPolicy   – policy id or partial policy → complete policy
+ *   playPolicyId        – id to report in the results for a config's policy
+ */
+
+import { BOUNCE_LANDS } from './landData.js';
+import {
+  doesLandEnterTapped,
+  selectBestLand,
+  fetchTargets,
+  findBestLandToFetch,
+  calculateManaAvailability,
+  chooseDiscard,
+  keepOnTop,
+  chooseTutorTarget,
+} from './simulationCore.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Default mulligan decisions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Highest CMC of a spell that counts as an early play for the mulligan
+ * strategy: the custom no-plays threshold, or 2 for the built-in ones.
+ */
+export const earlyPlayCmc = ({ mulliganStrategy, customMulliganRules }) =>
+  mulliganStrategy === 'custom' ? customMulliganRules.noPlaysTurnThreshold : 2;
+
+/**
+ * The mulligan strategies of the settings panel, given a hand's land count and
+ * whether it holds an early play (see earlyPlayCmc).
+ */
+export const mulliganWanted = (
+  landCount,
+  hasEarlyPlay,
+  { mulliganStrategy, customMulliganRules: rules }
+) => {
+  switch (mulliganStrategy) {
+    case 'conservative':
+      return landCount === 0 || landCount === 7;
+    case 'balanced':
+      if (landCount === 0 || landCount === 7) return true;
+      return (landCount < 2 || landCount > 5) && !hasEarlyPlay;
+    case 'aggressive':
+      return landCount < 2 || landCount > 4;
+    case 'custom':
+      return !!(
+        (rules.mulligan0Lands && landCount === 0) ||
+        (rules.mulligan7Lands && landCount === 7) ||
+        (rules.mulliganMinLands && landCount < rules.minLandsThreshold) ||
+        (rules.mulliganMaxLands && landCount > rules.maxLandsThreshold) ||
+        (rules.mulliganNoPlaysByTurn && !hasEarlyPlay)
+      );
+    default:
+      return false;
+  }
+};
+
+/** The mulligan strategies of the settings panel, applied to one hand. */
+const shouldMulligan = (hand, settings) => {
+  const cmc = earlyPlayCmc(settings);
+  return mulliganWanted(
+    hand.filter(c => c.isLand).length,
+    hand.some(c => !c.isLand && (c.cmc || 0) <= cmc),
+    settings
+  );
+};
+
+/**
+ * London bottoming order for a hand with `landCount` lands, as a sort
+ * comparator putting the cards to bottom first: with more than 4 lands, lands
+ * go first; with fewer than 2, spells go first; either way the most expensive
+ * cards before cheaper ones.
+ */
+export const londonBottomOrder = landCount => (a, b) => {
+  if (landCount > 4) {
+    if (a.isLand && !b.isLand) return -1;
+    if (!a.isLand && b.isLand) return 1;
+  } else if (landCount < 2) {
+    if (!a.isLand && b.isLand) return -1;
+    if (a.isLand && !b.isLand) return 1;
+  }
+  return (b.cmc || 0) - (a.cmc || 0);
+};
+
+/** Sorts the hand into London bottoming order and drops the first `bottomCount`. */
+const keepAfterMulligan = (hand, bottomCount) => {
+  const order = londonBottomOrder(hand.filter(c => c.isLand).length);
+  return [...hand].sort(order).slice(bottomCount);
+};
+
+export const DEFAULT_PLAY_POLICY = {
+  id: 'default',
+  shouldMulligan,
+  keepAfterMulligan,
+  chooseLand: selectBestLand,
+  chooseFetchTarget: findBestLandToFetch,
+  chooseDiscard,
+  keepOnTop,
+  chooseTutorTarget,
+  castingPolicy: 'greedy',
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers for the alternative policies
+// ─────────────────────────────────────────────────────────────────────────────
+const WUBRG = ['W', 'U', 'B', 'R', 'G'];
+
+const isBounceLand = land => land.isBounce || BOUNCE_LANDS.has(land.name.toLowerCase());
+
+/** Colours the mana sources on the battlefield can already produce. */
+const producedColors = battlefield => {
+  const colors = new Set();
+  battlefield.forEach(({ card }) => {
+    if (card.isLand || card.isManaArtifact || card.isManaCreature) {
+      (card.produces ?? []).forEach(c => WUBRG.includes(c) && colors.add(c));
+    }
+  });
+  return colors;
+};
+
+/** Whether a land will be untapped once played (shock and MDFC lands pay life early on). */
+const entersUntapped = (land, battlefield, turn, commanderMode) =>
+  !doesLandEnterTapped(land, battlefield, turn, commanderMode) ||
+  (land.isShockLand && turn <= 6) ||
+  (land.isMDFCLand && turn <= 4);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Maximize colours early
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Plays the land adding the most colours the battlefield lacks (a fetch land
+ * counts its fetchable colours), even if it enters tapped; an untapped land
+ * wins ties. Falls back to the default choice when no land adds a colour.
+ * Bounce lands are left to the default.
+ */
+const chooseLandForColors = (hand, battlefield, turn, commanderMode) => {
+  const fallback = selectBestLand(hand, battlefield, turn, commanderMode);
+  if (!fallback) return null;
+  const have = producedColors(battlefield);
+  const score = land => {
+    const colors = land.isFetch ? (land.fetchColors ?? []) : (land.produces ?? []);
+    const added = new Set(colors.filter(c => WUBRG.includes(c) && !have.has(c))).size;
+    return added === 0
+      ? 0
+      : added * 2 + (entersUntapped(land, battlefield, turn, commanderMode) ? 1 : 0);
+  };
+  let best = null;
+  let bestScore = 0;
+  hand.forEach(land => {
+    if (!land.isLand || isBounceLand(land)) return;
+    const s = score(land);
+    if (s > bestScore) {
+      best = land;
+      bestScore = s;
+    }
+  });
+  return best ?? fallback;
+};
+
+/** Fetches the land producing the most missing colours, then the most colours. */
+const fetchForColors = (fetchLand, library, battlefield) => {
+  const targets = fetchTargets(fetchLand, library);
+  if (targets.length === 0) return null;
+  const have = producedColors(battlefield);
+  const score = land => {
+    const produces = land.produces ?? [];
+    return produces.filter(c => WUBRG.includes(c) && !have.has(c)).length * 10 + produces.length;
+  };
+  return targets.reduce((best, land) => (score(land) > score(best) ? land : best));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Maximize untapped mana
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Plays a land that enters tapped on turns where an untapped one would not
+ * help — no spell in hand costs exactly one more than the mana already
+ * available — and saves the untapped lands for later turns. Otherwise plays
+ * the default choice.
+ */
+const chooseLandForUntappedMana = (hand, battlefield, turn, commanderMode) => {
+  const best = selectBestLand(hand, battlefield, turn, commanderMode);
+  if (!best || !entersUntapped(best, battlefield, turn, commanderMode)) return best;
+  const tappedLand = hand.find(
+    l =>
+      l.isLand &&
+      !l.isFetch &&
+      !isBounceLand(l) &&
+      !entersUntapped(l, battlefield, turn, commanderMode)
+  );
+  if (!tappedLand) return best;
+  const mana = calculateManaAvailability(battlefield, turn).total;
+  const needsTheMana = hand.some(c => !c.isLand && (c.cmc ?? 0) === mana + 1);
+  return needsTheMana ? best : tappedLand;
+};
+
+/** Fetches among the targets that enter untapped when there are any. */
+const fetchUntapped = (fetchLand, library, battlefield, keyCardNames, parsedDeck, turn) => {
+  const targets = fetchTargets(fetchLand, library);
+  const untapped = targets.filter(
+    l => !fetchLand.fetchedLandEntersTapped && entersUntapped(l, battlefield, turn, false)
+  );
+  return findBestLandToFetch(
+    fetchLand,
+    untapped.length > 0 ? untapped : targets,
+    battlefield,
+    keyCardNames,
+    parsedDeck,
+    turn
+  );
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────────────────────────────────────
+export const PLAY_POLICIES = [
+  {
+    id: 'default',
+    label: 'Default heuristics',
+    description: 'Untapped lands first, fetches for key-card colours, mulligans by the strategy.',
+    policy: DEFAULT_PLAY_POLICY,
+  },
+  {
+    id: 'colors',
+    label: 'Maximize colours early',
+    description:
+      'Plays and fetches the lands adding the most missing colours, even if they enter tapped.',
+    policy: {
+      ...DEFAULT_PLAY_POLICY,
+      id: 'colors',
+      chooseLand: chooseLandForColors,
+      chooseFetchTarget: fetchForColors,
+    },
+  },
+  {
+    id: 'untapped',
+    label: 'Maximize untapped mana',
+    description:
+      'Plays tapped lands on turns their mana is not needed and fetches lands that enter untapped.',
+    policy: {
+      ...DEFAULT_PLAY_POLICY,
+      id: 'untapped',
+      chooseLand: chooseLandForUntappedMana,
+      chooseFetchTarget: fetchUntapped,
+    },
+  },
+];
+
+/**
+ * The complete policy for a config's `playPolicy`: an id from PLAY_POLICIES,
+ * or an object overriding some decision points of the default policy.
+ * Throws on an unknown id.
+ */
+export const resolvePlayPolicy = (playPolicy = 'default') => {
+  if (typeof playPolicy !== 'string') return { ...DEFAULT_PLAY_POLICY, ...playPolicy };
+  const entry = PLAY_POLICIES.find(p => p.id === playPolicy);
+  if (!entry) throw new Error(`Unknown play policy: ${playPolicy}`);
+  return entry.policy;
+};
+
+/** Id reported in the results: the policy's own id, or 'custom' for an object without one. */
+export const playPolicyId = (playPolicy = 'default') =>
+  typeof playPolicy === 'string' ? playPolicy : (playPolicy.id ?? 'custom');
@@ -0,0 +1,160 @@
+/**
+ * regressionSnapshot.js
+ *
+ * Whole-deck regression snapshots of simulation output. A snapshot keeps the
+ * statistics a refactor could silently shift — per-turn means and std-devs,
+ * key-card castability and flood / screw rates — and two snapshots are
+ * compared within statistical tolerance rather than for exact equality, so
+ * a change that merely reorders random draws passes while a real shift in
+ * behaviour is reported metric by metric.
+ *
+ * Tolerance: a mean drifts when it moves more than `sigmas` standard errors
+ * of the difference (Welch-style, from both runs' std-devs); a percentage
+ * drifts when it moves more than `sigmas` pooled two-proportion standard
+ * errors, and never less than one game's worth. With an unchanged engine and
+ * a fixed seed the two runs are identical.
+ *
+ * Exports:
+ *   REGRESSION_SIGMAS         – default tolerance in standard errors
+ *   buildRegressionSnapshot   – results (+ run metadata) → JSON-safe snapshot
+ *   compareRegressionSnapshots – golden vs current → list of drifted metrics
+ *   formatDriftReport         – human-readable drift list
+ */
+
+import { PER_TURN_METRICS } from './simResults.js';
+import { safeToFixed } from '../utils/math.js';
+
+/** Default tolerance, in standard errors of the difference. */
+export const REGRESSION_SIGMAS = 4;
+
+const round = values => values.map(v => safeToFixed(v, 4));
+
+/**
+ * Reduces monteCarlo results to the metrics a regression snapshot tracks.
+ * `meta` (deck name, seed, config, card count …) is stored alongside as-is.
+ */
+export const buildRegressionSnapshot = (results, meta = {}) => ({
+  ...meta,
+  handsKept: results.handsKept,
+  metrics: Object.fromEntries(
+    PER_TURN_METRICS.map(metric => [
+      metric,
+      { mean: round(results[metric]), stdDev: round(results[`${metric}StdDev`]) },
+    ])
+  ),
+  keyCardPlayability: Object.fromEntries(
+    Object.entries(results.keyCardPlayability ?? {}).map(([card, pcts]) => [card, round(pcts)])
+  ),
+  keyCardOnCurvePlayability: Object.fromEntries(
+    Object.entries(results.keyCardOnCurvePlayability ?? {}).map(([card, pct]) => [
+      card,
+      safeToFixed(pct, 4),
+    ])
+  ),
+  floodRate: results.floodRate == null ? null : safeToFixed(results.floodRate, 4),
+  screwRate: results.screwRate == null ? null : safeToFixed(results.screwRate, 4),
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Comparison
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Rounding slack so values stored at 4 decimals never count as drift. */
+const EPSILON = 1e-4;
+
+const drift = (metric, turn, expected, actual, tolerance, se) => ({
+  metric,
+  turn,
+  expected,
+  actual,
+  diff: expected == null || actual == null ? null : actual - expected,
+  tolerance,
+  sigmas: expected == null || actual == null || !se ? null : (actual - expected) / se,
+});
+
+const checkMean = (out, metric, turn, g, c, nG, nC, sigmas) => {
+  if (g?.mean == null || c?.mean == null) {
+    if (g?.mean !== c?.mean) out.push(drift(metric, turn, g?.mean ?? null, c?.mean ?? null, 0));
+    return;
+  }
+  const se = Math.sqrt(g.stdDev ** 2 / nG + c.stdDev ** 2 / nC);
+  const tolerance = sigmas * se + EPSILON;
+  if (Math.abs(c.mean - g.mean) > tolerance) {
+    out.push(drift(metric, turn, g.mean, c.mean, tolerance, se));
+  }
+};
+
+const checkPercent = (out, metric, turn, g, c, nG, nC, sigmas) => {
+  if (g == null || c == null) {
+    if (g !== c) out.push(drift(metric, turn, g ?? null, c ?? null, 0));
+    return;
+  }
+  const pooled = ((g / 100) * nG + (c / 100) * nC) / (nG + nC);
+  const se = 100 * Math.sqrt(pooled * (1 - pooled) * (1 / nG + 1 / nC));
+  const tolerance = Math.max(sigmas * se, 100 / Math.min(nG, nC)) + EPSILON;
+  if (Math.abs(c - g) > tolerance) out.push(drift(metric, turn, g, c, tolerance, se));
+};
+
+const unionKeys = (a = {}, b = {}) => [...new Set([...Object.keys(a), ...Object.keys(b)])];
+
+/**
+ * Compares a current snapshot against a golden one. Returns one entry per
+ * drifted value — { metric, turn, expected, actual, diff, tolerance, sigmas }
+ * — where `turn` is 1-based (null for whole-game rates) and a metric present
+ * in only one snapshot has a null `expected` or `actual`. Empty when every
+ * value is within tolerance.
+ */
+export const compareRegressionSnapshots = (
+  golden,
+  current,
+  { sigmas = REGRESSION_SIGMAS } = {}
+) => {
+  const out = [];
+  const nG = golden.handsKept;
+  const nC = current.handsKept;
+
+  unionKeys(golden.metrics, current.metrics).forEach(metric => {
+    const g = golden.metrics?.[metric];
+    const c = current.metrics?.[metric];
+    const turns = Math.max(g?.mean.length ?? 0, c?.mean.length ?? 0);
+    for (let t = 0; t < turns; t++) {
+      const at = m => (m && t < m.mean.length ? { mean: m.mean[t], stdDev: m.stdDev[t] } : null);
+      checkMean(out, metric, t + 1, at(g), at(c), nG, nC, sigmas);
+    }
+  });
+
+  unionKeys(golden.keyCardPlayability, current.keyCardPlayability).forEach(card => {
+    const g = golden.keyCardPlayability?.[card] ?? [];
+    const c = current.keyCardPlayability?.[card] ?? [];
+    for (let t = 0; t < Math.max(g.length, c.length); t++) {
+      checkPercent(out, `keyCardPlayability: ${card}`, t + 1, g[t], c[t], nG, nC, sigmas);
+    }
+  });
+
+  unionKeys(golden.keyCardOnCurvePlayability, current.keyCardOnCurvePlayability).forEach(card => {
+    const g = golden.keyCardOnCurvePlayability?.[card];
+    const c = current.keyCardOnCurvePlayability?.[card];
+    checkPercent(out, `keyCardOnCurvePlayability: ${card}`, null, g, c, nG, nC, sigmas);
+  });
+
+  ['floodRate', 'screwRate'].forEach(rate => {
+    checkPercent(out, rate, null, golden[rate], current[rate], nG, nC, sigmas);
+  });
+
+  return out;
+};
+
+const fmt = v => (v == null ? '—' : safeToFixed(v, 4).toString());
+
+/** One line per drifted value, headed by `label`; a single "no drift" line when empty. */
+export const formatDriftReport = (label, drifts) => {
+  if (drifts.length === 0) return `${label}: no drift`;
+  const lines = drifts.map(d => {
+    const where = d.turn == null ? d.metric : `${d.metric} T${d.turn}`;
+    if (d.diff == null) return `  ${where}: ${fmt(d.expected)} → ${fmt(d.actual)} (missing)`;
+    const sign = d.diff > 0 ? '+' : '';
+    const sigma = d.sigmas == null ? '' : `${safeToFixed(d.sigmas, 1)}σ, `;
+    return `  ${where}: ${fmt(d.expected)} → ${fmt(d.actual)} (Δ ${sign}${fmt(d.diff)}, ${sigma}tolerance ±${fmt(d.tolerance)})`;
+  });
+  return [`${label}: ${drifts.length} value(s) drifted`, ...lines].join('\n');
+};
@@ -0,0 +1,63 @@
+/**
+ * rng.js
+ *
+ * Seedable pseudo-random number generation for the simulation engine.
+ * Every random decision in a run (shuffles and fractional-draw Bernoulli
+ * trials) draws from a single `rng` function so that a run can be reproduced
+ * exactly from its seed.
+ *
+ * An `rng` is any zero-argument function returning a float in [0, 1) — the
+ * same contract as Math.random — so callers may plug in their own generator.
+ *
+ * Exports:
+ *   createRng     – mulberry32 generator seeded with a 32-bit unsigned integer
+ *   normalizeSeed – coerces user input to a uint32 seed, or null when blank/invalid
+ *   randomSeed    – draws a fresh uint32 seed from Math.random
+ *   deriveSeed    – deterministic per-shard seed derived from a run seed
+ */
+
+/**
+ * Returns a deterministic PRNG (mulberry32) for the given seed.
+ * Two generators created with the same seed produce identical sequences.
+ *
+ * @param {number} seed – uint32 seed (non-integers are truncated)
+ * @returns {() => number} generator yielding floats in [0, 1)
+ */
+export const createRng = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Coerces a seed from the UI / URL / config into a uint32.
+ * Returns null for blank, non-numeric, or negative input so callers can fall
+ * back to a fresh random seed.
+ */
+export const normalizeSeed = value => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(n) || n < 0) return null;
+  return Math.floor(n) >>> 0;
+};
+
+/** Draws a fresh uint32 seed. Used when the user leaves the seed field blank. */
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+/**
+ * Derives the seed for shard `index` of a run. Index 0 returns the run seed
+ * unchanged; later indices are hashed (murmur3 finaliser) so neighbouring
+ * shards get unrelated streams.
+ */
+export const deriveSeed = (seed, index) => {
+  if (index === 0) return seed >>> 0;
+  let h = ((seed >>> 0) + Math.imul(index, 0x9e3779b9)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
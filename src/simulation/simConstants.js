@@ -28,4 +28,12 @@ export const SIM_SET_FIELDS = [
   'disabledCostReducers',
   'disabledDrawSpells',
   'disabledTreasures',
+  'disabledTutors',
 ];
+
+/**
+ * Iterations per simulation shard. Runs are split into shards of this size
+ * and spread across the worker pool; the split is fixed (independent of the
+ * pool size) so a seed reproduces identical results on every machine.
+ */
+export const SIM_SHARD_SIZE = 1000;
@@ -0,0 +1,478 @@
+/**
+ * simResults.js
+ *
+ * Mergeable partial results for the Monte Carlo engine.
+ *
+ * monteCarloPartial() accumulates raw counts and sums instead of averages, so
+ * a run can be split into shards (run on separate workers), merged back
+ * together, and finalised into exactly the `results` shape monteCarlo()
+ * returns — averages, std-devs, flood/screw rates and percentages included,
+ * each with a 95% confidence interval — plus per-turn histograms and
+ * percentiles, since mana and land counts are discrete and skewed enough
+ * that mean ± σ misdescribes them.
+ *
+ * This file MUST remain free of engine imports so the main thread can merge
+ * worker output without bundling the simulation itself.
+ *
+ * Partial shape:
+ * {
+ *   seed, turns, maxSequences, playDraw, castingPolicy, playPolicy,
+ *   handsKept, mulligans, hasBurstCards,
+ *   sums, sumSqs,                 // { [PER_TURN_METRICS]: number[turns] }
+ *   histograms,                   // { [PER_TURN_METRICS]: count[turns][value] }
+ *   colorSums, colorSumSqs,       // { W|U|B|R|G: number[turns] }
+ *   curve,                        // curve-out mode: { sums, sumSqs } over CURVE_METRICS,
+ *                                 //   null otherwise
+ *   keyCardPlayability,           // { [name]: count[turns] }
+ *   keyCardPlayabilityBurst,      // { [name]: count[turns] }
+ *   keyCardInHandPlayability,     // { [name]: count[turns] } — drawn or tutored, and castable
+ *   keyCardOnCurvePlayability,    // { [name]: count }
+ *   keyCardOnCurveCMC,            // { [name]: cmc | null }
+ *   comboPlayability,             // { [group name]: count[turns] }
+ *   commanderCastTurns,           // { [commander]: count[casts][turns + 1] } — games in
+ *                                 //   which cast k happened on each turn; the last
+ *                                 //   slot counts games where it never happened
+ *   floodCount, screwCount, floodThreshold, screwThreshold,
+ *   fastestPlaySequences, fastestPlaySequencesBurst, comboSequences,
+ *   openingHandLandCounts,        // count[8]
+ *   ciTarget, stoppedEarly,       // adaptive early stopping (see meetsCITarget)
+ * }
+ *
+ * Exports:
+ *   PER_TURN_METRICS     – per-turn numeric metrics tracked as sum / sum-of-squares
+ *   MANA_COLORS          – colour keys tracked in colorsByTurn
+ *   CURVE_METRICS        – per-turn metrics tracked in curve-out mode
+ *   PERCENTILES          – percentiles reported per turn for every per-turn metric
+ *   addToHistogram       – records one value in a per-turn histogram
+ *   createPartialResults – empty accumulator for one shard
+ *   mergePartialResults  – combines shard partials (in shard order)
+ *   finalizeResults      – turns a (merged) partial into the public results object
+ *   planShards           – deterministic split of a run into seeded shards
+ *   keyCardCIHalfWidth   – widest key-card playability CI half-width (% points)
+ *   meetsCITarget        – whether every key card's CI is within a target half-width
+ */
+
+import {
+  meanConfidenceInterval,
+  proportionConfidenceInterval,
+  histogramPercentile,
+} from '../utils/math.js';
+import { deriveSeed } from './rng.js';
+import { SIM_SHARD_SIZE } from './simConstants.js';
+
+export const PER_TURN_METRICS = [
+  'landsPerTurn',
+  'untappedLandsPerTurn',
+  'totalManaPerTurn',
+  'lifeLossPerTurn',
+  'cardsDrawnPerTurn',
+  'treasurePerTurn',
+];
+
+export const MANA_COLORS = ['W', 'U', 'B', 'R', 'G'];
+
+// Kept apart from PER_TURN_METRICS: they exist only in curve-out runs.
+export const CURVE_METRICS = ['manaSpentPerTurn', 'manaWastedPerTurn', 'spellsCastPerTurn'];
+
+export const PERCENTILES = [10, 25, 50, 75, 90];
+
+const zeros = n => Array(n).fill(0);
+
+const addArrays = (a, b) => a.map((v, i) => v + (b[i] ?? 0));
+
+/** Build { [key]: fn(key) } for every key in `keys`. */
+const mapKeys = (keys, fn) => Object.fromEntries(keys.map(k => [k, fn(k)]));
+
+/**
+ * Histograms are dense count arrays indexed by value (index 2 = games with
+ * exactly 2 mana). Values are rounded to the nearest whole number — only
+ * life loss is ever fractional (e.g. Mana Crypt's expected 1.5) — and
+ * negatives are clamped to 0.
+ */
+export const addToHistogram = (histogram, value) => {
+  const bucket = Math.max(0, Math.round(value));
+  while (histogram.length <= bucket) histogram.push(0);
+  histogram[bucket]++;
+};
+
+/** Element-wise sum of two count arrays of possibly different lengths. */
+const addHistograms = (a, b) =>
+  Array.from({ length: Math.max(a.length, b.length) }, (_, i) => (a[i] ?? 0) + (b[i] ?? 0));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createPartialResults
+// ─────────────────────────────────────────────────────────────────────────────
+export const createPartialResults = ({
+  turns,
+  keyCardNames = [],
+  comboGroupNames = [],
+  commanderNames = [],
+  commanderCasts = 1,
+  maxSequences = 1,
+  seed = null,
+  playDraw = 'play',
+  castingPolicy = 'greedy',
+  playPolicy = 'default',
+  floodThreshold,
+  screwThreshold,
+  ciTarget = null,
+  curveOut = false,
+}) => ({
+  seed,
+  turns,
+  maxSequences,
+  playDraw,
+  castingPolicy,
+  playPolicy,
+  handsKept: 0,
+  mulligans: 0,
+  hasBurstCards: false,
+  sums: mapKeys(PER_TURN_METRICS, () => zeros(turns)),
+  sumSqs: mapKeys(PER_TURN_METRICS, () => zeros(turns)),
+  histograms: mapKeys(PER_TURN_METRICS, () => Array.from({ length: turns }, () => [])),
+  colorSums: mapKeys(MANA_COLORS, () => zeros(turns)),
+  colorSumSqs: mapKeys(MANA_COLORS, () => zeros(turns)),
+  curve: curveOut
+    ? {
+        sums: mapKeys(CURVE_METRICS, () => zeros(turns)),
+        sumSqs: mapKeys(CURVE_METRICS, () => zeros(turns)),
+      }
+    : null,
+  keyCardPlayability: mapKeys(keyCardNames, () => zeros(turns)),
+  keyCardPlayabilityBurst: mapKeys(keyCardNames, () => zeros(turns)),
+  keyCardInHandPlayability: mapKeys(keyCardNames, () => zeros(turns)),
+  keyCardOnCurvePlayability: mapKeys(keyCardNames, () => 0),
+  keyCardOnCurveCMC: {},
+  comboPlayability: mapKeys(comboGroupNames, () => zeros(turns)),
+  commanderCastTurns: mapKeys(commanderNames, () =>
+    Array.from({ length: commanderCasts }, () => zeros(turns + 1))
+  ),
+  floodCount: 0,
+  screwCount: 0,
+  floodThreshold,
+  screwThreshold,
+  fastestPlaySequences: {},
+  fastestPlaySequencesBurst: {},
+  comboSequences: {},
+  // Land count of the kept opening hand, bucketed 0-7.
+  openingHandLandCounts: zeros(8),
+  ciTarget,
+  stoppedEarly: false,
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// mergePartialResults
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Element-wise sum of two { key: number[] } maps. */
+const mergeArrayMaps = (a, b) =>
+  mapKeys([...new Set([...Object.keys(a), ...Object.keys(b)])], k =>
+    a[k] && b[k] ? addArrays(a[k], b[k]) : [...(a[k] ?? b[k])]
+  );
+
+/** Concatenate example sequences per card / turn, keeping the first `max`. */
+const mergeSequences = (a, b, max) => {
+  const out = {};
+  [a, b].forEach(src => {
+    Object.entries(src).forEach(([name, byTurn]) => {
+      out[name] ??= {};
+      Object.entries(byTurn).forEach(([turn, seqs]) => {
+        out[name][turn] = [...(out[name][turn] ?? []), ...seqs].slice(0, max);
+      });
+    });
+  });
+  return out;
+};
+
+/**
+ * Combine shard partials into one partial. Partials must be passed in shard
+ * order: example play sequences are kept first-come, and the merged seed is
+ * taken from shard 0 (which runs on the run seed itself).
+ */
+export const mergePartialResults = partials => {
+  if (!partials || partials.length === 0) return null;
+  return partials.slice(1).reduce(
+    (acc, p) => ({
+      ...acc,
+      handsKept: acc.handsKept + p.handsKept,
+      mulligans: acc.mulligans + p.mulligans,
+      hasBurstCards: acc.hasBurstCards || p.hasBurstCards,
+      sums: mergeArrayMaps(acc.sums, p.sums),
+      sumSqs: mergeArrayMaps(acc.sumSqs, p.sumSqs),
+      histograms: mapKeys(PER_TURN_METRICS, m =>
+        acc.histograms[m].map((h, t) => addHistograms(h, p.histograms[m][t] ?? []))
+      ),
+      colorSums: mergeArrayMaps(acc.colorSums, p.colorSums),
+      colorSumSqs: mergeArrayMaps(acc.colorSumSqs, p.colorSumSqs),
+      curve: acc.curve && {
+        sums: mergeArrayMaps(acc.curve.sums, p.curve.sums),
+        sumSqs: mergeArrayMaps(acc.curve.sumSqs, p.curve.sumSqs),
+      },
+      keyCardPlayability: mergeArrayMaps(acc.keyCardPlayability, p.keyCardPlayability),
+      keyCardPlayabilityBurst: mergeArrayMaps(
+        acc.keyCardPlayabilityBurst,
+        p.keyCardPlayabilityBurst
+      ),
+      keyCardInHandPlayability: mergeArrayMaps(
+        acc.keyCardInHandPlayability,
+        p.keyCardInHandPlayability
+      ),
+      keyCardOnCurvePlayability: mapKeys(
+        Object.keys({ ...acc.keyCardOnCurvePlayability, ...p.keyCardOnCurvePlayability }),
+        k => (acc.keyCardOnCurvePlayability[k] ?? 0) + (p.keyCardOnCurvePlayability[k] ?? 0)
+      ),
+      keyCardOnCurveCMC: { ...p.keyCardOnCurveCMC, ...acc.keyCardOnCurveCMC },
+      comboPlayability: mergeArrayMaps(acc.comboPlayability, p.comboPlayability),
+      commanderCastTurns: mapKeys(Object.keys(acc.commanderCastTurns), k =>
+        acc.commanderCastTurns[k].map((counts, i) => addArrays(counts, p.commanderCastTurns[k][i]))
+      ),
+      floodCount: acc.floodCount + p.floodCount,
+      screwCount: acc.screwCount + p.screwCount,
+      fastestPlaySequences: mergeSequences(
+        acc.fastestPlaySequences,
+        p.fastestPlaySequences,
+        acc.maxSequences
+      ),
+      fastestPlaySequencesBurst: mergeSequences(
+        acc.fastestPlaySequencesBurst,
+        p.fastestPlaySequencesBurst,
+        acc.maxSequences
+      ),
+      comboSequences: mergeSequences(acc.comboSequences, p.comboSequences, acc.maxSequences),
+      openingHandLandCounts: addArrays(acc.openingHandLandCounts, p.openingHandLandCounts),
+    }),
+    partials[0]
+  );
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// finalizeResults
+// ─────────────────────────────────────────────────────────────────────────────
+
+const meanOf = (sum, n) => (n > 0 ? sum / n : 0);
+
+/** 95% Wilson interval of `count` out of `n`, in percent. */
+const percentCI = (count, n) => {
+  const { low, high } = proportionConfidenceInterval(count, n);
+  return { low: low * 100, high: high * 100 };
+};
+
+/** Population std-dev from running sums; 0 for fewer than 2 samples. */
+const stdDevOf = (sum, sumSq, n) => {
+  if (n < 2) return 0;
+  const mean = sum / n;
+  return Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+};
+
+/**
+ * One commander cast's turn distribution: the share of games it happened on
+ * each turn and by each turn, the share where it never did, and the average
+ * turn among the games where it did (null if none).
+ */
+const summarizeCommanderCast = (counts, n) => {
+  const onTurn = counts.slice(0, -1);
+  const castGames = onTurn.reduce((s, c) => s + c, 0);
+  let running = 0;
+  return {
+    byTurn: onTurn.map(c => (c / n) * 100),
+    castBy: onTurn.map(c => ((running += c) / n) * 100),
+    notCast: (counts[counts.length - 1] / n) * 100,
+    avgTurn: castGames > 0 ? onTurn.reduce((s, c, t) => s + c * (t + 1), 0) / castGames : null,
+  };
+};
+
+/**
+ * Converts a partial into the public results object: per-turn averages and
+ * std-devs, colour breakdowns, flood/screw rates, key-card / combo-group /
+ * opening-hand percentages, and — in curve-out runs — `results.curveOut` with
+ * mana spent / wasted and spells cast per turn (means, std-devs, share of
+ * available mana used); null otherwise.
+ *
+ * `results.confidenceIntervals` mirrors those fields with a 95% { low, high }
+ * interval per value: normal-approximation for averages, Wilson score for
+ * percentages (key cards, combo groups, flood, screw).
+ *
+ * `results.histograms[metric][turn]` holds game counts per whole value and
+ * `results.percentiles[metric][turn]` the matching { p10, p25, p50, p75, p90 }.
+ */
+export const finalizeResults = partial => {
+  const { turns, handsKept: n } = partial;
+  const toPercent = count => (count / n) * 100;
+
+  const results = {};
+  const ci = { level: 0.95 };
+  PER_TURN_METRICS.forEach(metric => {
+    const sums = partial.sums[metric];
+    const sumSqs = partial.sumSqs[metric];
+    results[metric] = sums.map(s => meanOf(s, n));
+    results[`${metric}StdDev`] = sums.map((s, t) => stdDevOf(s, sumSqs[t], n));
+    ci[metric] = results[metric].map((mean, t) =>
+      meanConfidenceInterval(mean, results[`${metric}StdDev`][t], n)
+    );
+  });
+
+  const histograms = mapKeys(PER_TURN_METRICS, m => partial.histograms[m].map(h => [...h]));
+  const percentiles = mapKeys(PER_TURN_METRICS, m =>
+    histograms[m].map(h =>
+      Object.fromEntries(PERCENTILES.map(q => [`p${q}`, histogramPercentile(h, q)]))
+    )
+  );
+
+  const byTurnColors = fn =>
+    Array.from({ length: turns }, (_, t) => mapKeys(MANA_COLORS, c => fn(c, t)));
+  results.colorsByTurn = byTurnColors((c, t) => meanOf(partial.colorSums[c][t], n));
+  results.colorsByTurnStdDev = byTurnColors((c, t) =>
+    stdDevOf(partial.colorSums[c][t], partial.colorSumSqs[c][t], n)
+  );
+  ci.colorsByTurn = byTurnColors((c, t) =>
+    meanConfidenceInterval(results.colorsByTurn[t][c], results.colorsByTurnStdDev[t][c], n)
+  );
+
+  // Curve-out: per-turn means like PER_TURN_METRICS, plus the share of the
+  // available mana spent (total spent / total spent + wasted, in %).
+  let curveOut = null;
+  if (partial.curve) {
+    curveOut = {};
+    ci.curveOut = {};
+    CURVE_METRICS.forEach(metric => {
+      const sums = partial.curve.sums[metric];
+      const sumSqs = partial.curve.sumSqs[metric];
+      curveOut[metric] = sums.map(s => meanOf(s, n));
+      curveOut[`${metric}StdDev`] = sums.map((s, t) => stdDevOf(s, sumSqs[t], n));
+      ci.curveOut[metric] = curveOut[metric].map((mean, t) =>
+        meanConfidenceInterval(mean, curveOut[`${metric}StdDev`][t], n)
+      );
+    });
+    const { manaSpentPerTurn: spent, manaWastedPerTurn: wasted } = partial.curve.sums;
+    curveOut.manaUsedPerTurn = spent.map((s, t) =>
+      s + wasted[t] > 0 ? (s / (s + wasted[t])) * 100 : 0
+    );
+  }
+
+  const floodTurnIdx = partial.floodThreshold.turn - 1;
+  const screwTurnIdx = partial.screwThreshold.turn - 1;
+  const floodInRange = floodTurnIdx >= 0 && floodTurnIdx < turns;
+  const screwInRange = screwTurnIdx >= 0 && screwTurnIdx < turns;
+
+  ci.keyCardPlayability = mapKeys(Object.keys(partial.keyCardPlayability), k =>
+    partial.keyCardPlayability[k].map(count => percentCI(count, n))
+  );
+  ci.keyCardPlayabilityBurst = mapKeys(Object.keys(partial.keyCardPlayabilityBurst), k =>
+    partial.keyCardPlayabilityBurst[k].map(count => percentCI(count, n))
+  );
+  ci.keyCardInHandPlayability = mapKeys(Object.keys(partial.keyCardInHandPlayability), k =>
+    partial.keyCardInHandPlayability[k].map(count => percentCI(count, n))
+  );
+  ci.keyCardOnCurvePlayability = mapKeys(Object.keys(partial.keyCardOnCurvePlayability), k =>
+    percentCI(partial.keyCardOnCurvePlayability[k], n)
+  );
+  ci.comboPlayability = mapKeys(Object.keys(partial.comboPlayability), k =>
+    partial.comboPlayability[k].map(count => percentCI(count, n))
+  );
+  ci.floodRate = floodInRange ? percentCI(partial.floodCount, n) : null;
+  ci.screwRate = screwInRange ? percentCI(partial.screwCount, n) : null;
+
+  return {
+    ...results,
+    curveOut,
+    keyCardPlayability: mapKeys(Object.keys(partial.keyCardPlayability), k =>
+      partial.keyCardPlayability[k].map(toPercent)
+    ),
+    keyCardPlayabilityBurst: mapKeys(Object.keys(partial.keyCardPlayabilityBurst), k =>
+      partial.keyCardPlayabilityBurst[k].map(toPercent)
+    ),
+    // Castable and actually in hand (or already cast) — what tutors improve
+    keyCardInHandPlayability: mapKeys(Object.keys(partial.keyCardInHandPlayability), k =>
+      partial.keyCardInHandPlayability[k].map(toPercent)
+    ),
+    // On-curve percentage (single number per card, not per-turn)
+    keyCardOnCurvePlayability: mapKeys(Object.keys(partial.keyCardOnCurvePlayability), k =>
+      toPercent(partial.keyCardOnCurvePlayability[k])
+    ),
+    keyCardOnCurveCMC: { ...partial.keyCardOnCurveCMC },
+    comboPlayability: mapKeys(Object.keys(partial.comboPlayability), k =>
+      partial.comboPlayability[k].map(toPercent)
+    ),
+    comboSequences: partial.comboSequences,
+    commanderCasts: mapKeys(Object.keys(partial.commanderCastTurns), k =>
+      partial.commanderCastTurns[k].map(counts => summarizeCommanderCast(counts, n))
+    ),
+    floodRate: floodInRange ? toPercent(partial.floodCount) : null,
+    screwRate: screwInRange ? toPercent(partial.screwCount) : null,
+    floodThreshold: partial.floodThreshold,
+    screwThreshold: partial.screwThreshold,
+    hasBurstCards: partial.hasBurstCards,
+    fastestPlaySequences: partial.fastestPlaySequences,
+    fastestPlaySequencesBurst: partial.fastestPlaySequencesBurst,
+    mulligans: partial.mulligans,
+    handsKept: n,
+    seed: partial.seed,
+    playDraw: partial.playDraw,
+    castingPolicy: partial.castingPolicy,
+    playPolicy: partial.playPolicy,
+    openingHandLandCounts:
+      n > 0 ? partial.openingHandLandCounts.map(toPercent) : [...partial.openingHandLandCounts],
+    confidenceIntervals: ci,
+    histograms,
+    percentiles,
+    maxKeyCardCIHalfWidth: keyCardCIHalfWidth(partial),
+    ciTarget: partial.ciTarget ?? null,
+    stoppedEarly: partial.stoppedEarly ?? false,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Adaptive early stopping
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Widest 95% CI half-width, in percentage points, across every key card's
+ * per-turn playability. null when no key cards are tracked or no hands have
+ * been simulated yet.
+ */
+export const keyCardCIHalfWidth = partial => {
+  const n = partial.handsKept;
+  const counts = Object.values(partial.keyCardPlayability).flat();
+  if (n === 0 || counts.length === 0) return null;
+  return Math.max(
+    ...counts.map(count => {
+      const { low, high } = proportionConfidenceInterval(count, n);
+      return ((high - low) / 2) * 100;
+    })
+  );
+};
+
+/**
+ * True once every key card's per-turn playability CI half-width is at most
+ * `target` percentage points. Always false without a positive target or
+ * without key cards, so such runs use their full iteration count.
+ */
+export const meetsCITarget = (partial, target) => {
+  if (!(target > 0)) return false;
+  const widest = keyCardCIHalfWidth(partial);
+  return widest != null && widest <= target;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// planShards
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Splits a run into fixed-size shards, each with its own seed derived from the
+ * run seed. The plan depends only on (iterations, seed, shardSize) — never on
+ * the number of workers — so a seed reproduces the same results on any
+ * machine. Shard 0 runs on the run seed itself, so runs that fit in a single
+ * shard match a plain monteCarlo() call with that seed.
+ *
+ * @returns {{ index: number, iterations: number, seed: number }[]}
+ */
+export const planShards = (iterations, seed, shardSize = SIM_SHARD_SIZE) => {
+  const size = Math.max(1, Math.floor(shardSize));
+  const total = Math.max(0, Math.floor(iterations) || 0);
+  const count = Math.max(1, Math.ceil(total / size));
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    iterations: Math.max(0, Math.min(size, total - index * size)),
+    seed: deriveSeed(seed, index),
+  }));
+};
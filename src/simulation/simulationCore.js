@@ -6,15 +6,18 @@
  *
  *   simHelpers.js  – shared constants (SUBTYPE_TO_COLOR, PAIN_LAND_ACTIVE_TURNS, …)
  *                    and pure helpers (parseColorPips, getAllSpells)
- *   landUtils.js   – doesLandEnterTapped, selectBestLand, findBestLandToFetch, playLand,
- *                    matchesRampFilter
+ *   landUtils.js   – doesLandEnterTapped, selectBestLand, fetchTargets, findBestLandToFetch,
+ *                    playLand, matchesRampFilter
  *   manaUtils.js   – tapManaSources, calculateManaAvailability, calculateCostDiscount,
- *                    solveColorPips, canPlayCard
- *   castSpells.js  – castSpells (all 4 casting phases + _runCastingLoop)
+ *                    solveColorPips, canPlayCard, canPlayTogether, canCastCombo
+ *   castSpells.js  – castSpells (all 4 casting phases + _runCastingLoop), isNonManaSpell,
+ *                    castCurveSpells
+ *   libraryUtils.js – keepOnTop, hasLibraryManipulation, manipulateLibrary
+ *   tutorUtils.js  – matchesTutorFilter, chooseTutorTarget, resolveTutor
  *
- * This file retains shuffle, calculateBattlefieldDamage, and enforceHandSizeLimit,
- * and re-exports everything else so existing callers (monteCarlo.js, tests) are
- * unaffected without any import-path changes.
+ * This file retains shuffle, calculateBattlefieldDamage, chooseDiscard and
+ * enforceHandSizeLimit, and re-exports everything else so existing callers
+ * (monteCarlo.js, tests) are unaffected without any import-path changes.
  */
 
 import { PAIN_LAND_ACTIVE_TURNS } from './simHelpers.js';
@@ -27,6 +30,7 @@ export {
   matchesRampFilter,
   doesLandEnterTapped,
   selectBestLand,
+  fetchTargets,
   findBestLandToFetch,
   playLand,
 } from './landUtils.js';
@@ -37,18 +41,26 @@ export {
   calculateCostDiscount,
   solveColorPips,
   canPlayCard,
+  canPlayTogether,
+  canCastCombo,
 } from './manaUtils.js';
 
-export { castSpells } from './castSpells.js';
+export { castSpells, isNonManaSpell, castCurveSpells } from './castSpells.js';
+
+export { keepOnTop, hasLibraryManipulation, manipulateLibrary } from './libraryUtils.js';
+
+export { matchesTutorFilter, chooseTutorTarget, resolveTutor } from './tutorUtils.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // shuffle
+//   Fisher-Yates shuffle into a new array.  `rng` is any [0, 1) generator
+//   (see rng.js); pass a seeded one for reproducible runs.
 // ─────────────────────────────────────────────────────────────────────────────
 
-export const shuffle = array => {
+export const shuffle = (array, rng = Math.random) => {
   const arr = [...array];
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
@@ -125,21 +137,47 @@ export const calculateBattlefieldDamage = (battlefield, turn) => {
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// enforceHandSizeLimit
+// chooseDiscard / enforceHandSizeLimit
 //   Discards cards from `hand` down to `maxHandSize` at end of turn.
 //   · If `battlefield` has >= `floodNLands` lands → the player is flooded:
 //     prefer discarding lands from hand (tapped-entering ones first).
 //   · Otherwise → prefer discarding the highest-CMC non-land spells (mana
 //     screw or normal discard).
 //   Discarded cards are moved to `graveyard`; each discard is logged.
+//   chooseDiscard makes the choice of one card; a play policy can swap in its
+//   own through the `choose` parameter (see playPolicy.js).
 // ─────────────────────────────────────────────────────────────────────────────
+export const chooseDiscard = (hand, battlefield, { isFlooded = false } = {}) => {
+  if (isFlooded) {
+    // Flooded: discard a land from hand, preferring tapped-entering basics
+    const landsInHand = hand.filter(c => c.isLand);
+    if (landsInHand.length > 0) {
+      return (
+        landsInHand.find(l => l.entersTappedAlways && l.isBasic) ??
+        landsInHand.find(l => l.entersTappedAlways) ??
+        landsInHand[0]
+      );
+    }
+  }
+
+  // Not flooded, or no lands in hand: discard highest-CMC non-land
+  const nonLands = hand.filter(c => !c.isLand);
+  if (nonLands.length > 0) {
+    return nonLands.reduce((best, c) => ((c.cmc ?? 0) >= (best.cmc ?? 0) ? c : best), nonLands[0]);
+  }
+  // Only lands in hand — discard one
+  const basics = hand.filter(c => c.isBasic);
+  return basics[0] ?? hand[0];
+};
+
 export const enforceHandSizeLimit = (
   hand,
   graveyard,
   maxHandSize,
   battlefield,
   floodNLands = 5,
-  turnLog = null
+  turnLog = null,
+  choose = chooseDiscard
 ) => {
   if (hand.length <= maxHandSize) return;
 
@@ -147,34 +185,7 @@ export const enforceHandSizeLimit = (
   const isFlooded = landCountOnBF >= floodNLands;
 
   while (hand.length > maxHandSize) {
-    let toDiscard = null;
-
-    if (isFlooded) {
-      // Flooded: discard a land from hand, preferring tapped-entering basics
-      const landsInHand = hand.filter(c => c.isLand);
-      if (landsInHand.length > 0) {
-        toDiscard =
-          landsInHand.find(l => l.entersTappedAlways && l.isBasic) ??
-          landsInHand.find(l => l.entersTappedAlways) ??
-          landsInHand[0];
-      }
-    }
-
-    if (!toDiscard) {
-      // Not flooded, or no lands in hand: discard highest-CMC non-land
-      const nonLands = hand.filter(c => !c.isLand);
-      if (nonLands.length > 0) {
-        toDiscard = nonLands.reduce(
-          (best, c) => ((c.cmc ?? 0) >= (best.cmc ?? 0) ? c : best),
-          nonLands[0]
-        );
-      } else {
-        // Only lands in hand — discard one
-        const basics = hand.filter(c => c.isBasic);
-        toDiscard = basics[0] ?? hand[0];
-      }
-    }
-
+    const toDiscard = choose(hand, battlefield, { isFlooded });
     hand.splice(hand.indexOf(toDiscard), 1);
     graveyard.push(toDiscard);
     if (turnLog) {
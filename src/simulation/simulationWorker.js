@@ -1,21 +1,32 @@
 /**
  * simulationWorker.js
  *
- * ES-module Web Worker for the Monte Carlo simulation engine.
+ * ES-module Web Worker for the Monte Carlo simulation engine. Each message
+ * runs one shard of a simulation (see planShards in simResults.js); the
+ * worker pool in workerPool.js merges the returned partials.
  *
  * Message protocol
  * ────────────────
- * Incoming  { type: 'RUN', deckId, deckToParse, config }
+ * Incoming  { type: 'RUN', deckId, shardIndex, deckToParse, config, withExact }
  *   config.selectedKeyCards / disabled* are plain arrays (Sets cannot be
  *   cloned via structured clone), rehydrated to Sets on arrival.
+ *   config.iterations / config.seed are the shard's own; a custom `rng`
+ *   function cannot cross the worker boundary, so the worker always seeds
+ *   its own generator from config.seed.
+ *   withExact asks for the exact on-curve figures (exactOnCurve in
+ *   hypergeometric.js) too; the pool sets it on one shard per job, so the
+ *   calculation stays off the main thread.
  *
  * Outgoing
- *   { type: 'PROGRESS', deckId, completed, total }   — every ~250 iterations
- *   { type: 'RESULT',   deckId, results }             — on success
- *   { type: 'ERROR',    deckId, message }             — on failure
+ *   { type: 'PROGRESS', deckId, shardIndex, completed, total } — every ~250 iterations
+ *   { type: 'PARTIAL',  deckId, shardIndex, partial, exactOnCurve }
+ *                                                               — raw counts/sums on success;
+ *                                                                 exactOnCurve when withExact
+ *   { type: 'ERROR',    deckId, shardIndex, message }          — on failure
  */
 
-import { monteCarlo } from './monteCarlo.js';
+import { monteCarloPartial } from './monteCarlo.js';
+import { exactOnCurve } from './hypergeometric.js';
 import { SIM_SET_FIELDS } from './simConstants.js';
 
 /** Fields whose values are serialised as Arrays in the message payload.
@@ -26,20 +37,21 @@ import { SIM_SET_FIELDS } from './simConstants.js';
 self.onmessage = ({ data }) => {
   if (data.type !== 'RUN') return;
 
-  const { deckId, deckToParse, config } = data;
+  const { deckId, shardIndex, deckToParse, config, withExact = false } = data;
 
-  // Rehydrate arrays → Sets so monteCarlo receives the expected types.
+  // Rehydrate arrays → Sets so monteCarloPartial receives the expected types.
   const rehydrated = { ...config };
   SIM_SET_FIELDS.forEach(field => {
     rehydrated[field] = new Set(config[field] ?? []);
   });
 
   try {
-    const results = monteCarlo(deckToParse, rehydrated, (completed, total) => {
-      self.postMessage({ type: 'PROGRESS', deckId, completed, total });
+    const partial = monteCarloPartial(deckToParse, rehydrated, (completed, total) => {
+      self.postMessage({ type: 'PROGRESS', deckId, shardIndex, completed, total });
     });
-    self.postMessage({ type: 'RESULT', deckId, results });
+    const exact = withExact ? exactOnCurve(deckToParse, rehydrated) : undefined;
+    self.postMessage({ type: 'PARTIAL', deckId, shardIndex, partial, exactOnCurve: exact });
   } catch (err) {
-    self.postMessage({ type: 'ERROR', deckId, message: err.message ?? String(err) });
+    self.postMessage({ type: 'ERROR', deckId, shardIndex, message: err.message ?? String(err) });
   }
 };
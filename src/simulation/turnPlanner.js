@@ -0,0 +1,178 @@
+/**
+ * turnPlanner.js
+ *
+ * The "turn planner" casting policy: instead of castSpells' fixed priority
+ * order and lowest-CMC-first loops, choose the subset of castable cards that
+ * makes the most of this turn's mana — a small knapsack over the hand.
+ *
+ * A plan is scored by the mana it spends this turn plus the mana it adds for
+ * later turns (see manaGain). The model:
+ *   • Cost reducers and mana artifacts that enter untapped are cast first, in
+ *     castSpells' order, each paid from what is left — so a Sol Ring can pay
+ *     for itself and more, and a reducer discounts everything after it.
+ *   • Every other card in the plan is paid out of the remaining mana at once:
+ *     the summed (discounted) cost, with all coloured pips matched to distinct
+ *     sources by solveColorPips (see canPlayTogether).
+ * Subsets are searched depth-first; a card the remaining mana cannot pay for
+ * is never added, so infeasible branches are cut early. Only the
+ * MAX_PLAN_CANDIDATES cheapest cards are considered.
+ *
+ * Exports:
+ *   CASTING_POLICIES    – ids and labels of the casting policies
+ *   MAX_PLAN_CANDIDATES – cards considered per plan
+ *   effectiveCost       – mana a card costs after a discount (never below its pips)
+ *   manaGain            – mana a card adds on later turns
+ *   planTurn            – best ordered subset of cards to cast this turn
+ *   sortSourcesForPlan  – orders the battlefield so payments keep the plan's colours
+ */
+
+import { MOX_PRIORITY_ARTIFACTS, BURST_MANA_SOURCES } from '../../card_data/Artifacts.js';
+import {
+  tapManaSources,
+  calculateManaAvailability,
+  calculateCostDiscount,
+  canPlayCard,
+  canPlayTogether,
+} from './manaUtils.js';
+import { parseColorPips } from './simHelpers.js';
+
+export const CASTING_POLICIES = [
+  { id: 'greedy', label: 'Greedy (priority order, cheapest first)' },
+  { id: 'planner', label: 'Turn planner (most mana used)' },
+];
+
+export const MAX_PLAN_CANDIDATES = 10;
+
+export const effectiveCost = (card, discount = 0) =>
+  Math.max(parseColorPips(card.manaCost).length, (card.cmc ?? 0) - discount);
+
+const isBurstSource = card => BURST_MANA_SOURCES.has(card.name?.toLowerCase());
+
+/**
+ * Mana a card adds from the next turn on: a producer's output, a ramp spell's
+ * lands, a reducer's discount, extra land drops, or treasures.
+ */
+export const manaGain = card => {
+  if ((card.isManaCreature || card.isManaArtifact) && !isBurstSource(card)) {
+    return card.manaAmount ?? 1;
+  }
+  if (card.isRampSpell) return card.landsToAdd ?? 0;
+  if (card.isCostReducer) return card.reducesAmount ?? 1;
+  if (card.isExploration) return Math.max(0, (card.landsPerTurn ?? 2) - 1);
+  if (card.isTreasureCard) {
+    return card.isOneTreasure ? (card.treasuresProduced ?? 0) : (card.avgTreasuresPerTurn ?? 0);
+  }
+  return 0;
+};
+
+/** Cards whose cast changes this turn's mana: reducers and untapped mana rocks. */
+const castsFirst = card =>
+  card.isCostReducer ||
+  (card.isManaArtifact && !card.entersTapped && !isBurstSource(card) && !card.isManaCreature);
+
+/** castSpells' order: reducers by CMC, then rocks with Moxen first. */
+const firstStageOrder = (a, b) => {
+  if (!!a.isCostReducer !== !!b.isCostReducer) return a.isCostReducer ? -1 : 1;
+  const prio = c =>
+    !c.isCostReducer && MOX_PRIORITY_ARTIFACTS.has(c.name?.toLowerCase()) ? -1 : c.cmc;
+  return prio(a) - prio(b);
+};
+
+/**
+ * Best plan for `cards` (candidates from hand) against `battlefield`, which
+ * is left untouched.
+ *
+ * @param {object[]} cards
+ * @param {object[]} battlefield
+ * @param {number}   [turn]
+ * @returns {{ cards: object[], manaSpent: number, manaGained: number }} with
+ *   `cards` in casting order. Ties on score go to the plan spending more mana
+ *   now, then to the one found first (fewer, earlier cards).
+ */
+export const planTurn = (cards, battlefield, turn = 999) => {
+  const candidates = [...cards]
+    .sort((a, b) => (a.cmc ?? 0) - (b.cmc ?? 0))
+    .slice(0, MAX_PLAN_CANDIDATES);
+  const first = candidates.filter(castsFirst).sort(firstStageOrder);
+  const rest = candidates.filter(c => !castsFirst(c));
+
+  let best = { cards: [], manaSpent: 0, manaGained: 0 };
+  const consider = (plan, manaSpent, manaGained) => {
+    const score = manaSpent + manaGained;
+    const bestScore = best.manaSpent + best.manaGained;
+    if (score > bestScore || (score === bestScore && manaSpent > best.manaSpent)) {
+      best = { cards: plan, manaSpent, manaGained };
+    }
+  };
+
+  // Remaining cards, paid together out of the mana left after the first stage
+  const planRest = (field, plan, spent, gained) => {
+    const mana = calculateManaAvailability(field, turn);
+    const discounts = rest.map(c => calculateCostDiscount(c, field));
+    const walk = (i, chosen, chosenDiscounts, restSpent, restGained) => {
+      if (i === rest.length) {
+        consider([...plan, ...chosen], spent + restSpent, gained + restGained);
+        return;
+      }
+      const card = rest[i];
+      const withCard = [...chosen, card];
+      const withDiscounts = [...chosenDiscounts, discounts[i]];
+      if (canPlayTogether(withCard, mana, withDiscounts)) {
+        walk(
+          i + 1,
+          withCard,
+          withDiscounts,
+          restSpent + effectiveCost(card, discounts[i]),
+          restGained + manaGain(card)
+        );
+      }
+      walk(i + 1, chosen, chosenDiscounts, restSpent, restGained);
+    };
+    walk(0, [], [], 0, 0);
+  };
+
+  // First stage, cast one at a time on a copy of the battlefield
+  const walkFirst = (i, field, plan, spent, gained) => {
+    if (i === first.length) {
+      planRest(field, plan, spent, gained);
+      return;
+    }
+    const card = first[i];
+    const discount = calculateCostDiscount(card, field);
+    if (canPlayCard(card, calculateManaAvailability(field, turn), discount)) {
+      const next = field.map(p => ({ ...p }));
+      tapManaSources(card, next, discount);
+      next.push({
+        card,
+        tapped: card.entersTapped || false,
+        summoningSick: card.isCreature ?? false,
+        enteredOnTurn: turn,
+      });
+      walkFirst(
+        i + 1,
+        next,
+        [...plan, card],
+        spent + effectiveCost(card, discount),
+        gained + manaGain(card)
+      );
+    }
+    walkFirst(i + 1, field, plan, spent, gained);
+  };
+
+  walkFirst(0, battlefield, [], 0, 0);
+  return best;
+};
+
+/**
+ * Reorders `battlefield` in place so mana sources producing fewer of the
+ * colours `cards` need come first. tapManaSources pays with the first
+ * matching sources, so this spends single-colour lands before the duals a
+ * later card in the plan depends on.
+ */
+export const sortSourcesForPlan = (battlefield, cards) => {
+  const needed = new Set(cards.flatMap(c => parseColorPips(c.manaCost)));
+  const flexibility = p => (p.card.produces ?? []).filter(c => needed.has(c)).length;
+  const order = battlefield.map((p, i) => [flexibility(p), i, p]);
+  order.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  order.forEach(([, , p], i) => (battlefield[i] = p));
+};
@@ -0,0 +1,80 @@
+/**
+ * tutorUtils.js
+ *
+ * Tutors: cards that search the library for a specific card (Tutors.js).
+ * castSpells casts a tutor only when a key card it can find is still in the
+ * library; the play policy's chooseTutorTarget picks which one, and
+ * resolveTutor moves it to the hand or the top of the library. The shuffle
+ * that follows a search is skipped: the rest of the library keeps its order.
+ *
+ * Exports:
+ *   matchesTutorFilter – whether a tutor can find a card
+ *   chooseTutorTarget  – default choice of the key card to find
+ *   resolveTutor       – moves the chosen card out of the library (mutates)
+ */
+
+const TYPE_FILTERS = {
+  any: () => true,
+  creature: types => types.includes('creature'),
+  artifact: types => types.includes('artifact'),
+  enchantment: types => types.includes('enchantment'),
+  artifact_enchantment: types => types.includes('artifact') || types.includes('enchantment'),
+  instant_sorcery: types => types.includes('instant') || types.includes('sorcery'),
+  sorcery: types => types.includes('sorcery'),
+  land: types => types.includes('land'),
+};
+
+/** Card types of a processed card: its type line, else what its category implies. */
+const cardTypes = card =>
+  [
+    card.typeLine ?? '',
+    card.isLand ? 'land' : '',
+    card.isManaCreature || card.isCreature ? 'creature' : '',
+    card.isManaArtifact ? 'artifact' : '',
+    card.cardDrawType ?? '',
+  ]
+    .join(' ')
+    .toLowerCase();
+
+export const matchesTutorFilter = (card, tutor) => {
+  const manaValue = card.cmc ?? 0;
+  if (tutor.manaValue != null && manaValue !== tutor.manaValue) return false;
+  if (tutor.maxManaValue != null && manaValue > tutor.maxManaValue) return false;
+  return TYPE_FILTERS[tutor.finds ?? 'any']?.(cardTypes(card)) ?? false;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// chooseTutorTarget
+//   The key card to find: one the tutor can find that is in the library but
+//   not already in hand or on the battlefield. The cheapest wins — it is the
+//   one castable soonest — and ties go to the key card listed first.
+//   Returns null when there is nothing worth finding; the tutor is then held.
+//
+//   context = { hand, battlefield, keyCardNames, turn }
+// ─────────────────────────────────────────────────────────────────────────────
+export const chooseTutorTarget = (tutor, library, { hand, battlefield, keyCardNames }) => {
+  const held = new Set([...hand.map(c => c.name), ...battlefield.map(p => p.card.name)]);
+  const rank = card => keyCardNames.indexOf(card.name);
+  return library.reduce((best, card) => {
+    if (rank(card) === -1 || held.has(card.name) || !matchesTutorFilter(card, tutor)) return best;
+    if (!best) return card;
+    const byCost = (card.cmc ?? 0) - (best.cmc ?? 0);
+    return byCost < 0 || (byCost === 0 && rank(card) < rank(best)) ? card : best;
+  }, null);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveTutor
+//   Moves `target` from the library to the tutor's destination: the hand, or
+//   the top of the library to be drawn next turn. Returns the log suffix,
+//   e.g. "Craterhoof Behemoth to hand".
+// ─────────────────────────────────────────────────────────────────────────────
+export const resolveTutor = (tutor, target, { hand, library }) => {
+  library.splice(library.indexOf(target), 1);
+  if (tutor.destination === 'top') {
+    library.unshift(target);
+    return `${target.name} on top of library`;
+  }
+  hand.push(target);
+  return `${target.name} to hand`;
+};
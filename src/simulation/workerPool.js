@@ -0,0 +1,174 @@
+/**
+ * workerPool.js
+ *
+ * Spreads simulation shards across a pool of simulationWorker.js instances
+ * and merges the partial results on the main thread.
+ *
+ * Every job (one per deck) is split with planShards(); shards from all jobs
+ * share one queue, so in comparison mode Deck A and Deck B run side by side
+ * instead of one after the other. Each worker pulls the next shard as soon as
+ * it finishes one. Partials are merged in shard order, so the final results
+ * depend only on the seed — not on the pool size or completion order.
+ *
+ * A job whose config carries a `ciTarget` stops early: each time its run of
+ * consecutive finished shards (0, 1, 2, …) grows by one, the merged prefix is
+ * checked with meetsCITarget(). The first prefix that meets the target is the
+ * result; queued shards of that job are dropped and late ones are ignored.
+ * Because only in-order prefixes are checked, where a seeded run stops is
+ * also independent of the pool size.
+ *
+ * A job with `withExact` also gets the exact on-curve figures (exactOnCurve
+ * in hypergeometric.js) as `results.exactOnCurve`: the worker running its
+ * first shard computes them, keeping the calculation off the main thread.
+ *
+ * Exports:
+ *   defaultPoolSize   – navigator.hardwareConcurrency (1 when unavailable)
+ *   runSimulationPool – runs jobs on the pool, resolving { [deckId]: results }
+ */
+
+import { planShards, mergePartialResults, finalizeResults, meetsCITarget } from './simResults.js';
+
+export const defaultPoolSize = () =>
+  Math.max(1, (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 1);
+
+const spawnWorker = () =>
+  new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+
+/**
+ * @param {{ deckId: string, deckToParse: object, config: object, withExact?: boolean }[]} jobs
+ *   config must already be serialised for postMessage (Set fields as arrays)
+ *   and carry a uint32 `seed`; an optional `ciTarget` enables early stopping.
+ *   `withExact` adds `exactOnCurve` to the job's results.
+ * @param {object}   [options]
+ * @param {number}   [options.poolSize]     – max workers (default: defaultPoolSize())
+ * @param {Function} [options.onProgress]   – (completed, total) across all jobs
+ * @param {Function} [options.createWorker] – worker factory (tests inject fakes)
+ * @returns {Promise<Object<string, object>>} finalised results keyed by deckId;
+ *   rejects with the first worker error (all workers are terminated).
+ */
+export const runSimulationPool = (
+  jobs,
+  { poolSize = defaultPoolSize(), onProgress = null, createWorker = spawnWorker } = {}
+) =>
+  new Promise((resolve, reject) => {
+    const states = Object.fromEntries(
+      jobs.map(job => [
+        job.deckId,
+        {
+          job,
+          shards: planShards(job.config.iterations, job.config.seed),
+          partials: [],
+          merged: null,
+          prefix: 0, // shards 0..prefix-1 are merged into `merged`
+          done: false,
+        },
+      ])
+    );
+    const tasks = Object.values(states).flatMap(state =>
+      state.shards.map(shard => ({ state, shard }))
+    );
+    let totalIterations = tasks.reduce((s, t) => s + t.shard.iterations, 0);
+    const completedByShard = {};
+    let nextTask = 0;
+    let settled = false;
+
+    const workers = Array.from({ length: Math.max(1, Math.min(poolSize, tasks.length)) }, () =>
+      createWorker()
+    );
+    const terminateAll = () => workers.forEach(w => w.terminate());
+
+    const fail = message => {
+      if (settled) return;
+      settled = true;
+      terminateAll();
+      reject(new Error(message));
+    };
+
+    const reportProgress = () => {
+      if (!onProgress) return;
+      const completed = Object.values(completedByShard).reduce((s, n) => s + n, 0);
+      onProgress(completed, totalIterations);
+    };
+
+    const dispatch = worker => {
+      while (nextTask < tasks.length && tasks[nextTask].state.done) nextTask++;
+      if (nextTask >= tasks.length) return;
+      const { state, shard } = tasks[nextTask++];
+      worker.postMessage({
+        type: 'RUN',
+        deckId: state.job.deckId,
+        shardIndex: shard.index,
+        deckToParse: state.job.deckToParse,
+        config: {
+          ...state.job.config,
+          iterations: shard.iterations,
+          seed: shard.seed,
+          ciTarget: null,
+        },
+        withExact: !!state.job.withExact && shard.index === 0,
+      });
+    };
+
+    /** Merge newly contiguous shards; mark the job done when complete or on target. */
+    const advance = state => {
+      const { ciTarget } = state.job.config;
+      while (!state.done && state.partials[state.prefix]) {
+        const next = state.partials[state.prefix++];
+        state.merged = state.merged ? mergePartialResults([state.merged, next]) : next;
+        if (state.prefix === state.shards.length) {
+          state.done = true;
+        } else if (meetsCITarget(state.merged, ciTarget)) {
+          state.done = true;
+          state.merged = { ...state.merged, stoppedEarly: true };
+          // Shards past the stopping point no longer count towards progress.
+          state.shards.slice(state.prefix).forEach(shard => {
+            totalIterations -= shard.iterations;
+            delete completedByShard[`${state.job.deckId}:${shard.index}`];
+          });
+        }
+      }
+    };
+
+    const finish = () => {
+      settled = true;
+      terminateAll();
+      resolve(
+        Object.fromEntries(
+          Object.values(states).map(({ job, merged, exactOnCurve }) => {
+            const results = finalizeResults({
+              ...merged,
+              ciTarget: job.config.ciTarget > 0 ? job.config.ciTarget : null,
+            });
+            return [job.deckId, job.withExact ? { ...results, exactOnCurve } : results];
+          })
+        )
+      );
+    };
+
+    workers.forEach(worker => {
+      worker.onerror = err => fail(err.message ?? 'unknown');
+      worker.onmessage = ({ data }) => {
+        if (settled) return;
+        const key = `${data.deckId}:${data.shardIndex}`;
+        const state = states[data.deckId];
+        if (data.type === 'PROGRESS') {
+          if (state.done) return;
+          completedByShard[key] = data.completed;
+          reportProgress();
+        } else if (data.type === 'PARTIAL') {
+          if (!state.done) {
+            state.partials[data.shardIndex] = data.partial;
+            if (data.exactOnCurve) state.exactOnCurve = data.exactOnCurve;
+            completedByShard[key] = data.partial.handsKept ?? 0;
+            advance(state);
+            reportProgress();
+          }
+          if (Object.values(states).every(s => s.done)) finish();
+          else dispatch(worker);
+        } else if (data.type === 'ERROR') {
+          fail(data.message);
+        }
+      };
+      dispatch(worker);
+    });
+  });
@@ -0,0 +1,53 @@
+/**
+ * csv.js  –  Minimal RFC 4180 CSV writer shared by the app's results export
+ * and the CLI, and the matching reader used to import CSV deck lists.
+ */
+
+/** Quotes a value when it contains a comma, quote or newline. */
+export const escapeCsvValue = value => {
+  const s = String(value ?? '');
+  return s.includes(',') || s.includes('"') || s.includes('\n') ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** CSV text for `rows` (plain objects), one column per entry of `headers`. */
+export const toCsv = (headers, rows) =>
+  [
+    headers.map(escapeCsvValue).join(','),
+    ...rows.map(r => headers.map(h => escapeCsvValue(r[h])).join(',')),
+  ].join('\n');
+
+/**
+ * Rows of `text` as arrays of strings. Handles quoted values with embedded
+ * commas, doubled quotes and newlines, and CRLF line ends; blank lines are
+ * skipped.
+ */
+export const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  const endValue = () => {
+    row.push(value);
+    value = '';
+  };
+  const endRow = () => {
+    endValue();
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else value += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') endValue();
+    else if (ch === '\n') endRow();
+    else if (ch !== '\r') value += ch;
+  }
+  if (value !== '' || row.length > 0) endRow();
+  return rows;
+};
@@ -31,3 +31,193 @@ export const safeToFixed = (value, decimals = 2) => {
   if (value === undefined || value === null || isNaN(value)) return 0;
   return parseFloat(value.toFixed(decimals));
 };
+
+/** z-score of a two-sided 95% confidence interval. */
+export const Z_95 = 1.959964;
+
+/**
+ * Normal-approximation confidence interval for a sample mean, given the
+ * sample std-dev and size. Zero width for fewer than 2 samples.
+ * Returns { low, high }.
+ */
+export const meanConfidenceInterval = (mean, sd, n, z = Z_95) => {
+  const half = n > 1 ? (z * sd) / Math.sqrt(n) : 0;
+  return { low: mean - half, high: mean + half };
+};
+
+/**
+ * Wilson score interval for a proportion (`successes` out of `n`), as
+ * fractions in [0, 1]. Unlike the plain normal approximation it never leaves
+ * [0, 1] and keeps a non-zero width at 0% and 100%, which matters for
+ * key cards that are (almost) never or always castable.
+ * Returns { low: 0, high: 1 } when n is 0.
+ */
+export const proportionConfidenceInterval = (successes, n, z = Z_95) => {
+  if (!(n > 0)) return { low: 0, high: 1 };
+  const p = successes / n;
+  const z2 = z * z;
+  const denom = 1 + z2 / n;
+  const centre = (p + z2 / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denom;
+  return { low: Math.max(0, centre - half), high: Math.min(1, centre + half) };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Significance testing
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** z-score giving 80% power in a sample-size estimate. */
+export const Z_POWER_80 = 0.841621;
+
+/**
+ * Standard normal CDF, via the Abramowitz & Stegun 7.1.26 erf approximation
+ * (absolute error < 1.5e-7).
+ */
+export const normalCdf = x => {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2);
+  const poly =
+    t *
+    (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/** ln Γ(x) for x > 0 (Lanczos approximation). */
+const logGamma = x => {
+  const c = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155,
+    0.00120865097386618, -5.395239384953e-6,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const ser = c.reduce((s, coef) => s + coef / ++y, 1.00000000019001);
+  return -tmp + Math.log((2.5066282746310007 * ser) / x);
+};
+
+/** Continued fraction for the incomplete beta function (modified Lentz). */
+const betaContinuedFraction = (a, b, x) => {
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < TINY ? TINY : d);
+  let h = d;
+  for (let m = 1; m <= 500; m++) {
+    const m2 = 2 * m;
+    for (const aa of [
+      (m * (b - m) * x) / ((a + m2 - 1) * (a + m2)),
+      (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1)),
+    ]) {
+      d = 1 + aa * d;
+      d = 1 / (Math.abs(d) < TINY ? TINY : d);
+      c = 1 + aa / c;
+      if (Math.abs(c) < TINY) c = TINY;
+      h *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+  return h;
+};
+
+/** Regularised incomplete beta function I_x(a, b). */
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+/** Student's t CDF with `df` degrees of freedom. */
+export const studentTCdf = (t, df) => {
+  const tail = incompleteBeta(df / (df + t * t), df / 2, 0.5) / 2;
+  return t >= 0 ? 1 - tail : tail;
+};
+
+/**
+ * Two-sided pooled two-proportion z-test of successesA / nA vs successesB / nB.
+ * When both proportions are 0% or both 100% there is nothing to test: z = 0
+ * and p = 1. Returns { z, pValue }.
+ */
+export const twoProportionZTest = (successesA, nA, successesB, nB) => {
+  if (!(nA > 0) || !(nB > 0)) return { z: 0, pValue: 1 };
+  const pooled = (successesA + successesB) / (nA + nB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / nA + 1 / nB));
+  if (se === 0) return { z: 0, pValue: 1 };
+  const z = (successesB / nB - successesA / nA) / se;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+};
+
+/**
+ * Two-sided Welch t-test on summary statistics (means, std-devs, sample
+ * sizes). With zero variance on both sides the result is exact: p = 1 for
+ * equal means, 0 otherwise. Returns { t, df, pValue }.
+ */
+export const welchTTest = (meanA, sdA, nA, meanB, sdB, nB) => {
+  if (!(nA > 1) || !(nB > 1)) return { t: 0, df: 0, pValue: 1 };
+  const va = (sdA * sdA) / nA;
+  const vb = (sdB * sdB) / nB;
+  const diff = meanB - meanA;
+  if (va + vb === 0)
+    return { t: diff === 0 ? 0 : Infinity, df: nA + nB - 2, pValue: diff === 0 ? 1 : 0 };
+  const t = diff / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (nA - 1) + vb ** 2 / (nB - 1));
+  return { t, df, pValue: 2 * (1 - studentTCdf(Math.abs(t), df)) };
+};
+
+/**
+ * Per-group sample size needed to detect a difference `diff` between two
+ * groups with variances `varianceA` / `varianceB`, at a two-sided 5% level
+ * with 80% power. Infinity when there is no difference to detect.
+ */
+export const requiredSampleSize = (varianceA, varianceB, diff) => {
+  if (diff === 0 || !Number.isFinite(diff)) return Infinity;
+  return Math.ceil(((Z_95 + Z_POWER_80) ** 2 * (varianceA + varianceB)) / (diff * diff));
+};
+
+/**
+ * Nearest-rank percentile `q` (0–100) of a histogram, where `counts[v]` is
+ * the number of samples equal to v. Returns the smallest v whose cumulative
+ * count reaches ⌈q% · n⌉ (at least 1); 0 for an empty histogram.
+ */
+export const histogramPercentile = (counts, q) => {
+  const n = counts.reduce((s, c) => s + (c ?? 0), 0);
+  if (n === 0) return 0;
+  const rank = Math.max(1, Math.ceil((q / 100) * n));
+  let cumulative = 0;
+  for (let v = 0; v < counts.length; v++) {
+    cumulative += counts[v] ?? 0;
+    if (cumulative >= rank) return v;
+  }
+  return counts.length - 1;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Combinatorics
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Binomial coefficient C(n, k) as a floating-point approximation — exact only
+ * below 2^53 (C(100, 50) is ~1e29), but ratios of coefficients, as in
+ * hypergeometricPmf, stay accurate. 0 when k < 0 or k > n.
+ */
+export const choose = (n, k) => {
+  if (k < 0 || k > n) return 0;
+  const m = Math.min(k, n - k);
+  let result = 1;
+  for (let i = 1; i <= m; i++) result = (result * (n - m + i)) / i;
+  return Math.round(result);
+};
+
+/**
+ * Hypergeometric probability of exactly `k` successes in `draws` cards drawn
+ * without replacement from `population` cards of which `successes` are
+ * successes. 0 outside the support.
+ */
+export const hypergeometricPmf = (population, successes, draws, k) => {
+  const total = choose(population, draws);
+  if (total === 0) return 0;
+  return (choose(successes, k) * choose(population - successes, draws - k)) / total;
+};
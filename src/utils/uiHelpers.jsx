@@ -2,15 +2,17 @@
  * uiHelpers.jsx
  *
  * Shared UI utilities: mana-symbol rendering, fetch badge symbols,
- * the reusable sequence body JSX, a text-file downloader, and the
- * chart-data preparation function (depends only on simulationResults
- * and the turns setting — no React state is imported here).
+ * the reusable sequence body JSX, a text-file downloader, the
+ * chart-data preparation function, the percentile fan chart and histogram
+ * data, the play-vs-draw delta table and the A/B significance report (all
+ * depend only on simulation results and the turns setting — no React state
+ * is imported here).
  *
  * Components that need these should import them individually.
  */
 
 import React from 'react';
-import { safeToFixed } from './math.js';
+import { safeToFixed, welchTTest, twoProportionZTest, requiredSampleSize } from './math.js';
 import CardTooltip from '../components/CardTooltip.jsx';
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -391,9 +393,16 @@ export const downloadTextFile = (content, filename) => {
 // ─────────────────────────────────────────────────────────────────────────────
 // prepareChartData
 //   Pure function — receives simulationResults + turns count.
+//   `_*Ci` keys carry 95% CI half-widths for the chart tooltips; they are null
+//   for results that predate confidence intervals. `curveData` is null unless
+//   the run was in curve-out mode.
 // ─────────────────────────────────────────────────────────────────────────────
+const ciHalfWidth = (interval, decimals) =>
+  interval ? safeToFixed((interval.high - interval.low) / 2, decimals) : null;
+
 export const prepareChartData = (simulationResults, turns) => {
   if (!simulationResults) return null;
+  const ci = simulationResults.confidenceIntervals ?? {};
 
   const landsData = [];
   const manaByColorData = [];
@@ -401,6 +410,9 @@ export const prepareChartData = (simulationResults, turns) => {
   const cardsDrawnData = [];
   const treasureData = [];
   const keyCardsData = [];
+  const comboData = [];
+  const curve = simulationResults.curveOut;
+  const curveData = curve ? [] : null;
 
   for (let i = 0; i < turns; i++) {
     const landsAvg = simulationResults.landsPerTurn?.[i] || 0;
@@ -420,6 +432,8 @@ export const prepareChartData = (simulationResults, turns) => {
       'Untapped Lands Hi': safeToFixed(untappedAvg + untappedSd, 2),
       _landsSd: safeToFixed(landsSd, 2),
       _untappedSd: safeToFixed(untappedSd, 2),
+      _landsCi: ciHalfWidth(ci.landsPerTurn?.[i], 2),
+      _untappedCi: ciHalfWidth(ci.untappedLandsPerTurn?.[i], 2),
     });
 
     manaByColorData.push({
@@ -428,6 +442,7 @@ export const prepareChartData = (simulationResults, turns) => {
       'Total Mana Lo': safeToFixed(Math.max(0, manaAvg - manaSd), 2),
       'Total Mana Hi': safeToFixed(manaAvg + manaSd, 2),
       _manaSd: safeToFixed(manaSd, 2),
+      _manaCi: ciHalfWidth(ci.totalManaPerTurn?.[i], 2),
       W: safeToFixed(simulationResults.colorsByTurn?.[i]?.W, 2),
       U: safeToFixed(simulationResults.colorsByTurn?.[i]?.U, 2),
       B: safeToFixed(simulationResults.colorsByTurn?.[i]?.B, 2),
@@ -443,6 +458,7 @@ export const prepareChartData = (simulationResults, turns) => {
       'Life Loss Lo': safeToFixed(Math.max(0, lifeLossAvg - lifeLossSd), 2),
       'Life Loss Hi': safeToFixed(lifeLossAvg + lifeLossSd, 2),
       _lifeLossSd: safeToFixed(lifeLossSd, 2),
+      _lifeLossCi: ciHalfWidth(ci.lifeLossPerTurn?.[i], 2),
     });
 
     const drawnAvg = simulationResults.cardsDrawnPerTurn?.[i] || 0;
@@ -453,6 +469,7 @@ export const prepareChartData = (simulationResults, turns) => {
       'Cards Drawn Lo': safeToFixed(Math.max(0, drawnAvg - drawnSd), 2),
       'Cards Drawn Hi': safeToFixed(drawnAvg + drawnSd, 2),
       _drawnSd: safeToFixed(drawnSd, 2),
+      _drawnCi: ciHalfWidth(ci.cardsDrawnPerTurn?.[i], 2),
     });
 
     const treasureAvg = simulationResults.treasurePerTurn?.[i] || 0;
@@ -463,12 +480,14 @@ export const prepareChartData = (simulationResults, turns) => {
       'Treasure Pool Lo': safeToFixed(Math.max(0, treasureAvg - treasureSd), 2),
       'Treasure Pool Hi': safeToFixed(treasureAvg + treasureSd, 2),
       _treasureSd: safeToFixed(treasureSd, 2),
+      _treasureCi: ciHalfWidth(ci.treasurePerTurn?.[i], 2),
     });
 
     const keyCardRow = { turn: i + 1 };
     if (simulationResults.keyCardPlayability) {
       Object.keys(simulationResults.keyCardPlayability).forEach(cardName => {
         keyCardRow[cardName] = safeToFixed(simulationResults.keyCardPlayability[cardName]?.[i], 1);
+        keyCardRow[`_ci:${cardName}`] = ciHalfWidth(ci.keyCardPlayability?.[cardName]?.[i], 1);
       });
     }
     if (simulationResults.hasBurstCards && simulationResults.keyCardPlayabilityBurst) {
@@ -477,10 +496,242 @@ export const prepareChartData = (simulationResults, turns) => {
           simulationResults.keyCardPlayabilityBurst[cardName]?.[i],
           1
         );
+        keyCardRow[`_ci:${cardName} (+burst)`] = ciHalfWidth(
+          ci.keyCardPlayabilityBurst?.[cardName]?.[i],
+          1
+        );
       });
     }
     keyCardsData.push(keyCardRow);
+
+    const comboRow = { turn: i + 1 };
+    Object.entries(simulationResults.comboPlayability ?? {}).forEach(([groupName, pcts]) => {
+      comboRow[groupName] = safeToFixed(pcts[i], 1);
+      comboRow[`_ci:${groupName}`] = ciHalfWidth(ci.comboPlayability?.[groupName]?.[i], 1);
+    });
+    comboData.push(comboRow);
+
+    if (curve) {
+      curveData.push({
+        turn: i + 1,
+        'Mana Spent': safeToFixed(curve.manaSpentPerTurn[i], 2),
+        'Mana Wasted': safeToFixed(curve.manaWastedPerTurn[i], 2),
+        'Spells Cast': safeToFixed(curve.spellsCastPerTurn[i], 2),
+        'Mana Used (%)': safeToFixed(curve.manaUsedPerTurn[i], 1),
+        _spentCi: ciHalfWidth(ci.curveOut?.manaSpentPerTurn?.[i], 2),
+        _wastedCi: ciHalfWidth(ci.curveOut?.manaWastedPerTurn?.[i], 2),
+        _spellsCi: ciHalfWidth(ci.curveOut?.spellsCastPerTurn?.[i], 2),
+      });
+    }
+  }
+
+  return {
+    landsData,
+    manaByColorData,
+    lifeLossData,
+    cardsDrawnData,
+    treasureData,
+    keyCardsData,
+    comboData,
+    curveData,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// prepareFanChartData / prepareHistogramData
+//   Pure functions over results.percentiles / results.histograms for one
+//   per-turn metric (e.g. 'totalManaPerTurn'). Both return [] for results
+//   without distributions.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** One row per turn: P10–P90 and P25–P75 [low, high] bands, median and mean. */
+export const prepareFanChartData = (simulationResults, metric, turns) => {
+  const percentiles = simulationResults?.percentiles?.[metric];
+  if (!percentiles) return [];
+  return percentiles.slice(0, turns).map((p, i) => ({
+    turn: i + 1,
+    'P10–P90': [p.p10, p.p90],
+    'P25–P75': [p.p25, p.p75],
+    Median: p.p50,
+    Mean: safeToFixed(simulationResults[metric]?.[i], 2),
+  }));
+};
+
+/** One bar per value seen on `turnIndex`, as a count and a % of games. */
+export const prepareHistogramData = (simulationResults, metric, turnIndex) => {
+  const counts = simulationResults?.histograms?.[metric]?.[turnIndex];
+  if (!counts) return [];
+  const total = counts.reduce((s, c) => s + c, 0);
+  return counts.map((count, value) => ({
+    value,
+    count,
+    pct: total > 0 ? safeToFixed((count / total) * 100, 1) : 0,
+  }));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// preparePlayDrawDelta
+//   Pure function — pairs an on-the-play and an on-the-draw result per turn.
+//   Every cell is { play, draw, delta } with delta = draw − play.
+// ─────────────────────────────────────────────────────────────────────────────
+const playDrawCell = (play, draw, decimals) => {
+  const p = safeToFixed(play, decimals);
+  const d = safeToFixed(draw, decimals);
+  return { play: p, draw: d, delta: safeToFixed(d - p, decimals) };
+};
+
+export const preparePlayDrawDelta = (playResults, drawResults, turns) => {
+  if (!playResults || !drawResults) return null;
+
+  const keyCardNames = Object.keys(playResults.keyCardPlayability ?? {}).filter(
+    name => drawResults.keyCardPlayability?.[name]
+  );
+
+  const rows = Array.from({ length: turns }, (_, i) => ({
+    turn: i + 1,
+    lands: playDrawCell(playResults.landsPerTurn?.[i], drawResults.landsPerTurn?.[i], 2),
+    untappedLands: playDrawCell(
+      playResults.untappedLandsPerTurn?.[i],
+      drawResults.untappedLandsPerTurn?.[i],
+      2
+    ),
+    mana: playDrawCell(playResults.totalManaPerTurn?.[i], drawResults.totalManaPerTurn?.[i], 2),
+    keyCards: Object.fromEntries(
+      keyCardNames.map(name => [
+        name,
+        playDrawCell(
+          playResults.keyCardPlayability[name]?.[i],
+          drawResults.keyCardPlayability[name]?.[i],
+          1
+        ),
+      ])
+    ),
+  }));
+
+  const rateCell = key =>
+    playResults[key] == null || drawResults[key] == null
+      ? null
+      : playDrawCell(playResults[key], drawResults[key], 1);
+
+  return {
+    rows,
+    keyCardNames,
+    floodRate: rateCell('floodRate'),
+    screwRate: rateCell('screwRate'),
+    floodThreshold: playResults.floodThreshold,
+    screwThreshold: playResults.screwThreshold,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// prepareSignificanceReport
+//   Pure function — tests whether Deck B differs from Deck A beyond noise.
+//   Welch t-tests for per-turn averages, two-proportion z-tests for key-card
+//   playability and flood/screw rates, all two-sided at the 5% level. Rows that
+//   are not significant carry `moreIterations`: the extra iterations per deck
+//   that would give 80% power to detect the observed difference (Infinity
+//   when the two decks measured exactly the same).
+//   Both decks share a seed, which correlates their samples positively; the
+//   independent-sample tests used here are therefore on the conservative side.
+// ─────────────────────────────────────────────────────────────────────────────
+export const SIGNIFICANCE_ALPHA = 0.05;
+
+const significanceRow = (label, a, b, pValue, needed, n) => {
+  const significant = pValue < SIGNIFICANCE_ALPHA;
+  return {
+    label,
+    a,
+    b,
+    diff: b - a,
+    pValue,
+    significant,
+    moreIterations: significant ? 0 : Math.max(0, needed - n),
+  };
+};
+
+const meanRow = (label, resA, resB, metric, i) => {
+  const meanA = resA[metric]?.[i] ?? 0;
+  const meanB = resB[metric]?.[i] ?? 0;
+  const sdA = resA[`${metric}StdDev`]?.[i] ?? 0;
+  const sdB = resB[`${metric}StdDev`]?.[i] ?? 0;
+  const nA = resA.handsKept;
+  const nB = resB.handsKept;
+  const { pValue } = welchTTest(meanA, sdA, nA, meanB, sdB, nB);
+  const needed = requiredSampleSize(sdA * sdA, sdB * sdB, meanB - meanA);
+  return significanceRow(label, meanA, meanB, pValue, needed, Math.min(nA, nB));
+};
+
+/** `pctA` / `pctB` are percentages, as stored in monteCarlo() results. */
+const proportionRow = (label, pctA, pctB, nA, nB) => {
+  const pa = pctA / 100;
+  const pb = pctB / 100;
+  const { pValue } = twoProportionZTest(Math.round(pa * nA), nA, Math.round(pb * nB), nB);
+  const needed = requiredSampleSize(pa * (1 - pa), pb * (1 - pb), pb - pa);
+  return significanceRow(label, pctA, pctB, pValue, needed, Math.min(nA, nB));
+};
+
+const AVERAGE_SECTIONS = [
+  { title: 'Lands', metric: 'landsPerTurn', higherIsBetter: true },
+  { title: 'Total Mana', metric: 'totalManaPerTurn', higherIsBetter: true },
+  { title: 'Life Loss', metric: 'lifeLossPerTurn', higherIsBetter: false },
+];
+
+/**
+ * @returns {null | {
+ *   sections: { title, unit: 'avg' | '%', higherIsBetter, rows: object[] }[],
+ *   finalTurn: { lands, mana, lifeLoss },   // last-turn rows, for the summary badges
+ * }}
+ */
+export const prepareSignificanceReport = (resultsA, resultsB, turns) => {
+  if (!resultsA || !resultsB || !(resultsA.handsKept > 0) || !(resultsB.handsKept > 0)) {
+    return null;
   }
+  const nA = resultsA.handsKept;
+  const nB = resultsB.handsKept;
+  const perTurn = fn => Array.from({ length: turns }, (_, i) => fn(i));
+
+  const sections = AVERAGE_SECTIONS.map(({ title, metric, higherIsBetter }) => ({
+    title,
+    unit: 'avg',
+    higherIsBetter,
+    rows: perTurn(i => meanRow(`T${i + 1}`, resultsA, resultsB, metric, i)),
+  }));
+
+  Object.keys(resultsA.keyCardPlayability ?? {})
+    .filter(name => resultsB.keyCardPlayability?.[name])
+    .forEach(name => {
+      sections.push({
+        title: name,
+        unit: '%',
+        higherIsBetter: true,
+        rows: perTurn(i =>
+          proportionRow(
+            `T${i + 1}`,
+            resultsA.keyCardPlayability[name][i] ?? 0,
+            resultsB.keyCardPlayability[name][i] ?? 0,
+            nA,
+            nB
+          )
+        ),
+      });
+    });
 
-  return { landsData, manaByColorData, lifeLossData, cardsDrawnData, treasureData, keyCardsData };
+  const rateRows = [
+    ['floodRate', 'Flood'],
+    ['screwRate', 'Screw'],
+  ]
+    .filter(([key]) => resultsA[key] != null && resultsB[key] != null)
+    .map(([key, label]) => proportionRow(label, resultsA[key], resultsB[key], nA, nB));
+  if (rateRows.length) {
+    sections.push({ title: 'Flood / Screw', unit: '%', higherIsBetter: false, rows: rateRows });
+  }
+
+  return {
+    sections,
+    finalTurn: {
+      lands: sections[0].rows.at(-1) ?? null,
+      mana: sections[1].rows.at(-1) ?? null,
+      lifeLoss: sections[2].rows.at(-1) ?? null,
+    },
+  };
 };
@@ -5,10 +5,18 @@
  *   Initial render        – header, subtitle, core panels visible
  *   Data Source panel     – radio buttons, default selection, conditional upload UI
  *   Deck List panel       – textarea, placeholder text, Parse Deck button
- *   Parse Deck flow       – parseDeckList called, success path, failure path, error banner
- *   Run Simulation flow   – monteCarlo called, "Please parse a deck first" guard
+ *   Parse Deck flow       – parseDeckList called, success path, failure path, error banner,
+ *                           format legality check
+ *   Run Simulation flow   – shards dispatched to the worker pool, "Please parse a deck first" guard
  *   localStorage          – state persisted on change, state restored on mount
  *   Comparison mode       – toggle, dual inputs, Deck B parse flow, simulation guards
+ *   Random seed           – pinned/blank seed forwarded, persisted, shown on results
+ *   Play / draw           – setting forwarded to shards, "Both" runs both + impact report
+ *   CI early stop         – target forwarded to the pool, blank by default, persisted
+ *   Combo groups          – editor adds / removes groups, forwarded to the shards, persisted
+ *   Curve out             – toggle off by default, forwarded to the shards, persisted, panel shown
+ *   Casting policy        – greedy by default, planner forwarded to the shards, persisted, shown
+ *   Play policy           – default heuristics unless chosen; forwarded, persisted, shown
  *
  * Run:  npm test
  */
@@ -31,10 +39,20 @@ global.ResizeObserver = class {
 
 vi.mock('../src/simulation/monteCarlo.js', () => ({
   monteCarlo: vi.fn(() => ({})),
+  monteCarloPartial: vi.fn(() => ({})),
   buildCompleteDeck: vi.fn(() => []),
 }));
 
-vi.mock('../src/parser/deckParser.js', () => ({
+// Keep the real planShards; merge/finalize pass the mocked partial through so
+// tests can assert on the results object directly.
+vi.mock('../src/simulation/simResults.js', async importOriginal => ({
+  ...(await importOriginal()),
+  mergePartialResults: vi.fn(partials => partials[0]),
+  finalizeResults: vi.fn(partial => partial),
+}));
+
+vi.mock('../src/parser/deckParser.js', async importOriginal => ({
+  ...(await importOriginal()),
   parseDeckList: vi.fn(),
 }));
 
@@ -65,12 +83,16 @@ const MOCK_PARSED_DECK = {
 
 /** Convenience: import the mocked module so tests can configure it per-test */
 import { parseDeckList } from '../src/parser/deckParser.js';
-import { monteCarlo } from '../src/simulation/monteCarlo.js';
+import { monteCarloPartial, buildCompleteDeck } from '../src/simulation/monteCarlo.js';
+import { hypergeometricPmf } from '../src/utils/math.js';
+import { finalizeResults } from '../src/simulation/simResults.js';
+import { exactOnCurve } from '../src/simulation/hypergeometric.js';
 
 // ─── Worker mock ──────────────────────────────────────────────────────────────
 // jsdom has no Web Worker support. MockWorker mirrors the simulationWorker.js
-// protocol: on RUN it calls the (already mocked) monteCarlo, rehydrates Set
-// fields, then posts a RESULT message synchronously via Promise.resolve().
+// protocol: on RUN it rehydrates Set fields, calls the (already mocked)
+// monteCarloPartial for the shard — and exactOnCurve when asked — then posts a
+// PARTIAL message via Promise.resolve().
 const _WORKER_SET_FIELDS = [
   'selectedKeyCards',
   'disabledExploration',
@@ -89,14 +111,18 @@ class MockWorker {
   }
   postMessage(data) {
     if (data.type !== 'RUN') return;
-    const { deckId, deckToParse, config } = data;
+    const { deckId, shardIndex, deckToParse, config, withExact } = data;
     const rehydrated = { ...config };
     _WORKER_SET_FIELDS.forEach(f => {
       rehydrated[f] = new Set(config[f] ?? []);
     });
-    const results = monteCarlo(deckToParse, rehydrated);
+    const partial = monteCarloPartial(deckToParse, rehydrated);
+    const exact = withExact ? exactOnCurve(deckToParse, rehydrated) : undefined;
     Promise.resolve().then(() => {
-      if (this.onmessage) this.onmessage({ data: { type: 'RESULT', deckId, results } });
+      if (this.onmessage)
+        this.onmessage({
+          data: { type: 'PARTIAL', deckId, shardIndex, partial, exactOnCurve: exact },
+        });
     });
   }
   terminate() {}
@@ -219,6 +245,14 @@ describe('Deck List panel', () => {
     fireEvent.change(ta, { target: { value: '24 Forest\n36 Lightning Bolt' } });
     expect(ta.value).toBe('24 Forest\n36 Lightning Bolt');
   });
+
+  it('loads an imported deck file into the textarea', async () => {
+    render(<MTGMonteCarloAnalyzer />);
+    const dek = '<Deck><Cards Quantity="24" Sideboard="false" Name="Forest" /></Deck>';
+    const file = new File([dek], 'stompy.dek', { type: 'application/xml' });
+    fireEvent.change(screen.getByLabelText(/import file/i), { target: { files: [file] } });
+    await waitFor(() => expect(screen.getByRole('textbox').value).toBe(dek));
+  });
 });
 
 // =============================================================================
@@ -262,6 +296,68 @@ describe('Parse Deck flow', () => {
     });
   });
 
+  it('checks the parsed deck against the chosen format', async () => {
+    const legalityInfo = [
+      {
+        name: 'Forest',
+        quantity: 56,
+        isCommander: false,
+        typeLine: 'Basic Land — Forest',
+        oracleText: '',
+        colorIdentity: ['G'],
+        legalities: { modern: 'legal' },
+      },
+      {
+        name: 'Grizzly Bears',
+        quantity: 4,
+        isCommander: false,
+        typeLine: 'Creature — Bear',
+        oracleText: '',
+        colorIdentity: ['G'],
+        legalities: { modern: 'legal' },
+      },
+    ];
+    parseDeckList.mockResolvedValue({ ...MOCK_PARSED_DECK, legalityInfo });
+    render(<MTGMonteCarloAnalyzer />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+
+    const select = await screen.findByLabelText(/Format legality/i);
+    fireEvent.change(select, { target: { value: 'modern' } });
+    expect(screen.getByText(/Legal in Modern/)).toBeInTheDocument();
+    fireEvent.change(select, { target: { value: 'commander' } });
+    expect(screen.getByText(/4 copies of Grizzly Bears/)).toBeInTheDocument();
+  });
+
+  it('loads a sideboard plan as Deck B to compare against the main deck', async () => {
+    const spell = (name, quantity) => ({ name, quantity, type: 'spell', cmc: 2, manaCost: '{U}' });
+    parseDeckList.mockResolvedValue({
+      ...MOCK_PARSED_DECK,
+      spells: [spell('Opt', 4)],
+      sideboard: [{ ...spell('Negate', 3), bucket: 'spells' }],
+    });
+    render(<MTGMonteCarloAnalyzer />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+
+    fireEvent.change(screen.getByLabelText(/new sideboard plan/i), {
+      target: { value: 'vs Control' },
+    });
+    fireEvent.change(screen.getByLabelText(/^out/i), { target: { value: '2 Opt' } });
+    fireEvent.change(screen.getByLabelText(/^in \(/i), { target: { value: '2 Negate' } });
+    fireEvent.click(screen.getByRole('button', { name: /add sideboard plan/i }));
+    expect(screen.getByText(/Out: 2 Opt · In: 2 Negate/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /compare sideboard plan vs Control/i }));
+    expect(screen.getByDisplayValue('Deck A + vs Control')).toBeInTheDocument();
+    const deckTexts = [...document.querySelectorAll('textarea.deck-textarea')].map(t => t.value);
+    expect(deckTexts[1]).toBe('Deck\n24 Forest\n2 Opt\n2 Negate\n\nSideboard\n1 Negate\n2 Opt\n');
+  });
+
   it('shows land count after a successful parse', async () => {
     parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
     render(<MTGMonteCarloAnalyzer />);
@@ -327,14 +423,14 @@ describe('Parse Deck flow', () => {
 // 5 — Run Simulation flow
 // =============================================================================
 describe('Run Simulation flow', () => {
-  it('calls monteCarlo after parsing a deck and clicking Start Simulation', async () => {
+  it('runs every shard after parsing a deck and clicking Start Simulation', async () => {
     // After a successful parse, SimulationSettingsPanel renders with a Start Simulation button.
-    // Parse a deck first, then verify monteCarlo is invoked.
+    // Parse a deck first, then verify the simulation shards are dispatched.
     // We test the guard via the exported handler indirectly: render only (no parse).
     // The Start Simulation button is only visible after parsing, so we parse first,
-    // then verify monteCarlo is called.
+    // then verify the shards cover every iteration and one result is finalised.
     parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
-    monteCarlo.mockReturnValue({
+    monteCarloPartial.mockReturnValue({
       landsPerTurn: [],
       untappedPerTurn: [],
       colorsByTurn: [],
@@ -365,13 +461,56 @@ describe('Run Simulation flow', () => {
       fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
     });
 
-    // monteCarlo should be called (inside a setTimeout—wait for it)
+    // One finalised result for the deck, built from shards covering every iteration
     await waitFor(
       () => {
-        expect(monteCarlo).toHaveBeenCalledTimes(1);
+        expect(finalizeResults).toHaveBeenCalledTimes(1);
       },
       { timeout: 500 }
     );
+    const shardIterations = monteCarloPartial.mock.calls.map(([, config]) => config.iterations);
+    expect(shardIterations.reduce((a, b) => a + b, 0)).toBe(10000);
+  });
+
+  it('shows the exact on-curve rate and the gap next to the simulated one', async () => {
+    parseDeckList.mockResolvedValue({
+      ...MOCK_PARSED_DECK,
+      spells: [{ name: 'Grizzly Bears', quantity: 36, cmc: 2, manaCost: '{1}{G}', isLand: false }],
+    });
+    // Lands flagged so the exact calculator sees 24 lands in 60 cards
+    buildCompleteDeck.mockImplementation(deck =>
+      [...deck.lands.map(c => ({ ...c, isLand: true })), ...deck.spells].flatMap(c =>
+        Array.from({ length: c.quantity }, () => c)
+      )
+    );
+    monteCarloPartial.mockReturnValue({
+      landsPerTurn: [],
+      keyCardPlayability: { 'Grizzly Bears': [] },
+      keyCardOnCurvePlayability: { 'Grizzly Bears': 50 },
+      keyCardOnCurveCMC: { 'Grizzly Bears': 2 },
+      mulligans: 0,
+      handsKept: 1,
+      fastestPlaySequences: {},
+      hasBurstCards: false,
+    });
+    render(<MTGMonteCarloAnalyzer />);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    fireEvent.click(await screen.findByText(/36x Grizzly Bears/));
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
+    });
+
+    // On the play, turn 2 sees 8 cards: on curve with at least 2 of the 24 lands
+    const exact = 1 - hypergeometricPmf(60, 24, 8, 0) - hypergeometricPmf(60, 24, 8, 1);
+    const exactText = `${(exact * 100).toFixed(1)}%`;
+    await waitFor(() => expect(screen.getByText(exactText)).toBeInTheDocument());
+    expect(screen.getByText(/24 G sources · [\d.]+% with land drops/)).toBeInTheDocument();
+    expect(
+      screen.getByText(`${(50 - exact * 100).toFixed(1)} pts`, { exact: false })
+    ).toBeInTheDocument();
+    buildCompleteDeck.mockImplementation(() => []);
   });
 });
 
@@ -649,7 +788,7 @@ describe('Comparison mode', () => {
 
   it('shows guard error "Please parse Deck B first" when only Deck A is parsed', async () => {
     parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
-    monteCarlo.mockReturnValue({
+    monteCarloPartial.mockReturnValue({
       landsPerTurn: [],
       untappedPerTurn: [],
       colorsByTurn: [],
@@ -687,9 +826,9 @@ describe('Comparison mode', () => {
     });
   });
 
-  it('calls monteCarlo twice when both decks are parsed and simulation runs', async () => {
+  it('finalises results for both decks when both are parsed and simulation runs', async () => {
     parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
-    monteCarlo.mockReturnValue({
+    monteCarloPartial.mockReturnValue({
       landsPerTurn: [],
       untappedPerTurn: [],
       colorsByTurn: [],
@@ -726,9 +865,582 @@ describe('Comparison mode', () => {
 
     await waitFor(
       () => {
-        expect(monteCarlo).toHaveBeenCalledTimes(2);
+        expect(finalizeResults).toHaveBeenCalledTimes(2);
       },
       { timeout: 500 }
     );
   });
 });
+
+// =============================================================================
+// 8 — Random seed
+// =============================================================================
+describe('Random seed', () => {
+  const MOCK_RESULTS = {
+    landsPerTurn: [],
+    keyCardPlayability: {},
+    mulligans: 0,
+    handsKept: 1,
+    fastestPlaySequences: [],
+    hasBurstCards: false,
+  };
+
+  const parseAndRun = async () => {
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: /start simulation/i })).toBeInTheDocument();
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalled(), { timeout: 500 });
+  };
+
+  it('runs the first shard on the pinned seed from the settings panel', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue(MOCK_RESULTS);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => expect(screen.getByLabelText(/random seed/i)).toBeInTheDocument());
+    fireEvent.change(screen.getByLabelText(/random seed/i), { target: { value: '4242' } });
+
+    await parseAndRun();
+    expect(monteCarloPartial.mock.calls[0][1].seed).toBe(4242);
+  });
+
+  it('draws a numeric seed when the field is blank', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue(MOCK_RESULTS);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseAndRun();
+    expect(Number.isInteger(monteCarloPartial.mock.calls[0][1].seed)).toBe(true);
+  });
+
+  it('persists the seed to localStorage', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => expect(screen.getByLabelText(/random seed/i)).toBeInTheDocument());
+    fireEvent.change(screen.getByLabelText(/random seed/i), { target: { value: '77' } });
+
+    const saved = JSON.parse(localStorage.getItem('mtg_mca_state'));
+    expect(saved.seed).toBe(77);
+  });
+
+  it('shows the seed used on the results panel', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue({ ...MOCK_RESULTS, seed: 987654 });
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseAndRun();
+    await waitFor(() => expect(screen.getByText('987654')).toBeInTheDocument());
+  });
+});
+
+// =============================================================================
+// 9 — Play / draw
+// =============================================================================
+describe('Play / draw', () => {
+  const MOCK_RESULTS = {
+    landsPerTurn: [],
+    keyCardPlayability: {},
+    mulligans: 0,
+    handsKept: 1,
+    fastestPlaySequences: [],
+    hasBurstCards: false,
+  };
+
+  const parseThenSelect = async value => {
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => expect(screen.getByLabelText(/play \/ draw/i)).toBeInTheDocument());
+    fireEvent.change(screen.getByLabelText(/play \/ draw/i), { target: { value } });
+  };
+
+  const run = async () => {
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalled(), { timeout: 500 });
+  };
+
+  it('simulates on the play by default', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue(MOCK_RESULTS);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseThenSelect('play');
+    await run();
+    expect(monteCarloPartial.mock.calls.every(([, cfg]) => cfg.playDraw === 'play')).toBe(true);
+  });
+
+  it('passes "draw" through to every shard', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue(MOCK_RESULTS);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseThenSelect('draw');
+    await run();
+    expect(monteCarloPartial.mock.calls.every(([, cfg]) => cfg.playDraw === 'draw')).toBe(true);
+  });
+
+  it('"Both" runs play and draw jobs and shows the impact report', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue(MOCK_RESULTS);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseThenSelect('both');
+    await run();
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalledTimes(2), { timeout: 500 });
+    const modes = new Set(monteCarloPartial.mock.calls.map(([, cfg]) => cfg.playDraw));
+    expect(modes).toEqual(new Set(['play', 'draw']));
+    await waitFor(() =>
+      expect(screen.getByText(/On the Play vs On the Draw/i)).toBeInTheDocument()
+    );
+  });
+
+  it('persists the play/draw choice to localStorage', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseThenSelect('both');
+    const saved = JSON.parse(localStorage.getItem('mtg_mca_state'));
+    expect(saved.playDraw).toBe('both');
+  });
+});
+
+describe('CI early stop', () => {
+  const MOCK_RESULTS = {
+    landsPerTurn: [],
+    keyCardPlayability: {},
+    mulligans: 0,
+    handsKept: 1,
+    fastestPlaySequences: [],
+    hasBurstCards: false,
+  };
+
+  const parseThenSet = async value => {
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => expect(screen.getByLabelText(/stop early/i)).toBeInTheDocument());
+    fireEvent.change(screen.getByLabelText(/stop early/i), { target: { value } });
+  };
+
+  const run = async () => {
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalled(), { timeout: 500 });
+  };
+
+  it('runs every iteration when the target is blank', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue(MOCK_RESULTS);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseThenSet('');
+    await run();
+    expect(finalizeResults).toHaveBeenCalledWith(expect.objectContaining({ ciTarget: null }));
+  });
+
+  it('forwards the target to the pool, not to individual shards', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue(MOCK_RESULTS);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseThenSet('1.5');
+    await run();
+    expect(finalizeResults).toHaveBeenCalledWith(expect.objectContaining({ ciTarget: 1.5 }));
+    expect(monteCarloPartial.mock.calls.every(([, cfg]) => cfg.ciTarget === null)).toBe(true);
+  });
+
+  it('persists the target to localStorage', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    render(<MTGMonteCarloAnalyzer />);
+
+    await parseThenSet('2');
+    const saved = JSON.parse(localStorage.getItem('mtg_mca_state'));
+    expect(saved.ciTarget).toBe(2);
+  });
+});
+
+describe('Land count optimizer', () => {
+  const DECK_WITH_FLEX = {
+    ...MOCK_PARSED_DECK,
+    spells: [{ name: 'Grizzly Bears', quantity: 36, cmc: 2, manaCost: '{1}{G}' }],
+  };
+
+  it('is hidden when the deck has no flex card to trade against', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    render(<MTGMonteCarloAnalyzer />);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => expect(screen.getByLabelText(/play \/ draw/i)).toBeInTheDocument());
+    expect(screen.queryByText(/Land Count Optimizer/i)).not.toBeInTheDocument();
+  });
+
+  it('simulates one variant per land count and recommends one', async () => {
+    parseDeckList.mockResolvedValue(DECK_WITH_FLEX);
+    // Screw falls and flood rises with the Forest count, so flood + screw bottoms out at 24.
+    monteCarloPartial.mockImplementation(deck => {
+      const forests = deck.lands[0].quantity;
+      return {
+        landsPerTurn: [],
+        keyCardPlayability: {},
+        keyCardOnCurvePlayability: {},
+        floodRate: forests,
+        screwRate: Math.abs(24 - forests) * 3 + (48 - forests),
+        mulligans: 0,
+        handsKept: 1,
+        fastestPlaySequences: [],
+        hasBurstCards: false,
+      };
+    });
+    render(<MTGMonteCarloAnalyzer />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => expect(screen.getByText(/Land Count Optimizer/i)).toBeInTheDocument());
+    expect(screen.getByLabelText(/min lands/i)).toHaveValue(21);
+    expect(screen.getByLabelText(/max lands/i)).toHaveValue(27);
+
+    fireEvent.change(screen.getByLabelText(/objective/i), { target: { value: 'floodScrew' } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /run land sweep/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalledTimes(7), { timeout: 500 });
+
+    const forestCounts = new Set(
+      monteCarloPartial.mock.calls.map(([deck]) => deck.lands[0].quantity)
+    );
+    expect(forestCounts).toEqual(new Set([21, 22, 23, 24, 25, 26, 27]));
+    expect(
+      monteCarloPartial.mock.calls.every(
+        ([deck]) => deck.lands[0].quantity + deck.spells[0].quantity === 60
+      )
+    ).toBe(true);
+    await waitFor(() => expect(screen.getByText('24 lands')).toBeInTheDocument());
+  });
+});
+
+describe('Marginal value analysis', () => {
+  const DECK_WITH_ROCKS = {
+    ...MOCK_PARSED_DECK,
+    artifacts: [
+      { name: 'Sol Ring', quantity: 1, cmc: 1, isManaArtifact: true, produces: ['C'] },
+      { name: 'Mind Stone', quantity: 1, cmc: 2, isManaArtifact: true, produces: ['C'] },
+    ],
+    spells: [{ name: 'Grizzly Bears', quantity: 34, cmc: 2, manaCost: '{1}{G}' }],
+  };
+
+  it('runs the baseline plus one blank-filler variant per mana card and ranks them', async () => {
+    parseDeckList.mockResolvedValue(DECK_WITH_ROCKS);
+    // Each rock adds its CMC in mana by turn 4: Sol Ring → 1, Mind Stone → 2.
+    monteCarloPartial.mockImplementation(deck => {
+      const mana = 4 + deck.artifacts.reduce((s, c) => s + (c.isManaArtifact ? c.cmc : 0), 0);
+      return {
+        landsPerTurn: [1, 2, 3, 4],
+        totalManaPerTurn: [1, 2, 3, mana],
+        keyCardPlayability: {},
+        mulligans: 0,
+        handsKept: 1,
+        fastestPlaySequences: [],
+        hasBurstCards: false,
+      };
+    });
+    render(<MTGMonteCarloAnalyzer />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => expect(screen.getByText(/What Does Each Card Add/i)).toBeInTheDocument());
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /analyse 2 cards/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalledTimes(3), { timeout: 500 });
+
+    // Every shard of each variant runs with one rock replaced by the filler
+    const replaced = new Set(
+      monteCarloPartial.mock.calls
+        .map(([deck]) => deck.artifacts.map(c => c.name).join(' + '))
+        .filter(names => names.includes('Blank Filler'))
+    );
+    expect(replaced).toEqual(new Set(['Blank Filler + Mind Stone', 'Sol Ring + Blank Filler']));
+    await waitFor(() => expect(screen.getByText('+2')).toBeInTheDocument());
+    const rows = screen.getAllByRole('row').map(r => r.textContent);
+    const ranked = rows.filter(t => /Sol Ring|Mind Stone/.test(t));
+    expect(ranked[0]).toMatch(/^1Mind Stone/);
+    expect(ranked[1]).toMatch(/^2Sol Ring/);
+  });
+});
+
+describe('Mana base optimizer', () => {
+  const DECK_WITH_BLUE_KEY_CARD = {
+    ...MOCK_PARSED_DECK,
+    spells: [{ name: 'Counterspell', quantity: 36, cmc: 2, manaCost: '{U}{U}' }],
+  };
+  const CANDIDATES = {
+    ...MOCK_PARSED_DECK,
+    totalCards: 1,
+    landCount: 1,
+    lands: [{ ...MOCK_PARSED_DECK.lands[0], name: 'Island', quantity: 1, produces: ['U'] }],
+  };
+
+  const parseAndShowPanel = async () => {
+    render(<MTGMonteCarloAnalyzer />);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    await waitFor(() => expect(screen.getByText(/Mana Base Optimizer/i)).toBeInTheDocument());
+  };
+
+  it('asks for a coloured key card before searching', async () => {
+    parseDeckList.mockResolvedValue(DECK_WITH_BLUE_KEY_CARD);
+    await parseAndShowPanel();
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /optimise mana base/i }));
+    });
+    expect(screen.getByText(/select at least one key card/i)).toBeInTheDocument();
+    expect(monteCarloPartial).not.toHaveBeenCalled();
+  });
+
+  it('searches mixes of deck and candidate lands and shows the best one', async () => {
+    parseDeckList.mockResolvedValueOnce(DECK_WITH_BLUE_KEY_CARD).mockResolvedValueOnce(CANDIDATES);
+    // Counterspell is castable on curve more often with every Island, up to 12.
+    monteCarloPartial.mockImplementation(deck => {
+      const islands = deck.lands.find(c => c.name === 'Island')?.quantity ?? 0;
+      return {
+        landsPerTurn: [],
+        keyCardPlayability: { Counterspell: [] },
+        keyCardOnCurvePlayability: { Counterspell: Math.min(islands, 12) * 5 },
+        mulligans: 0,
+        handsKept: 1,
+        fastestPlaySequences: [],
+        hasBurstCards: false,
+      };
+    });
+    await parseAndShowPanel();
+
+    fireEvent.click(screen.getByText(/36x Counterspell/));
+    fireEvent.change(screen.getByLabelText(/candidate lands/i), { target: { value: 'Island' } });
+    expect(screen.getByLabelText(/land slots/i)).toHaveValue(24);
+    fireEvent.change(screen.getByLabelText(/search steps/i), { target: { value: '3' } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /optimise mana base/i }));
+    });
+    await waitFor(() => expect(screen.getByText(/Best mix found/i)).toBeInTheDocument(), {
+      timeout: 1000,
+    });
+
+    expect(parseDeckList).toHaveBeenLastCalledWith('Island', expect.any(Object));
+    // Every mix keeps 24 lands made of Forests and Islands
+    expect(
+      monteCarloPartial.mock.calls.every(
+        ([deck]) => deck.lands.reduce((s, c) => s + c.quantity, 0) === 24
+      )
+    ).toBe(true);
+    const islandRow = screen.getAllByRole('row').find(r => /^Island/.test(r.textContent));
+    expect(islandRow.textContent).toMatch(/^Island0\d+\+\d+$/);
+  });
+});
+
+// =============================================================================
+// Combo groups
+// =============================================================================
+describe('Combo groups', () => {
+  const COMBO_DECK = {
+    ...MOCK_PARSED_DECK,
+    spells: [
+      { name: "Thassa's Oracle", quantity: 1, cmc: 2, manaCost: '{U}{U}', isLand: false },
+      { name: 'Demonic Consultation', quantity: 1, cmc: 1, manaCost: '{B}', isLand: false },
+    ],
+  };
+
+  it('adds a named group, forwards it to the shards and persists it', async () => {
+    parseDeckList.mockResolvedValue(COMBO_DECK);
+    monteCarloPartial.mockReturnValue({
+      landsPerTurn: [],
+      keyCardPlayability: {},
+      comboPlayability: { Oracle: [0, 0, 40] },
+      comboSequences: {},
+      mulligans: 0,
+      handsKept: 1,
+      fastestPlaySequences: {},
+      hasBurstCards: false,
+    });
+    render(<MTGMonteCarloAnalyzer />);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+
+    const add = await screen.findByRole('button', { name: /add combo group/i });
+    expect(add).toBeDisabled();
+    fireEvent.change(screen.getByLabelText(/new combo group/i), { target: { value: 'Oracle' } });
+    fireEvent.click(screen.getByRole('checkbox', { name: "Thassa's Oracle" }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Demonic Consultation' }));
+    fireEvent.click(add);
+    expect(
+      screen.getByText(/All of Thassa's Oracle \+ Demonic Consultation \(paid together\)/)
+    ).toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalledTimes(1));
+    expect(monteCarloPartial.mock.calls[0][1].comboGroups).toEqual([
+      {
+        name: 'Oracle',
+        cards: ["Thassa's Oracle", 'Demonic Consultation'],
+        need: 2,
+        payment: 'together',
+      },
+    ]);
+    expect(await screen.findByText(/Combo Groups Playability/)).toBeInTheDocument();
+    const saved = JSON.parse(localStorage.getItem('mtg_mca_state') || '{}');
+    expect(saved.slotA.comboGroups).toHaveLength(1);
+  });
+
+  it('removes a group restored from localStorage', async () => {
+    localStorage.setItem(
+      'mtg_mca_state',
+      JSON.stringify({
+        slotA: {
+          deckText: '1 Thassa’s Oracle',
+          comboGroups: [
+            { name: 'Win', cards: ["Thassa's Oracle", 'Tainted Pact'], need: 2, payment: 'each' },
+          ],
+        },
+      })
+    );
+    parseDeckList.mockResolvedValue(COMBO_DECK);
+    render(<MTGMonteCarloAnalyzer />);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+    expect(await screen.findByText(/some cards are not in this deck/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Remove combo group Win' }));
+    expect(screen.queryByText(/some cards are not in this deck/)).not.toBeInTheDocument();
+  });
+});
+
+describe('Curve out', () => {
+  it('is off by default, forwarded to the shards when ticked and persisted', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue({
+      landsPerTurn: [],
+      keyCardPlayability: {},
+      curveOut: {
+        manaSpentPerTurn: [1, 2],
+        manaWastedPerTurn: [0, 1],
+        spellsCastPerTurn: [1, 1],
+        manaUsedPerTurn: [100, 66.7],
+      },
+      mulligans: 0,
+      handsKept: 1,
+      fastestPlaySequences: {},
+      hasBurstCards: false,
+    });
+    render(<MTGMonteCarloAnalyzer />);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+
+    const toggle = await screen.findByRole('checkbox', { name: /curve out/i });
+    expect(toggle).not.toBeChecked();
+    fireEvent.click(toggle);
+    expect(JSON.parse(localStorage.getItem('mtg_mca_state')).curveOut).toBe(true);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalledTimes(1));
+    expect(monteCarloPartial.mock.calls.every(([, cfg]) => cfg.curveOut === true)).toBe(true);
+    expect(await screen.findByText(/Curve Out: Mana Usage per Turn/)).toBeInTheDocument();
+    expect(screen.getByText(/cast greedily each turn/)).toBeInTheDocument();
+    expect(screen.getByText('66.7%')).toBeInTheDocument();
+  });
+});
+
+describe('Casting policy', () => {
+  it('defaults to greedy, forwards the planner to the shards and persists it', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue({
+      landsPerTurn: [],
+      keyCardPlayability: {},
+      castingPolicy: 'planner',
+      curveOut: {
+        manaSpentPerTurn: [1],
+        manaWastedPerTurn: [0],
+        spellsCastPerTurn: [1],
+        manaUsedPerTurn: [100],
+      },
+      mulligans: 0,
+      handsKept: 1,
+      fastestPlaySequences: {},
+      hasBurstCards: false,
+    });
+    render(<MTGMonteCarloAnalyzer />);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+
+    const select = await screen.findByLabelText(/casting policy/i);
+    expect(select.value).toBe('greedy');
+    fireEvent.change(select, { target: { value: 'planner' } });
+    expect(JSON.parse(localStorage.getItem('mtg_mca_state')).castingPolicy).toBe('planner');
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalledTimes(1));
+    expect(monteCarloPartial.mock.calls.every(([, cfg]) => cfg.castingPolicy === 'planner')).toBe(
+      true
+    );
+    expect(await screen.findByText(/Casting policy: turn planner/)).toBeInTheDocument();
+    expect(screen.getByText(/cast each turn by the turn planner/)).toBeInTheDocument();
+  });
+});
+
+describe('Play policy', () => {
+  it('defaults to the built-in heuristics, forwards the choice to the shards and persists it', async () => {
+    parseDeckList.mockResolvedValue(MOCK_PARSED_DECK);
+    monteCarloPartial.mockReturnValue({
+      landsPerTurn: [],
+      keyCardPlayability: {},
+      playPolicy: 'colors',
+      mulligans: 0,
+      handsKept: 1,
+      fastestPlaySequences: {},
+      hasBurstCards: false,
+    });
+    render(<MTGMonteCarloAnalyzer />);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /parse deck/i }));
+    });
+
+    const select = await screen.findByLabelText(/play policy/i);
+    expect(select.value).toBe('default');
+    fireEvent.change(select, { target: { value: 'colors' } });
+    expect(JSON.parse(localStorage.getItem('mtg_mca_state')).playPolicy).toBe('colors');
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /start simulation/i }));
+    });
+    await waitFor(() => expect(finalizeResults).toHaveBeenCalledTimes(1));
+    expect(monteCarloPartial.mock.calls.every(([, cfg]) => cfg.playPolicy === 'colors')).toBe(true);
+    expect(await screen.findByText(/Play policy: Maximize colours early/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * SpellsPanel.jsx — Component Tests
+ *
+ * Covers the key-card list and the combo-group editor's card choices:
+ *   Card buckets – tutors listed with the other non-land cards, a tutor-only
+ *                  deck still shows the panel
+ *
+ * Run:  npm test
+ */
+
+// @vitest-environment jsdom
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SpellsPanel from '../src/components/SpellsPanel.jsx';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const TUTOR_ONLY_DECK = {
+  spells: [],
+  creatures: [],
+  artifacts: [],
+  rituals: [],
+  rampSpells: [],
+  drawSpells: [],
+  exploration: [],
+  tutors: [{ name: 'Demonic Tutor', quantity: 1, cmc: 2, manaCost: '{1}{B}', isTutor: true }],
+};
+
+const renderPanel = props =>
+  render(
+    <SpellsPanel
+      parsedDeck={TUTOR_ONLY_DECK}
+      selectedKeyCards={new Set()}
+      setSelectedKeyCards={vi.fn()}
+      renderManaCost={cost => cost}
+      {...props}
+    />
+  );
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Card buckets
+// ─────────────────────────────────────────────────────────────────────────────
+describe('Card buckets', () => {
+  it('lists tutors as key cards in a tutor-only deck', () => {
+    const setSelectedKeyCards = vi.fn();
+    renderPanel({ setSelectedKeyCards });
+    fireEvent.click(screen.getByText('1x Demonic Tutor'));
+    expect(setSelectedKeyCards).toHaveBeenCalledWith(new Set(['Demonic Tutor']));
+  });
+
+  it('offers tutors to the combo-group editor', () => {
+    renderPanel({ comboGroups: [], setComboGroups: vi.fn() });
+    expect(screen.getByRole('checkbox', { name: 'Demonic Tutor' })).toBeInTheDocument();
+  });
+});
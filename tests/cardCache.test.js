@@ -0,0 +1,194 @@
+/**
+ * cardCache.js — Unit Tests
+ *
+ * Covers the IndexedDB card cache, against the in-memory stand-in in
+ * fixtures/fakeIndexedDB.js:
+ *   toCacheRecords / fromCacheRecords – one record per name with its printings
+ *   openCardCache                     – null without IndexedDB, every call a no-op
+ *   saveCardFile / loadCachedCards    – round trip with the version / date stamp;
+ *                                       data from another version ignored
+ *   addCachedCard                     – API cards added, printings merged, stamp kept
+ *                                       or started; stale data dropped
+ *   clearCardCache                    – empties the cache
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CARD_CACHE_VERSION,
+  toCacheRecords,
+  fromCacheRecords,
+  openCardCache,
+  loadCachedCards,
+  saveCardFile,
+  addCachedCard,
+  clearCardCache,
+} from '../src/parser/cardCache.js';
+import { indexCollectedCards } from '../src/parser/cardStream.js';
+import { findPrinting } from '../src/parser/cardLookup.js';
+import { createFakeIndexedDB } from './fixtures/fakeIndexedDB.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const SOL_RING = { name: 'Sol Ring', type_line: 'Artifact', mana_cost: '{1}', cmc: 1 };
+const OPT = { name: 'Opt', type_line: 'Instant', mana_cost: '{U}', cmc: 1 };
+
+/** What cardStream.js hands over after reading a file. */
+const COLLECTED = {
+  cards: [SOL_RING, OPT],
+  printings: [
+    [0, 'c21', '263'],
+    [0, 'cmr', '472'],
+    [1, 'xln', '65'],
+  ],
+};
+
+const openFresh = () => openCardCache(createFakeIndexedDB());
+
+// ─────────────────────────────────────────────────────────────────────────────
+// toCacheRecords / fromCacheRecords
+// ─────────────────────────────────────────────────────────────────────────────
+describe('toCacheRecords / fromCacheRecords', () => {
+  it('keys one record per lower-cased name and converts back', () => {
+    const records = toCacheRecords(COLLECTED);
+    expect([...records.keys()]).toEqual(['sol ring', 'opt']);
+    expect(records.get('sol ring').printings).toEqual([
+      ['c21', '263'],
+      ['cmr', '472'],
+    ]);
+    expect(fromCacheRecords([...records.values()])).toEqual(COLLECTED);
+  });
+
+  it('keeps the higher-cmc card when two share a name, with both their printings', () => {
+    const back = { name: 'Sol Ring', cmc: 0 };
+    const records = toCacheRecords({
+      cards: [back, SOL_RING],
+      printings: [
+        [0, 'a', '1'],
+        [1, 'b', '2'],
+      ],
+    });
+    expect(records.get('sol ring')).toEqual({
+      card: SOL_RING,
+      printings: [
+        ['a', '1'],
+        ['b', '2'],
+      ],
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// IndexedDB access
+// ─────────────────────────────────────────────────────────────────────────────
+describe('openCardCache', () => {
+  it('resolves null without IndexedDB, and the other calls do nothing', async () => {
+    const db = await openCardCache(undefined);
+    expect(db).toBeNull();
+    expect(await loadCachedCards(db)).toBeNull();
+    expect(await saveCardFile(db, COLLECTED, 'cards.json')).toBeNull();
+    expect(await addCachedCard(db, SOL_RING)).toBeNull();
+    await expect(clearCardCache(db)).resolves.toBeUndefined();
+  });
+});
+
+describe('saveCardFile / loadCachedCards', () => {
+  it('reads back the saved cards with a version and date stamp', async () => {
+    const db = await openFresh();
+    expect(await loadCachedCards(db)).toBeNull();
+
+    const stamp = await saveCardFile(db, COLLECTED, 'default-cards.json');
+    expect(stamp).toMatchObject({
+      version: CARD_CACHE_VERSION,
+      source: 'default-cards.json',
+      cardCount: 2,
+    });
+    expect(Number.isNaN(Date.parse(stamp.savedAt))).toBe(false);
+
+    const cached = await loadCachedCards(db);
+    expect(cached.stamp).toEqual(stamp);
+    expect(cached.cards).toEqual(COLLECTED.cards);
+    const { printingMap } = indexCollectedCards(cached);
+    expect(findPrinting(printingMap, 'Sol Ring', { set: 'CMR', collectorNumber: '472' })).toEqual({
+      ...SOL_RING,
+      set: 'cmr',
+      collector_number: '472',
+    });
+  });
+
+  it('replaces what was cached before', async () => {
+    const db = await openFresh();
+    await saveCardFile(db, COLLECTED, 'old.json');
+    await saveCardFile(db, { cards: [OPT], printings: [] }, 'new.json');
+    const cached = await loadCachedCards(db);
+    expect(cached.cards).toEqual([OPT]);
+    expect(cached.stamp.source).toBe('new.json');
+  });
+
+  it('ignores data stamped with another version', async () => {
+    const db = await openFresh();
+    await saveCardFile(db, COLLECTED, 'cards.json');
+    const tx = db.transaction(['meta'], 'readwrite');
+    tx.objectStore('meta').put({ version: CARD_CACHE_VERSION - 1 }, 'stamp');
+    await new Promise(resolve => (tx.oncomplete = resolve));
+    expect(await loadCachedCards(db)).toBeNull();
+  });
+});
+
+describe('addCachedCard', () => {
+  it('starts a Scryfall API stamp on an empty cache', async () => {
+    const db = await openFresh();
+    const apiCard = { ...SOL_RING, set: 'c21', collector_number: '263', prices: { usd: '1' } };
+    const stamp = await addCachedCard(db, apiCard);
+    expect(stamp).toMatchObject({ source: 'Scryfall API', cardCount: 1 });
+    const cached = await loadCachedCards(db);
+    expect(cached.cards).toEqual([SOL_RING]);
+    expect(cached.printings).toEqual([[0, 'c21', '263']]);
+  });
+
+  it('adds to a saved file, merging printings of cards it has', async () => {
+    const db = await openFresh();
+    const saved = await saveCardFile(db, COLLECTED, 'cards.json');
+    await addCachedCard(db, { ...SOL_RING, set: 'c21', collector_number: '263' });
+    await addCachedCard(db, { ...SOL_RING, set: 'sld', collector_number: '1011' });
+    const stamp = await addCachedCard(db, {
+      name: 'Ponder',
+      cmc: 1,
+      set: 'lrw',
+      collector_number: '79',
+    });
+    expect(stamp).toEqual({ ...saved, cardCount: 3 });
+
+    const cached = await loadCachedCards(db);
+    expect(cached.cards.map(c => c.name)).toEqual(['Sol Ring', 'Opt', 'Ponder']);
+    expect(cached.printings.filter(([index]) => index === 0)).toEqual([
+      [0, 'c21', '263'],
+      [0, 'cmr', '472'],
+      [0, 'sld', '1011'],
+    ]);
+  });
+
+  it('drops data from another version before adding', async () => {
+    const db = await openFresh();
+    await saveCardFile(db, COLLECTED, 'cards.json');
+    const tx = db.transaction(['meta'], 'readwrite');
+    tx.objectStore('meta').put({ version: CARD_CACHE_VERSION - 1 }, 'stamp');
+    await new Promise(resolve => (tx.oncomplete = resolve));
+
+    await addCachedCard(db, OPT);
+    const cached = await loadCachedCards(db);
+    expect(cached.cards).toEqual([OPT]);
+    expect(cached.stamp).toMatchObject({ source: 'Scryfall API', cardCount: 1 });
+  });
+});
+
+describe('clearCardCache', () => {
+  it('empties the cache', async () => {
+    const db = await openFresh();
+    await saveCardFile(db, COLLECTED, 'cards.json');
+    await clearCardCache(db);
+    expect(await loadCachedCards(db)).toBeNull();
+  });
+});
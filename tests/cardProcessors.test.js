@@ -1,7 +1,7 @@
 /**
  * cardProcessors.js — Unit Tests
  *
- * Covers all 15 exported functions:
+ * Covers all 17 exported functions:
  *   extractManaProduction      – low-level text helper
  *   extractManaAmount          – low-level text helper
  *   extractRitualManaAmount    – low-level text helper
@@ -9,12 +9,14 @@
  *   hasManaTapAbility          – oracle-text regex
  *   detectTreasureFromOracle   – oracle-text treasure fallback
  *   detectDrawFromOracle       – oracle-text draw fallback
+ *   detectTutorFromOracle      – oracle-text tutor fallback
  *   processLand                – full land object builder
  *   processManaArtifact        – artifact object builder
  *   processManaCreature        – creature object builder
  *   processExploration         – exploration object builder
  *   processRampSpell           – ramp-spell object builder
  *   processRitual              – ritual object builder
+ *   processTutor               – tutor object builder
  *   processSpell               – generic spell object builder
  *   processCardData            – top-level routing function
  *
@@ -30,6 +32,7 @@ import {
   hasManaTapAbility,
   detectTreasureFromOracle,
   detectDrawFromOracle,
+  detectTutorFromOracle,
   processLand,
   processManaArtifact,
   processManaCreature,
@@ -38,6 +41,7 @@ import {
   processRitual,
   processSpell,
   processCostReducer,
+  processTutor,
   processCardData,
 } from '../src/simulation/cardProcessors.js';
 
@@ -333,6 +337,53 @@ describe('detectDrawFromOracle', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// detectTutorFromOracle
+// ─────────────────────────────────────────────────────────────────────────────
+describe('detectTutorFromOracle', () => {
+  it('returns null without a search or for land searches', () => {
+    expect(detectTutorFromOracle(null, 'Sorcery')).toBeNull();
+    expect(detectTutorFromOracle('Draw a card.', 'Sorcery')).toBeNull();
+    expect(
+      detectTutorFromOracle(
+        'Search your library for a basic land card, put it into your hand, then shuffle.',
+        'Sorcery'
+      )
+    ).toBeNull();
+  });
+
+  it('detects an unrestricted tutor to hand', () => {
+    expect(
+      detectTutorFromOracle(
+        'Search your library for a card, put that card into your hand, then shuffle.',
+        'Sorcery'
+      )
+    ).toEqual({ finds: 'any', destination: 'hand', staysOnBattlefield: false });
+  });
+
+  it('reads the card type and a top-of-library destination', () => {
+    const result = detectTutorFromOracle(
+      'Search your library for an instant or sorcery card, reveal it, then shuffle and put that card on top of your library.',
+      'Instant'
+    );
+    expect(result).toMatchObject({ finds: 'instant_sorcery', destination: 'top' });
+  });
+
+  it('keeps creatures with an ETB search on the battlefield', () => {
+    const result = detectTutorFromOracle(
+      'When this creature enters, you may search your library for an artifact card, reveal it, put it into your hand, then shuffle.',
+      'Creature — Human Wizard'
+    );
+    expect(result).toMatchObject({ finds: 'artifact', staysOnBattlefield: true });
+  });
+
+  it('models transmute as finding a card of the same mana value', () => {
+    expect(
+      detectTutorFromOracle('Counter target spell.\nTransmute {1}{U}{U}', 'Instant', 2)
+    ).toEqual({ finds: 'any', manaValue: 2, destination: 'hand', transmuteCost: '{1}{U}{U}' });
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Helpers – build minimal Scryfall-shaped objects for the processor tests
 // ─────────────────────────────────────────────────────────────────────────────
@@ -850,6 +901,40 @@ describe('processCardData', () => {
     const result = processCardData(data);
     expect(result.isDrawSpell).toBe(true);
   });
+
+  it('carries scry, surveil and look-at fields from the card data', () => {
+    const card = (name, oracle_text) => ({
+      name,
+      type_line: 'Sorcery',
+      oracle_text,
+      mana_cost: '{U}',
+      cmc: 1,
+      layout: 'normal',
+    });
+    expect(processCardData(card('Preordain', 'Scry 2, then draw a card.')).scry).toBe(2);
+    expect(processCardData(card('Consider', 'Surveil 1. Draw a card.')).surveil).toBe(1);
+    expect(processCardData(card('Dig Through Time', 'Look at the top seven…'))).toMatchObject({
+      lookAt: 7,
+      putBack: 2,
+    });
+    // Data entries are authoritative; the oracle fallback is for unknown cards only
+    expect(processCardData(card("Alhammarret's Archive", 'scry 1')).scry).toBeUndefined();
+    expect(processCardData(card('Unknown Cantrip 9999', 'Surveil 2. Draw a card.'))).toMatchObject({
+      isDrawSpell: true,
+      surveil: 2,
+    });
+  });
+
+  it('routes known tutors and oracle-text searches to processTutor', () => {
+    const demonic = makeCard({ name: 'Demonic Tutor', type_line: 'Sorcery', mana_cost: '{1}{B}' });
+    expect(processCardData(demonic)).toMatchObject({ type: 'tutor', isTutor: true, finds: 'any' });
+    const unknown = makeCard({
+      name: 'Unknown Tutor 9999',
+      type_line: 'Sorcery',
+      oracle_text: 'Search your library for a creature card, put it into your hand, then shuffle.',
+    });
+    expect(processCardData(unknown)).toMatchObject({ isTutor: true, finds: 'creature' });
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -914,3 +999,41 @@ describe('processCostReducer', () => {
     expect(processCostReducer(data).reducesType).toBe('instant_or_sorcery');
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// processTutor
+// ─────────────────────────────────────────────────────────────────────────────
+describe('processTutor', () => {
+  it('reads finds and destination from TUTOR_DATA', () => {
+    const data = makeCard({ name: 'Worldly Tutor', mana_cost: '{G}', cmc: 1 });
+    expect(processTutor(data)).toMatchObject({
+      type: 'tutor',
+      isTutor: true,
+      finds: 'creature',
+      destination: 'top',
+      staysOnBattlefield: false,
+      isTransmute: false,
+      cmc: 1,
+    });
+  });
+
+  it('keeps mana-value limits and tutor creatures on the battlefield', () => {
+    const data = makeCard({
+      name: 'Trophy Mage',
+      type_line: 'Creature — Human Wizard',
+      mana_cost: '{2}{U}',
+      cmc: 3,
+    });
+    expect(processTutor(data)).toMatchObject({ manaValue: 3, staysOnBattlefield: true });
+  });
+
+  it('uses the transmute cost for transmute cards', () => {
+    const data = makeCard({ name: 'Muddle the Mixture', mana_cost: '{U}{U}', cmc: 2 });
+    expect(processTutor(data)).toMatchObject({
+      isTransmute: true,
+      manaValue: 2,
+      manaCost: '{1}{U}{U}',
+      cmc: 3,
+    });
+  });
+});
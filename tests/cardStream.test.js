@@ -0,0 +1,238 @@
+/**
+ * cardStream.js — Unit Tests
+ *
+ * Covers the streaming Default Cards loader:
+ *   slimCard              – only the fields the app reads, faces included
+ *   createJsonArrayReader – elements split across chunks, strings holding
+ *                           braces, quotes and escapes; non-array and
+ *                           truncated input rejected
+ *   createCardCollector   – printings share one card, repeated printings and
+ *                           tokens dropped
+ *   readCardStream        – byte chunks split inside multi-byte characters,
+ *                           progress reported
+ *   indexCollectedCards   – name and printing maps the lookups use
+ *   loadCardFile          – worker protocol: progress, result, error
+ *
+ * Run:  npm test
+ */
+
+// @vitest-environment node
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  slimCard,
+  createJsonArrayReader,
+  createCardCollector,
+  readCardStream,
+  indexCollectedCards,
+  loadCardFile,
+} from '../src/parser/cardStream.js';
+import { findCardInMap, findPrinting } from '../src/parser/cardLookup.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const printing = (name, set, collectorNumber, extras = {}) => ({
+  object: 'card',
+  id: `${set}-${collectorNumber}`,
+  oracle_id: `oracle-${name}`,
+  name,
+  layout: 'normal',
+  type_line: 'Artifact',
+  oracle_text: '{T}: Add {C}{C}.',
+  mana_cost: '{1}',
+  cmc: 1,
+  color_identity: [],
+  legalities: { commander: 'legal', modern: 'banned' },
+  set,
+  collector_number: collectorNumber,
+  image_uris: { normal: 'https://example.test/card.jpg' },
+  prices: { usd: '1.00' },
+  ...extras,
+});
+
+const SOL_RING_C21 = printing('Sol Ring', 'c21', '263');
+const SOL_RING_CMR = printing('Sol Ring', 'cmr', '472');
+const TOKEN = printing('Treasure', 'tc21', '1', { layout: 'token', type_line: 'Token Artifact' });
+const MDFC = printing('Turntimber Symbiosis // Turntimber, Serpentine Wood', 'znr', '215', {
+  layout: 'modal_dfc',
+  card_faces: [
+    { name: 'Turntimber Symbiosis', type_line: 'Sorcery', mana_cost: '{4}{G}{G}{G}', artist: 'X' },
+    { name: 'Turntimber, Serpentine Wood', type_line: 'Land — Forest', mana_cost: '' },
+  ],
+});
+
+/** Collects what a reader passes on after feeding it `chunks`. */
+const readChunks = chunks => {
+  const items = [];
+  const reader = createJsonArrayReader(item => items.push(item));
+  chunks.forEach(chunk => reader.write(chunk));
+  reader.end();
+  return items;
+};
+
+/** A byte stream of `text` in chunks of `size` bytes. */
+const byteStream = (text, size) => {
+  const bytes = new TextEncoder().encode(text);
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) controller.close();
+      else controller.enqueue(bytes.slice(offset, (offset += size)));
+    },
+  });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// slimCard
+// ─────────────────────────────────────────────────────────────────────────────
+describe('slimCard', () => {
+  it('keeps the game fields and drops images, prices and ids', () => {
+    expect(slimCard(SOL_RING_C21)).toEqual({
+      name: 'Sol Ring',
+      layout: 'normal',
+      type_line: 'Artifact',
+      oracle_text: '{T}: Add {C}{C}.',
+      mana_cost: '{1}',
+      cmc: 1,
+      color_identity: [],
+      legalities: { commander: 'legal', modern: 'banned' },
+    });
+    expect(slimCard(MDFC).card_faces[0]).toEqual({
+      name: 'Turntimber Symbiosis',
+      type_line: 'Sorcery',
+      mana_cost: '{4}{G}{G}{G}',
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createJsonArrayReader
+// ─────────────────────────────────────────────────────────────────────────────
+describe('createJsonArrayReader', () => {
+  it('passes on each element, wherever the chunks split', () => {
+    const cards = [
+      { name: 'Brace {Test}', oracle_text: 'Say "}]" \\ then {', faces: [{ a: 1 }] },
+      { name: 'Plain' },
+    ];
+    const text = ` \n${JSON.stringify(cards, null, 2)}\n`;
+    expect(readChunks([text])).toEqual(cards);
+    // One character at a time splits every string, escape and bracket
+    expect(readChunks(text.split(''))).toEqual(cards);
+  });
+
+  it('reads an empty array', () => {
+    expect(readChunks(['[', ' ]'])).toEqual([]);
+  });
+
+  it('rejects anything but an array of objects, and a truncated array', () => {
+    expect(() => readChunks(['{"name": "Sol Ring"}'])).toThrow('Expected an array of card objects');
+    expect(() => readChunks(['[1, 2]'])).toThrow('Expected an array of card objects');
+    expect(() => readChunks(['[{"name": "Sol'])).toThrow('ends before its array is closed');
+    expect(() => readChunks(['[{"name": bad}]'])).toThrow(SyntaxError);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createCardCollector
+// ─────────────────────────────────────────────────────────────────────────────
+describe('createCardCollector', () => {
+  it('keeps one card per oracle card and one entry per distinct printing', () => {
+    const collector = createCardCollector();
+    [SOL_RING_C21, SOL_RING_CMR, SOL_RING_C21, TOKEN, MDFC].forEach(collector.add);
+    const { cards, printings } = collector.result();
+    expect(cards.map(c => c.name)).toEqual([
+      'Sol Ring',
+      'Turntimber Symbiosis // Turntimber, Serpentine Wood',
+    ]);
+    expect(printings).toEqual([
+      [0, 'c21', '263'],
+      [0, 'cmr', '472'],
+      [1, 'znr', '215'],
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// readCardStream / indexCollectedCards
+// ─────────────────────────────────────────────────────────────────────────────
+describe('readCardStream', () => {
+  it('reads a byte stream split inside multi-byte characters and reports progress', async () => {
+    const text = JSON.stringify([SOL_RING_C21, MDFC, SOL_RING_CMR]);
+    const onProgress = vi.fn();
+    const { cards, printings } = await readCardStream(byteStream(text, 7), {
+      totalBytes: 1000,
+      onProgress,
+    });
+    expect(cards[1].card_faces[1].type_line).toBe('Land — Forest');
+    expect(printings).toHaveLength(3);
+    const bytes = new TextEncoder().encode(text).length;
+    expect(onProgress).toHaveBeenLastCalledWith(bytes, 1000);
+    expect(onProgress).toHaveBeenCalledTimes(Math.ceil(bytes / 7));
+  });
+});
+
+describe('indexCollectedCards', () => {
+  it('builds the name and printing maps the card lookups use', async () => {
+    const collected = await readCardStream(
+      byteStream(JSON.stringify([SOL_RING_C21, SOL_RING_CMR, TOKEN]), 64)
+    );
+    const { cardLookupMap, printingMap } = indexCollectedCards(collected);
+    expect(findCardInMap(cardLookupMap, 'sol ring')).toMatchObject({ name: 'Sol Ring', cmc: 1 });
+    expect(findCardInMap(cardLookupMap, 'Treasure')).toBeNull();
+    expect(
+      findPrinting(printingMap, 'Sol Ring', { set: 'CMR', collectorNumber: '472' })
+    ).toMatchObject({ name: 'Sol Ring', set: 'cmr', collector_number: '472' });
+    expect(findPrinting(printingMap, 'Sol Ring', { set: 'C21' })).toMatchObject({
+      collector_number: '263',
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// loadCardFile
+// ─────────────────────────────────────────────────────────────────────────────
+describe('loadCardFile', () => {
+  /** A worker stand-in that answers LOAD with `replies`. */
+  const fakeWorker = replies => () => {
+    const worker = {
+      terminate: vi.fn(),
+      postMessage: vi.fn(message => {
+        expect(message.type).toBe('LOAD');
+        replies.forEach(data => worker.onmessage({ data }));
+      }),
+    };
+    fakeWorker.last = worker;
+    return worker;
+  };
+
+  it('reports progress and resolves with the cards, then stops the worker', async () => {
+    const onProgress = vi.fn();
+    const result = await loadCardFile(
+      {},
+      {
+        onProgress,
+        createWorker: fakeWorker([
+          { type: 'PROGRESS', percent: 50 },
+          { type: 'DONE', cards: [{ name: 'Sol Ring' }], printings: [] },
+        ]),
+      }
+    );
+    expect(onProgress).toHaveBeenCalledWith(50);
+    expect(result).toEqual({ cards: [{ name: 'Sol Ring' }], printings: [] });
+    expect(fakeWorker.last.terminate).toHaveBeenCalled();
+  });
+
+  it("rejects with the worker's error", async () => {
+    await expect(
+      loadCardFile(
+        {},
+        {
+          createWorker: fakeWorker([
+            { type: 'ERROR', message: 'Expected an array of card objects' },
+          ]),
+        }
+      )
+    ).rejects.toThrow('Expected an array of card objects');
+  });
+});
@@ -0,0 +1,332 @@
+/**
+ * simCli.js / cardLookup.js — Unit Tests
+ *
+ * Covers the pure helpers behind cli.mjs:
+ *   cardLookup    – token filtering, duplicate printings, exact/prefix/substring match,
+ *                   printings by set + collector number
+ *   parseCliArgs  – commands, value flags, repeatable --key, validation errors
+ *   buildCliConfig – worker-shaped --config rehydration, flag overrides, key cards
+ *   formatters    – summary table, multi-deck CSV, JSON
+ *   end to end    – deck text → parse → monteCarloSharded → formatted output
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseCliArgs,
+  rehydrateConfig,
+  resolveKeyCards,
+  buildCliConfig,
+  resultsToRows,
+  formatSummaryTable,
+  formatCsv,
+  formatJson,
+} from '../src/cli/simCli.js';
+import {
+  buildCardLookupMap,
+  buildPrintingMap,
+  findCardInMap,
+  findPrinting,
+  isTokenCard,
+} from '../src/parser/cardLookup.js';
+import { parseDeckList } from '../src/parser/deckParser.js';
+import { monteCarloSharded } from '../src/simulation/monteCarlo.js';
+import { SIM_SET_FIELDS } from '../src/simulation/simConstants.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const card = (name, type_line, oracle_text = '', mana_cost = '', cmc = 0, extras = {}) => ({
+  name,
+  type_line,
+  oracle_text,
+  mana_cost,
+  cmc,
+  layout: 'normal',
+  ...extras,
+});
+
+const CARDS = [
+  card('Forest', 'Basic Land — Forest', '({T}: Add {G}.)'),
+  card('Island', 'Basic Land — Island', '({T}: Add {U}.)'),
+  card('Sol Ring', 'Artifact', '{T}: Add {C}{C}.', '{1}', 1),
+  card('Counterspell', 'Instant', 'Counter target spell.', '{U}{U}', 2),
+  card('Force of Will', 'Instant', '', '{3}{U}{U}', 5),
+  card('Force Spike', 'Instant', '', '{U}', 1),
+  card('Beast', 'Token Creature — Beast', '', '', 0, { layout: 'token' }),
+];
+
+const DECK_TEXT = '20 Forest\n18 Island\n1 Sol Ring\n4 Counterspell\n';
+
+const parseDeck = async (text = DECK_TEXT) => {
+  const cardLookupMap = buildCardLookupMap(CARDS);
+  return parseDeckList(text, {
+    cardLookupMap,
+    apiMode: 'local',
+    lookupCard: async name => findCardInMap(cardLookupMap, name),
+  });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// cardLookup
+// ─────────────────────────────────────────────────────────────────────────────
+describe('cardLookup', () => {
+  it('skips tokens when building the lookup map', () => {
+    const map = buildCardLookupMap(CARDS);
+    expect(map.has('beast')).toBe(false);
+    expect(map.has('sol ring')).toBe(true);
+    expect(isTokenCard(CARDS[6])).toBe(true);
+    expect(isTokenCard(CARDS[0])).toBe(false);
+  });
+
+  it('keeps the higher-cmc printing of a duplicated name', () => {
+    const map = buildCardLookupMap([
+      card('Delver of Secrets', 'Creature', '', '{U}', 1),
+      card('Delver of Secrets', 'Creature', '', '', 0),
+    ]);
+    expect(map.get('delver of secrets').cmc).toBe(1);
+  });
+
+  it('matches exact names first, then prefixes, then substrings', () => {
+    const map = buildCardLookupMap(CARDS);
+    expect(findCardInMap(map, '  SOL RING ').name).toBe('Sol Ring');
+    expect(findCardInMap(map, 'Force').name).toBe('Force of Will');
+    expect(findCardInMap(map, 'spell').name).toBe('Counterspell');
+    expect(findCardInMap(map, 'Black Lotus')).toBeNull();
+  });
+
+  it('finds the printing a deck line names by set and collector number or set alone', () => {
+    const c21 = card('Sol Ring', 'Artifact', '', '{1}', 1, { set: 'c21', collector_number: '263' });
+    const cmr = card('Sol Ring', 'Artifact', '', '{1}', 1, { set: 'cmr', collector_number: '472' });
+    const map = buildPrintingMap([c21, cmr, { ...CARDS[6], set: 'tc21', collector_number: '1' }]);
+    expect(findPrinting(map, 'Sol Ring', { set: 'CMR', collectorNumber: '472' })).toBe(cmr);
+    expect(findPrinting(map, 'sol ring', { set: 'C21', collectorNumber: null })).toBe(c21);
+    // A collector number that belongs to another card is ignored
+    expect(findPrinting(map, 'Mana Crypt', { set: 'C21', collectorNumber: '263' })).toBeNull();
+    expect(findPrinting(map, 'Beast', { set: 'TC21', collectorNumber: '1' })).toBeNull();
+    expect(findPrinting(map, 'Sol Ring', null)).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// parseCliArgs
+// ─────────────────────────────────────────────────────────────────────────────
+describe('parseCliArgs', () => {
+  it('parses the sim command, deck files and value flags', () => {
+    const { command, deckFiles, options, error } = parseCliArgs([
+      'sim',
+      'a.txt',
+      'b.txt',
+      '--cards',
+      'cards.json',
+      '--iterations=20000',
+      '--turns',
+      '8',
+      '--key',
+      'Sol Ring',
+      '--key',
+      'Counterspell',
+      '--seed',
+      '0',
+      '--mulligans',
+      '--format',
+      'csv',
+    ]);
+    expect(error).toBeNull();
+    expect(command).toBe('sim');
+    expect(deckFiles).toEqual(['a.txt', 'b.txt']);
+    expect(options).toMatchObject({
+      cards: 'cards.json',
+      iterations: 20000,
+      turns: 8,
+      keys: ['Sol Ring', 'Counterspell'],
+      seed: 0,
+      mulligans: true,
+      format: 'csv',
+    });
+  });
+
+  it('defaults to table output with no key cards', () => {
+    const { options } = parseCliArgs(['sim', 'a.txt', '--cards', 'c.json']);
+    expect(options.format).toBe('table');
+    expect(options.keys).toEqual([]);
+    expect(options.iterations).toBeUndefined();
+  });
+
+  it('returns the help command for --help or "help"', () => {
+    expect(parseCliArgs(['--help']).command).toBe('help');
+    expect(parseCliArgs(['help']).command).toBe('help');
+  });
+
+  it.each([
+    [[], 'No command given'],
+    [['run', 'a.txt'], 'Unknown command "run"'],
+    [['sim', '--cards', 'c.json'], 'No deck file given'],
+    [['sim', 'a.txt'], '--cards <default-cards.json> is required'],
+    [['sim', 'a.txt', '--cards'], '--cards needs a value'],
+    [['sim', 'a.txt', '--bogus'], 'Unknown option --bogus'],
+    [['sim', 'a.txt', '--turns', '0'], '--turns must be a positive integer'],
+    [['sim', 'a.txt', '--seed', '-1'], '--seed must be a non-negative integer'],
+    [['sim', 'a.txt', '--ci-target', 'x'], '--ci-target must be a positive number'],
+    [['sim', 'a.txt', '--format', 'xml'], '--format must be one of: table, json, csv'],
+    [['sim', 'a.txt', '--play-draw', 'first'], '--play-draw must be one of: play, draw'],
+    [
+      ['sim', 'a.txt', '--casting-policy', 'smart'],
+      '--casting-policy must be one of: greedy, planner',
+    ],
+    [
+      ['sim', 'a.txt', '--play-policy', 'smart'],
+      '--play-policy must be one of: default, colors, untapped',
+    ],
+  ])('rejects %j', (argv, message) => {
+    const { command, error } = parseCliArgs(argv);
+    expect(command).toBeNull();
+    expect(error).toBe(message);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// buildCliConfig
+// ─────────────────────────────────────────────────────────────────────────────
+describe('buildCliConfig', () => {
+  it('rehydrates every Set field of a worker-shaped config', () => {
+    const config = rehydrateConfig({ turns: 5, disabledArtifacts: ['Sol Ring'] });
+    SIM_SET_FIELDS.forEach(field => expect(config[field]).toBeInstanceOf(Set));
+    expect([...config.disabledArtifacts]).toEqual(['Sol Ring']);
+    expect(config.turns).toBe(5);
+  });
+
+  it('resolves key cards case-insensitively and reports unknown names', async () => {
+    const deck = await parseDeck();
+    expect(resolveKeyCards(deck, ['sol ring', 'COUNTERSPELL', 'Forest', 'Nope'])).toEqual({
+      names: ['Sol Ring', 'Counterspell'],
+      missing: ['Forest', 'Nope'],
+    });
+  });
+
+  it('lets flags override the config file and merges key cards', async () => {
+    const deck = await parseDeck();
+    const { config, errors } = buildCliConfig(
+      { keys: ['sol ring'], turns: 4, commander: 'Counterspell', mulligans: true },
+      deck,
+      { turns: 9, iterations: 500, selectedKeyCards: ['Counterspell'] }
+    );
+    expect(errors).toEqual([]);
+    expect(config.turns).toBe(4);
+    expect(config.iterations).toBe(500);
+    expect(config.enableMulligans).toBe(true);
+    expect(config.commanderMode).toBe(true);
+    expect(config.commanderName).toBe('Counterspell');
+    expect([...config.selectedKeyCards]).toEqual(['Counterspell', 'Sol Ring']);
+  });
+
+  it('passes --partner and --commander-deaths through to the engine config', async () => {
+    const options = parseCliArgs([
+      'sim',
+      'deck.txt',
+      '--partner',
+      'Sol Ring',
+      '--commander-deaths=2',
+    ]).options;
+    const { config } = buildCliConfig(options, await parseDeck());
+    expect(config.commanderMode).toBe(true);
+    expect(config.partnerName).toBe('Sol Ring');
+    expect(config.commanderDeaths).toBe(2);
+    expect(parseCliArgs(['sim', 'd.txt', '--commander-deaths', '0']).error).toBe(
+      '--commander-deaths must be a positive integer'
+    );
+  });
+
+  it('returns an error for a key card missing from the deck', async () => {
+    const deck = await parseDeck();
+    const { errors } = buildCliConfig({ keys: ['Force of Will'] }, deck);
+    expect(errors).toEqual(['Key card "Force of Will" not found in deck']);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Formatting (end to end)
+// ─────────────────────────────────────────────────────────────────────────────
+describe('formatting', () => {
+  const runDeck = async (options = {}) => {
+    const deck = await parseDeck();
+    const { config } = buildCliConfig(
+      { keys: ['Counterspell'], iterations: 300, turns: 3, seed: 7, ...options },
+      deck
+    );
+    return monteCarloSharded(deck, config);
+  };
+
+  it('builds one row per turn with key-card columns', async () => {
+    const results = await runDeck();
+    const rows = resultsToRows(results);
+    expect(rows).toHaveLength(3);
+    expect(Object.keys(rows[0])).toEqual([
+      'Turn',
+      'Total Lands',
+      'Untapped Lands',
+      'Total Mana',
+      'W Mana',
+      'U Mana',
+      'B Mana',
+      'R Mana',
+      'G Mana',
+      'Life Loss',
+      'Cards Drawn',
+      'Treasure Pool',
+      'Counterspell',
+    ]);
+    expect(rows[2]['Total Lands']).toBeCloseTo(results.landsPerTurn[2], 2);
+  });
+
+  it('prints a summary table with header, turns and rates', async () => {
+    const results = await runDeck();
+    const table = formatSummaryTable('deck.txt', results);
+    expect(table).toContain('deck.txt — 300 iterations, seed 7, on the play');
+    expect(table).toContain('Counterspell %');
+    expect(table).toMatch(/Flood \(≥5 lands by turn 5\): n\/a/);
+    expect(table).toMatch(/Screw \(≤2 lands by turn 3\): [\d.]+% ± [\d.]+/);
+    expect(table.split('\n').filter(l => /^\s+\d\s/.test(l))).toHaveLength(3);
+  });
+
+  it('names the turn planner in the header when it is the casting policy', async () => {
+    const results = await runDeck({ castingPolicy: 'planner' });
+    expect(formatSummaryTable('deck.txt', results)).toContain(
+      'deck.txt — 300 iterations, seed 7, on the play, turn planner'
+    );
+  });
+
+  it('names a play policy other than the default in the header', async () => {
+    const results = await runDeck({ playPolicy: 'colors' });
+    expect(formatSummaryTable('deck.txt', results)).toContain(
+      'deck.txt — 300 iterations, seed 7, on the play, colors play policy'
+    );
+  });
+
+  it('writes a Deck column per run and quotes values that need it', async () => {
+    const results = await runDeck();
+    const csv = formatCsv([
+      { label: 'a.txt', results },
+      { label: 'b, copy.txt', results },
+    ]).split('\n');
+    expect(csv[0].startsWith('Deck,Turn,Total Lands')).toBe(true);
+    expect(csv).toHaveLength(7);
+    expect(csv[1].startsWith('a.txt,1,')).toBe(true);
+    expect(csv[4].startsWith('"b, copy.txt",1,')).toBe(true);
+  });
+
+  it('emits the full results as JSON', async () => {
+    const results = await runDeck();
+    const [run] = JSON.parse(formatJson([{ label: 'a.txt', results }]));
+    expect(run.deck).toBe('a.txt');
+    expect(run.results.seed).toBe(7);
+    expect(run.results.keyCardPlayability.Counterspell).toHaveLength(3);
+  });
+
+  it('is reproducible for a fixed seed', async () => {
+    const a = await runDeck();
+    const b = await runDeck();
+    expect(formatCsv([{ label: 'x', results: a }])).toBe(formatCsv([{ label: 'x', results: b }]));
+  });
+});
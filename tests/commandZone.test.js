@@ -0,0 +1,116 @@
+/**
+ * commandZone.js — Unit Tests
+ *
+ * Covers commanders in the command zone:
+ *   resolveCommander – Commander section first, then the main list; case-insensitive;
+ *                      MDFC spell sides skipped; unknown names
+ *   taxedCommander   – {2} generic per previous cast
+ *   castCommanders   – taps mana, enters the battlefield, cheapest first, tax paid and logged
+ *   killCommanders   – deaths up to the scenario count, back to the command zone
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  COMMANDER_TAX,
+  resolveCommander,
+  taxedCommander,
+  castCommanders,
+  killCommanders,
+} from '../src/simulation/commandZone.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const forest = () => ({ name: 'Forest', isLand: true, produces: ['G'], manaAmount: 1 });
+const forests = n => Array.from({ length: n }, () => ({ card: forest(), tapped: false }));
+const commander = (name, cmc, manaCost = `{${cmc}}`) => ({ name, cmc, manaCost, isLand: false });
+const zoneOf = (...cards) => cards.map(card => ({ card, timesCast: 0, onBattlefield: false }));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveCommander / taxedCommander
+// ─────────────────────────────────────────────────────────────────────────────
+describe('resolveCommander', () => {
+  const kenrith = commander('Kenrith, the Returned King', 5);
+
+  it('prefers the Commander section and matches case-insensitively', () => {
+    const deck = { commanders: [kenrith], spells: [{ ...kenrith }] };
+    expect(resolveCommander('kenrith, the returned king ', deck)).toEqual({
+      card: kenrith,
+      inDeck: false,
+    });
+  });
+
+  it('falls back to the main list, skipping MDFC spell sides', () => {
+    const mdfc = { ...commander('Esika, God of the Tree', 3), isMDFCSpellSide: true };
+    const deck = { creatures: [kenrith], spells: [mdfc] };
+    expect(resolveCommander('Kenrith, the Returned King', deck)).toEqual({
+      card: kenrith,
+      inDeck: true,
+    });
+    expect(resolveCommander('Esika, God of the Tree', deck)).toBeNull();
+    expect(resolveCommander('', deck)).toBeNull();
+  });
+});
+
+describe('taxedCommander', () => {
+  it('adds {2} generic per previous cast', () => {
+    const card = commander('Tymna the Weaver', 3, '{1}{W}{B}');
+    expect(taxedCommander(card, 0)).toBe(card);
+    expect(taxedCommander(card, 2)).toMatchObject({ cmc: 7, manaCost: '{4}{1}{W}{B}' });
+    expect(COMMANDER_TAX).toBe(2);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// castCommanders / killCommanders
+// ─────────────────────────────────────────────────────────────────────────────
+describe('castCommanders', () => {
+  it('casts what the mana pays for, cheapest first, tapping the sources', () => {
+    const zone = zoneOf(commander('Tymna the Weaver', 3), commander('Thrasios, Triton Hero', 2));
+    const battlefield = forests(4);
+    const turnLog = { actions: [] };
+    const cast = castCommanders(zone, battlefield, 3, turnLog);
+    expect(cast.map(c => [c.entry.card.name, c.castIndex, c.manaSpent])).toEqual([
+      ['Thrasios, Triton Hero', 0, 2],
+    ]);
+    expect(battlefield.filter(p => p.card.isLand && p.tapped)).toHaveLength(2);
+    expect(battlefield.at(-1)).toMatchObject({ isCommander: true, enteredOnTurn: 3 });
+    expect(zone[1]).toMatchObject({ timesCast: 1, onBattlefield: true });
+    expect(turnLog.actions).toEqual(['Cast commander: Thrasios, Triton Hero']);
+  });
+
+  it('pays the tax and logs it', () => {
+    const [entry] = zoneOf(commander('Kenrith, the Returned King', 5));
+    entry.timesCast = 1;
+    const turnLog = { actions: [] };
+    expect(castCommanders([entry], forests(6), 5, turnLog)).toHaveLength(0);
+    expect(castCommanders([entry], forests(7), 6, turnLog)[0]).toMatchObject({
+      castIndex: 1,
+      manaSpent: 7,
+    });
+    expect(turnLog.actions).toEqual([
+      'Cast commander: Kenrith, the Returned King (+2 commander tax)',
+    ]);
+  });
+});
+
+describe('killCommanders', () => {
+  it('kills a commander until it has been cast more than `deaths` times', () => {
+    const zone = zoneOf(commander('Kenrith, the Returned King', 5));
+    const battlefield = forests(5);
+    const turnLog = { actions: [] };
+    castCommanders(zone, battlefield, 4);
+    expect(killCommanders(zone, battlefield, 1, turnLog)).toBe(1);
+    expect(battlefield.some(p => p.isCommander)).toBe(false);
+    expect(zone[0].onBattlefield).toBe(false);
+    expect(turnLog.actions).toEqual([
+      'Kenrith, the Returned King dies — back to the command zone (tax now +2)',
+    ]);
+
+    castCommanders(zone, forests(7), 6);
+    zone[0].onBattlefield = true;
+    expect(killCommanders(zone, [], 1)).toBe(0);
+  });
+});
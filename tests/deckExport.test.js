@@ -0,0 +1,65 @@
+/**
+ * deckExport.js — Unit Tests
+ *
+ * Covers writing a parsed deck back out as an Arena / Moxfield list:
+ *   formatCardLine  – set code, collector number and finish tag after the name
+ *   exportDeckList  – Commander / Deck / Sideboard sections, empty ones left out,
+ *                     MDFC spell sides skipped, reads back
+ *                     through importArena to the same cards and printings
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { formatCardLine, exportDeckList } from '../src/parser/deckExport.js';
+import { importArena } from '../src/parser/deckImport.js';
+
+const solRing = {
+  name: 'Sol Ring',
+  quantity: 1,
+  printing: { set: 'C21', collectorNumber: '263', finish: 'foil' },
+};
+
+describe('formatCardLine', () => {
+  it('writes the printing after the name when there is one', () => {
+    expect(formatCardLine(solRing)).toBe('1 Sol Ring (C21) 263 *F*');
+    expect(formatCardLine({ name: 'Opt', quantity: 4, printing: null })).toBe('4 Opt');
+    const setOnly = { name: 'Opt', quantity: 4, printing: { set: 'XLN', finish: 'etched' } };
+    expect(formatCardLine(setOnly)).toBe('4 Opt (XLN) *E*');
+  });
+});
+
+describe('exportDeckList', () => {
+  it('writes each section, skipping MDFC spell sides, and reads back the same', () => {
+    const pathway = { name: 'Hengegate Pathway // Mistgate Pathway', quantity: 1, printing: null };
+    const deck = {
+      commanders: [{ name: 'Kenrith, the Returned King', quantity: 1, printing: null }],
+      artifacts: [solRing],
+      spells: [{ ...pathway, isMDFCSpellSide: true }],
+      lands: [pathway, { name: 'Forest', quantity: 30, printing: null }],
+      sideboard: [{ name: 'Negate', quantity: 2, printing: null, bucket: 'spells' }],
+      maybeboard: [],
+    };
+    const text = exportDeckList(deck);
+    expect(text).toBe(
+      [
+        'Commander',
+        '1 Kenrith, the Returned King',
+        '',
+        'Deck',
+        '1 Hengegate Pathway // Mistgate Pathway',
+        '30 Forest',
+        '1 Sol Ring (C21) 263 *F*',
+        '',
+        'Sideboard',
+        '2 Negate',
+        '',
+      ].join('\n')
+    );
+    const imported = importArena(text);
+    expect([...imported.commanders.keys()]).toEqual(['Kenrith, the Returned King']);
+    expect(imported.main.get('Forest')).toBe(30);
+    expect(imported.sideboard.get('Negate')).toBe(2);
+    expect(imported.printings.get('Sol Ring')).toEqual(solRing.printing);
+  });
+});
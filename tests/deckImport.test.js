@@ -0,0 +1,218 @@
+/**
+ * deckImport.js — Unit Tests
+ *
+ * Covers the format-detecting import layer:
+ *   detectDeckFormat – .dek / .cod XML, CSV with a quantity + name header, Arena fallback
+ *   parsePrintedName – set code, collector number and finish tags split from the name
+ *   importArena      – quantities, "Nx", headers, comments, Commander / Sideboard /
+ *                      Companion / Maybeboard zones, printings
+ *   importDek        – MTGO <Cards> elements, sideboard flag, XML entities, bad elements
+ *   importCod        – Cockatrice main / side zones, token zone reported
+ *   importCsv        – column aliases, quoted names, zone and printing columns, unreadable rows
+ *   importDeckText   – dispatch on the detected format
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectDeckFormat,
+  parsePrintedName,
+  importArena,
+  importDek,
+  importCod,
+  importCsv,
+  importDeckText,
+} from '../src/parser/deckImport.js';
+import { parseCsv } from '../src/utils/csv.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const DEK = `<?xml version="1.0" encoding="utf-8"?>
+<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <NetDeckID>0</NetDeckID>
+  <Cards CatID="12345" Quantity="4" Sideboard="false" Name="Lightning Bolt" Annotation="0" />
+  <Cards CatID="23456" Quantity="20" Sideboard="false" Name="Mountain" Annotation="0" />
+  <Cards CatID="34567" Quantity="2" Sideboard="true" Name="Kozilek&apos;s Return" Annotation="0" />
+  <Cards CatID="45678" Quantity="x" Sideboard="false" Name="Shock" />
+</Deck>`;
+
+const COD = `<?xml version="1.0" encoding="UTF-8"?>
+<cockatrice_deck version="1">
+  <deckname>Burn</deckname>
+  <zone name="main">
+    <card number="4" name="Lightning Bolt"/>
+    <card number="20" name="Mountain"/>
+  </zone>
+  <zone name="side">
+    <card number="3" name="Smash to Smithereens"/>
+  </zone>
+  <zone name="tokens">
+    <card number="1" name="Goblin"/>
+  </zone>
+</cockatrice_deck>`;
+
+const entries = counts => [...counts.entries()];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// detectDeckFormat
+// ─────────────────────────────────────────────────────────────────────────────
+describe('detectDeckFormat', () => {
+  it('recognises the XML formats and CSV with a quantity and name header', () => {
+    expect(detectDeckFormat(DEK)).toBe('dek');
+    expect(detectDeckFormat(COD)).toBe('cod');
+    expect(detectDeckFormat('Quantity,Name,Set\n4,Opt,XLN')).toBe('csv');
+    expect(detectDeckFormat('"Count","Card Name"\n4,Opt')).toBe('csv');
+  });
+
+  it('falls back to an Arena list, even for card names with commas', () => {
+    expect(detectDeckFormat('4 Lightning Bolt\n20 Mountain')).toBe('arena');
+    expect(detectDeckFormat('1 Kenrith, the Returned King')).toBe('arena');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// parsePrintedName
+// ─────────────────────────────────────────────────────────────────────────────
+describe('parsePrintedName', () => {
+  it('splits the set code, collector number and finish from the name', () => {
+    expect(parsePrintedName('Sol Ring (C21) 263 *F*')).toEqual({
+      name: 'Sol Ring',
+      printing: { set: 'C21', collectorNumber: '263', finish: 'foil' },
+    });
+    expect(parsePrintedName('Mountain (plst) LRW-256 *E*').printing).toEqual({
+      set: 'PLST',
+      collectorNumber: 'LRW-256',
+      finish: 'etched',
+    });
+    expect(parsePrintedName('Sol Ring (C21)').printing).toEqual({
+      set: 'C21',
+      collectorNumber: null,
+      finish: null,
+    });
+  });
+
+  it('leaves names with parentheses or without a set alone', () => {
+    expect(parsePrintedName("Erase (Not the Urza's Legacy One)")).toEqual({
+      name: "Erase (Not the Urza's Legacy One)",
+      printing: null,
+    });
+    expect(parsePrintedName('Lightning Bolt ')).toEqual({ name: 'Lightning Bolt', printing: null });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// importArena
+// ─────────────────────────────────────────────────────────────────────────────
+describe('importArena', () => {
+  it('reads quantities and zones, skipping comments', () => {
+    const result = importArena(
+      'Commander\n1 Kenrith, the Returned King\n\nDeck\n4x Opt\n// note\nSol Ring\n\nSideboard\n2 Negate'
+    );
+    expect(result.format).toBe('arena');
+    expect(entries(result.commanders)).toEqual([['Kenrith, the Returned King', 1]]);
+    expect(entries(result.main)).toEqual([
+      ['Opt', 4],
+      ['Sol Ring', 1],
+    ]);
+    expect(entries(result.sideboard)).toEqual([['Negate', 2]]);
+    expect(result.unparsed).toEqual([]);
+  });
+
+  it('reads Companion and Maybeboard sections, with or without a colon', () => {
+    const result = importArena(
+      'Companion:\n1 Lurrus of the Dream-Den\n\n4 Opt\n\nMaybeboard\n1 Brainstorm'
+    );
+    expect(entries(result.companions)).toEqual([['Lurrus of the Dream-Den', 1]]);
+    expect(entries(result.main)).toEqual([['Opt', 4]]);
+    expect(entries(result.maybeboard)).toEqual([['Brainstorm', 1]]);
+  });
+
+  it('keeps the first printing named for each card', () => {
+    const result = importArena('2 Sol Ring (C21) 263 *F*\n1 Sol Ring (CMR) 472\n4 Opt');
+    expect(entries(result.main)).toEqual([
+      ['Sol Ring', 3],
+      ['Opt', 4],
+    ]);
+    expect(entries(result.printings)).toEqual([
+      ['Sol Ring', { set: 'C21', collectorNumber: '263', finish: 'foil' }],
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// importDek / importCod
+// ─────────────────────────────────────────────────────────────────────────────
+describe('importDek', () => {
+  it('splits main deck and sideboard and reports elements it cannot read', () => {
+    const result = importDek(DEK);
+    expect(entries(result.main)).toEqual([
+      ['Lightning Bolt', 4],
+      ['Mountain', 20],
+    ]);
+    expect(entries(result.sideboard)).toEqual([["Kozilek's Return", 2]]);
+    expect(result.unparsed).toEqual([
+      '<Cards CatID="45678" Quantity="x" Sideboard="false" Name="Shock" />',
+    ]);
+  });
+});
+
+describe('importCod', () => {
+  it('reads the main and side zones and reports cards in other zones', () => {
+    const result = importCod(COD);
+    expect(entries(result.main)).toEqual([
+      ['Lightning Bolt', 4],
+      ['Mountain', 20],
+    ]);
+    expect(entries(result.sideboard)).toEqual([['Smash to Smithereens', 3]]);
+    expect(result.unparsed).toEqual(['<card number="1" name="Goblin"/>']);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// importCsv / parseCsv
+// ─────────────────────────────────────────────────────────────────────────────
+describe('importCsv', () => {
+  it('reads quoted names and the zone and printing columns, ignoring other columns', () => {
+    const csv = [
+      'Section,Qty,Card Name,Set,Collector Number,Foil,Condition',
+      'commander,1,"Kenrith, the Returned King",eld,303,true,NM',
+      'main,4,Opt,XLN,65,,NM',
+      'main,2,Opt,M21,59,,LP',
+      'sideboard,1,"Cut // Ribbons",,,,NM',
+    ].join('\r\n');
+    const result = importCsv(csv);
+    expect(entries(result.commanders)).toEqual([['Kenrith, the Returned King', 1]]);
+    expect(entries(result.main)).toEqual([['Opt', 6]]);
+    expect(entries(result.sideboard)).toEqual([['Cut // Ribbons', 1]]);
+    expect(entries(result.printings)).toEqual([
+      ['Kenrith, the Returned King', { set: 'ELD', collectorNumber: '303', finish: 'foil' }],
+      ['Opt', { set: 'XLN', collectorNumber: '65', finish: null }],
+    ]);
+  });
+
+  it('reports rows without a usable quantity, name or zone', () => {
+    const result = importCsv('Quantity,Name,Board\n0,Opt,main\n2,,main\n1,Opt,binder\n3,Opt,');
+    expect(entries(result.main)).toEqual([['Opt', 3]]);
+    expect(result.unparsed).toEqual(['0,Opt,main', '2,,main', '1,Opt,binder']);
+  });
+
+  it('parseCsv handles doubled quotes and newlines inside quotes', () => {
+    expect(parseCsv('a,"b ""c""",d\n"e\nf",g\n\n')).toEqual([
+      ['a', 'b "c"', 'd'],
+      ['e\nf', 'g'],
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// importDeckText
+// ─────────────────────────────────────────────────────────────────────────────
+describe('importDeckText', () => {
+  it('imports with the detected format', () => {
+    expect(importDeckText(COD).format).toBe('cod');
+    expect(entries(importDeckText('Count,Name\n4,Opt').main)).toEqual([['Opt', 4]]);
+    expect(entries(importDeckText('4 Opt').main)).toEqual([['Opt', 4]]);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * deckLegality.js — Unit Tests
+ *
+ * Covers the format legality check:
+ *   cardLegalityInfo – Scryfall fields kept per card, front face for DFCs
+ *   copyLimit        – basics, "any number" / "up to seven" cards, restricted cards
+ *   validateDeck     – deck size, sideboard size, duplicates, banned / not-legal cards,
+ *                      commander eligibility and color identity, missing card data
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FORMATS, cardLegalityInfo, copyLimit, validateDeck } from '../src/parser/deckLegality.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const card = (name, quantity, extras = {}) => ({
+  name,
+  quantity,
+  isCommander: false,
+  typeLine: 'Instant',
+  oracleText: '',
+  colorIdentity: [],
+  legalities: null,
+  ...extras,
+});
+const basics = (name, quantity, color) =>
+  card(name, quantity, { typeLine: `Basic Land — ${name}`, colorIdentity: [color] });
+const format = id => FORMATS.find(f => f.id === id);
+const kinds = issues => issues.map(i => i.kind);
+
+const atraxa = card("Atraxa, Praetors' Voice", 1, {
+  isCommander: true,
+  typeLine: 'Legendary Creature — Phyrexian Angel Horror',
+  colorIdentity: ['W', 'U', 'B', 'G'],
+});
+// A legal 100-card Atraxa list: the commander, 60 singletons and 39 basics
+const commanderDeck = () => [
+  atraxa,
+  ...Array.from({ length: 60 }, (_, i) => card(`Spell ${i}`, 1, { colorIdentity: ['U'] })),
+  basics('Forest', 39, 'G'),
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// cardLegalityInfo / copyLimit
+// ─────────────────────────────────────────────────────────────────────────────
+describe('cardLegalityInfo', () => {
+  it('keeps the fields the checks read, from the front face of a DFC', () => {
+    const info = cardLegalityInfo(
+      {
+        name: 'Esika, God of the Tree // The Prismatic Bridge',
+        card_faces: [{ type_line: 'Legendary Creature — God', oracle_text: 'Vigilance' }],
+        color_identity: ['G'],
+        legalities: { commander: 'legal' },
+      },
+      1,
+      true
+    );
+    expect(info).toEqual({
+      name: 'Esika, God of the Tree // The Prismatic Bridge',
+      quantity: 1,
+      isCommander: true,
+      inSideboard: false,
+      typeLine: 'Legendary Creature — God',
+      oracleText: 'Vigilance',
+      colorIdentity: ['G'],
+      legalities: { commander: 'legal' },
+    });
+    expect(cardLegalityInfo({ name: 'Sol Ring' }, 1).colorIdentity).toBeNull();
+  });
+});
+
+describe('copyLimit', () => {
+  it('allows any number of basics and "any number" cards, and the printed "up to" limit', () => {
+    expect(copyLimit(basics('Forest', 1, 'G'), format('commander'))).toBe(Infinity);
+    const rats = card('Relentless Rats', 1, {
+      oracleText: 'A deck can have any number of cards named Relentless Rats.',
+    });
+    expect(copyLimit(rats, format('modern'))).toBe(Infinity);
+    const dwarves = card('Seven Dwarves', 1, {
+      oracleText: 'A deck can have up to seven cards named Seven Dwarves.',
+    });
+    expect(copyLimit(dwarves, format('commander'))).toBe(7);
+  });
+
+  it('limits restricted cards to one and others to the format limit', () => {
+    const solRing = card('Sol Ring', 1, { legalities: { vintage: 'restricted' } });
+    expect(copyLimit(solRing, format('vintage'))).toBe(1);
+    expect(copyLimit(card('Opt', 1), format('pauper'))).toBe(4);
+    expect(copyLimit(card('Opt', 1), format('commander'))).toBe(1);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// validateDeck
+// ─────────────────────────────────────────────────────────────────────────────
+describe('validateDeck', () => {
+  it('passes a legal Commander deck and rejects an unknown format', () => {
+    expect(validateDeck(commanderDeck(), 'commander')).toEqual([]);
+    expect(() => validateDeck([], 'brawl')).toThrow('Unknown format: brawl');
+  });
+
+  it('flags the wrong deck size', () => {
+    const short = commanderDeck().slice(1);
+    expect(validateDeck(short, 'commander', { commanderNames: ['Spell 0'] })[0]).toEqual({
+      kind: 'size',
+      card: null,
+      message: '99 cards — Commander decks have exactly 100, commanders included',
+    });
+    expect(validateDeck([basics('Island', 59, 'U')], 'modern')[0].message).toBe(
+      '59 cards — Modern decks need at least 60'
+    );
+    expect(validateDeck([basics('Island', 75, 'U')], 'modern')).toEqual([]);
+  });
+
+  it('sizes the sideboard apart but counts its copies with the main deck', () => {
+    const deck = [
+      basics('Island', 56, 'U'),
+      card('Negate', 4),
+      card('Negate', 1, { inSideboard: true }),
+    ];
+    expect(validateDeck(deck, 'modern').map(i => i.message)).toEqual([
+      '5 copies of Negate — at most 4 copies allowed',
+    ]);
+    const big = [basics('Island', 60, 'U'), basics('Plains', 16, 'W')];
+    big[1].inSideboard = true;
+    expect(validateDeck(big, 'modern')[0].message).toBe(
+      '16 sideboard cards — Modern allows at most 15'
+    );
+    // Commander has no sideboard limit: a companion sits outside the 100
+    const companion = card('Lurrus of the Dream-Den', 1, { inSideboard: true, colorIdentity: [] });
+    expect(validateDeck([...commanderDeck(), companion], 'commander')).toEqual([]);
+  });
+
+  it('flags duplicate non-basics, counting spellings of one card together', () => {
+    const deck = commanderDeck();
+    deck[1] = card('Spell 0', 1, { colorIdentity: ['U'] });
+    deck[2] = card('spell 0', 1, { colorIdentity: ['U'] });
+    const issues = validateDeck(deck, 'commander');
+    expect(issues).toContainEqual({
+      kind: 'copies',
+      card: 'Spell 0',
+      message: '2 copies of Spell 0 — only one copy allowed',
+    });
+    const modern = [basics('Island', 55, 'U'), card('Opt', 5)];
+    expect(validateDeck(modern, 'modern')[0].message).toBe(
+      '5 copies of Opt — at most 4 copies allowed'
+    );
+  });
+
+  it('flags banned, not-legal and over-restricted cards', () => {
+    const deck = [
+      basics('Island', 55, 'U'),
+      card('Brainstorm', 1, { legalities: { modern: 'not_legal', legacy: 'legal' } }),
+      card('Mental Misstep', 1, { legalities: { modern: 'banned', vintage: 'restricted' } }),
+      card('Ancestral Recall', 2, { legalities: { vintage: 'restricted' } }),
+    ];
+    expect(validateDeck(deck, 'modern').map(i => i.message)).toEqual([
+      '59 cards — Modern decks need at least 60',
+      'Brainstorm is not legal in Modern',
+      'Mental Misstep is banned in Modern',
+    ]);
+    expect(kinds(validateDeck(deck, 'vintage'))).toEqual(['size', 'copies']);
+  });
+
+  it('flags cards outside the commanders’ color identity', () => {
+    const deck = commanderDeck();
+    deck[1] = card('Lightning Bolt', 1, { colorIdentity: ['R'] });
+    expect(validateDeck(deck, 'commander')).toEqual([
+      {
+        kind: 'identity',
+        card: 'Lightning Bolt',
+        message: "Lightning Bolt (R) is outside the commander's color identity (WUBG)",
+      },
+    ]);
+    // A partner named outside the list adds its colors
+    deck[2] = card('Tymna the Weaver', 1, {
+      typeLine: 'Legendary Creature — Human Cleric',
+      colorIdentity: ['W', 'B', 'R'],
+    });
+    expect(validateDeck(deck, 'commander', { commanderNames: ['Tymna the Weaver'] })).toEqual([]);
+  });
+
+  it('checks the commanders themselves', () => {
+    const deck = commanderDeck().slice(1);
+    expect(validateDeck([...deck, card('Opt', 1)], 'commander')).toContainEqual({
+      kind: 'commander',
+      card: null,
+      message: 'No commander — name one to check color identity',
+    });
+    const bolt = card('Lightning Bolt', 1, { isCommander: true, colorIdentity: ['R'] });
+    expect(validateDeck([...deck, bolt], 'commander').map(i => i.message)).toContain(
+      "Lightning Bolt can't be a commander"
+    );
+  });
+
+  it('skips the identity check when the card data has no color identity', () => {
+    const deck = commanderDeck();
+    deck[0] = { ...atraxa, colorIdentity: null };
+    deck[1] = card('Lightning Bolt', 1, { colorIdentity: ['R'] });
+    expect(validateDeck(deck, 'commander')).toEqual([]);
+  });
+});
@@ -4,10 +4,14 @@
  * Covers parseDeckList (the only export):
  *   · Empty / blank input
  *   · Local mode with no cardLookupMap
- *   · Line parsing: quantities, "Nx" syntax, blank lines, section headers
+ *   · Line parsing: quantities, "Nx" syntax, blank lines, section headers;
+ *     the Commander section → commanders
+ *   · .dek / CSV text through the import layer; unreadable rows → errors;
+ *     the printing a line names resolved and kept
+ *   · Sideboard / Companion / Maybeboard sections kept out of the deck
  *   · Unknown card → error recorded, card skipped
  *   · Correct categorisation of lands, artifacts, creatures, exploration,
- *     ramp spells, rituals, and generic spells
+ *     ramp spells, rituals, tutors, and generic spells
  *   · MDFC with a land face (land + spell entries)
  *   · quantity / totalCards / landCount aggregation
  *   · result shape
@@ -97,6 +101,7 @@ const EXPLORATION_DATA = {
   layout: 'normal',
 };
 const COUNTERSPELL_DATA = scryfallInstant('Counterspell', '{U}{U}', 2);
+const DEMONIC_TUTOR_DATA = scryfallSorcery('Demonic Tutor', '{1}{B}', 2);
 
 // ── MDFC: Turntimber Symbiosis // Turntimber, Serpentine Wood ─────────────
 const TURNTIMBER_DATA = {
@@ -209,10 +214,39 @@ describe('parseDeckList — line parsing', () => {
     expect(result.lands).toHaveLength(1);
   });
 
-  it('ignores "Commander" section header', async () => {
+  it('puts the "Commander" section in commanders, outside the library and count', async () => {
     const lookup = makeLookup(new Map([['Forest', FOREST_DATA]]));
-    const result = await parseDeckList('Commander\n1 Forest', ctx(lookup));
-    expect(result.lands).toHaveLength(1);
+    const result = await parseDeckList('Commander\n1 Forest\n\nDeck\n2 Forest', ctx(lookup));
+    expect(result.commanders.map(c => c.name)).toEqual(['Forest']);
+    expect(result.lands[0].quantity).toBe(2);
+    expect(result.totalCards).toBe(2);
+  });
+
+  it('keeps legality fields for every card found, commanders flagged', async () => {
+    const lookup = makeLookup(
+      new Map([
+        ['Forest', { ...FOREST_DATA, color_identity: ['G'], legalities: { modern: 'legal' } }],
+        ['Sol Ring', SOL_RING_DATA],
+      ])
+    );
+    const result = await parseDeckList('Commander\n1 Sol Ring\n\n4 Forest\n1 Nope', ctx(lookup));
+    expect(result.legalityInfo).toEqual([
+      expect.objectContaining({ name: 'Sol Ring', quantity: 1, isCommander: true }),
+      expect.objectContaining({
+        name: 'Forest',
+        quantity: 4,
+        isCommander: false,
+        colorIdentity: ['G'],
+        legalities: { modern: 'legal' },
+      }),
+    ]);
+  });
+
+  it('ends the "Commander" section at a blank line', async () => {
+    const lookup = makeLookup(new Map([['Forest', FOREST_DATA]]));
+    const result = await parseDeckList('Commander\n1 Forest\n\n1 Forest', ctx(lookup));
+    expect(result.commanders).toHaveLength(1);
+    expect(result.lands[0].quantity).toBe(1);
   });
 
   it('is case-insensitive for section headers', async () => {
@@ -222,6 +256,94 @@ describe('parseDeckList — line parsing', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// parseDeckList — imported formats
+// ─────────────────────────────────────────────────────────────────────────────
+describe('parseDeckList — imported formats', () => {
+  const ctx = {
+    cardLookupMap: new Map([['x', {}]]),
+    apiMode: 'scryfall',
+    lookupCard: makeLookup(
+      new Map([
+        ['Forest', FOREST_DATA],
+        ['Island', ISLAND_DATA],
+      ])
+    ),
+  };
+
+  it('reads an MTGO .dek file, keeping its sideboard apart', async () => {
+    const dek = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<Deck>',
+      '  <Cards CatID="1" Quantity="3" Sideboard="false" Name="Forest" />',
+      '  <Cards CatID="2" Quantity="2" Sideboard="true" Name="Island" />',
+      '</Deck>',
+    ].join('\n');
+    const result = await parseDeckList(dek, ctx);
+    expect(result.importFormat).toBe('dek');
+    expect(result.lands.map(c => [c.name, c.quantity])).toEqual([['Forest', 3]]);
+    expect(result.sideboard).toEqual([
+      expect.objectContaining({ name: 'Island', quantity: 2, bucket: 'lands' }),
+    ]);
+    expect(result.totalCards).toBe(3);
+  });
+
+  it('resolves and keeps the printing a line names', async () => {
+    const printings = new Map([
+      ['c21|263', { ...SOL_RING_DATA, set: 'c21', collector_number: '263' }],
+    ]);
+    const lookupCard = async (name, printing) =>
+      (printing && printings.get(`${printing.set.toLowerCase()}|${printing.collectorNumber}`)) ??
+      (name === 'Sol Ring' ? SOL_RING_DATA : null);
+    const result = await parseDeckList('1 Sol Ring (C21) 263 *F*', { ...ctx, lookupCard });
+    expect(result.artifacts[0]).toMatchObject({
+      name: 'Sol Ring',
+      printing: { set: 'C21', collectorNumber: '263', finish: 'foil' },
+    });
+    // A printing the lookup could not find falls back to the name, without one
+    const fallback = await parseDeckList('1 Sol Ring (C21) 999', { ...ctx, lookupCard });
+    expect(fallback.artifacts[0].printing).toBeNull();
+    expect(fallback.errors).toEqual([]);
+  });
+
+  it('keeps Sideboard, Companion and Maybeboard cards out of the deck', async () => {
+    const result = await parseDeckList(
+      'Deck\n4 Forest\n\nSideboard\n2 Island\n\nCompanion\n1 Sol Ring\n\nMaybeboard\n1 Cultivate',
+      {
+        ...ctx,
+        lookupCard: makeLookup(
+          new Map([
+            ['Forest', FOREST_DATA],
+            ['Island', ISLAND_DATA],
+            ['Sol Ring', SOL_RING_DATA],
+            ['Cultivate', CULTIVATE_DATA],
+          ])
+        ),
+      }
+    );
+    expect(result.totalCards).toBe(4);
+    expect(result.companions).toEqual([
+      expect.objectContaining({ name: 'Sol Ring', quantity: 1, bucket: 'artifacts' }),
+    ]);
+    expect(result.maybeboard).toEqual([
+      expect.objectContaining({ name: 'Cultivate', quantity: 1, bucket: 'rampSpells' }),
+    ]);
+    // Sideboard and companion cards are legality-checked, the maybeboard is not
+    expect(result.legalityInfo.map(i => [i.name, i.inSideboard])).toEqual([
+      ['Forest', false],
+      ['Island', true],
+      ['Sol Ring', true],
+    ]);
+  });
+
+  it('reports CSV rows it could not read', async () => {
+    const result = await parseDeckList('Count,Name\n4,Forest\nfour,Island', ctx);
+    expect(result.importFormat).toBe('csv');
+    expect(result.totalCards).toBe(4);
+    expect(result.errors).toEqual(['Could not read "four,Island"']);
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // parseDeckList — unknown cards
 // ─────────────────────────────────────────────────────────────────────────────
@@ -255,6 +377,7 @@ describe('parseDeckList — card categorisation', () => {
     ['Dark Ritual', DARK_RITUAL_DATA],
     ['Exploration', EXPLORATION_DATA],
     ['Counterspell', COUNTERSPELL_DATA],
+    ['Demonic Tutor', DEMONIC_TUTOR_DATA],
   ]);
 
   const ctx = {
@@ -304,6 +427,13 @@ describe('parseDeckList — card categorisation', () => {
     expect(result.exploration[0].isExploration).toBe(true);
   });
 
+  it('routes a tutor to tutors[]', async () => {
+    const result = await parseDeckList('1 Demonic Tutor', ctx);
+    expect(result.tutors).toHaveLength(1);
+    expect(result.tutors[0].isTutor).toBe(true);
+    expect(result.spells).toHaveLength(0);
+  });
+
   it('routes a generic spell to spells[]', async () => {
     const result = await parseDeckList('1 Counterspell', ctx);
     expect(result.spells).toHaveLength(1);
@@ -412,6 +542,12 @@ describe('parseDeckList — result shape', () => {
       'rituals',
       'rampSpells',
       'spells',
+      'commanders',
+      'sideboard',
+      'companions',
+      'maybeboard',
+      'legalityInfo',
+      'importFormat',
       'totalCards',
       'landCount',
       'errors',
@@ -0,0 +1,80 @@
+/**
+ * fakeIndexedDB.js — a minimal in-memory IndexedDB for tests (jsdom and node
+ * have none). Covers what cardCache.js uses: open with onupgradeneeded,
+ * createObjectStore, transactions over several stores, get / getAll / put /
+ * clear with out-of-line keys. Values are structured-cloned like the real
+ * thing; request callbacks run as separate tasks, and a transaction completes
+ * once a task passes with no request left — so requests made from promise
+ * callbacks keep it open, as in browsers.
+ */
+
+const later = fn => setTimeout(fn, 0);
+
+export const createFakeIndexedDB = () => {
+  const databases = new Map();
+
+  const openTransaction = (stores, names, mode) => {
+    const tx = { oncomplete: null, onerror: null, onabort: null, error: null };
+    let pending = 0;
+    let done = false;
+    const checkDone = () =>
+      later(() => {
+        if (pending > 0 || done) return;
+        done = true;
+        tx.oncomplete?.();
+      });
+
+    const run = operation => {
+      if (done) throw new Error('TransactionInactiveError');
+      const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+      pending++;
+      later(() => {
+        req.result = operation();
+        req.onsuccess?.();
+        pending--;
+        checkDone();
+      });
+      return req;
+    };
+
+    tx.objectStore = name => {
+      if (!names.includes(name)) throw new Error(`NotFoundError: ${name}`);
+      const store = stores.get(name);
+      const write = operation => {
+        if (mode !== 'readwrite') throw new Error('ReadOnlyError');
+        return run(operation);
+      };
+      return {
+        get: key => run(() => structuredClone(store.get(key))),
+        getAll: () => run(() => [...store.values()].map(value => structuredClone(value))),
+        put: (value, key) => write(() => store.set(key, structuredClone(value))),
+        clear: () => write(() => store.clear()),
+      };
+    };
+    checkDone();
+    return tx;
+  };
+
+  return {
+    open(name, version = 1) {
+      const req = { result: undefined, error: null, onsuccess: null, onupgradeneeded: null };
+      later(() => {
+        let database = databases.get(name);
+        const upgrade = !database || database.version < version;
+        if (!database) {
+          database = { version, stores: new Map() };
+          databases.set(name, database);
+        }
+        database.version = version;
+        req.result = {
+          createObjectStore: storeName => database.stores.set(storeName, new Map()),
+          transaction: (names, mode = 'readonly') =>
+            openTransaction(database.stores, [].concat(names), mode),
+        };
+        if (upgrade) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+};
@@ -0,0 +1,280 @@
+/**
+ * hypergeometric.js — Unit Tests
+ *
+ * Covers the exact on-curve calculator shown beside the simulation:
+ *   colorRequirement      – CMC, on-curve turn and pips per colour
+ *   landsSeenDistribution – hypergeometric without mulligans; play vs draw; every
+ *                           mulligan setting sums to 1; Vancouver 0-land keeps
+ *   castableWithLands     – single-colour and two-colour pips, duals, CMC floor
+ *   exactOnCurve          – key-card figures and sources; agrees with real
+ *                           monteCarloSharded runs on a mono-colour deck, and
+ *                           falls inside their 95% interval under London
+ *                           mulligans with free spells
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  colorRequirement,
+  landsSeenDistribution,
+  castableWithLands,
+  exactOnCurve,
+} from '../src/simulation/hypergeometric.js';
+import { monteCarloSharded } from '../src/simulation/monteCarlo.js';
+import { choose, hypergeometricPmf } from '../src/utils/math.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const basic = (name, color, quantity) => ({
+  name,
+  quantity,
+  type: 'land',
+  isLand: true,
+  isBasic: true,
+  produces: [color],
+  entersTappedAlways: false,
+  isFetch: false,
+});
+
+const spell = (name, manaCost, cmc, quantity) => ({
+  name,
+  quantity,
+  type: 'spell',
+  isLand: false,
+  cmc,
+  manaCost,
+});
+
+const copies = (card, n = card.quantity) => Array.from({ length: n }, () => card);
+
+const makeDeck = () => ({
+  lands: [basic('Plains', 'W', 16), basic('Island', 'U', 8)],
+  artifacts: [],
+  creatures: [],
+  exploration: [],
+  costReducers: [],
+  rituals: [],
+  rampSpells: [],
+  drawSpells: [],
+  treasureCards: [],
+  spells: [
+    spell('Azorius Charm', '{W}{U}', 2, 12),
+    spell('Wrath of God', '{2}{W}{W}', 4, 12),
+    spell('Opt', '{U}', 1, 12),
+  ],
+  totalCards: 60,
+  landCount: 24,
+  errors: [],
+});
+
+const flatDeck = parsed => [...parsed.lands, ...parsed.spells].flatMap(c => copies(c));
+const sum = arr => arr.reduce((s, v) => s + v, 0);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// colorRequirement
+// ─────────────────────────────────────────────────────────────────────────────
+describe('colorRequirement', () => {
+  it('counts pips per colour and ignores generic and hybrid symbols', () => {
+    expect(colorRequirement(spell('Wrath of God', '{2}{W}{W}', 4, 1))).toEqual({
+      cmc: 4,
+      turn: 4,
+      pips: { W: 2 },
+    });
+    expect(colorRequirement(spell('Kitchen Finks', '{1}{G/W}{G/W}', 3, 1)).pips).toEqual({});
+  });
+
+  it('puts free spells on curve on turn 1', () => {
+    expect(colorRequirement(spell('Memnite', '{0}', 0, 1)).turn).toBe(1);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// landsSeenDistribution
+// ─────────────────────────────────────────────────────────────────────────────
+describe('landsSeenDistribution', () => {
+  const deck = flatDeck(makeDeck());
+
+  it('is the opening-hand hypergeometric on turn 1 on the play', () => {
+    const dist = landsSeenDistribution(deck, { playDraw: 'play' }, 1);
+    expect(dist).toHaveLength(8);
+    dist.forEach((p, n) => expect(p).toBeCloseTo(hypergeometricPmf(60, 24, 7, n), 12));
+  });
+
+  it('sees one more card on the draw', () => {
+    const dist = landsSeenDistribution(deck, { playDraw: 'draw' }, 2);
+    expect(dist).toHaveLength(10);
+    dist.forEach((p, n) => expect(p).toBeCloseTo(hypergeometricPmf(60, 24, 9, n), 12));
+  });
+
+  it('sums to 1 under every mulligan setting', () => {
+    const custom = {
+      mulligan0Lands: true,
+      mulliganMinLands: true,
+      minLandsThreshold: 2,
+      mulliganNoPlaysByTurn: true,
+      noPlaysTurnThreshold: 1,
+    };
+    ['conservative', 'balanced', 'aggressive', 'custom'].forEach(mulliganStrategy =>
+      ['london', 'vancouver'].forEach(mulliganRule =>
+        [false, true].forEach(commanderMode => {
+          const dist = landsSeenDistribution(
+            deck,
+            {
+              enableMulligans: true,
+              mulliganStrategy,
+              mulliganRule,
+              commanderMode,
+              customMulliganRules: custom,
+            },
+            3
+          );
+          expect(sum(dist)).toBeCloseTo(1, 10);
+        })
+      )
+    );
+  });
+
+  it('keeps a 0-land hand only after six Vancouver mulligans', () => {
+    const config = {
+      enableMulligans: true,
+      mulliganStrategy: 'conservative',
+      mulliganRule: 'vancouver',
+    };
+    const [noLands] = landsSeenDistribution(deck, config, 1);
+    // Hands of 7, 6, …, 2 cards with no land are sent back; the 1-card hand is kept
+    const mulligans = [7, 6, 5, 4, 3, 2].map(
+      (size, m) =>
+        hypergeometricPmf(60, 24, size, 0) + (m === 0 ? hypergeometricPmf(60, 24, 7, 7) : 0)
+    );
+    const expected = mulligans.reduce((p, q) => p * q, 1) * hypergeometricPmf(60, 24, 1, 0);
+    expect(noLands).toBeCloseTo(expected, 15);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// castableWithLands
+// ─────────────────────────────────────────────────────────────────────────────
+describe('castableWithLands', () => {
+  const lands = [...copies(basic('Plains', 'W', 10)), ...copies(basic('Island', 'U', 7))];
+
+  it('needs CMC lands and enough sources of one colour', () => {
+    const f = castableWithLands(lands, { cmc: 2, pips: { W: 2 } });
+    expect(f[0]).toBe(0);
+    expect(f[1]).toBe(0);
+    expect(f[2]).toBeCloseTo(choose(10, 2) / choose(17, 2), 12);
+    // 8 lands hold at least one Plains; it fails only with exactly one
+    expect(f[8]).toBeCloseTo(1 - (choose(7, 7) * choose(10, 1)) / choose(17, 8), 12);
+    expect(f[17]).toBe(1);
+  });
+
+  it('needs every colour of a gold card', () => {
+    const f = castableWithLands(lands, { cmc: 2, pips: { W: 1, U: 1 } });
+    expect(f[2]).toBeCloseTo((10 * 7) / choose(17, 2), 12);
+  });
+
+  it('lets a dual land pay either pip, but not both', () => {
+    const duals = [basic('Plains', 'W', 1), { ...basic('Tundra', 'W', 1), produces: ['W', 'U'] }];
+    expect(castableWithLands(duals, { cmc: 2, pips: { W: 1, U: 1 } })[2]).toBe(1);
+    expect(castableWithLands(duals, { cmc: 2, pips: { U: 2 } })[2]).toBe(0);
+  });
+
+  it('only counts lands for colourless costs', () => {
+    expect(castableWithLands(lands, { cmc: 3, pips: {} })).toEqual([
+      0,
+      0,
+      0,
+      ...new Array(15).fill(1),
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// exactOnCurve
+// ─────────────────────────────────────────────────────────────────────────────
+describe('exactOnCurve', () => {
+  it('reports each key card with its sources', () => {
+    const config = { selectedKeyCards: new Set(['Azorius Charm', 'Missing Card']) };
+    const exact = exactOnCurve(makeDeck(), config);
+    expect(Object.keys(exact)).toEqual(['Azorius Charm']);
+    expect(exact['Azorius Charm'].turn).toBe(2);
+    expect(exact['Azorius Charm'].sources).toEqual({ W: 16, U: 8 });
+    expect(exact['Azorius Charm'].givenLandDrops).toBeGreaterThan(
+      exact['Azorius Charm'].probability
+    );
+  });
+
+  // Lands of a single colour leave the simulator no sequencing choices, so
+  // its rates should match the exact ones up to sampling noise.
+  it('matches simulated on-curve rates for a mono-colour deck', () => {
+    const deck = {
+      ...makeDeck(),
+      lands: [basic('Plains', 'W', 24)],
+      spells: [
+        spell('Swords to Plowshares', '{W}', 1, 12),
+        spell('Wrath of God', '{2}{W}{W}', 4, 12),
+        spell('Thraben Inspector', '{W}', 1, 12),
+      ],
+    };
+    ['play', 'draw'].forEach(playDraw =>
+      [false, true].forEach(enableMulligans => {
+        const config = {
+          iterations: 3000,
+          turns: 4,
+          seed: 11,
+          playDraw,
+          enableMulligans,
+          mulliganStrategy: 'balanced',
+          selectedKeyCards: new Set(['Swords to Plowshares', 'Wrath of God']),
+        };
+        const simulated = monteCarloSharded(deck, config);
+        const exact = exactOnCurve(deck, config);
+        Object.entries(exact).forEach(([name, { probability }]) => {
+          expect(Math.abs(probability - simulated.keyCardOnCurvePlayability[name])).toBeLessThan(
+            2.5
+          );
+        });
+      })
+    );
+  });
+
+  // London bottoming cannot tell lands from 0-CMC spells in a 2-4 land hand,
+  // so which of them go to the bottom is down to the shuffle; strict land
+  // thresholds then send many of the kept hands back.
+  it('falls inside the simulated 95% interval with free spells and London mulligans', () => {
+    const deck = {
+      ...makeDeck(),
+      lands: [basic('Plains', 'W', 16)],
+      spells: [
+        spell("Tormod's Crypt", '{0}', 0, 24),
+        spell('Swords to Plowshares', '{W}', 1, 10),
+        spell('Wrath of God', '{2}{W}{W}', 4, 10),
+      ],
+      landCount: 16,
+    };
+    const config = {
+      iterations: 4000,
+      turns: 4,
+      seed: 7,
+      enableMulligans: true,
+      mulliganRule: 'london',
+      mulliganStrategy: 'custom',
+      customMulliganRules: {
+        mulliganMinLands: true,
+        minLandsThreshold: 3,
+        mulliganMaxLands: true,
+        maxLandsThreshold: 4,
+      },
+      selectedKeyCards: new Set(['Swords to Plowshares', 'Wrath of God']),
+    };
+    const simulated = monteCarloSharded(deck, config);
+    const exact = exactOnCurve(deck, config);
+    Object.entries(exact).forEach(([name, { probability }]) => {
+      const { low, high } = simulated.confidenceIntervals.keyCardOnCurvePlayability[name];
+      // The exact figure is rounded to 0.1
+      expect(probability).toBeGreaterThanOrEqual(low - 0.05);
+      expect(probability).toBeLessThanOrEqual(high + 0.05);
+    });
+  });
+});
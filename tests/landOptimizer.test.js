@@ -0,0 +1,288 @@
+/**
+ * landOptimizer.js — Unit Tests
+ *
+ * Covers the land-count sweep:
+ *   candidates         – sweepable lands (MDFCs excluded), flex cards across buckets
+ *   buildLandVariant   – land/flex swap keeps deck size, infeasible swaps rejected
+ *   planLandSweep      – one variant per reachable total land count
+ *   summarizeLandSweep – results → rows with mean on-curve, flood and screw
+ *   recommendLandCount – objectives, unscorable rows, ties
+ *   end to end         – real monteCarloSharded runs: more lands → less screw
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  LAND_SWEEP_OBJECTIVES,
+  sweepLandOptions,
+  flexCardOptions,
+  buildLandVariant,
+  planLandSweep,
+  summarizeLandSweep,
+  recommendLandCount,
+} from '../src/simulation/landOptimizer.js';
+import { buildCompleteDeck, monteCarloSharded } from '../src/simulation/monteCarlo.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const land = (name, quantity, extras = {}) => ({
+  name,
+  quantity,
+  type: 'land',
+  isLand: true,
+  isBasic: false,
+  produces: ['G'],
+  entersTappedAlways: false,
+  isFetch: false,
+  ...extras,
+});
+
+const spell = (name, quantity, cmc = 2, extras = {}) => ({
+  name,
+  quantity,
+  type: 'spell',
+  isLand: false,
+  cmc,
+  manaCost: `{${cmc - 1}}{G}`,
+  ...extras,
+});
+
+const makeDeck = () => ({
+  lands: [
+    land('Forest', 16, { isBasic: true }),
+    land('Yavimaya, Cradle of Growth', 1),
+    land('Turntimber Symbiosis', 1),
+  ],
+  artifacts: [spell('Mind Stone', 2, 2, { type: 'artifact' })],
+  creatures: [],
+  exploration: [],
+  costReducers: [],
+  rituals: [],
+  rampSpells: [],
+  drawSpells: [],
+  treasureCards: [],
+  spells: [
+    spell('Grizzly Bears', 20),
+    spell('Giant Growth', 20, 1),
+    spell('Turntimber Symbiosis', 1, 7, { isMDFCSpellSide: true }),
+  ],
+  totalCards: 60,
+  landCount: 18,
+  errors: [],
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Candidates
+// ─────────────────────────────────────────────────────────────────────────────
+describe('sweep candidates', () => {
+  it('offers lands most copies first, leaving out MDFC lands', () => {
+    expect(sweepLandOptions(makeDeck())).toEqual([
+      { name: 'Forest', quantity: 16, isBasic: true },
+      { name: 'Yavimaya, Cradle of Growth', quantity: 1, isBasic: false },
+    ]);
+  });
+
+  it('offers every non-land card once, skipping MDFC spell sides', () => {
+    expect(flexCardOptions(makeDeck()).map(o => o.name)).toEqual([
+      'Giant Growth',
+      'Grizzly Bears',
+      'Mind Stone',
+    ]);
+  });
+
+  it('returns nothing without a deck', () => {
+    expect(sweepLandOptions(null)).toEqual([]);
+    expect(flexCardOptions(null)).toEqual([]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// buildLandVariant
+// ─────────────────────────────────────────────────────────────────────────────
+describe('buildLandVariant', () => {
+  it('trades land copies against the flex card, keeping the deck size', () => {
+    const deck = makeDeck();
+    const variant = buildLandVariant(deck, {
+      landName: 'Forest',
+      count: 19,
+      flexName: 'Grizzly Bears',
+    });
+    expect(variant.lands[0].quantity).toBe(19);
+    expect(variant.spells[0].quantity).toBe(17);
+    expect(variant.landCount).toBe(21);
+    expect(variant.totalCards).toBe(60);
+    expect(buildCompleteDeck(variant)).toHaveLength(buildCompleteDeck(deck).length);
+    // The original deck is untouched
+    expect(deck.lands[0].quantity).toBe(16);
+    expect(deck.spells[0].quantity).toBe(20);
+  });
+
+  it('finds the flex card in any non-land bucket', () => {
+    const variant = buildLandVariant(makeDeck(), {
+      landName: 'Forest',
+      count: 14,
+      flexName: 'Mind Stone',
+    });
+    expect(variant.artifacts[0].quantity).toBe(4);
+    expect(variant.landCount).toBe(16);
+  });
+
+  it('rejects swaps that would leave a negative quantity', () => {
+    const deck = makeDeck();
+    expect(buildLandVariant(deck, { landName: 'Forest', count: 19, flexName: 'Mind Stone' })).toBe(
+      null
+    );
+    expect(buildLandVariant(deck, { landName: 'Forest', count: -1, flexName: 'Mind Stone' })).toBe(
+      null
+    );
+  });
+
+  it('rejects unknown land or flex names', () => {
+    const deck = makeDeck();
+    expect(buildLandVariant(deck, { landName: 'Island', count: 3, flexName: 'Mind Stone' })).toBe(
+      null
+    );
+    expect(buildLandVariant(deck, { landName: 'Forest', count: 15, flexName: 'Nope' })).toBe(null);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// planLandSweep / summarizeLandSweep
+// ─────────────────────────────────────────────────────────────────────────────
+describe('planLandSweep', () => {
+  it('plans one variant per total land count', () => {
+    const plan = planLandSweep(makeDeck(), {
+      landName: 'Forest',
+      flexName: 'Grizzly Bears',
+      minLands: 16,
+      maxLands: 20,
+    });
+    expect(plan.map(v => [v.landCount, v.landCopies, v.flexCopies])).toEqual([
+      [16, 14, 22],
+      [17, 15, 21],
+      [18, 16, 20],
+      [19, 17, 19],
+      [20, 18, 18],
+    ]);
+    expect(plan.every(v => v.deck.landCount === v.landCount)).toBe(true);
+  });
+
+  it('skips counts the swap cannot reach', () => {
+    const plan = planLandSweep(makeDeck(), {
+      landName: 'Yavimaya, Cradle of Growth',
+      flexName: 'Mind Stone',
+      minLands: 15,
+      maxLands: 22,
+    });
+    expect(plan.map(v => v.landCount)).toEqual([17, 18, 19, 20]);
+  });
+});
+
+describe('summarizeLandSweep', () => {
+  it('averages on-curve rates across key cards and rounds rates', () => {
+    const plan = [{ landCount: 17, landCopies: 15, flexCopies: 21 }];
+    const [row] = summarizeLandSweep(plan, {
+      'land:17': {
+        keyCardOnCurvePlayability: { A: 60.04, B: 80 },
+        floodRate: 12.345,
+        screwRate: null,
+      },
+    });
+    expect(row).toEqual({
+      landCount: 17,
+      landCopies: 15,
+      flexCopies: 21,
+      onCurve: 70,
+      onCurveByCard: { A: 60, B: 80 },
+      floodRate: 12.3,
+      screwRate: null,
+    });
+  });
+
+  it('leaves onCurve null without key cards and drops variants with no results', () => {
+    const plan = [
+      { landCount: 17, landCopies: 15, flexCopies: 21 },
+      { landCount: 18, landCopies: 16, flexCopies: 20 },
+    ];
+    const rows = summarizeLandSweep(plan, {
+      'land:18': { keyCardOnCurvePlayability: {}, floodRate: 5, screwRate: 9 },
+    });
+    expect(rows).toHaveLength(1);
+    expect(rows[0].onCurve).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// recommendLandCount
+// ─────────────────────────────────────────────────────────────────────────────
+describe('recommendLandCount', () => {
+  const rows = [
+    { landCount: 16, onCurve: 60, floodRate: 5, screwRate: 30 },
+    { landCount: 17, onCurve: 70, floodRate: 8, screwRate: 20 },
+    { landCount: 18, onCurve: 75, floodRate: 15, screwRate: 12 },
+    { landCount: 19, onCurve: 76, floodRate: 25, screwRate: 8 },
+  ];
+
+  it('picks the best row for each objective', () => {
+    expect(recommendLandCount(rows, 'onCurve').landCount).toBe(19);
+    expect(recommendLandCount(rows, 'floodScrew').landCount).toBe(18);
+    expect(recommendLandCount(rows, 'balanced').landCount).toBe(18);
+  });
+
+  it('breaks ties towards fewer lands', () => {
+    const tied = rows.map(r => ({ ...r, onCurve: 50 }));
+    expect(recommendLandCount(tied, 'onCurve').landCount).toBe(16);
+  });
+
+  it('returns null when the objective cannot score any row', () => {
+    const noKeyCards = rows.map(r => ({ ...r, onCurve: null }));
+    expect(recommendLandCount(noKeyCards, 'onCurve')).toBeNull();
+    expect(recommendLandCount(noKeyCards, 'floodScrew').landCount).toBe(18);
+    expect(recommendLandCount([], 'balanced')).toBeNull();
+  });
+
+  it('labels every objective', () => {
+    Object.values(LAND_SWEEP_OBJECTIVES).forEach(o => expect(o.label).toEqual(expect.any(String)));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// End to end
+// ─────────────────────────────────────────────────────────────────────────────
+describe('land sweep end to end', () => {
+  it('screws less and floods more as lands are added', () => {
+    const deck = {
+      ...makeDeck(),
+      lands: [land('Forest', 18, { isBasic: true })],
+      artifacts: [],
+      spells: [spell('Grizzly Bears', 42)],
+    };
+    const plan = planLandSweep(deck, {
+      landName: 'Forest',
+      flexName: 'Grizzly Bears',
+      minLands: 14,
+      maxLands: 26,
+    }).filter(v => v.landCount % 6 === 2);
+    const config = {
+      iterations: 2000,
+      turns: 4,
+      seed: 11,
+      selectedKeyCards: new Set(['Grizzly Bears']),
+      floodNLands: 4,
+      floodTurn: 4,
+      screwNLands: 2,
+      screwTurn: 4,
+    };
+    const results = Object.fromEntries(
+      plan.map(v => [`land:${v.landCount}`, monteCarloSharded(v.deck, config)])
+    );
+    const rows = summarizeLandSweep(plan, results);
+
+    expect(rows.map(r => r.landCount)).toEqual([14, 20, 26]);
+    expect(rows[0].screwRate).toBeGreaterThan(rows[2].screwRate);
+    expect(rows[0].floodRate).toBeLessThan(rows[2].floodRate);
+    expect(rows[0].onCurve).toBeLessThan(rows[2].onCurve);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * libraryUtils.js — Unit Tests
+ *
+ * Covers scry, surveil and look-at effects:
+ *   keepOnTop              – lands when short, spells when flooded; exact counts;
+ *                            upkeep effects count this turn's land drop
+ *   hasLibraryManipulation – scry / surveil / lookAt fields
+ *   manipulateLibrary      – bottoms, bins or puts back; the log line; a custom
+ *                            chooser; short and empty libraries
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  keepOnTop,
+  hasLibraryManipulation,
+  manipulateLibrary,
+} from '../src/simulation/libraryUtils.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const land = name => ({ name, isLand: true });
+const spell = name => ({ name, isLand: false, cmc: 2 });
+const onField = card => ({ card, tapped: false });
+const lands = n => Array.from({ length: n }, (_, i) => land(`Forest ${i + 1}`));
+
+const names = cards => cards.map(c => c.name);
+
+// Turn index 1 (turn 2) after its land drop: two lands in play
+const shortState = () => ({ hand: [spell('Bear')], battlefield: lands(2).map(onField) });
+const floodState = () => ({ hand: lands(3), battlefield: lands(2).map(onField) });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// keepOnTop
+// ─────────────────────────────────────────────────────────────────────────────
+describe('keepOnTop', () => {
+  const seen = [spell('Counterspell'), land('Island'), spell('Divination')];
+
+  it('keeps a land when short and bottoms the spells', () => {
+    expect(names(keepOnTop(seen, { ...shortState(), turn: 1 }))).toEqual(['Island']);
+  });
+
+  it('keeps spells when flooded', () => {
+    expect(names(keepOnTop(seen, { ...floodState(), turn: 1 }))).toEqual([
+      'Counterspell',
+      'Divination',
+    ]);
+  });
+
+  it('puts back exactly `count` cards, taking the other type when it must', () => {
+    const kept = keepOnTop([spell('A'), spell('B'), spell('C')], { ...shortState(), turn: 1 }, 2);
+    expect(names(kept)).toEqual(['A', 'B']);
+    expect(keepOnTop(seen, { ...shortState(), turn: 1 }, 3)).toHaveLength(3);
+  });
+
+  it('counts this turn’s land drop for upkeep effects', () => {
+    // One land in play and one in hand on turn index 1: short for the next drop…
+    const state = { hand: [land('Plains')], battlefield: lands(1).map(onField), turn: 1 };
+    expect(names(keepOnTop(seen, state))).toEqual(['Island']);
+    // …but before this turn's drop the first card drawn need not be a land
+    expect(names(keepOnTop(seen, { ...state, beforeLandDrop: true }))).toEqual([
+      'Counterspell',
+      'Island',
+    ]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// hasLibraryManipulation / manipulateLibrary
+// ─────────────────────────────────────────────────────────────────────────────
+describe('hasLibraryManipulation', () => {
+  it('is true for scry, surveil and look-at cards', () => {
+    expect(hasLibraryManipulation({ scry: 2 })).toBe(true);
+    expect(hasLibraryManipulation({ surveil: 1 })).toBe(true);
+    expect(hasLibraryManipulation({ lookAt: 3, putBack: 3 })).toBe(true);
+    expect(hasLibraryManipulation({ netCardsDrawn: 1 })).toBe(false);
+  });
+});
+
+describe('manipulateLibrary', () => {
+  const gameState = (state, library) => ({ ...state, graveyard: [], library });
+
+  it('scries the rest to the bottom and logs the choice', () => {
+    const state = gameState(shortState(), [spell('Counterspell'), land('Island'), spell('Ponder')]);
+    const line = manipulateLibrary({ name: 'Preordain', scry: 2 }, state, { turn: 1 });
+    expect(names(state.library)).toEqual(['Island', 'Ponder', 'Counterspell']);
+    expect(line).toBe('Preordain: scry 2 — kept Island; bottomed Counterspell');
+  });
+
+  it('surveils the rest into the graveyard', () => {
+    const state = gameState(floodState(), [land('Island'), spell('Ponder')]);
+    const line = manipulateLibrary({ name: 'Consider', surveil: 1 }, state, { turn: 1 });
+    expect(names(state.library)).toEqual(['Ponder']);
+    expect(names(state.graveyard)).toEqual(['Island']);
+    expect(line).toBe('Consider: surveil 1 — kept nothing; binned Island');
+  });
+
+  it('puts back exactly `putBack` cards and passes the count to the chooser', () => {
+    const state = gameState(shortState(), [spell('A'), land('Island'), spell('B'), spell('C')]);
+    const calls = [];
+    const choose = (cards, context, count) => {
+      calls.push({ cards: names(cards), turn: context.turn, count });
+      return cards.slice(-count);
+    };
+    const card = { name: 'Sea Gate Oracle', lookAt: 2, putBack: 1 };
+    const line = manipulateLibrary(card, state, { turn: 1 }, choose);
+    expect(calls).toEqual([{ cards: ['A', 'Island'], turn: 1, count: 1 }]);
+    expect(names(state.library)).toEqual(['Island', 'B', 'C', 'A']);
+    expect(line).toBe('Sea Gate Oracle: look at 2 — kept Island; bottomed A');
+  });
+
+  it('looks at what is left of a short library and does nothing without an effect', () => {
+    const state = gameState(shortState(), [spell('A')]);
+    manipulateLibrary({ name: 'Ponder', lookAt: 3, putBack: 3 }, state, { turn: 1 });
+    expect(names(state.library)).toEqual(['A']);
+    expect(
+      manipulateLibrary({ name: 'Opt', scry: 1 }, gameState(shortState(), []), { turn: 1 })
+    ).toBeNull();
+    expect(manipulateLibrary({ name: 'Divination' }, state, { turn: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * manaBaseOptimizer.js — Unit Tests
+ *
+ * Covers the simulated-annealing mana-base search:
+ *   coloredKeyCardNames  – only key cards with coloured pips are scored
+ *   buildManaBasePool    – deck + candidate lands, de-duplicated, MDFCs left out, copy limits
+ *   initialManaBase      – deck mix trimmed / padded with basics to the land count
+ *   buildManaBaseVariant – lands replaced, MDFCs kept, counts updated
+ *   scoreManaBase        – mean on-curve rate of the scored key cards
+ *   optimizeManaBase     – stub evaluator: finds the optimum, deterministic per seed,
+ *                          caches revisited mixes, respects copy limits; real monteCarlo
+ *                          runs add Islands to a mono-Plains base for a {U}{U} key card
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  coloredKeyCardNames,
+  buildManaBasePool,
+  flexibleLandCount,
+  initialManaBase,
+  buildManaBaseVariant,
+  scoreManaBase,
+  optimizeManaBase,
+} from '../src/simulation/manaBaseOptimizer.js';
+import { monteCarloSharded } from '../src/simulation/monteCarlo.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const land = (name, produces, quantity = 1, extras = {}) => ({
+  name,
+  quantity,
+  type: 'land',
+  isLand: true,
+  isBasic: false,
+  produces,
+  entersTappedAlways: false,
+  isFetch: false,
+  ...extras,
+});
+const basic = (name, color, quantity) => land(name, [color], quantity, { isBasic: true });
+
+const spell = (name, manaCost, cmc, quantity = 1) => ({
+  name,
+  quantity,
+  type: 'spell',
+  isLand: false,
+  cmc,
+  manaCost,
+});
+
+const makeDeck = () => ({
+  lands: [
+    basic('Plains', 'W', 16),
+    land('Emeria Cradle', ['W']),
+    land('Sea Gate Restoration', ['U'], 1, { isMDFCLand: true }),
+  ],
+  artifacts: [],
+  creatures: [],
+  exploration: [],
+  costReducers: [],
+  rituals: [],
+  rampSpells: [],
+  drawSpells: [],
+  treasureCards: [],
+  spells: [
+    spell('Benevolent Bodyguard', '{W}', 1, 20),
+    spell('Counterspell', '{U}{U}', 2, 20),
+    spell('Sol Talisman', '{2}', 2, 2),
+    { ...spell('Sea Gate Restoration', '{4}{U}{U}{U}', 7, 1), isMDFCSpellSide: true },
+  ],
+  totalCards: 60,
+  landCount: 18,
+  errors: [],
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Pool and mixes
+// ─────────────────────────────────────────────────────────────────────────────
+describe('coloredKeyCardNames', () => {
+  it('keeps key cards whose cost has coloured pips', () => {
+    const keys = new Set(['Counterspell', 'Sol Talisman', 'Benevolent Bodyguard', 'Commander']);
+    expect(coloredKeyCardNames(makeDeck(), keys)).toEqual(['Counterspell', 'Benevolent Bodyguard']);
+  });
+});
+
+describe('buildManaBasePool', () => {
+  it('merges deck and candidate lands, leaving out MDFCs and duplicates', () => {
+    const pool = buildManaBasePool(makeDeck(), [
+      basic('Island', 'U', 1),
+      land('Plains', ['W']),
+      land('Hallowed Fountain', ['W', 'U']),
+    ]);
+    expect(pool.map(p => [p.card.name, p.maxCopies])).toEqual([
+      ['Plains', Infinity],
+      ['Emeria Cradle', 4],
+      ['Island', Infinity],
+      ['Hallowed Fountain', 4],
+    ]);
+    expect(pool[0].card.quantity).toBeUndefined();
+  });
+
+  it('limits non-basics to one copy in Commander', () => {
+    const pool = buildManaBasePool(makeDeck(), [], { commanderMode: true });
+    expect(pool.find(p => p.card.name === 'Emeria Cradle').maxCopies).toBe(1);
+  });
+
+  it('counts the land slots outside fixed MDFCs', () => {
+    expect(flexibleLandCount(makeDeck())).toBe(17);
+  });
+});
+
+describe('initialManaBase', () => {
+  const pool = buildManaBasePool(makeDeck(), [basic('Island', 'U', 1)]);
+
+  it('starts from the deck’s own mix', () => {
+    expect(initialManaBase(makeDeck(), pool, 17)).toEqual([16, 1, 0]);
+  });
+
+  it('trims the most-played land or pads the most-played basic', () => {
+    expect(initialManaBase(makeDeck(), pool, 15)).toEqual([14, 1, 0]);
+    expect(initialManaBase(makeDeck(), pool, 19)).toEqual([18, 1, 0]);
+  });
+
+  it('returns null when the pool cannot hold the land count', () => {
+    const nonBasics = buildManaBasePool({ ...makeDeck(), lands: [land('Emeria Cradle', ['W'])] });
+    expect(initialManaBase(makeDeck(), nonBasics, 5)).toBeNull();
+  });
+});
+
+describe('buildManaBaseVariant', () => {
+  it('replaces the lands, keeps fixed MDFCs and updates the counts', () => {
+    const deck = makeDeck();
+    const pool = buildManaBasePool(deck, [basic('Island', 'U', 1)]);
+    const variant = buildManaBaseVariant(deck, pool, [8, 0, 8]);
+    expect(variant.lands.map(c => [c.name, c.quantity])).toEqual([
+      ['Sea Gate Restoration', 1],
+      ['Plains', 8],
+      ['Island', 8],
+    ]);
+    expect(variant.landCount).toBe(17);
+    expect(variant.totalCards).toBe(59);
+    expect(deck.lands[0].quantity).toBe(16);
+  });
+});
+
+describe('scoreManaBase', () => {
+  it('averages on-curve rates of the scored key cards', () => {
+    const results = { keyCardOnCurvePlayability: { A: 40, B: 80, C: 0 } };
+    expect(scoreManaBase(results, ['A', 'B'])).toBe(60);
+    expect(scoreManaBase(results, [])).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// optimizeManaBase
+// ─────────────────────────────────────────────────────────────────────────────
+describe('optimizeManaBase', () => {
+  // Stub: on-curve rate peaks at 6 Islands and rewards the dual land.
+  const stubEvaluate = calls => async decks => {
+    calls.push(decks.length);
+    return decks.map(deck => {
+      const count = name => deck.lands.find(c => c.name === name)?.quantity ?? 0;
+      const score = 100 - 5 * Math.abs(count('Island') - 6) + 3 * count('Hallowed Fountain');
+      return { keyCardOnCurvePlayability: { Counterspell: score } };
+    });
+  };
+
+  const search = (calls, overrides = {}) =>
+    optimizeManaBase({
+      parsedDeck: makeDeck(),
+      pool: buildManaBasePool(makeDeck(), [
+        basic('Island', 'U', 1),
+        land('Hallowed Fountain', ['W', 'U']),
+      ]),
+      landCount: 18,
+      keyCardNames: ['Counterspell'],
+      evaluate: stubEvaluate(calls),
+      seed: 42,
+      steps: 40,
+      ...overrides,
+    });
+
+  it('finds the best mix and reports where it started', async () => {
+    const { initial, best, history } = await search([]);
+    expect(initial.lands).toEqual([
+      { name: 'Plains', quantity: 17 },
+      { name: 'Emeria Cradle', quantity: 1 },
+    ]);
+    expect(initial.score).toBe(70);
+    expect(best.score).toBe(112);
+    expect(best.lands).toContainEqual({ name: 'Island', quantity: 6 });
+    expect(best.lands).toContainEqual({ name: 'Hallowed Fountain', quantity: 4 });
+    expect(best.onCurve).toEqual({ Counterspell: 112 });
+    expect(history).toHaveLength(40);
+    expect(history.at(-1).bestScore).toBe(112);
+    expect(history.every((h, i) => i === 0 || h.bestScore >= history[i - 1].bestScore)).toBe(true);
+  });
+
+  it('is deterministic for a seed and batches evaluations', async () => {
+    const callsA = [];
+    const a = await search(callsA);
+    const b = await search([]);
+    expect(b).toEqual(a);
+    expect(callsA[0]).toBe(1);
+    expect(Math.max(...callsA)).toBeLessThanOrEqual(4);
+    // Revisited mixes come from the cache
+    expect(a.evaluated).toBe(callsA.reduce((s, n) => s + n, 0));
+  });
+
+  it('never exceeds a land’s copy limit', async () => {
+    const { best } = await search([], {
+      pool: buildManaBasePool(
+        makeDeck(),
+        [basic('Island', 'U', 1), land('Hallowed Fountain', ['W', 'U'])],
+        { commanderMode: true }
+      ),
+    });
+    expect(best.lands.find(l => l.name === 'Hallowed Fountain').quantity).toBe(1);
+    expect(best.lands.reduce((s, l) => s + l.quantity, 0)).toBe(18);
+  });
+
+  it('rejects a land count the pool cannot fill', async () => {
+    await expect(
+      search([], { pool: buildManaBasePool({ ...makeDeck(), lands: [] }, []) })
+    ).rejects.toThrow('The candidate lands cannot fill 18 land slots');
+  });
+
+  it('adds the missing colour to a one-colour mana base with real simulations', async () => {
+    const deck = makeDeck();
+    const config = {
+      iterations: 300,
+      turns: 3,
+      seed: 5,
+      selectedKeyCards: new Set(['Counterspell', 'Sol Talisman']),
+    };
+    const { initial, best } = await optimizeManaBase({
+      parsedDeck: deck,
+      pool: buildManaBasePool(deck, [basic('Island', 'U', 1)]),
+      landCount: 18,
+      keyCardNames: coloredKeyCardNames(deck, config.selectedKeyCards),
+      evaluate: async decks => decks.map(d => monteCarloSharded(d, config)),
+      seed: 1,
+      steps: 12,
+    });
+    // Only Counterspell is scored (Sol Talisman has no coloured pips)
+    expect(Object.keys(initial.onCurve)).toEqual(['Counterspell']);
+    expect(initial.score).toBe(0);
+    expect(best.score).toBeGreaterThan(10);
+    expect(best.lands.find(l => l.name === 'Island').quantity).toBeGreaterThan(1);
+  });
+});
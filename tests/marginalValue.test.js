@@ -0,0 +1,231 @@
+/**
+ * marginalValue.js — Unit Tests
+ *
+ * Covers the leave-one-out ("what does this card add?") analysis:
+ *   candidates             – enabled mana cards only, include flags and disabled sets honoured
+ *   buildFillerVariant     – filler in place, same CMC and quantity, input untouched
+ *   summarizeMarginalValue – baseline − variant deltas at turn N, own key card excluded
+ *   rankMarginalValue      – by mana or key cards, tie-breaks, null key-card deltas last
+ *   end to end             – real monteCarloSharded runs: rocks add mana (bigger rock first), not lands
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  BLANK_FILLER_NAME,
+  marginalValueCandidates,
+  buildFillerVariant,
+  planMarginalValue,
+  summarizeMarginalValue,
+  rankMarginalValue,
+} from '../src/simulation/marginalValue.js';
+import { buildCompleteDeck, monteCarloSharded } from '../src/simulation/monteCarlo.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const forest = quantity => ({
+  name: 'Forest',
+  quantity,
+  type: 'land',
+  isLand: true,
+  isBasic: true,
+  produces: ['G'],
+  entersTappedAlways: false,
+  isFetch: false,
+});
+
+const rock = (name, quantity = 1, manaAmount = 1) => ({
+  name,
+  quantity,
+  type: 'artifact',
+  isLand: false,
+  isManaArtifact: true,
+  cmc: 2,
+  manaCost: '{2}',
+  produces: ['C'],
+  manaAmount,
+  entersTapped: false,
+});
+
+const spell = (name, quantity, cmc = 3) => ({
+  name,
+  quantity,
+  type: 'spell',
+  isLand: false,
+  cmc,
+  manaCost: `{${cmc - 1}}{G}`,
+});
+
+const makeDeck = () => ({
+  lands: [forest(17)],
+  artifacts: [rock('Mind Stone', 2), rock('Thran Dynamo', 1, 3)],
+  creatures: [{ ...rock('Llanowar Elves'), type: 'creature', isManaCreature: true, cmc: 1 }],
+  exploration: [],
+  costReducers: [],
+  rituals: [],
+  rampSpells: [],
+  drawSpells: [],
+  treasureCards: [],
+  spells: [spell('Hill Giant', 39)],
+  totalCards: 60,
+  landCount: 17,
+  errors: [],
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Candidates and variants
+// ─────────────────────────────────────────────────────────────────────────────
+describe('marginalValueCandidates', () => {
+  it('lists every mana card in bucket order', () => {
+    expect(marginalValueCandidates(makeDeck())).toEqual([
+      { name: 'Mind Stone', bucket: 'artifacts', quantity: 2 },
+      { name: 'Thran Dynamo', bucket: 'artifacts', quantity: 1 },
+      { name: 'Llanowar Elves', bucket: 'creatures', quantity: 1 },
+    ]);
+  });
+
+  it('skips switched-off categories and disabled cards', () => {
+    const config = { includeCreatures: false, disabledArtifacts: new Set(['Thran Dynamo']) };
+    expect(marginalValueCandidates(makeDeck(), config).map(c => c.name)).toEqual(['Mind Stone']);
+  });
+
+  it('returns nothing without a deck', () => {
+    expect(marginalValueCandidates(null)).toEqual([]);
+  });
+});
+
+describe('buildFillerVariant', () => {
+  it('swaps every copy for a blank filler in the same slot', () => {
+    const deck = makeDeck();
+    const variant = buildFillerVariant(deck, 'artifacts', 'Mind Stone');
+    expect(variant.artifacts[0]).toEqual({
+      name: BLANK_FILLER_NAME,
+      type: 'spell',
+      isLand: false,
+      cmc: 2,
+      manaCost: '',
+      quantity: 2,
+    });
+    expect(variant.artifacts[1].name).toBe('Thran Dynamo');
+    expect(buildCompleteDeck(variant)).toHaveLength(buildCompleteDeck(deck).length);
+    expect(deck.artifacts[0].name).toBe('Mind Stone');
+  });
+
+  it('plans one variant per candidate with a card: job id', () => {
+    const plan = planMarginalValue(makeDeck());
+    expect(plan.map(v => v.id)).toEqual([
+      'card:Mind Stone',
+      'card:Thran Dynamo',
+      'card:Llanowar Elves',
+    ]);
+    expect(plan[2].deck.creatures[0].name).toBe(BLANK_FILLER_NAME);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// summarizeMarginalValue / rankMarginalValue
+// ─────────────────────────────────────────────────────────────────────────────
+describe('summarizeMarginalValue', () => {
+  const baseline = {
+    totalManaPerTurn: [1, 2, 3.5, 5],
+    landsPerTurn: [1, 2, 3, 4],
+    keyCardPlayability: { 'Mind Stone': [0, 90, 95, 99], 'Hill Giant': [0, 10, 60, 80] },
+  };
+  const plan = [
+    { id: 'card:Mind Stone', name: 'Mind Stone', bucket: 'artifacts', quantity: 2 },
+    { id: 'card:Thran Dynamo', name: 'Thran Dynamo', bucket: 'artifacts', quantity: 1 },
+  ];
+
+  it('reports what each card adds at the chosen turn', () => {
+    const rows = summarizeMarginalValue(
+      plan,
+      baseline,
+      {
+        'card:Mind Stone': {
+          totalManaPerTurn: [1, 2, 3, 4.2],
+          landsPerTurn: [1, 2, 3, 4],
+          keyCardPlayability: { 'Mind Stone': [0, 0, 0, 0], 'Hill Giant': [0, 5, 40, 70] },
+        },
+      },
+      3
+    );
+    expect(rows).toEqual([
+      {
+        name: 'Mind Stone',
+        bucket: 'artifacts',
+        quantity: 2,
+        manaWith: 3.5,
+        manaWithout: 3,
+        manaDelta: 0.5,
+        landsDelta: 0,
+        // Only Hill Giant counts: Mind Stone is the card being removed
+        keyCardDelta: 20,
+      },
+    ]);
+  });
+
+  it('leaves keyCardDelta null without key cards', () => {
+    const noKeys = { ...baseline, keyCardPlayability: {} };
+    const [row] = summarizeMarginalValue(
+      plan.slice(1),
+      noKeys,
+      { 'card:Thran Dynamo': { totalManaPerTurn: [1, 2, 3.5, 3], landsPerTurn: [1, 2, 3, 4] } },
+      4
+    );
+    expect(row.manaDelta).toBe(2);
+    expect(row.keyCardDelta).toBeNull();
+  });
+});
+
+describe('rankMarginalValue', () => {
+  const rows = [
+    { name: 'A', manaDelta: 0.5, keyCardDelta: 12 },
+    { name: 'B', manaDelta: 1.5, keyCardDelta: 8 },
+    { name: 'C', manaDelta: 0.5, keyCardDelta: 20 },
+    { name: 'D', manaDelta: 0.1, keyCardDelta: null },
+  ];
+
+  it('ranks by mana added, breaking ties on key cards', () => {
+    expect(rankMarginalValue(rows, 'mana').map(r => r.name)).toEqual(['B', 'C', 'A', 'D']);
+  });
+
+  it('ranks by key-card playability with null deltas last', () => {
+    expect(rankMarginalValue(rows, 'keyCards').map(r => r.name)).toEqual(['C', 'A', 'B', 'D']);
+  });
+
+  it('does not mutate its input', () => {
+    rankMarginalValue(rows);
+    expect(rows[0].name).toBe('A');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// End to end
+// ─────────────────────────────────────────────────────────────────────────────
+describe('marginal value end to end', () => {
+  it('credits mana rocks with mana, not lands, ranking the bigger rock first', () => {
+    const deck = makeDeck();
+    deck.creatures = [];
+    deck.spells = [spell('Hill Giant', 40)];
+    const config = {
+      iterations: 2000,
+      turns: 5,
+      seed: 3,
+      selectedKeyCards: new Set(['Hill Giant']),
+    };
+    const plan = planMarginalValue(deck, config);
+    const baseline = monteCarloSharded(deck, config);
+    const results = Object.fromEntries(plan.map(v => [v.id, monteCarloSharded(v.deck, config)]));
+    const rows = rankMarginalValue(summarizeMarginalValue(plan, baseline, results, 5));
+
+    expect(rows.map(r => r.name)).toEqual(['Thran Dynamo', 'Mind Stone']);
+    rows.forEach(row => {
+      expect(row.manaDelta).toBeGreaterThan(0);
+      // Rocks don't fetch lands; any difference is noise from diverging draws
+      expect(Math.abs(row.landsDelta)).toBeLessThan(0.05);
+      expect(row.keyCardDelta).toBeGreaterThanOrEqual(0);
+    });
+  });
+});
@@ -1,15 +1,36 @@
 /**
  * math.js — Unit Tests
  *
- * Covers both exported pure functions:
- *   average      – mean of a numeric array
- *   safeToFixed  – null-safe toFixed with numeric return
+ * Covers the exported pure functions:
+ *   average                      – mean of a numeric array
+ *   safeToFixed                  – null-safe toFixed with numeric return
+ *   meanConfidenceInterval       – normal-approximation CI for a mean
+ *   proportionConfidenceInterval – Wilson score CI for a proportion
+ *   normalCdf / studentTCdf      – distribution functions for p-values
+ *   twoProportionZTest           – pooled two-sided z-test on two proportions
+ *   welchTTest                   – two-sided Welch t-test on summary statistics
+ *   requiredSampleSize           – per-group n for 80% power at the 5% level
+ *   histogramPercentile          – nearest-rank percentile of a count histogram
+ *   choose / hypergeometricPmf   – binomial coefficients and hypergeometric probabilities
  *
  * Run:  npm test
  */
 
 import { describe, it, expect } from 'vitest';
-import { average, safeToFixed } from '../src/utils/math.js';
+import {
+  average,
+  safeToFixed,
+  meanConfidenceInterval,
+  proportionConfidenceInterval,
+  normalCdf,
+  studentTCdf,
+  twoProportionZTest,
+  welchTTest,
+  requiredSampleSize,
+  histogramPercentile,
+  choose,
+  hypergeometricPmf,
+} from '../src/utils/math.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // average
@@ -113,3 +134,187 @@ describe('safeToFixed', () => {
     expect(safeToFixed(0.001, 3)).toBe(0.001);
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// meanConfidenceInterval
+// ─────────────────────────────────────────────────────────────────────────────
+describe('meanConfidenceInterval', () => {
+  it('is centred on the mean with half-width z·sd/√n', () => {
+    const { low, high } = meanConfidenceInterval(3, 2, 100);
+    expect((low + high) / 2).toBeCloseTo(3, 10);
+    expect((high - low) / 2).toBeCloseTo((1.959964 * 2) / 10, 6);
+  });
+
+  it('has zero width for fewer than 2 samples', () => {
+    expect(meanConfidenceInterval(3, 2, 1)).toEqual({ low: 3, high: 3 });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// proportionConfidenceInterval
+// ─────────────────────────────────────────────────────────────────────────────
+describe('proportionConfidenceInterval', () => {
+  it('matches the Wilson interval for 50 / 100', () => {
+    const { low, high } = proportionConfidenceInterval(50, 100);
+    expect(low).toBeCloseTo(0.4038, 4);
+    expect(high).toBeCloseTo(0.5962, 4);
+  });
+
+  it('keeps a non-zero width inside [0, 1] at 0% and 100%', () => {
+    const none = proportionConfidenceInterval(0, 100);
+    const all = proportionConfidenceInterval(100, 100);
+    expect(none.low).toBe(0);
+    expect(none.high).toBeGreaterThan(0);
+    expect(all.high).toBe(1);
+    expect(all.low).toBeLessThan(1);
+  });
+
+  it('narrows as the sample grows', () => {
+    const small = proportionConfidenceInterval(30, 100);
+    const large = proportionConfidenceInterval(3000, 10000);
+    expect(large.high - large.low).toBeLessThan(small.high - small.low);
+  });
+
+  it('returns the full [0, 1] range for an empty sample', () => {
+    expect(proportionConfidenceInterval(0, 0)).toEqual({ low: 0, high: 1 });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// normalCdf / studentTCdf
+// ─────────────────────────────────────────────────────────────────────────────
+describe('normalCdf', () => {
+  it('matches standard normal table values', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+    expect(normalCdf(-1)).toBeCloseTo(0.158655, 6);
+  });
+});
+
+describe('studentTCdf', () => {
+  it('matches t-table critical values', () => {
+    expect(studentTCdf(12.706, 1)).toBeCloseTo(0.975, 4);
+    expect(studentTCdf(2.228, 10)).toBeCloseTo(0.975, 4);
+    expect(studentTCdf(-2.228, 10)).toBeCloseTo(0.025, 4);
+  });
+
+  it('approaches the normal distribution for large df', () => {
+    expect(studentTCdf(2, 50000)).toBeCloseTo(normalCdf(2), 4);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// twoProportionZTest / welchTTest
+// ─────────────────────────────────────────────────────────────────────────────
+describe('twoProportionZTest', () => {
+  it('matches a textbook two-proportion test', () => {
+    const { z, pValue } = twoProportionZTest(50, 100, 60, 100);
+    expect(z).toBeCloseTo(1.4213, 4);
+    expect(pValue).toBeCloseTo(0.1552, 4);
+  });
+
+  it('finds a large difference on a large sample significant', () => {
+    expect(twoProportionZTest(5000, 10000, 5300, 10000).pValue).toBeLessThan(0.001);
+  });
+
+  it('returns p = 1 when both sides are 0% or both 100%', () => {
+    expect(twoProportionZTest(0, 100, 0, 100).pValue).toBe(1);
+    expect(twoProportionZTest(100, 100, 100, 100).pValue).toBe(1);
+  });
+});
+
+describe('welchTTest', () => {
+  it('matches a reference Welch test', () => {
+    const { t, df, pValue } = welchTTest(0, 1, 100, 0.3, 1, 100);
+    expect(t).toBeCloseTo(2.1213, 4);
+    expect(df).toBeCloseTo(198, 6);
+    expect(pValue).toBeCloseTo(0.0351, 4);
+  });
+
+  it('uses the Welch–Satterthwaite df for unequal variances', () => {
+    expect(welchTTest(0, 1, 50, 1, 3, 50).df).toBeLessThan(98);
+  });
+
+  it('is exact when both sides have zero variance', () => {
+    expect(welchTTest(2, 0, 10, 2, 0, 10).pValue).toBe(1);
+    expect(welchTTest(2, 0, 10, 3, 0, 10).pValue).toBe(0);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// requiredSampleSize
+// ─────────────────────────────────────────────────────────────────────────────
+describe('requiredSampleSize', () => {
+  it('gives ~16 per group to detect a one-sd difference', () => {
+    expect(requiredSampleSize(1, 1, 1)).toBe(16);
+  });
+
+  it('quadruples when the difference halves', () => {
+    expect(requiredSampleSize(1, 1, 0.05)).toBe(6280);
+    expect(requiredSampleSize(1, 1, 0.1)).toBe(1570);
+  });
+
+  it('returns Infinity for no difference', () => {
+    expect(requiredSampleSize(1, 1, 0)).toBe(Infinity);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// histogramPercentile
+// ─────────────────────────────────────────────────────────────────────────────
+describe('histogramPercentile', () => {
+  // 10 samples: 0×1, 1×2, 2×4, 3×2, 5×1
+  const counts = [1, 2, 4, 2, 0, 1];
+
+  it('returns nearest-rank percentiles', () => {
+    expect(histogramPercentile(counts, 10)).toBe(0);
+    expect(histogramPercentile(counts, 25)).toBe(1);
+    expect(histogramPercentile(counts, 50)).toBe(2);
+    expect(histogramPercentile(counts, 75)).toBe(3);
+    expect(histogramPercentile(counts, 90)).toBe(3);
+    expect(histogramPercentile(counts, 100)).toBe(5);
+  });
+
+  it('returns the smallest value for q = 0', () => {
+    expect(histogramPercentile([0, 0, 3], 0)).toBe(2);
+  });
+
+  it('returns 0 for an empty histogram', () => {
+    expect(histogramPercentile([], 50)).toBe(0);
+    expect(histogramPercentile([0, 0], 50)).toBe(0);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// choose / hypergeometricPmf
+// ─────────────────────────────────────────────────────────────────────────────
+describe('choose', () => {
+  it('returns binomial coefficients', () => {
+    expect(choose(5, 2)).toBe(10);
+    expect(choose(60, 7)).toBe(386206920);
+    expect(choose(7, 0)).toBe(1);
+    expect(choose(7, 7)).toBe(1);
+  });
+
+  it('returns 0 outside 0 ≤ k ≤ n', () => {
+    expect(choose(5, 6)).toBe(0);
+    expect(choose(5, -1)).toBe(0);
+  });
+});
+
+describe('hypergeometricPmf', () => {
+  it('matches the closed form and sums to 1', () => {
+    // Exactly 3 lands in a 7-card hand from 24 lands in 60 cards
+    expect(hypergeometricPmf(60, 24, 7, 3)).toBeCloseTo(
+      (choose(24, 3) * choose(36, 4)) / choose(60, 7),
+      12
+    );
+    const total = [0, 1, 2, 3, 4, 5, 6, 7].reduce((s, k) => s + hypergeometricPmf(60, 24, 7, k), 0);
+    expect(total).toBeCloseTo(1, 12);
+  });
+
+  it('returns 0 outside the support', () => {
+    expect(hypergeometricPmf(10, 2, 5, 3)).toBe(0);
+    expect(hypergeometricPmf(5, 2, 6, 1)).toBe(0);
+  });
+});
@@ -1,15 +1,24 @@
 /**
  * monteCarlo.js — Unit Tests
  *
- * Covers both exported functions:
+ * Covers the exported functions:
  *   buildCompleteDeck  – assembles a flat deck array from a parsed-deck object
  *   monteCarlo         – full simulation engine: returns averaged statistics
+ *   monteCarloPartial  – raw counts / sums that finalise to monteCarlo's output
+ *   monteCarloSharded  – the worker pool's shard plan, run in-thread
  *
  * Run:  npm test
  */
 
 import { describe, it, expect } from 'vitest';
-import { buildCompleteDeck, monteCarlo } from '../src/simulation/monteCarlo.js';
+import {
+  buildCompleteDeck,
+  monteCarlo,
+  monteCarloPartial,
+  monteCarloSharded,
+} from '../src/simulation/monteCarlo.js';
+import { finalizeResults } from '../src/simulation/simResults.js';
+import { createRng } from '../src/simulation/rng.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Minimal card / deck factories
@@ -576,6 +585,321 @@ describe('monteCarlo — key-card playability', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarlo — combo groups
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — combo groups', () => {
+  const deck = () =>
+    makeDeck({
+      lands: Array.from({ length: 38 }, (_, i) => land({ name: `F${i}` })),
+      spells: [
+        spell({ name: 'Two Drop', cmc: 2, manaCost: '{1}{G}' }),
+        spell({ name: 'Three Drop', cmc: 3, manaCost: '{2}{G}' }),
+      ],
+    });
+  const group = overrides => ({
+    name: 'Combo',
+    cards: ['Two Drop', 'Three Drop'],
+    payment: 'together',
+    ...overrides,
+  });
+  const run = (comboGroups, extra = {}) =>
+    monteCarlo(deck(), { iterations: 300, turns: 6, seed: 3, comboGroups, ...extra });
+
+  it('needs the summed cost when the cards are cast together', () => {
+    const pct = run([group()]).comboPlayability.Combo;
+    expect(pct).toHaveLength(6);
+    // At most one land per turn: 5 mana first exists on turn 5
+    expect(pct[3]).toBe(0);
+    expect(pct[4]).toBeGreaterThan(90);
+  });
+
+  it('supports "each castable" and "any N of" groups', () => {
+    const results = run([
+      group({ name: 'Each', payment: 'each' }),
+      group({ name: 'Any', need: 1 }),
+      group({ name: 'Missing', cards: ['Two Drop', 'Not In Deck'] }),
+    ]);
+    expect(results.comboPlayability.Each[1]).toBe(0);
+    expect(results.comboPlayability.Each[2]).toBeGreaterThan(90);
+    expect(results.comboPlayability.Any[0]).toBe(0);
+    expect(results.comboPlayability.Any[1]).toBeGreaterThan(90);
+    expect(results.comboPlayability.Missing.every(p => p === 0)).toBe(true);
+    expect(results.confidenceIntervals.comboPlayability.Each).toHaveLength(6);
+  });
+
+  it('records example sequences per turn and merges them across shards', () => {
+    const config = { iterations: 2500, turns: 6, seed: 3, maxSequences: 2, comboGroups: [group()] };
+    const sharded = monteCarloSharded(deck(), config);
+    expect(sharded.comboSequences.Combo[5]).toHaveLength(2);
+    expect(sharded.comboSequences.Combo[5][0].turn).toBe(5);
+    expect(sharded.comboSequences.Combo[4]).toBeUndefined();
+    expect(sharded.handsKept).toBe(2500);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarlo — curve out
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — curve out', () => {
+  // 20 Forests and 20 two-drops: every land drop is hit on turns 1–4 almost always
+  const deck = () =>
+    makeDeck({
+      lands: [land({ quantity: 20 })],
+      spells: [spell({ name: 'Two Drop', manaCost: '{1}{G}', quantity: 20 })],
+    });
+  const config = { iterations: 400, turns: 4, seed: 9 };
+
+  it('is off by default', () => {
+    expect(monteCarlo(deck(), config).curveOut).toBeNull();
+  });
+
+  it('splits the available mana into spent and wasted', () => {
+    const results = monteCarlo(deck(), { ...config, curveOut: true });
+    const { manaSpentPerTurn, manaWastedPerTurn, spellsCastPerTurn, manaUsedPerTurn } =
+      results.curveOut;
+    manaSpentPerTurn.forEach((spent, t) =>
+      expect(spent + manaWastedPerTurn[t]).toBeCloseTo(results.totalManaPerTurn[t], 10)
+    );
+    // Nothing costs one mana; two-drops go out in pairs on turn 4
+    expect(manaSpentPerTurn[0]).toBe(0);
+    expect(manaUsedPerTurn[0]).toBe(0);
+    expect(spellsCastPerTurn[1]).toBeGreaterThan(0.8);
+    expect(spellsCastPerTurn[3]).toBeGreaterThan(spellsCastPerTurn[1]);
+    expect(results.curveOut.spellsCastPerTurnStdDev).toHaveLength(4);
+  });
+
+  it('merges curve metrics across shards', () => {
+    const sharded = monteCarloSharded(deck(), { ...config, iterations: 3000, curveOut: true });
+    expect(sharded.curveOut.manaSpentPerTurn).toHaveLength(4);
+    expect(sharded.confidenceIntervals.curveOut.manaSpentPerTurn[1].high).toBeGreaterThan(
+      sharded.confidenceIntervals.curveOut.manaSpentPerTurn[1].low
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarlo — casting policy
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — casting policy', () => {
+  const deck = () =>
+    makeDeck({
+      lands: [land({ quantity: 20 })],
+      spells: [
+        spell({ name: 'Two Drop', manaCost: '{1}{G}', quantity: 10 }),
+        spell({ name: 'Three Drop', cmc: 3, manaCost: '{2}{G}', quantity: 10 }),
+      ],
+    });
+  const config = { iterations: 400, turns: 4, seed: 9, curveOut: true };
+
+  it('reports the policy it ran with', () => {
+    expect(monteCarlo(deck(), config).castingPolicy).toBe('greedy');
+    expect(
+      monteCarloSharded(deck(), { ...config, iterations: 2500, castingPolicy: 'planner' })
+        .castingPolicy
+    ).toBe('planner');
+  });
+
+  it('spends more mana than the greedy policy when two cheap spells fit', () => {
+    const greedy = monteCarlo(deck(), config).curveOut;
+    const planner = monteCarlo(deck(), { ...config, castingPolicy: 'planner' }).curveOut;
+    // With four mana the greedy policy casts a three-drop and wastes one
+    expect(planner.manaUsedPerTurn[3]).toBeGreaterThan(greedy.manaUsedPerTurn[3] + 5);
+    expect(planner.spellsCastPerTurn[3]).toBeGreaterThan(greedy.spellsCastPerTurn[3]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarlo — play policy
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — play policy', () => {
+  const config = { iterations: 1000, turns: 3, seed: 5 };
+
+  it('runs the default policy unless told otherwise and reports the policy', () => {
+    const deck = monoGreenDecks();
+    expect(monteCarlo(deck, config).playPolicy).toBe('default');
+    expect(monteCarlo(deck, { ...config, playPolicy: 'default' })).toEqual(
+      monteCarlo(deck, config)
+    );
+    expect(monteCarloSharded(deck, { ...config, playPolicy: 'untapped' }).playPolicy).toBe(
+      'untapped'
+    );
+    expect(() => monteCarlo(deck, { ...config, playPolicy: 'reckless' })).toThrow(
+      'Unknown play policy'
+    );
+  });
+
+  it('calls the decision points of a policy object', () => {
+    const calls = new Set();
+    const playPolicy = {
+      shouldMulligan: () => (calls.add('mulligan'), false),
+      // Never playing a land fills the hand up, so the discard is reached
+      chooseLand: () => (calls.add('land'), null),
+      chooseDiscard: hand => (calls.add('discard'), hand[0]),
+      castingPolicy: 'planner',
+    };
+    const result = monteCarlo(monoGreenDecks(), {
+      ...config,
+      iterations: 20,
+      turns: 5,
+      enableMulligans: true,
+      handSize: 3,
+      playPolicy,
+    });
+    expect([...calls].sort()).toEqual(['discard', 'land', 'mulligan']);
+    expect(result).toMatchObject({ playPolicy: 'custom', castingPolicy: 'planner' });
+  });
+
+  it('casts a three-colour card on curve more often when maximizing colours', () => {
+    const deck = makeDeck({
+      lands: [
+        land({ quantity: 10 }),
+        land({ name: 'Island', landSubtypes: ['Island'], produces: ['U'], quantity: 3 }),
+        land({ name: 'Swamp', landSubtypes: ['Swamp'], produces: ['B'], quantity: 3 }),
+        land({
+          name: 'Zagoth Triome',
+          isBasic: false,
+          landSubtypes: ['Swamp', 'Forest', 'Island'],
+          produces: ['B', 'G', 'U'],
+          entersTappedAlways: true,
+          quantity: 4,
+        }),
+      ],
+      spells: [
+        spell({ name: 'Gold', cmc: 3, manaCost: '{B}{G}{U}', quantity: 10 }),
+        spell({ name: 'Bear', manaCost: '{1}{G}', quantity: 10 }),
+      ],
+    });
+    const run = playPolicy =>
+      monteCarlo(deck, { ...config, selectedKeyCards: new Set(['Gold']), playPolicy })
+        .keyCardOnCurvePlayability.Gold;
+    expect(run('colors')).toBeGreaterThan(run('default') + 15);
+  });
+
+  it('casts three-drops on curve more often when saving untapped lands', () => {
+    const deck = makeDeck({
+      lands: [
+        land({ quantity: 8 }),
+        land({ name: 'Guildgate', isBasic: false, entersTappedAlways: true, quantity: 9 }),
+      ],
+      spells: [spell({ name: 'Three', cmc: 3, manaCost: '{2}{G}', quantity: 23 })],
+    });
+    const run = playPolicy =>
+      monteCarlo(deck, { ...config, selectedKeyCards: new Set(['Three']), playPolicy })
+        .keyCardOnCurvePlayability.Three;
+    expect(run('untapped')).toBeGreaterThan(run('default') + 15);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarlo — library manipulation
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — library manipulation', () => {
+  // 14 lands and 12 one-mana cantrips: land drops are missed often by turn 5
+  const deck = cantrip =>
+    makeDeck({
+      lands: [land({ quantity: 14 })],
+      drawSpells: [
+        {
+          name: 'Preordain',
+          type: 'drawSpell',
+          isDrawSpell: true,
+          isOneTimeDraw: true,
+          staysOnBattlefield: false,
+          netCardsDrawn: 1,
+          avgCardsPerTurn: 0,
+          triggerType: 'cast',
+          cmc: 1,
+          manaCost: '{G}',
+          quantity: 12,
+          ...cantrip,
+        },
+      ],
+      spells: [spell({ name: 'Filler', cmc: 5, manaCost: '{5}', quantity: 14 })],
+    });
+  const config = { iterations: 1500, turns: 5, seed: 17 };
+
+  it('hits more land drops when cantrips scry lands to the top', () => {
+    const plain = monteCarlo(deck({}), config).landsPerTurn[4];
+    const scry = monteCarlo(deck({ scry: 2 }), config).landsPerTurn[4];
+    expect(scry).toBeGreaterThan(plain + 0.1);
+  });
+
+  it('logs what each scry kept and bottomed', () => {
+    const results = monteCarlo(deck({ scry: 2 }), {
+      ...config,
+      iterations: 200,
+      maxSequences: 5,
+      selectedKeyCards: new Set(['Filler']),
+    });
+    const actions = Object.values(results.fastestPlaySequences.Filler ?? {})
+      .flat()
+      .flatMap(({ sequence }) => sequence.flatMap(t => t.actions));
+    expect(actions.some(a => /^Preordain: scry 2 — kept /.test(a))).toBe(true);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarlo — tutors
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — tutors', () => {
+  // One copy of the key card: castable by mana on turn 3, but rarely drawn
+  const deck = (tutorCount = 0) =>
+    makeDeck({
+      lands: [land({ quantity: 17 })],
+      spells: [
+        spell({ name: 'Key Spell', cmc: 3, manaCost: '{2}{G}' }),
+        spell({ name: 'Filler', cmc: 6, manaCost: '{6}', quantity: 22 - tutorCount }),
+      ],
+      tutors: [
+        {
+          name: 'Sylvan Scrying',
+          type: 'tutor',
+          isLand: false,
+          isTutor: true,
+          finds: 'any',
+          destination: 'hand',
+          cmc: 1,
+          manaCost: '{G}',
+          quantity: tutorCount,
+        },
+      ],
+    });
+  const config = {
+    iterations: 1000,
+    turns: 4,
+    seed: 23,
+    maxSequences: 5,
+    selectedKeyCards: new Set(['Key Spell']),
+  };
+
+  it('reports how often the key card is castable and in hand', () => {
+    const results = monteCarlo(deck(), config);
+    const inHand = results.keyCardInHandPlayability['Key Spell'];
+    expect(inHand[3]).toBeLessThan(results.keyCardPlayability['Key Spell'][3] / 2);
+    expect(results.confidenceIntervals.keyCardInHandPlayability['Key Spell']).toHaveLength(4);
+  });
+
+  it('tutors raise the in-hand rate and show in the play sequence', () => {
+    const plain = monteCarlo(deck(), config).keyCardInHandPlayability['Key Spell'][3];
+    const results = monteCarlo(deck(8), config);
+    expect(results.keyCardInHandPlayability['Key Spell'][3]).toBeGreaterThan(plain + 20);
+    const actions = Object.values(results.fastestPlaySequences['Key Spell'] ?? {})
+      .flat()
+      .flatMap(({ sequence }) => sequence.flatMap(t => t.actions));
+    expect(actions).toContain('Cast tutor: Sylvan Scrying → Key Spell to hand');
+  });
+
+  it('leaves tutors out of the deck when they are switched off', () => {
+    // 17 lands + the key card + 14 fillers
+    expect(buildCompleteDeck(deck(8), { includeTutors: false })).toHaveLength(32);
+    expect(
+      buildCompleteDeck(deck(8), { disabledTutors: new Set(['Sylvan Scrying']) })
+    ).toHaveLength(32);
+    expect(buildCompleteDeck(deck(8), {})).toHaveLength(40);
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // monteCarlo — burst / ritual detection
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1264,3 +1588,343 @@ describe('monteCarlo — commanderName', () => {
     expect(Object.keys(results.keyCardPlayability)).toEqual(['Kenrith, the Returned King']);
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// command zone — casting, commander tax and partners
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — command zone', () => {
+  const kenrith = spell({ name: 'Kenrith, the Returned King', cmc: 5, manaCost: '{4}{G}' });
+  const forests = n => [land({ quantity: n })];
+
+  it('casts the commander once its real cost is payable', () => {
+    const results = monteCarlo(makeDeck({ lands: forests(36), commanders: [kenrith] }), {
+      iterations: 100,
+      turns: 7,
+      commanderName: 'Kenrith, the Returned King',
+    });
+    const [first] = results.commanderCasts['Kenrith, the Returned King'];
+    expect(first.castBy[3]).toBe(0);
+    expect(first.castBy[4]).toBeCloseTo(100, 5);
+    expect(first.avgTurn).toBe(5);
+    expect(results.keyCardOnCurveCMC['Kenrith, the Returned King']).toBe(5);
+  });
+
+  it('counts the mana a commander costs as spent when curving out', () => {
+    const results = monteCarlo(makeDeck({ lands: forests(36), commanders: [kenrith] }), {
+      iterations: 100,
+      turns: 6,
+      commanderName: 'Kenrith, the Returned King',
+      curveOut: true,
+    });
+    const { manaSpentPerTurn, manaWastedPerTurn } = results.curveOut;
+    // Every draw is a Forest: Kenrith takes all five lands on turn 5
+    expect(manaSpentPerTurn[4]).toBe(5);
+    expect(manaWastedPerTurn[4]).toBe(0);
+    expect(manaSpentPerTurn[5]).toBe(0);
+    manaSpentPerTurn.forEach((spent, t) =>
+      expect(spent + manaWastedPerTurn[t]).toBeCloseTo(results.totalManaPerTurn[t], 10)
+    );
+  });
+
+  it('recasts after each death with commander tax', () => {
+    const results = monteCarlo(makeDeck({ lands: forests(36), commanders: [kenrith] }), {
+      iterations: 50,
+      turns: 8,
+      commanderName: 'Kenrith, the Returned King',
+      commanderDeaths: 2,
+      maxSequences: 1,
+    });
+    const casts = results.commanderCasts['Kenrith, the Returned King'];
+    expect(casts.map(c => c.avgTurn)).toEqual([5, 7, null]);
+    expect(casts[2].notCast).toBeCloseTo(100, 5);
+    const log = results.fastestPlaySequences['Kenrith, the Returned King'][8][0].sequence;
+    expect(log[4].actions).toContain(
+      'Kenrith, the Returned King dies — back to the command zone (tax now +2)'
+    );
+    expect(log[6].actions).toContain(
+      'Cast commander: Kenrith, the Returned King (+2 commander tax)'
+    );
+  });
+
+  it('tracks a partner with its own cast-turn distribution', () => {
+    const deck = makeDeck({
+      lands: forests(36),
+      commanders: [
+        spell({ name: 'Thrasios, Triton Hero', cmc: 2, manaCost: '{G}{U}' }),
+        spell({ name: 'Tymna the Weaver', cmc: 3, manaCost: '{1}{W}{B}' }),
+      ],
+    });
+    const results = monteCarlo(deck, {
+      iterations: 50,
+      turns: 6,
+      commanderName: 'Tymna the Weaver',
+      partnerName: 'Thrasios, Triton Hero',
+    });
+    // Forests pay neither coloured cost: both stay in the command zone
+    expect(results.commanderCasts['Tymna the Weaver'][0].notCast).toBeCloseTo(100, 5);
+    const generic = makeDeck({
+      lands: forests(36),
+      commanders: [
+        spell({ name: 'Thrasios, Triton Hero', cmc: 2, manaCost: '{2}' }),
+        spell({ name: 'Tymna the Weaver', cmc: 3, manaCost: '{3}' }),
+      ],
+    });
+    const cast = monteCarlo(generic, {
+      iterations: 50,
+      turns: 6,
+      commanderName: 'Tymna the Weaver',
+      partnerName: 'Thrasios, Triton Hero',
+    }).commanderCasts;
+    expect(Object.keys(cast)).toEqual(['Tymna the Weaver', 'Thrasios, Triton Hero']);
+    expect(cast['Thrasios, Triton Hero'][0].avgTurn).toBe(2);
+    // Each is cast as soon as its own cost fits, Thrasios first
+    expect(cast['Tymna the Weaver'][0].avgTurn).toBe(3);
+  });
+
+  it('keeps a commander from the main list out of the library', () => {
+    const results = monteCarlo(makeDeck({ lands: forests(7), spells: [kenrith] }), {
+      iterations: 20,
+      turns: 5,
+      commanderName: 'Kenrith, the Returned King',
+      maxSequences: 1,
+    });
+    const [play] = results.fastestPlaySequences['Kenrith, the Returned King'][5];
+    expect(play.openingHand).toEqual(Array(7).fill('Forest'));
+    expect(results.commanderCasts['Kenrith, the Returned King'][0].castBy[4]).toBeCloseTo(100, 5);
+  });
+
+  it('leaves an unknown commander uncast and out of commanderCasts', () => {
+    const results = monteCarlo(makeDeck({ lands: forests(30) }), {
+      iterations: 20,
+      turns: 3,
+      commanderName: 'Mystery Commander',
+    });
+    expect(results.commanderCasts).toEqual({});
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// seed / rng — reproducible runs
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — seed', () => {
+  const seededDeck = () =>
+    makeDeck({
+      lands: [land({ quantity: 24 })],
+      creatures: [creature({ quantity: 4 })],
+      spells: [spell({ name: 'Grizzly Bears', manaCost: '{1}{G}', quantity: 32 })],
+    });
+  const config = {
+    iterations: 300,
+    turns: 5,
+    enableMulligans: true,
+    selectedKeyCards: new Set(['Grizzly Bears']),
+  };
+
+  it('returns identical results for the same seed', () => {
+    const a = monteCarlo(seededDeck(), { ...config, seed: 1234 });
+    const b = monteCarlo(seededDeck(), { ...config, seed: 1234 });
+    expect(a).toEqual(b);
+  });
+
+  it('reports the seed that was used', () => {
+    expect(monteCarlo(seededDeck(), { ...config, seed: 1234 }).seed).toBe(1234);
+  });
+
+  it('draws and reports a fresh seed when none is given', () => {
+    const { seed } = monteCarlo(seededDeck(), config);
+    expect(Number.isInteger(seed)).toBe(true);
+    // Re-running with the reported seed reproduces the run
+    const rerun = monteCarlo(seededDeck(), { ...config, seed });
+    expect(rerun.seed).toBe(seed);
+  });
+
+  it('treats a blank seed string as "no seed"', () => {
+    const { seed } = monteCarlo(seededDeck(), { ...config, seed: '' });
+    expect(Number.isInteger(seed)).toBe(true);
+  });
+
+  it('different seeds give different per-turn samples', () => {
+    const a = monteCarlo(seededDeck(), { ...config, seed: 1 });
+    const b = monteCarlo(seededDeck(), { ...config, seed: 2 });
+    expect(a.landsPerTurn).not.toEqual(b.landsPerTurn);
+  });
+
+  it('uses a caller-supplied rng and reports a null seed without one', () => {
+    const a = monteCarlo(seededDeck(), { ...config, rng: createRng(7) });
+    const b = monteCarlo(seededDeck(), { ...config, rng: createRng(7) });
+    expect(a.seed).toBeNull();
+    expect(a.landsPerTurn).toEqual(b.landsPerTurn);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// monteCarloPartial / monteCarloSharded
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — partial and sharded runs', () => {
+  const shardDeck = () =>
+    makeDeck({
+      lands: [land({ quantity: 24 })],
+      creatures: [creature({ quantity: 4 })],
+      spells: [spell({ name: 'Grizzly Bears', manaCost: '{1}{G}', quantity: 32 })],
+    });
+  const config = {
+    iterations: 400,
+    turns: 5,
+    seed: 99,
+    selectedKeyCards: new Set(['Grizzly Bears']),
+  };
+
+  it('monteCarloPartial returns raw counts rather than averages', () => {
+    const partial = monteCarloPartial(shardDeck(), config);
+    expect(partial.handsKept).toBe(400);
+    expect(partial.sums.landsPerTurn[0]).toBeGreaterThan(100);
+    expect(partial.keyCardPlayability['Grizzly Bears'].every(Number.isInteger)).toBe(true);
+    expect(partial.openingHandLandCounts.reduce((a, b) => a + b, 0)).toBe(400);
+  });
+
+  it('finalising a partial reproduces monteCarlo exactly', () => {
+    expect(finalizeResults(monteCarloPartial(shardDeck(), config))).toEqual(
+      monteCarlo(shardDeck(), config)
+    );
+  });
+
+  it('monteCarloSharded matches monteCarlo when the run fits in one shard', () => {
+    expect(monteCarloSharded(shardDeck(), config)).toEqual(monteCarlo(shardDeck(), config));
+  });
+
+  it('monteCarloSharded is reproducible across shards and reports the run seed', () => {
+    const big = { ...config, iterations: 2200 };
+    const a = monteCarloSharded(shardDeck(), big);
+    expect(a).toEqual(monteCarloSharded(shardDeck(), big));
+    expect(a.handsKept).toBe(2200);
+    expect(a.seed).toBe(99);
+  });
+
+  it('monteCarloSharded reports progress across all shards', () => {
+    const calls = [];
+    monteCarloSharded(shardDeck(), { ...config, iterations: 2200 }, (done, total) =>
+      calls.push([done, total])
+    );
+    expect(calls[calls.length - 1]).toEqual([2200, 2200]);
+    expect(calls.every(([, total]) => total === 2200)).toBe(true);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Play / draw
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — play / draw', () => {
+  const deck = () =>
+    makeDeck({
+      lands: [land({ quantity: 24 })],
+      spells: [spell({ name: 'Grizzly Bears', manaCost: '{1}{G}', quantity: 36 })],
+    });
+  const config = { iterations: 500, turns: 4, seed: 5 };
+
+  it('defaults to the play: no draw on turn 1', () => {
+    const results = monteCarlo(deck(), config);
+    expect(results.playDraw).toBe('play');
+    expect(results.cardsDrawnPerTurn[0]).toBe(0);
+  });
+
+  it('draws a card on turn 1 on the draw', () => {
+    const results = monteCarlo(deck(), { ...config, playDraw: 'draw' });
+    expect(results.playDraw).toBe('draw');
+    expect(results.cardsDrawnPerTurn[0]).toBe(1);
+  });
+
+  it('hits more lands on the draw than on the play', () => {
+    const onPlay = monteCarlo(deck(), config);
+    const onDraw = monteCarlo(deck(), { ...config, playDraw: 'draw' });
+    expect(onDraw.landsPerTurn[3]).toBeGreaterThan(onPlay.landsPerTurn[3]);
+  });
+
+  it('Commander mode draws on turn 1 regardless of the setting', () => {
+    const results = monteCarlo(deck(), { ...config, commanderMode: true, playDraw: 'play' });
+    expect(results.cardsDrawnPerTurn[0]).toBe(1);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Confidence-interval early stopping
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — CI early stopping', () => {
+  const deck = () =>
+    makeDeck({
+      lands: [land({ quantity: 24 })],
+      spells: [spell({ name: 'Grizzly Bears', manaCost: '{1}{G}', quantity: 36 })],
+    });
+  const config = {
+    iterations: 3000,
+    turns: 3,
+    seed: 11,
+    selectedKeyCards: new Set(['Grizzly Bears']),
+  };
+
+  it('stops at a shard boundary once every key card meets a loose target', () => {
+    const results = monteCarlo(deck(), { ...config, ciTarget: 5 });
+    expect(results.stoppedEarly).toBe(true);
+    expect(results.handsKept).toBe(1000);
+    expect(results.ciTarget).toBe(5);
+    expect(results.maxKeyCardCIHalfWidth).toBeLessThanOrEqual(5);
+  });
+
+  it('runs every iteration when the target is never reached', () => {
+    const results = monteCarlo(deck(), { ...config, ciTarget: 0.1 });
+    expect(results.stoppedEarly).toBe(false);
+    expect(results.handsKept).toBe(3000);
+    expect(results.maxKeyCardCIHalfWidth).toBeGreaterThan(0.1);
+  });
+
+  it('ignores the target when no key cards are tracked', () => {
+    const results = monteCarlo(deck(), { ...config, selectedKeyCards: new Set(), ciTarget: 50 });
+    expect(results.stoppedEarly).toBe(false);
+    expect(results.handsKept).toBe(3000);
+    expect(results.maxKeyCardCIHalfWidth).toBeNull();
+  });
+
+  it('monteCarloSharded stops after the first shard prefix that meets the target', () => {
+    const results = monteCarloSharded(deck(), { ...config, ciTarget: 5 });
+    expect(results).toEqual(
+      finalizeResults({
+        ...monteCarloPartial(deck(), { ...config, iterations: 1000 }),
+        ciTarget: 5,
+        stoppedEarly: true,
+      })
+    );
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Distributions
+// ─────────────────────────────────────────────────────────────────────────────
+describe('monteCarlo — distributions', () => {
+  const deck = () =>
+    makeDeck({
+      lands: [land({ quantity: 24 })],
+      spells: [spell({ name: 'Grizzly Bears', manaCost: '{1}{G}', quantity: 36 })],
+    });
+  const config = { iterations: 500, turns: 4, seed: 3 };
+
+  it('keeps one histogram entry per game for every turn', () => {
+    const results = monteCarlo(deck(), config);
+    results.histograms.landsPerTurn.forEach(h => {
+      expect(h.reduce((a, b) => a + b, 0)).toBe(500);
+    });
+    results.histograms.totalManaPerTurn.forEach((h, t) => {
+      const mean = h.reduce((s, c, v) => s + c * v, 0) / 500;
+      expect(mean).toBeCloseTo(results.totalManaPerTurn[t], 10);
+    });
+  });
+
+  it('reports ordered percentiles that never exceed the turn number in lands', () => {
+    const results = monteCarlo(deck(), config);
+    results.percentiles.landsPerTurn.forEach((p, t) => {
+      expect(p.p10).toBeLessThanOrEqual(p.p25);
+      expect(p.p25).toBeLessThanOrEqual(p.p50);
+      expect(p.p50).toBeLessThanOrEqual(p.p75);
+      expect(p.p75).toBeLessThanOrEqual(p.p90);
+      expect(p.p90).toBeLessThanOrEqual(t + 1);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * playPolicy.js — Unit Tests
+ *
+ * Covers the play policies passed to monteCarlo:
+ *   resolvePlayPolicy / playPolicyId – ids and partial policy objects; unknown ids
+ *   DEFAULT_PLAY_POLICY              – mulligan strategies; London bottoming order
+ *   colors policy                    – lands and fetch targets adding missing colours
+ *   untapped policy                  – tapped lands on turns their mana is not needed;
+ *                                      untapped fetch targets
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PLAY_POLICY,
+  PLAY_POLICIES,
+  resolvePlayPolicy,
+  playPolicyId,
+} from '../src/simulation/playPolicy.js';
+import { selectBestLand, findBestLandToFetch } from '../src/simulation/simulationCore.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const land = (name, produces, extras = {}) => ({
+  name,
+  isLand: true,
+  isBasic: produces.length === 1,
+  produces,
+  manaAmount: 1,
+  landSubtypes: [],
+  entersTappedAlways: false,
+  ...extras,
+});
+const forest = land('Forest', ['G'], { landSubtypes: ['Forest'] });
+const island = land('Island', ['U'], { landSubtypes: ['Island'] });
+const triome = land('Zagoth Triome', ['B', 'G', 'U'], {
+  landSubtypes: ['Swamp', 'Forest', 'Island'],
+  entersTappedAlways: true,
+});
+const gate = land('Simic Guildgate', ['G', 'U'], { entersTappedAlways: true });
+const spell = (name, cmc) => ({ name, isLand: false, cmc, manaCost: `{${cmc}}` });
+
+const onField = card => ({ card, tapped: false });
+const policy = id => resolvePlayPolicy(id);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolvePlayPolicy / playPolicyId
+// ─────────────────────────────────────────────────────────────────────────────
+describe('resolvePlayPolicy', () => {
+  it('looks up shipped policies by id and completes partial ones from the default', () => {
+    expect(resolvePlayPolicy()).toBe(DEFAULT_PLAY_POLICY);
+    PLAY_POLICIES.forEach(({ id, policy: p }) => expect(resolvePlayPolicy(id)).toBe(p));
+    const chooseLand = () => null;
+    const custom = resolvePlayPolicy({ chooseLand });
+    expect(custom.chooseLand).toBe(chooseLand);
+    expect(custom.chooseDiscard).toBe(DEFAULT_PLAY_POLICY.chooseDiscard);
+    expect(() => resolvePlayPolicy('reckless')).toThrow('Unknown play policy: reckless');
+  });
+
+  it('reports ids, and "custom" for an object without one', () => {
+    expect(playPolicyId()).toBe('default');
+    expect(playPolicyId('colors')).toBe('colors');
+    expect(playPolicyId({ id: 'mine' })).toBe('mine');
+    expect(playPolicyId({})).toBe('custom');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DEFAULT_PLAY_POLICY
+// ─────────────────────────────────────────────────────────────────────────────
+describe('DEFAULT_PLAY_POLICY', () => {
+  const { shouldMulligan, keepAfterMulligan } = DEFAULT_PLAY_POLICY;
+  const hand = (lands, spells) => [
+    ...Array.from({ length: lands }, () => forest),
+    ...spells.map((cmc, i) => spell(`S${i}`, cmc)),
+  ];
+
+  it('applies each mulligan strategy to the hand', () => {
+    const settings = mulliganStrategy => ({ mulliganStrategy, customMulliganRules: {} });
+    expect(shouldMulligan(hand(0, [1, 2, 3, 4, 5, 6, 7]), settings('conservative'))).toBe(true);
+    expect(shouldMulligan(hand(1, [1, 3, 3, 4, 5, 6]), settings('conservative'))).toBe(false);
+    expect(shouldMulligan(hand(1, [1, 3, 3, 4, 5, 6]), settings('balanced'))).toBe(false);
+    expect(shouldMulligan(hand(1, [3, 3, 3, 4, 5, 6]), settings('balanced'))).toBe(true);
+    expect(shouldMulligan(hand(5, [1, 2]), settings('aggressive'))).toBe(true);
+    const custom = {
+      mulliganStrategy: 'custom',
+      customMulliganRules: { mulliganNoPlaysByTurn: true, noPlaysTurnThreshold: 2 },
+    };
+    expect(shouldMulligan(hand(3, [3, 4, 5, 6]), custom)).toBe(true);
+    expect(shouldMulligan(hand(3, [2, 4, 5, 6]), custom)).toBe(false);
+  });
+
+  it('bottoms lands from a flooded hand and expensive spells otherwise', () => {
+    const flooded = keepAfterMulligan(hand(5, [1, 4]), 2);
+    expect(flooded.filter(c => c.isLand)).toHaveLength(3);
+    expect(flooded.filter(c => !c.isLand).map(c => c.cmc)).toEqual([4, 1]);
+    const kept = keepAfterMulligan(hand(3, [1, 2, 5, 6]), 2);
+    expect(kept.filter(c => !c.isLand).map(c => c.cmc)).toEqual([2, 1]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Alternative policies
+// ─────────────────────────────────────────────────────────────────────────────
+describe('colors policy', () => {
+  const { chooseLand, chooseFetchTarget } = policy('colors');
+
+  it('plays the land adding the most colours, even tapped, else the default choice', () => {
+    expect(selectBestLand([forest, triome], [])).toBe(forest);
+    expect(chooseLand([forest, triome], [], 0)).toBe(triome);
+    expect(chooseLand([forest, island], [onField(forest)], 1)).toBe(island);
+    expect(chooseLand([forest, gate], [onField(triome)], 1)).toBe(forest);
+    expect(chooseLand([spell('Bear', 2)], [], 0)).toBeNull();
+  });
+
+  it('fetches the land producing the most missing colours', () => {
+    const fetch = { name: 'Misty Rainforest', isFetch: true, fetchColors: ['G', 'U'] };
+    expect(chooseFetchTarget(fetch, [forest, island, triome], [onField(forest)], [], null, 1)).toBe(
+      triome
+    );
+    expect(chooseFetchTarget(fetch, [forest, island], [onField(forest)], [], null, 1)).toBe(island);
+    expect(chooseFetchTarget(fetch, [land('Wastes', ['C'])], [], [], null, 1)).toBeNull();
+  });
+});
+
+describe('untapped policy', () => {
+  const { chooseLand, chooseFetchTarget } = policy('untapped');
+
+  it('plays a tapped land unless a spell needs the extra mana this turn', () => {
+    expect(chooseLand([forest, gate, spell('Three', 3)], [], 0)).toBe(gate);
+    expect(chooseLand([forest, gate, spell('One', 1)], [], 0)).toBe(forest);
+    expect(chooseLand([forest, gate, spell('Two', 2)], [onField(forest)], 1)).toBe(forest);
+    expect(chooseLand([forest, spell('Three', 3)], [], 0)).toBe(forest);
+  });
+
+  it('fetches a land that enters untapped over a tapped tri-land', () => {
+    const fetch = { name: 'Misty Rainforest', isFetch: true, fetchColors: ['G', 'U'] };
+    expect(findBestLandToFetch(fetch, [triome, forest], [], [], null, 1)).toBe(triome);
+    expect(chooseFetchTarget(fetch, [triome, forest], [], [], null, 1)).toBe(forest);
+    expect(chooseFetchTarget(fetch, [triome], [], [], null, 1)).toBe(triome);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Whole-deck regression snapshots — Test_Decks/ against golden results
+ *
+ * Every deck in Test_Decks/ is parsed against the bundled card fixture
+ * (tests/fixtures/test-deck-cards.json) and simulated with a fixed seed; the
+ * result is compared with its golden snapshot in tests/fixtures/regression/
+ * within statistical tolerance (see src/simulation/regressionSnapshot.js).
+ * A failure lists every metric that drifted and by how much. Cards the
+ * fixture lacks are listed in the snapshot's `unresolvedCards`; a deck with
+ * no golden snapshot fails.
+ *
+ * After an intentional behaviour change, regenerate the golden files:
+ *   npm run test:regression:update
+ *
+ * Also covers compareRegressionSnapshots / formatDriftReport directly.
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseDeckList } from '../src/parser/deckParser.js';
+import { buildCardLookupMap, findCardInMap } from '../src/parser/cardLookup.js';
+import { monteCarloSharded } from '../src/simulation/monteCarlo.js';
+import {
+  buildRegressionSnapshot,
+  compareRegressionSnapshots,
+  formatDriftReport,
+} from '../src/simulation/regressionSnapshot.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DECKS_DIR = join(__dirname, '..', 'Test_Decks');
+const SNAPSHOT_DIR = join(__dirname, 'fixtures', 'regression');
+const UPDATE = process.env.UPDATE_REGRESSION === '1';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Regression runs — one per Test_Decks/ file
+// ─────────────────────────────────────────────────────────────────────────────
+const BASE_CONFIG = {
+  iterations: 2000,
+  turns: 7,
+  seed: 20260301,
+  commanderMode: true,
+  enableMulligans: true,
+  mulliganStrategy: 'balanced',
+};
+
+const COMMANDER_KEY_CARDS = [
+  'Sol Ring',
+  'Biovisionary',
+  'Master Biomancer',
+  'Volrath, the Shapestealer',
+];
+
+/** Per-deck key cards and config; a deck not listed runs with neither. */
+const DECK_SETTINGS = {
+  'High.txt': { keyCards: COMMANDER_KEY_CARDS },
+  'Mid.txt': { keyCards: COMMANDER_KEY_CARDS },
+  'Low.txt': { keyCards: COMMANDER_KEY_CARDS },
+  // Every known land at once: exercises the land-cycle logic, not a real deck.
+  'Tests.txt': { config: { enableMulligans: false } },
+};
+
+// Every deck in Test_Decks/ is covered; one without a golden file fails.
+const REGRESSION_DECKS = readdirSync(DECKS_DIR)
+  .filter(file => file.endsWith('.txt'))
+  .sort()
+  .map(file => ({ file, keyCards: [], ...DECK_SETTINGS[file] }));
+
+/** The card name of a parser "not found" error, or the error as is. */
+const unresolvedName = error => error.match(/^Card "(.*)" not found$/)?.[1] ?? error;
+
+const cardLookupMap = buildCardLookupMap(
+  JSON.parse(readFileSync(join(__dirname, 'fixtures', 'test-deck-cards.json'), 'utf-8'))
+);
+const lookupCard = async name => findCardInMap(cardLookupMap, name);
+
+const runRegressionDeck = async ({ file, keyCards, config = {} }) => {
+  const deck = await parseDeckList(readFileSync(join(DECKS_DIR, file), 'utf-8'), {
+    cardLookupMap,
+    apiMode: 'local',
+    lookupCard,
+  });
+  const runConfig = { ...BASE_CONFIG, ...config };
+  const results = monteCarloSharded(deck, { ...runConfig, selectedKeyCards: new Set(keyCards) });
+  return buildRegressionSnapshot(results, {
+    deck: file,
+    config: { ...runConfig, selectedKeyCards: keyCards },
+    totalCards: deck.totalCards,
+    // Cards the fixture lacks are listed, so a change in what resolves shows up.
+    unresolvedCards: deck.errors.map(unresolvedName),
+  });
+};
+
+describe('Test_Decks regression snapshots', () => {
+  it.each(REGRESSION_DECKS)('$file matches its golden snapshot', async entry => {
+    const current = await runRegressionDeck(entry);
+    const snapshotPath = join(SNAPSHOT_DIR, entry.file.replace(/\.txt$/, '.json'));
+
+    if (UPDATE) {
+      mkdirSync(SNAPSHOT_DIR, { recursive: true });
+      writeFileSync(snapshotPath, JSON.stringify(current, null, 2) + '\n');
+      return;
+    }
+    expect(
+      existsSync(snapshotPath),
+      `No golden snapshot for ${entry.file} — run npm run test:regression:update`
+    ).toBe(true);
+
+    const golden = JSON.parse(readFileSync(snapshotPath, 'utf-8'));
+    expect(current.unresolvedCards, `${entry.file}: unresolved cards changed`).toEqual(
+      golden.unresolvedCards
+    );
+    expect(current.totalCards, `${entry.file}: parsed card count changed`).toBe(golden.totalCards);
+    const drifts = compareRegressionSnapshots(golden, current);
+    expect(drifts, formatDriftReport(entry.file, drifts)).toEqual([]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// compareRegressionSnapshots / formatDriftReport
+// ─────────────────────────────────────────────────────────────────────────────
+const snapshot = (overrides = {}) => ({
+  handsKept: 1000,
+  metrics: { landsPerTurn: { mean: [1, 2, 3], stdDev: [0, 0.5, 1] } },
+  keyCardPlayability: { 'Sol Ring': [10, 50, 90] },
+  keyCardOnCurvePlayability: { 'Sol Ring': 10 },
+  floodRate: 20,
+  screwRate: null,
+  ...overrides,
+});
+
+describe('compareRegressionSnapshots', () => {
+  it('reports nothing for identical snapshots', () => {
+    expect(compareRegressionSnapshots(snapshot(), snapshot())).toEqual([]);
+  });
+
+  it('tolerates moves within a few standard errors', () => {
+    // Turn 3: SE of the difference = sqrt(2 · 1² / 1000) ≈ 0.045 → 4σ ≈ 0.18.
+    const current = snapshot({
+      metrics: { landsPerTurn: { mean: [1, 2, 3.1], stdDev: [0, 0.5, 1] } },
+    });
+    expect(compareRegressionSnapshots(snapshot(), current)).toEqual([]);
+  });
+
+  it('reports a drifted mean with its size in standard errors', () => {
+    const current = snapshot({
+      metrics: { landsPerTurn: { mean: [1, 2, 3.3], stdDev: [0, 0.5, 1] } },
+    });
+    const [d, ...rest] = compareRegressionSnapshots(snapshot(), current);
+    expect(rest).toEqual([]);
+    expect(d).toMatchObject({ metric: 'landsPerTurn', turn: 3, expected: 3, actual: 3.3 });
+    expect(d.diff).toBeCloseTo(0.3, 10);
+    expect(d.sigmas).toBeCloseTo(0.3 / Math.sqrt(2 / 1000), 6);
+  });
+
+  it('treats any move in a zero-variance mean as drift', () => {
+    const current = snapshot({
+      metrics: { landsPerTurn: { mean: [1.01, 2, 3], stdDev: [0, 0.5, 1] } },
+    });
+    expect(compareRegressionSnapshots(snapshot(), current)).toMatchObject([
+      { metric: 'landsPerTurn', turn: 1, sigmas: null },
+    ]);
+  });
+
+  it('compares percentages with a two-proportion tolerance of at least one game', () => {
+    const within = snapshot({ keyCardPlayability: { 'Sol Ring': [11, 50, 90] } });
+    expect(compareRegressionSnapshots(snapshot(), within)).toEqual([]);
+
+    const drifted = snapshot({ keyCardPlayability: { 'Sol Ring': [10, 60, 90] }, floodRate: 30 });
+    expect(compareRegressionSnapshots(snapshot(), drifted).map(d => d.metric)).toEqual([
+      'keyCardPlayability: Sol Ring',
+      'floodRate',
+    ]);
+
+    const oneGame = snapshot({ keyCardOnCurvePlayability: { 'Sol Ring': 10.1 } });
+    expect(compareRegressionSnapshots(snapshot(), oneGame)).toEqual([]);
+  });
+
+  it('reports metrics, turns and key cards present on one side only', () => {
+    const current = snapshot({
+      metrics: { landsPerTurn: { mean: [1, 2], stdDev: [0, 0.5] } },
+      keyCardPlayability: {},
+      floodRate: null,
+    });
+    const drifts = compareRegressionSnapshots(snapshot(), current);
+    expect(drifts.map(d => [d.metric, d.turn, d.actual])).toEqual([
+      ['landsPerTurn', 3, null],
+      ['keyCardPlayability: Sol Ring', 1, null],
+      ['keyCardPlayability: Sol Ring', 2, null],
+      ['keyCardPlayability: Sol Ring', 3, null],
+      ['floodRate', null, null],
+    ]);
+  });
+
+  it('accepts a custom tolerance', () => {
+    const current = snapshot({
+      metrics: { landsPerTurn: { mean: [1, 2, 3.1], stdDev: [0, 0.5, 1] } },
+    });
+    expect(compareRegressionSnapshots(snapshot(), current, { sigmas: 1 })).toHaveLength(1);
+  });
+});
+
+describe('formatDriftReport', () => {
+  it('says so when nothing drifted', () => {
+    expect(formatDriftReport('High.txt', [])).toBe('High.txt: no drift');
+  });
+
+  it('lists each drifted value with old → new, delta, σ and tolerance', () => {
+    const current = snapshot({
+      metrics: { landsPerTurn: { mean: [1, 2, 3.3], stdDev: [0, 0.5, 1] } },
+      floodRate: null,
+    });
+    const report = formatDriftReport('High.txt', compareRegressionSnapshots(snapshot(), current));
+    const lines = report.split('\n');
+    expect(lines[0]).toBe('High.txt: 2 value(s) drifted');
+    expect(lines[1]).toMatch(
+      /^ {2}landsPerTurn T3: 3 → 3\.3 \(Δ \+0\.3, 6\.7σ, tolerance ±0\.179\)$/
+    );
+    expect(lines[2]).toBe('  floodRate: 20 → — (missing)');
+  });
+});
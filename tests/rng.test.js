@@ -0,0 +1,115 @@
+/**
+ * rng.js — Unit Tests
+ *
+ * Covers all four exports:
+ *   createRng      – seeded mulberry32 generator
+ *   normalizeSeed  – UI / URL seed coercion
+ *   randomSeed     – fresh uint32 seed
+ *   deriveSeed     – per-shard seed derivation
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRng, normalizeSeed, randomSeed, deriveSeed } from '../src/simulation/rng.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createRng
+// ─────────────────────────────────────────────────────────────────────────────
+describe('createRng', () => {
+  it('produces identical sequences for the same seed', () => {
+    const a = createRng(12345);
+    const b = createRng(12345);
+    for (let i = 0; i < 50; i++) expect(a()).toBe(b());
+  });
+
+  it('produces different sequences for different seeds', () => {
+    const a = createRng(1);
+    const b = createRng(2);
+    const seqA = Array.from({ length: 10 }, () => a());
+    const seqB = Array.from({ length: 10 }, () => b());
+    expect(seqA).not.toEqual(seqB);
+  });
+
+  it('always returns floats in [0, 1)', () => {
+    const rng = createRng(0);
+    for (let i = 0; i < 1000; i++) {
+      const v = rng();
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    }
+  });
+
+  it('has a roughly uniform mean', () => {
+    const rng = createRng(42);
+    let sum = 0;
+    for (let i = 0; i < 10000; i++) sum += rng();
+    expect(sum / 10000).toBeCloseTo(0.5, 1);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// normalizeSeed
+// ─────────────────────────────────────────────────────────────────────────────
+describe('normalizeSeed', () => {
+  it('returns null for blank input', () => {
+    expect(normalizeSeed('')).toBeNull();
+    expect(normalizeSeed(null)).toBeNull();
+    expect(normalizeSeed(undefined)).toBeNull();
+  });
+
+  it('returns null for non-numeric or negative input', () => {
+    expect(normalizeSeed('abc')).toBeNull();
+    expect(normalizeSeed(-5)).toBeNull();
+    expect(normalizeSeed(NaN)).toBeNull();
+  });
+
+  it('accepts numbers and numeric strings', () => {
+    expect(normalizeSeed(42)).toBe(42);
+    expect(normalizeSeed(' 42 ')).toBe(42);
+  });
+
+  it('truncates fractions and wraps to uint32', () => {
+    expect(normalizeSeed(7.9)).toBe(7);
+    expect(normalizeSeed(4294967296 + 3)).toBe(3);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// randomSeed
+// ─────────────────────────────────────────────────────────────────────────────
+describe('randomSeed', () => {
+  it('returns a uint32 integer', () => {
+    const s = randomSeed();
+    expect(Number.isInteger(s)).toBe(true);
+    expect(s).toBeGreaterThanOrEqual(0);
+    expect(s).toBeLessThan(4294967296);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// deriveSeed
+// ─────────────────────────────────────────────────────────────────────────────
+describe('deriveSeed', () => {
+  it('returns the run seed itself for shard 0', () => {
+    expect(deriveSeed(1234, 0)).toBe(1234);
+  });
+
+  it('is deterministic', () => {
+    expect(deriveSeed(1234, 5)).toBe(deriveSeed(1234, 5));
+  });
+
+  it('gives distinct uint32 seeds for neighbouring shards', () => {
+    const seeds = Array.from({ length: 50 }, (_, i) => deriveSeed(1234, i));
+    expect(new Set(seeds).size).toBe(50);
+    seeds.forEach(s => {
+      expect(Number.isInteger(s)).toBe(true);
+      expect(s).toBeGreaterThanOrEqual(0);
+      expect(s).toBeLessThan(4294967296);
+    });
+  });
+
+  it('depends on the run seed', () => {
+    expect(deriveSeed(1, 3)).not.toBe(deriveSeed(2, 3));
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * sideboardPlan.js — Unit Tests
+ *
+ * Covers:
+ *   parseSwapList / formatSwapList – "2 Negate" lines to swaps and back
+ *   applySideboardPlan             – cards moved between the deck buckets and
+ *                                    the sideboard / maybeboard, MDFC sides,
+ *                                    totals and legality entries, issues for
+ *                                    swaps that cannot be made
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseDeckList } from '../src/parser/deckParser.js';
+import { parseSwapList, formatSwapList, applySideboardPlan } from '../src/parser/sideboardPlan.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const card = (name, typeLine, extras = {}) => ({
+  name,
+  type_line: typeLine,
+  oracle_text: '',
+  mana_cost: '{U}',
+  cmc: 1,
+  layout: 'normal',
+  ...extras,
+});
+
+const CARDS = new Map([
+  ['Island', card('Island', 'Basic Land — Island', { oracle_text: '({T}: Add {U}.)', cmc: 0 })],
+  ['Opt', card('Opt', 'Instant')],
+  ['Negate', card('Negate', 'Instant')],
+  ['Duress', card('Duress', 'Sorcery')],
+  [
+    'Sea Gate Restoration',
+    card('Sea Gate Restoration', 'Sorcery', {
+      layout: 'modal_dfc',
+      card_faces: [
+        { name: 'Sea Gate Restoration', type_line: 'Sorcery', mana_cost: '{4}{U}{U}{U}', cmc: 7 },
+        {
+          name: 'Sea Gate, Reborn',
+          type_line: 'Land',
+          oracle_text: '{T}: Add {U}.',
+        },
+      ],
+    }),
+  ],
+]);
+
+const parse = text =>
+  parseDeckList(text, {
+    cardLookupMap: new Map([['x', {}]]),
+    apiMode: 'scryfall',
+    lookupCard: async name => CARDS.get(name) ?? null,
+  });
+
+const DECK =
+  'Deck\n20 Island\n4 Opt\n2 Sea Gate Restoration\n\nSideboard\n3 Negate\n\nMaybeboard\n2 Duress';
+
+const plan = (out, cardsIn) => ({ name: 'Plan', out, in: cardsIn });
+const quantities = cards => cards.map(c => [c.name, c.quantity]);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// parseSwapList / formatSwapList
+// ─────────────────────────────────────────────────────────────────────────────
+describe('parseSwapList / formatSwapList', () => {
+  it('reads quantities and names and writes them back', () => {
+    const swaps = parseSwapList('2 Negate\n1x Duress\nOpt\n\n2 Negate');
+    expect(swaps).toEqual([
+      { name: 'Negate', quantity: 4 },
+      { name: 'Duress', quantity: 1 },
+      { name: 'Opt', quantity: 1 },
+    ]);
+    expect(formatSwapList(swaps)).toBe('4 Negate\n1 Duress\n1 Opt');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// applySideboardPlan
+// ─────────────────────────────────────────────────────────────────────────────
+describe('applySideboardPlan', () => {
+  it('swaps cards between the deck and the sideboard, leaving the input alone', async () => {
+    const parsed = await parse(DECK);
+    const { deck, issues } = applySideboardPlan(
+      parsed,
+      plan([{ name: 'opt', quantity: 2 }], [{ name: 'Negate', quantity: 2 }])
+    );
+    expect(issues).toEqual([]);
+    expect(quantities(deck.drawSpells)).toEqual([['Opt', 2]]);
+    expect(quantities(deck.spells)).toEqual([
+      ['Sea Gate Restoration', 2],
+      ['Negate', 2],
+    ]);
+    expect(quantities(deck.sideboard)).toEqual([
+      ['Negate', 1],
+      ['Opt', 2],
+    ]);
+    expect(deck.sideboard[1].bucket).toBe('drawSpells');
+    expect(deck.totalCards).toBe(26);
+    expect(quantities(parsed.drawSpells)).toEqual([['Opt', 4]]);
+    expect(parsed.sideboard).toHaveLength(1);
+  });
+
+  it('moves legality entries with the cards', async () => {
+    const { deck } = applySideboardPlan(
+      await parse(DECK),
+      plan([{ name: 'Opt', quantity: 4 }], [{ name: 'Negate', quantity: 3 }])
+    );
+    const entries = deck.legalityInfo.map(i => [i.name, i.quantity, i.inSideboard]);
+    expect(entries).toEqual(
+      expect.arrayContaining([
+        ['Opt', 4, true],
+        ['Negate', 3, false],
+      ])
+    );
+    expect(entries).toHaveLength(4);
+  });
+
+  it('moves both sides of an MDFC and brings maybeboard cards in', async () => {
+    const { deck, issues } = applySideboardPlan(
+      await parse(DECK),
+      plan([{ name: 'Sea Gate Restoration', quantity: 2 }], [{ name: 'Duress', quantity: 2 }])
+    );
+    expect(issues).toEqual([]);
+    expect(quantities(deck.lands)).toEqual([['Island', 20]]);
+    expect(deck.landCount).toBe(20);
+    expect(quantities(deck.spells)).toEqual([['Duress', 2]]);
+    expect(deck.sideboard.map(c => [c.name, c.bucket, !!c.isMDFCSpellSide])).toEqual([
+      ['Negate', 'spells', false],
+      ['Sea Gate Restoration', 'lands', false],
+      ['Sea Gate Restoration', 'spells', true],
+    ]);
+    expect(deck.maybeboard).toEqual([]);
+  });
+
+  it('makes what swaps it can and reports the rest', async () => {
+    const { deck, issues } = applySideboardPlan(
+      await parse(DECK),
+      plan(
+        [
+          { name: 'Opt', quantity: 6 },
+          { name: 'Counterspell', quantity: 1 },
+        ],
+        [
+          { name: 'Negate', quantity: 5 },
+          { name: 'Duress', quantity: 1 },
+          { name: 'Ponder', quantity: 1 },
+        ]
+      )
+    );
+    expect(issues).toEqual([
+      'Only 4 Opt in the main deck',
+      'Counterspell is not in the main deck',
+      'Only 3 Negate in the sideboard',
+      'Ponder is not in the sideboard or maybeboard',
+    ]);
+    expect(deck.totalCards).toBe(26);
+  });
+});
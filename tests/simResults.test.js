@@ -0,0 +1,397 @@
+/**
+ * simResults.js — Unit Tests
+ *
+ * Covers the mergeable partial-results format:
+ *   createPartialResults – empty accumulator shape
+ *   mergePartialResults  – element-wise sums, sequence caps, shard-order seed,
+ *                          commander cast-turn distributions
+ *   finalizeResults      – averages / std-devs / rates match the raw samples
+ *   planShards           – deterministic, pool-size-independent split
+ *   confidence intervals – 95% CIs in finalised results, CI early-stop target
+ *   distributions        – per-turn histograms and percentiles
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PER_TURN_METRICS,
+  MANA_COLORS,
+  createPartialResults,
+  mergePartialResults,
+  finalizeResults,
+  planShards,
+  keyCardCIHalfWidth,
+  meetsCITarget,
+  addToHistogram,
+} from '../src/simulation/simResults.js';
+import { average, stdDev } from '../src/utils/math.js';
+import { deriveSeed } from '../src/simulation/rng.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+const THRESHOLDS = {
+  floodThreshold: { lands: 3, turn: 2 },
+  screwThreshold: { lands: 1, turn: 2 },
+};
+
+/**
+ * Builds a partial from explicit per-game land counts, recording every
+ * per-turn metric and colour with the same value so finalised numbers can
+ * be checked against math.js on the raw samples.
+ */
+const partialFromGames = (games, { keyCardNames = [], seed = null } = {}) => {
+  const turns = games[0].length;
+  const p = createPartialResults({ turns, keyCardNames, seed, ...THRESHOLDS });
+  games.forEach(lands => {
+    p.handsKept++;
+    p.openingHandLandCounts[Math.min(7, lands[0])]++;
+    lands.forEach((v, t) => {
+      PER_TURN_METRICS.forEach(m => {
+        p.sums[m][t] += v;
+        p.sumSqs[m][t] += v * v;
+        addToHistogram(p.histograms[m][t], v);
+      });
+      MANA_COLORS.forEach(c => {
+        p.colorSums[c][t] += v;
+        p.colorSumSqs[c][t] += v * v;
+      });
+      if (t === 1 && v >= 3) p.floodCount++;
+      if (t === 1 && v <= 1) p.screwCount++;
+      keyCardNames.forEach(name => {
+        if (v >= 2) p.keyCardPlayability[name][t]++;
+        if (v >= 3) p.keyCardInHandPlayability[name][t]++;
+      });
+    });
+  });
+  return p;
+};
+
+const GAMES_A = [
+  [1, 2, 3],
+  [0, 1, 1],
+  [2, 3, 4],
+];
+const GAMES_B = [
+  [1, 1, 2],
+  [3, 4, 5],
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createPartialResults
+// ─────────────────────────────────────────────────────────────────────────────
+describe('createPartialResults', () => {
+  it('creates zeroed per-turn sums for every metric and colour', () => {
+    const p = createPartialResults({ turns: 4, ...THRESHOLDS });
+    PER_TURN_METRICS.forEach(m => {
+      expect(p.sums[m]).toEqual([0, 0, 0, 0]);
+      expect(p.sumSqs[m]).toEqual([0, 0, 0, 0]);
+    });
+    MANA_COLORS.forEach(c => expect(p.colorSums[c]).toEqual([0, 0, 0, 0]));
+    expect(p.openingHandLandCounts).toEqual(Array(8).fill(0));
+  });
+
+  it('creates per-card counters for each key card', () => {
+    const p = createPartialResults({ turns: 2, keyCardNames: ['Sol Ring'], ...THRESHOLDS });
+    expect(p.keyCardPlayability['Sol Ring']).toEqual([0, 0]);
+    expect(p.keyCardPlayabilityBurst['Sol Ring']).toEqual([0, 0]);
+    expect(p.keyCardInHandPlayability['Sol Ring']).toEqual([0, 0]);
+    expect(p.keyCardOnCurvePlayability['Sol Ring']).toBe(0);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// mergePartialResults
+// ─────────────────────────────────────────────────────────────────────────────
+describe('mergePartialResults', () => {
+  it('returns null for no partials', () => {
+    expect(mergePartialResults([])).toBeNull();
+  });
+
+  it('sums counts and per-turn sums element-wise', () => {
+    const merged = mergePartialResults([partialFromGames(GAMES_A), partialFromGames(GAMES_B)]);
+    expect(merged.handsKept).toBe(5);
+    expect(merged.sums.landsPerTurn).toEqual([7, 11, 15]);
+    expect(merged.floodCount).toBe(2);
+    expect(merged.screwCount).toBe(2);
+  });
+
+  it('does not mutate its inputs', () => {
+    const a = partialFromGames(GAMES_A);
+    const before = JSON.parse(JSON.stringify(a));
+    mergePartialResults([a, partialFromGames(GAMES_B)]);
+    expect(a).toEqual(before);
+  });
+
+  it('takes the seed from the first (shard 0) partial', () => {
+    const merged = mergePartialResults([
+      partialFromGames(GAMES_A, { seed: 11 }),
+      partialFromGames(GAMES_B, { seed: 99 }),
+    ]);
+    expect(merged.seed).toBe(11);
+  });
+
+  it('keeps example sequences first-come, capped at maxSequences', () => {
+    const a = partialFromGames(GAMES_A);
+    const b = partialFromGames(GAMES_B);
+    a.maxSequences = b.maxSequences = 2;
+    a.fastestPlaySequences = { Bear: { 2: [{ id: 'a1' }] } };
+    b.fastestPlaySequences = { Bear: { 2: [{ id: 'b1' }, { id: 'b2' }], 3: [{ id: 'b3' }] } };
+    const merged = mergePartialResults([a, b]);
+    expect(merged.fastestPlaySequences.Bear[2].map(s => s.id)).toEqual(['a1', 'b1']);
+    expect(merged.fastestPlaySequences.Bear[3].map(s => s.id)).toEqual(['b3']);
+  });
+
+  it('sums combo-group counts and finalises them as percentages', () => {
+    const a = createPartialResults({ turns: 2, comboGroupNames: ['Oracle'], ...THRESHOLDS });
+    const b = createPartialResults({ turns: 2, comboGroupNames: ['Oracle'], ...THRESHOLDS });
+    a.handsKept = 3;
+    b.handsKept = 1;
+    a.comboPlayability.Oracle = [1, 2];
+    b.comboPlayability.Oracle = [0, 1];
+    b.comboSequences = { Oracle: { 2: [{ id: 'b1' }] } };
+    const merged = mergePartialResults([a, b]);
+    expect(merged.comboPlayability.Oracle).toEqual([1, 3]);
+    expect(merged.comboSequences.Oracle[2]).toEqual([{ id: 'b1' }]);
+    const results = finalizeResults(merged);
+    expect(results.comboPlayability.Oracle).toEqual([25, 75]);
+    expect(results.confidenceIntervals.comboPlayability.Oracle[1].low).toBeLessThan(75);
+  });
+
+  it('sums curve-out accumulators and finalises the share of mana used', () => {
+    const a = createPartialResults({ turns: 2, curveOut: true, ...THRESHOLDS });
+    const b = createPartialResults({ turns: 2, curveOut: true, ...THRESHOLDS });
+    a.handsKept = 2;
+    b.handsKept = 2;
+    a.curve.sums.manaSpentPerTurn = [1, 4];
+    a.curve.sums.manaWastedPerTurn = [1, 0];
+    b.curve.sums.manaSpentPerTurn = [0, 2];
+    b.curve.sums.manaWastedPerTurn = [2, 2];
+    const results = finalizeResults(mergePartialResults([a, b]));
+    expect(results.curveOut.manaSpentPerTurn).toEqual([0.25, 1.5]);
+    expect(results.curveOut.manaUsedPerTurn).toEqual([25, 75]);
+    expect(results.confidenceIntervals.curveOut.spellsCastPerTurn).toHaveLength(2);
+    expect(finalizeResults(createPartialResults({ turns: 2, ...THRESHOLDS })).curveOut).toBeNull();
+  });
+
+  it('sums commander cast turns per cast and finalises the distributions', () => {
+    const opts = { turns: 3, commanderNames: ['Kenrith'], commanderCasts: 2, ...THRESHOLDS };
+    const a = createPartialResults(opts);
+    const b = createPartialResults(opts);
+    expect(a.commanderCastTurns.Kenrith).toEqual([
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+    ]);
+    a.handsKept = 2;
+    b.handsKept = 2;
+    a.commanderCastTurns.Kenrith = [
+      [0, 1, 1, 0],
+      [0, 0, 1, 1],
+    ];
+    b.commanderCastTurns.Kenrith = [
+      [0, 0, 1, 1],
+      [0, 0, 0, 2],
+    ];
+    const [first, recast] = finalizeResults(mergePartialResults([a, b])).commanderCasts.Kenrith;
+    expect(first.byTurn).toEqual([0, 25, 50]);
+    expect(first.castBy).toEqual([0, 25, 75]);
+    expect(first.notCast).toBe(25);
+    expect(first.avgTurn).toBeCloseTo(8 / 3, 10);
+    expect(recast.castBy).toEqual([0, 0, 25]);
+    expect(recast.notCast).toBe(75);
+  });
+
+  it('ORs hasBurstCards across shards', () => {
+    const a = partialFromGames(GAMES_A);
+    const b = { ...partialFromGames(GAMES_B), hasBurstCards: true };
+    expect(mergePartialResults([a, b]).hasBurstCards).toBe(true);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// finalizeResults
+// ─────────────────────────────────────────────────────────────────────────────
+describe('finalizeResults', () => {
+  const allGames = [...GAMES_A, ...GAMES_B];
+  const column = t => allGames.map(g => g[t]);
+  const merged = () =>
+    mergePartialResults([
+      partialFromGames(GAMES_A, { keyCardNames: ['Bear'] }),
+      partialFromGames(GAMES_B, { keyCardNames: ['Bear'] }),
+    ]);
+
+  it('averages per-turn metrics over all merged games', () => {
+    const results = finalizeResults(merged());
+    PER_TURN_METRICS.forEach(m => {
+      [0, 1, 2].forEach(t => expect(results[m][t]).toBeCloseTo(average(column(t)), 10));
+    });
+  });
+
+  it('matches the population std-dev of the raw samples', () => {
+    const results = finalizeResults(merged());
+    PER_TURN_METRICS.forEach(m => {
+      [0, 1, 2].forEach(t => {
+        expect(results[`${m}StdDev`][t]).toBeCloseTo(stdDev(column(t)), 10);
+      });
+    });
+    expect(results.colorsByTurnStdDev[2].G).toBeCloseTo(stdDev(column(2)), 10);
+  });
+
+  it('reports a 0 std-dev for a single game', () => {
+    const results = finalizeResults(partialFromGames([[2, 3, 4]]));
+    expect(results.landsPerTurnStdDev).toEqual([0, 0, 0]);
+  });
+
+  it('builds colorsByTurn as one { W, U, B, R, G } object per turn', () => {
+    const results = finalizeResults(merged());
+    expect(results.colorsByTurn).toHaveLength(3);
+    expect(Object.keys(results.colorsByTurn[0]).sort()).toEqual([...MANA_COLORS].sort());
+  });
+
+  it('converts flood/screw counts and key-card counts to percentages', () => {
+    const results = finalizeResults(merged());
+    expect(results.floodRate).toBeCloseTo(40, 10);
+    expect(results.screwRate).toBeCloseTo(40, 10);
+    expect(results.keyCardPlayability.Bear[2]).toBeCloseTo(80, 10);
+    expect(results.keyCardInHandPlayability.Bear[2]).toBeCloseTo(60, 10);
+  });
+
+  it('returns null flood/screw rates when the threshold turn is out of range', () => {
+    const p = partialFromGames(GAMES_A);
+    p.floodThreshold = { lands: 3, turn: 9 };
+    expect(finalizeResults(p).floodRate).toBeNull();
+  });
+
+  it('normalises opening-hand land counts to percentages', () => {
+    const results = finalizeResults(merged());
+    expect(results.openingHandLandCounts.reduce((s, v) => s + v, 0)).toBeCloseTo(100, 10);
+    expect(results.openingHandLandCounts[1]).toBeCloseTo(40, 10);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Confidence intervals
+// ─────────────────────────────────────────────────────────────────────────────
+describe('confidence intervals', () => {
+  const results = () =>
+    finalizeResults(partialFromGames([...GAMES_A, ...GAMES_B], { keyCardNames: ['Bear'] }));
+
+  it('brackets every per-turn average, colour and percentage', () => {
+    const r = results();
+    const ci = r.confidenceIntervals;
+    expect(ci.level).toBe(0.95);
+    PER_TURN_METRICS.forEach(m => {
+      r[m].forEach((mean, t) => {
+        expect(ci[m][t].low).toBeLessThanOrEqual(mean);
+        expect(ci[m][t].high).toBeGreaterThanOrEqual(mean);
+      });
+    });
+    expect(ci.colorsByTurn[2].G.low).toBeLessThan(r.colorsByTurn[2].G);
+    expect(ci.keyCardPlayability.Bear[2].low).toBeLessThan(r.keyCardPlayability.Bear[2]);
+    expect(ci.keyCardPlayability.Bear[2].high).toBeGreaterThan(r.keyCardPlayability.Bear[2]);
+    expect(ci.keyCardOnCurvePlayability.Bear).toEqual({ low: 0, high: expect.any(Number) });
+    expect(ci.floodRate.low).toBeLessThan(r.floodRate);
+    expect(ci.screwRate.high).toBeGreaterThan(r.screwRate);
+  });
+
+  it('uses null flood/screw intervals when the threshold turn is out of range', () => {
+    const p = partialFromGames(GAMES_A);
+    p.screwThreshold = { lands: 1, turn: 9 };
+    expect(finalizeResults(p).confidenceIntervals.screwRate).toBeNull();
+  });
+
+  it('reports the widest key-card half-width, narrowing with more games', () => {
+    const few = partialFromGames(GAMES_A, { keyCardNames: ['Bear'] });
+    const many = mergePartialResults(
+      Array.from({ length: 50 }, () => partialFromGames(GAMES_A, { keyCardNames: ['Bear'] }))
+    );
+    expect(keyCardCIHalfWidth(many)).toBeLessThan(keyCardCIHalfWidth(few));
+    expect(finalizeResults(many).maxKeyCardCIHalfWidth).toBe(keyCardCIHalfWidth(many));
+  });
+
+  it('meetsCITarget needs key cards and a positive target', () => {
+    const many = mergePartialResults(
+      Array.from({ length: 50 }, () => partialFromGames(GAMES_A, { keyCardNames: ['Bear'] }))
+    );
+    const widest = keyCardCIHalfWidth(many);
+    expect(meetsCITarget(many, widest + 0.01)).toBe(true);
+    expect(meetsCITarget(many, widest - 0.01)).toBe(false);
+    expect(meetsCITarget(many, null)).toBe(false);
+    expect(meetsCITarget(partialFromGames(GAMES_A), 50)).toBe(false);
+    expect(keyCardCIHalfWidth(partialFromGames(GAMES_A))).toBeNull();
+  });
+
+  it('passes ciTarget and stoppedEarly through to the results', () => {
+    const p = { ...partialFromGames(GAMES_A), ciTarget: 2, stoppedEarly: true };
+    expect(finalizeResults(p)).toMatchObject({ ciTarget: 2, stoppedEarly: true });
+    expect(finalizeResults(partialFromGames(GAMES_A))).toMatchObject({
+      ciTarget: null,
+      stoppedEarly: false,
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Distributions
+// ─────────────────────────────────────────────────────────────────────────────
+describe('distributions', () => {
+  it('addToHistogram grows the array and rounds / clamps values', () => {
+    const h = [];
+    addToHistogram(h, 2);
+    addToHistogram(h, 1.5);
+    addToHistogram(h, -1);
+    expect(h).toEqual([1, 0, 2]);
+  });
+
+  it('merges histograms of different lengths without mutating inputs', () => {
+    const a = partialFromGames(GAMES_A);
+    const b = partialFromGames(GAMES_B);
+    const before = JSON.stringify(a.histograms);
+    const merged = mergePartialResults([a, b]);
+    // Turn 3 values: A = 3, 1, 4 · B = 2, 5
+    expect(merged.histograms.landsPerTurn[2]).toEqual([0, 1, 1, 1, 1, 1]);
+    expect(JSON.stringify(a.histograms)).toBe(before);
+  });
+
+  it('finalises histograms and percentiles for every metric and turn', () => {
+    const results = finalizeResults(
+      mergePartialResults([partialFromGames(GAMES_A), partialFromGames(GAMES_B)])
+    );
+    PER_TURN_METRICS.forEach(m => {
+      expect(results.histograms[m]).toHaveLength(3);
+      expect(results.percentiles[m]).toHaveLength(3);
+    });
+    // Turn 2 values sorted: 1, 1, 2, 3, 4
+    expect(results.histograms.landsPerTurn[1]).toEqual([0, 2, 1, 1, 1]);
+    expect(results.percentiles.landsPerTurn[1]).toEqual({ p10: 1, p25: 1, p50: 2, p75: 3, p90: 4 });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// planShards
+// ─────────────────────────────────────────────────────────────────────────────
+describe('planShards', () => {
+  it('splits iterations into fixed-size shards with a short final shard', () => {
+    expect(planShards(2500, 1, 1000).map(s => s.iterations)).toEqual([1000, 1000, 500]);
+  });
+
+  it('runs shard 0 on the run seed and derives the rest', () => {
+    const plan = planShards(3000, 42, 1000);
+    expect(plan[0].seed).toBe(42);
+    expect(plan[1].seed).toBe(deriveSeed(42, 1));
+    expect(new Set(plan.map(s => s.seed)).size).toBe(3);
+  });
+
+  it('is deterministic for the same inputs', () => {
+    expect(planShards(5000, 7)).toEqual(planShards(5000, 7));
+  });
+
+  it('always returns at least one shard', () => {
+    expect(planShards(0, 1)).toEqual([{ index: 0, iterations: 0, seed: 1 }]);
+  });
+
+  it('treats invalid iteration counts as zero', () => {
+    expect(planShards(NaN, 1)[0].iterations).toBe(0);
+  });
+});
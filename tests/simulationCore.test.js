@@ -1,18 +1,26 @@
 /**
  * simulationCore.js — Unit Tests
  *
- * Covers all 11 exported functions:
+ * Covers the exported functions:
  *   shuffle                    – array permutation utility
  *   matchesRampFilter          – ramp-spell land eligibility
  *   doesLandEnterTapped        – tapped-entry logic for every land type
  *   selectBestLand             – best land to play from hand
+ *   fetchTargets               – library lands a fetch land can find
  *   findBestLandToFetch        – best land to fetch from library
  *   calculateManaAvailability  – total + per-colour mana
  *   canPlayCard                – spell-castability check
+ *   canPlayTogether            – several spells paid out of the same mana
+ *   canCastCombo               – "all / any N of" combo groups, each vs together
  *   tapManaSources             – marks battlefield sources as tapped
  *   playLand                   – mutation: moves land from hand → battlefield
- *   castSpells                 – mutation: casts mana-producers and ramp spells
+ *   castSpells                 – mutation: casts mana-producers, ramp spells and
+ *                                tutors (greedy order or the turn planner)
+ *   isNonManaSpell             – cards cast by curve-out mode
+ *   castCurveSpells            – mutation: casts non-mana spells, most expensive first
  *   calculateBattlefieldDamage – life-loss breakdown for pain sources
+ *   chooseDiscard              – end-of-turn discard choice
+ *   enforceHandSizeLimit       – mutation: discards down to the hand size
  *
  * Run:  npm test
  */
@@ -23,16 +31,24 @@ import {
   matchesRampFilter,
   doesLandEnterTapped,
   selectBestLand,
+  fetchTargets,
   findBestLandToFetch,
   calculateManaAvailability,
   solveColorPips,
   canPlayCard,
+  canPlayTogether,
+  canCastCombo,
   tapManaSources,
   playLand,
   castSpells,
+  isNonManaSpell,
+  castCurveSpells,
   calculateBattlefieldDamage,
   calculateCostDiscount,
+  chooseDiscard,
+  enforceHandSizeLimit,
 } from '../src/simulation/simulationCore.js';
+import { createRng } from '../src/simulation/rng.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Helpers – minimal card / permanent factories
@@ -140,6 +156,16 @@ describe('shuffle', () => {
     }
     expect(seen.size).toBe(6);
   });
+
+  it('is reproducible when given a seeded rng', () => {
+    const deck = Array.from({ length: 20 }, (_, i) => i);
+    expect(shuffle(deck, createRng(99))).toEqual(shuffle(deck, createRng(99)));
+  });
+
+  it('uses the supplied rng instead of Math.random', () => {
+    // rng() → 0 always picks j = 0, rotating the first element to the end
+    expect(shuffle([1, 2, 3, 4], () => 0)).toEqual([2, 3, 4, 1]);
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1121,6 +1147,17 @@ describe('findBestLandToFetch', () => {
     // Dual produces 2 colours → higher score on turn 1
     expect(result).toBe(dual);
   });
+
+  it('fetchTargets lists every land of a fetchable type', () => {
+    const fetch = makeLand({ name: 'Misty Rainforest', isFetch: true, fetchColors: ['G', 'U'] });
+    const forest = makeLand();
+    const island = makeLand({ name: 'Island', landSubtypes: ['Island'], produces: ['U'] });
+    const swamp = makeLand({ name: 'Swamp', landSubtypes: ['Swamp'], produces: ['B'] });
+    expect(fetchTargets(fetch, [forest, swamp, island, { name: 'Bear' }])).toEqual([
+      forest,
+      island,
+    ]);
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1200,6 +1237,20 @@ describe('playLand', () => {
     expect(hand).toHaveLength(0);
   });
 
+  it('lets chooseFetchTarget pick what a hideaway fetch finds', () => {
+    const forest = makeLand();
+    const other = makeLand({ name: 'Snow-Covered Forest' });
+    const fetch = makeLand({
+      name: 'Hideaway Fetch',
+      isFetch: true,
+      isHideawayFetch: true,
+      fetchColors: ['G'],
+    });
+    const bf = [];
+    playLand(fetch, [fetch], bf, [forest, other], [], 1, null, [], null, false, () => other);
+    expect(bf.map(p => p.card)).toEqual([other]);
+  });
+
   it('returns 0 life loss for a basic land', () => {
     const forest = makeLand();
     const result = playLand(forest, [forest], [], [], [], 1, null, [], null, false);
@@ -1691,6 +1742,113 @@ describe('castSpells', () => {
     expect(log.actions.some(a => a.startsWith('Cast permanent:'))).toBe(true);
     expect(log.actions.some(a => a.startsWith('Cast ramp spell:'))).toBe(false);
   });
+
+  it('casts the dork that uses the most mana under the turn planner', () => {
+    const elves = makeCreature();
+    const bigDork = makeCreature({ name: 'Big Dork', cmc: 3, manaCost: '{2}{G}', manaAmount: 2 });
+    const run = castingPolicy => {
+      const hand = [elves, bigDork];
+      const bf = [perm(makeLand()), perm(makeLand()), perm(makeLand())];
+      const result = castSpells(
+        { hand, battlefield: bf, graveyard: [], library: [], turnLog: null },
+        3,
+        { castingPolicy }
+      );
+      return { hand, result };
+    };
+    expect(run('greedy').hand).toEqual([bigDork]);
+    const planned = run('planner');
+    expect(planned.hand).toEqual([elves]);
+    expect(planned.result).toEqual({ cardsDrawn: 0, treasuresProduced: 0, cardsCast: 1 });
+  });
+
+  it('re-plans with the cards a draw spell brings in', () => {
+    const draw = {
+      name: 'Opt',
+      isLand: false,
+      isDrawSpell: true,
+      isOneTimeDraw: true,
+      netCardsDrawn: 1,
+      cmc: 1,
+      manaCost: '{G}',
+    };
+    const elves = makeCreature();
+    const hand = [draw];
+    const bf = [perm(makeLand()), perm(makeLand())];
+    const result = castSpells(
+      { hand, battlefield: bf, graveyard: [], library: [elves], turnLog: null },
+      3,
+      { castingPolicy: 'planner' }
+    );
+    expect(result).toEqual({ cardsDrawn: 1, treasuresProduced: 0, cardsCast: 2 });
+    expect(bf.some(p => p.card === elves)).toBe(true);
+  });
+
+  it('rounds a scaled one-shot draw to whole cards', () => {
+    const draw = {
+      name: 'Stroke of Genius',
+      isLand: false,
+      isDrawSpell: true,
+      isOneTimeDraw: true,
+      drawScaling: { type: 'onetime', base: 0.5, growth: 0.5 },
+      cmc: 1,
+      manaCost: '{G}',
+    };
+    const library = Array.from({ length: 5 }, () => makeLand());
+    // Turn 2: 0.5 + 2 × 0.5 = 1.5 cards → 2
+    const result = castSpells(
+      { hand: [draw], battlefield: [perm(makeLand())], graveyard: [], library, turnLog: null },
+      2
+    );
+    expect(result.cardsDrawn).toBe(2);
+  });
+
+  describe('tutors', () => {
+    const tutor = (overrides = {}) => ({
+      name: 'Demonic Tutor',
+      isLand: false,
+      isTutor: true,
+      finds: 'any',
+      destination: 'hand',
+      cmc: 2,
+      manaCost: '{1}{G}',
+      ...overrides,
+    });
+    const bomb = { name: 'Craterhoof Behemoth', isLand: false, cmc: 8, manaCost: '{5}{G}{G}{G}' };
+    const run = (hand, library, simConfig) => {
+      const state = {
+        hand,
+        battlefield: [perm(makeLand()), perm(makeLand())],
+        graveyard: [],
+        library,
+        turnLog: { actions: [] },
+      };
+      castSpells(state, 2, { keyCardNames: ['Craterhoof Behemoth'], ...simConfig });
+      return state;
+    };
+
+    it('finds the missing key card and logs it', () => {
+      const dt = tutor();
+      const state = run([dt], [makeLand(), bomb]);
+      expect(state.hand).toEqual([bomb]);
+      expect(state.graveyard).toEqual([dt]);
+      expect(state.turnLog.actions).toContain(
+        'Cast tutor: Demonic Tutor → Craterhoof Behemoth to hand'
+      );
+    });
+
+    it('puts the card on top for top-of-library tutors', () => {
+      const state = run([tutor({ name: 'Worldly Tutor', destination: 'top' })], [makeLand(), bomb]);
+      expect(state.library[0]).toBe(bomb);
+    });
+
+    it('holds the tutor when the key card is already in hand or tutors are off', () => {
+      const dt = tutor();
+      expect(run([dt, bomb], [makeLand()]).hand).toEqual([dt, bomb]);
+      expect(run([dt], [bomb], { includeTutors: false }).hand).toEqual([dt]);
+      expect(run([dt], [bomb], { keyCardNames: [] }).hand).toEqual([dt]);
+    });
+  });
 });
 
 // =============================================================================
@@ -1907,6 +2065,129 @@ describe('canPlayCard — discount', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// canPlayTogether / canCastCombo
+// ─────────────────────────────────────────────────────────────────────────────
+describe('canPlayTogether', () => {
+  const oracle = { name: "Thassa's Oracle", cmc: 2, manaCost: '{U}{U}' };
+  const consultation = { name: 'Demonic Consultation', cmc: 1, manaCost: '{B}' };
+  const pool = (...produces) => ({
+    total: produces.length,
+    colors: {},
+    sources: produces.map(p => ({ produces: p })),
+  });
+
+  it('needs the summed cost and a distinct source for every pip', () => {
+    expect(canPlayTogether([oracle, consultation], pool(['U'], ['U'], ['B']))).toBe(true);
+    expect(canPlayTogether([oracle, consultation], pool(['U'], ['U']))).toBe(false);
+    // A dual land cannot pay a {U} for the Oracle and the {B} for Consultation
+    expect(canPlayTogether([oracle, consultation], pool(['U'], ['U', 'B'], ['G']))).toBe(false);
+  });
+
+  it('applies each card’s discount to its own cost', () => {
+    const golem = { name: 'Golem', cmc: 3, manaCost: '{3}' };
+    expect(canPlayTogether([golem, consultation], pool(['B'], ['B']), [2, 0])).toBe(true);
+    expect(canPlayTogether([golem, consultation], pool(['B'], ['B']), [0, 2])).toBe(false);
+  });
+});
+
+describe('canCastCombo', () => {
+  const a = { name: 'A', cmc: 2, manaCost: '{1}{G}' };
+  const b = { name: 'B', cmc: 2, manaCost: '{1}{G}' };
+  const c = { name: 'C', cmc: 3, manaCost: '{2}{G}' };
+  const forests = n => ({
+    total: n,
+    colors: {},
+    sources: Array.from({ length: n }, () => ({ produces: ['G'] })),
+  });
+
+  it('defaults to all of the cards, each castable on its own', () => {
+    expect(canCastCombo([a, b, c], forests(3))).toBe(true);
+    expect(canCastCombo([a, b, c], forests(2))).toBe(false);
+  });
+
+  it('pays for the cards together out of the same mana', () => {
+    expect(canCastCombo([a, b], forests(3), [], { payment: 'together' })).toBe(false);
+    expect(canCastCombo([a, b], forests(4), [], { payment: 'together' })).toBe(true);
+  });
+
+  it('finds the cheapest subset for "any N of" groups', () => {
+    const group = { need: 2, payment: 'together' };
+    expect(canCastCombo([c, a, b], forests(4), [], group)).toBe(true);
+    expect(canCastCombo([c, a], forests(4), [], group)).toBe(false);
+    expect(canCastCombo([c, a, b], forests(2), [], { need: 1, payment: 'each' })).toBe(true);
+  });
+
+  it('treats cards missing from the deck as uncastable', () => {
+    expect(canCastCombo([a, null], forests(5))).toBe(false);
+    expect(canCastCombo([a, null], forests(5), [], { need: 1 })).toBe(true);
+  });
+});
+
+describe('isNonManaSpell', () => {
+  it('excludes lands and every kind of mana card', () => {
+    expect(isNonManaSpell({ name: 'Lightning Bolt', isLand: false })).toBe(true);
+    expect(isNonManaSpell(makeLand())).toBe(false);
+    expect(isNonManaSpell(makeCreature())).toBe(false);
+    expect(isNonManaSpell(makeSpell())).toBe(false);
+    expect(isNonManaSpell({ name: 'Dark Ritual', isRitual: true })).toBe(false);
+    expect(isNonManaSpell({ name: 'Demonic Tutor', isTutor: true })).toBe(false);
+  });
+});
+
+describe('castCurveSpells', () => {
+  const bolt = { name: 'Lightning Bolt', isLand: false, cmc: 1, manaCost: '{R}' };
+  const bear = { name: 'Bear', isLand: false, cmc: 2, manaCost: '{1}{G}' };
+  const giant = { name: 'Giant', isLand: false, cmc: 4, manaCost: '{3}{G}' };
+  const forestsAndMountain = () => [
+    perm(makeLand()),
+    perm(makeLand()),
+    perm(makeLand({ name: 'Mountain', produces: ['R'] })),
+  ];
+
+  it('casts the most expensive affordable spells first and reports the mana spent', () => {
+    const hand = [bolt, bear, giant, makeCreature()];
+    const graveyard = [];
+    const battlefield = forestsAndMountain();
+    const turnLog = { actions: [] };
+    const result = castCurveSpells({ hand, battlefield, graveyard, turnLog });
+    expect(result).toEqual({ spellsCast: 2, manaSpent: 3 });
+    expect(graveyard).toEqual([bear, bolt]);
+    expect(hand).toEqual([giant, makeCreature()]);
+    expect(battlefield.every(p => p.tapped)).toBe(true);
+    expect(turnLog.actions).toEqual([
+      'Cast spell: Bear (2 mana)',
+      'Cast spell: Lightning Bolt (1 mana)',
+    ]);
+  });
+
+  it('fills the mana with two cheaper spells under the turn planner', () => {
+    const three = { name: 'Three', isLand: false, cmc: 3, manaCost: '{2}{G}' };
+    const twos = [bear, { ...bear, name: 'Bear 2' }];
+    const fourLands = () => [...forestsAndMountain(), perm(makeLand())];
+    const greedyHand = [three, ...twos];
+    const greedy = castCurveSpells({ hand: greedyHand, battlefield: fourLands(), graveyard: [] });
+    expect(greedy).toEqual({ spellsCast: 1, manaSpent: 3 });
+
+    const hand = [three, ...twos];
+    const result = castCurveSpells({ hand, battlefield: fourLands(), graveyard: [] }, 999, {
+      castingPolicy: 'planner',
+    });
+    expect(result).toEqual({ spellsCast: 2, manaSpent: 4 });
+    expect(hand).toEqual([three]);
+  });
+
+  it('casts nothing it cannot pay the colours for', () => {
+    const hand = [bolt];
+    const battlefield = [perm(makeLand()), perm(makeLand())];
+    expect(castCurveSpells({ hand, battlefield, graveyard: [] })).toEqual({
+      spellsCast: 0,
+      manaSpent: 0,
+    });
+    expect(hand).toEqual([bolt]);
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // tapManaSources — discount parameter
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1976,3 +2257,38 @@ describe('tapManaSources — discount', () => {
     expect(reducer.tapped).toBe(false);
   });
 });
+
+// =============================================================================
+// chooseDiscard / enforceHandSizeLimit
+// =============================================================================
+describe('chooseDiscard / enforceHandSizeLimit', () => {
+  const forest = makeLand();
+  const tapped = makeLand({ name: 'Guildgate', isBasic: false, entersTappedAlways: true });
+  const bear = { name: 'Bear', isLand: false, cmc: 2 };
+  const dragon = { name: 'Dragon', isLand: false, cmc: 6 };
+
+  it('discards a tapped land when flooded and the most expensive spell otherwise', () => {
+    const hand = [forest, tapped, bear, dragon];
+    expect(chooseDiscard(hand, [], { isFlooded: true })).toBe(tapped);
+    expect(chooseDiscard(hand, [], { isFlooded: false })).toBe(dragon);
+    expect(chooseDiscard([forest, tapped], [], {})).toBe(forest);
+  });
+
+  it('breaks a tie on CMC the same way every time', () => {
+    const elk = { name: 'Elk', isLand: false, cmc: 2 };
+    for (let i = 0; i < 5; i++) expect(chooseDiscard([bear, elk, forest], [], {})).toBe(elk);
+  });
+
+  it('discards down to the hand size with the given choice, logging each discard', () => {
+    const hand = [forest, bear, dragon, tapped];
+    const graveyard = [];
+    const log = { actions: [] };
+    const flooded = Array.from({ length: 5 }, () => perm(makeLand()));
+    enforceHandSizeLimit(hand, graveyard, 3, flooded, 5, log);
+    expect(graveyard).toEqual([tapped]);
+    expect(log.actions).toEqual(['Discarded: Guildgate (flood discard)']);
+    enforceHandSizeLimit(hand, graveyard, 1, [], 5, log, h => h[0]);
+    expect(hand).toEqual([dragon]);
+    expect(graveyard).toEqual([tapped, forest, bear]);
+  });
+});
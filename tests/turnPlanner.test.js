@@ -0,0 +1,134 @@
+/**
+ * turnPlanner.js — Unit Tests
+ *
+ * Covers the "turn planner" casting policy:
+ *   effectiveCost      – discounted cost, never below the coloured pips
+ *   manaGain           – later-turn mana per card type; burst sources add none
+ *   planTurn           – best subset by mana used + gained; pip constraints via
+ *                        solveColorPips; untapped rocks pay for later cards;
+ *                        battlefield untouched; candidate cap
+ *   sortSourcesForPlan – least flexible sources first, so duals are kept
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_PLAN_CANDIDATES,
+  effectiveCost,
+  manaGain,
+  planTurn,
+  sortSourcesForPlan,
+} from '../src/simulation/turnPlanner.js';
+import { tapManaSources } from '../src/simulation/manaUtils.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const land = (name, produces) => ({
+  card: { name, isLand: true, produces, manaAmount: 1 },
+  tapped: false,
+  summoningSick: false,
+});
+const forests = n => Array.from({ length: n }, () => land('Forest', ['G']));
+
+const spell = (name, manaCost, cmc, extras = {}) => ({ name, manaCost, cmc, ...extras });
+const dork = spell('Llanowar Elves', '{G}', 1, {
+  isManaCreature: true,
+  produces: ['G'],
+  manaAmount: 1,
+});
+const solRing = spell('Sol Ring', '{1}', 1, {
+  isManaArtifact: true,
+  produces: ['C'],
+  manaAmount: 2,
+});
+
+const names = plan => plan.cards.map(c => c.name);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// effectiveCost / manaGain
+// ─────────────────────────────────────────────────────────────────────────────
+describe('effectiveCost', () => {
+  it('applies the discount to generic mana only', () => {
+    expect(effectiveCost(spell('Golem', '{4}', 4), 1)).toBe(3);
+    expect(effectiveCost(spell('Counterspell', '{U}{U}', 2), 2)).toBe(2);
+  });
+});
+
+describe('manaGain', () => {
+  it('counts producers, ramp, reducers, extra land drops and treasures', () => {
+    expect(manaGain(dork)).toBe(1);
+    expect(manaGain(solRing)).toBe(2);
+    expect(manaGain({ isRampSpell: true, landsToAdd: 1 })).toBe(1);
+    expect(manaGain({ isCostReducer: true, reducesAmount: 1 })).toBe(1);
+    expect(manaGain({ isExploration: true, landsPerTurn: 3 })).toBe(2);
+    expect(manaGain({ isTreasureCard: true, isOneTreasure: true, treasuresProduced: 2 })).toBe(2);
+    expect(manaGain({ name: 'Lotus Petal', isManaArtifact: true, manaAmount: 1 })).toBe(0);
+    expect(manaGain(spell('Divination', '{2}{U}', 3, { isDrawSpell: true }))).toBe(0);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// planTurn
+// ─────────────────────────────────────────────────────────────────────────────
+describe('planTurn', () => {
+  it('fills the mana with two cheap cards rather than one expensive one', () => {
+    const three = spell('Three', '{2}{G}', 3);
+    const twoA = spell('Two A', '{1}{G}', 2);
+    const twoB = spell('Two B', '{1}{G}', 2);
+    const plan = planTurn([three, twoA, twoB], forests(4));
+    expect(names(plan)).toEqual(['Two A', 'Two B']);
+    expect(plan.manaSpent).toBe(4);
+  });
+
+  it('prefers mana for later turns when the spend is equal', () => {
+    const ramp = spell('Rampant Growth', '{1}{G}', 2, { isRampSpell: true, landsToAdd: 1 });
+    const plan = planTurn([spell('Bear', '{1}{G}', 2), ramp], forests(2));
+    expect(names(plan)).toEqual(['Rampant Growth']);
+    expect(plan).toMatchObject({ manaSpent: 2, manaGained: 1 });
+  });
+
+  it('never assigns one dual land to two colours', () => {
+    const field = [land('Forest', ['G']), land('Breeding Pool', ['G', 'U'])];
+    const plan = planTurn([spell('Elf', '{G}', 1), spell('Opt', '{U}', 1)], field);
+    expect(plan.manaSpent).toBe(2);
+    const greens = planTurn([spell('Elf', '{G}', 1), spell('Sprite', '{U}', 1)], [field[1]]);
+    expect(greens.cards).toHaveLength(1);
+  });
+
+  it('casts an untapped rock first and spends the mana it adds', () => {
+    const four = spell('Four', '{3}{G}', 4);
+    const plan = planTurn([four, solRing], forests(3));
+    expect(names(plan)).toEqual(['Sol Ring', 'Four']);
+    expect(plan).toMatchObject({ manaSpent: 5, manaGained: 2 });
+  });
+
+  it('leaves the battlefield untouched and returns an empty plan when nothing fits', () => {
+    const field = forests(1);
+    expect(planTurn([spell('Three', '{2}{G}', 3)], field).cards).toEqual([]);
+    expect(planTurn([solRing, dork], field).cards).toHaveLength(1);
+    expect(field[0].tapped).toBe(false);
+  });
+
+  it(`considers only the ${MAX_PLAN_CANDIDATES} cheapest cards`, () => {
+    const cards = Array.from({ length: MAX_PLAN_CANDIDATES + 2 }, (_, i) =>
+      spell(`Card ${i}`, '{G}', i === 0 ? 5 : 1)
+    );
+    expect(names(planTurn(cards, forests(5)))).not.toContain('Card 0');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// sortSourcesForPlan
+// ─────────────────────────────────────────────────────────────────────────────
+describe('sortSourcesForPlan', () => {
+  it('pays generic costs with sources the plan needs least', () => {
+    const field = [land('Breeding Pool', ['G', 'U']), land('Forest', ['G']), land('Wastes', ['C'])];
+    const plan = [spell('Bear', '{1}{G}', 2), spell('Opt', '{U}', 1)];
+    sortSourcesForPlan(field, plan);
+    expect(field.map(p => p.card.name)).toEqual(['Wastes', 'Forest', 'Breeding Pool']);
+    tapManaSources(plan[0], field);
+    expect(field.find(p => p.card.name === 'Breeding Pool').tapped).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * tutorUtils.js — Unit Tests
+ *
+ * Covers tutors:
+ *   matchesTutorFilter – card types from the type line or the card's category;
+ *                        exact and maximum mana values
+ *   chooseTutorTarget  – cheapest missing key card; held cards and non-key
+ *                        cards are skipped; key-card order breaks ties
+ *   resolveTutor       – to hand or on top of the library; the log suffix
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  matchesTutorFilter,
+  chooseTutorTarget,
+  resolveTutor,
+} from '../src/simulation/tutorUtils.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const card = (name, cmc, extras = {}) => ({ name, cmc, isLand: false, ...extras });
+const names = cards => cards.map(c => c.name);
+
+const hoof = card('Craterhoof Behemoth', 8, { typeLine: 'Creature — Beast' });
+const vault = card('Mana Vault', 1, { isManaArtifact: true });
+const ritual = card('Gift of Estates', 2, { typeLine: 'Sorcery' });
+const forest = { name: 'Forest', isLand: true, cmc: 0 };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// matchesTutorFilter
+// ─────────────────────────────────────────────────────────────────────────────
+describe('matchesTutorFilter', () => {
+  it('matches card types from the type line or the card category', () => {
+    expect(matchesTutorFilter(hoof, { finds: 'creature' })).toBe(true);
+    expect(matchesTutorFilter(vault, { finds: 'artifact_enchantment' })).toBe(true);
+    expect(matchesTutorFilter(ritual, { finds: 'instant_sorcery' })).toBe(true);
+    expect(matchesTutorFilter(ritual, { finds: 'creature' })).toBe(false);
+    expect(matchesTutorFilter(forest, { finds: 'land' })).toBe(true);
+    expect(matchesTutorFilter(forest, { finds: 'any' })).toBe(true);
+  });
+
+  it('honours exact and maximum mana values', () => {
+    expect(matchesTutorFilter(vault, { finds: 'artifact', maxManaValue: 1 })).toBe(true);
+    expect(matchesTutorFilter(ritual, { finds: 'any', manaValue: 3 })).toBe(false);
+    expect(matchesTutorFilter(ritual, { finds: 'any', manaValue: 2 })).toBe(true);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// chooseTutorTarget
+// ─────────────────────────────────────────────────────────────────────────────
+describe('chooseTutorTarget', () => {
+  const context = (keyCardNames, hand = [], battlefield = []) => ({
+    hand,
+    battlefield,
+    keyCardNames,
+    turn: 2,
+  });
+  const library = [forest, hoof, ritual, vault];
+
+  it('picks the cheapest key card it can find', () => {
+    const keys = ['Craterhoof Behemoth', 'Mana Vault', 'Gift of Estates'];
+    expect(chooseTutorTarget({ finds: 'any' }, library, context(keys))).toBe(vault);
+    expect(chooseTutorTarget({ finds: 'creature' }, library, context(keys))).toBe(hoof);
+  });
+
+  it('skips key cards already in hand or on the battlefield', () => {
+    const keys = ['Craterhoof Behemoth', 'Mana Vault'];
+    const held = context(keys, [card('Mana Vault', 1)]);
+    expect(chooseTutorTarget({ finds: 'any' }, library, held)).toBe(hoof);
+    const inPlay = context(keys, [], [{ card: vault }, { card: hoof }]);
+    expect(chooseTutorTarget({ finds: 'any' }, library, inPlay)).toBeNull();
+  });
+
+  it('breaks cost ties by key-card order and ignores non-key cards', () => {
+    const other = card('Gitaxian Probe', 1, { typeLine: 'Sorcery' });
+    const lib = [vault, other];
+    expect(
+      chooseTutorTarget({ finds: 'any' }, lib, context(['Gitaxian Probe', 'Mana Vault']))
+    ).toBe(other);
+    expect(chooseTutorTarget({ finds: 'any' }, [forest], context(['Mana Vault']))).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resolveTutor
+// ─────────────────────────────────────────────────────────────────────────────
+describe('resolveTutor', () => {
+  it('moves the card to hand', () => {
+    const state = { hand: [], library: [forest, hoof, vault] };
+    expect(resolveTutor({ destination: 'hand' }, hoof, state)).toBe('Craterhoof Behemoth to hand');
+    expect(names(state.hand)).toEqual(['Craterhoof Behemoth']);
+    expect(names(state.library)).toEqual(['Forest', 'Mana Vault']);
+  });
+
+  it('puts the card on top of the library', () => {
+    const state = { hand: [], library: [forest, hoof] };
+    expect(resolveTutor({ destination: 'top' }, hoof, state)).toBe(
+      'Craterhoof Behemoth on top of library'
+    );
+    expect(state.hand).toEqual([]);
+    expect(names(state.library)).toEqual(['Craterhoof Behemoth', 'Forest']);
+  });
+});
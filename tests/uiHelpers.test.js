@@ -11,6 +11,10 @@
  *   renderSequenceBody – sequence data → React element
  *   downloadTextFile   – creates a blob URL and triggers a download anchor
  *   prepareChartData   – simulationResults → chart-ready plain objects
+ *   preparePlayDrawDelta – play + draw results → per-turn delta rows
+ *   prepareSignificanceReport – A + B results → p-values and iterations needed
+ *   prepareFanChartData  – percentiles → fan-chart bands per turn
+ *   prepareHistogramData – one turn's histogram → bars with % of games
  *
  * Run:  npm test
  */
@@ -28,6 +32,10 @@ import {
   buildActionSegments,
   downloadTextFile,
   prepareChartData,
+  preparePlayDrawDelta,
+  prepareSignificanceReport,
+  prepareFanChartData,
+  prepareHistogramData,
 } from '../src/utils/uiHelpers.jsx';
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -418,6 +426,71 @@ describe('prepareChartData', () => {
     expect(result.keyCardsData).toHaveLength(4);
   });
 
+  it('adds 95% CI half-widths for the tooltips', () => {
+    const result = prepareChartData(
+      {
+        landsPerTurn: [2],
+        keyCardPlayability: { Bear: [40] },
+        confidenceIntervals: {
+          landsPerTurn: [{ low: 1.9, high: 2.1 }],
+          keyCardPlayability: { Bear: [{ low: 37, high: 43.5 }] },
+        },
+      },
+      1
+    );
+    expect(result.landsData[0]._landsCi).toBe(0.1);
+    expect(result.keyCardsData[0]['_ci:Bear']).toBe(3.3);
+  });
+
+  it('adds one combo-group column per group with its CI half-width', () => {
+    const result = prepareChartData(
+      {
+        comboPlayability: { Oracle: [12.345, 50] },
+        confidenceIntervals: { comboPlayability: { Oracle: [{ low: 10, high: 14 }, null] } },
+      },
+      2
+    );
+    expect(result.comboData).toEqual([
+      { turn: 1, Oracle: 12.3, '_ci:Oracle': 2 },
+      { turn: 2, Oracle: 50, '_ci:Oracle': null },
+    ]);
+    expect(prepareChartData({}, 1).comboData).toEqual([{ turn: 1 }]);
+  });
+
+  it('adds curve-out rows only for curve-out results', () => {
+    const result = prepareChartData(
+      {
+        curveOut: {
+          manaSpentPerTurn: [0.5],
+          manaWastedPerTurn: [0.456],
+          spellsCastPerTurn: [0.5],
+          manaUsedPerTurn: [52.31],
+        },
+        confidenceIntervals: { curveOut: { manaSpentPerTurn: [{ low: 0.4, high: 0.6 }] } },
+      },
+      1
+    );
+    expect(result.curveData).toEqual([
+      {
+        turn: 1,
+        'Mana Spent': 0.5,
+        'Mana Wasted': 0.46,
+        'Spells Cast': 0.5,
+        'Mana Used (%)': 52.3,
+        _spentCi: 0.1,
+        _wastedCi: null,
+        _spellsCi: null,
+      },
+    ]);
+    expect(prepareChartData({}, 1).curveData).toBeNull();
+  });
+
+  it('leaves CI half-widths null for results without intervals', () => {
+    const result = prepareChartData({ keyCardPlayability: { Bear: [40] } }, 1);
+    expect(result.landsData[0]._landsCi).toBeNull();
+    expect(result.keyCardsData[0]['_ci:Bear']).toBeNull();
+  });
+
   it('turn numbers are 1-indexed', () => {
     const result = prepareChartData({}, 3);
     expect(result.landsData[0].turn).toBe(1);
@@ -504,3 +577,166 @@ describe('prepareChartData', () => {
     expect(result.landsData[0]['_untappedSd']).toBe(0);
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// preparePlayDrawDelta
+// ─────────────────────────────────────────────────────────────────────────────
+describe('preparePlayDrawDelta', () => {
+  const play = {
+    landsPerTurn: [1, 1.9],
+    untappedLandsPerTurn: [0.8, 1.5],
+    totalManaPerTurn: [1, 2],
+    keyCardPlayability: { Bear: [0, 40], 'Only Play': [10, 20] },
+    floodRate: 10,
+    screwRate: 30,
+    floodThreshold: { lands: 5, turn: 5 },
+    screwThreshold: { lands: 2, turn: 3 },
+  };
+  const draw = {
+    landsPerTurn: [1.4, 2.3],
+    untappedLandsPerTurn: [1, 1.8],
+    totalManaPerTurn: [1.4, 2.5],
+    keyCardPlayability: { Bear: [0, 55.25] },
+    floodRate: 14,
+    screwRate: 22.5,
+  };
+
+  it('returns null when either result is missing', () => {
+    expect(preparePlayDrawDelta(play, null, 2)).toBeNull();
+    expect(preparePlayDrawDelta(null, draw, 2)).toBeNull();
+  });
+
+  it('builds one row per turn with play, draw and draw − play', () => {
+    const { rows } = preparePlayDrawDelta(play, draw, 2);
+    expect(rows).toHaveLength(2);
+    expect(rows[0].turn).toBe(1);
+    expect(rows[0].lands).toEqual({ play: 1, draw: 1.4, delta: 0.4 });
+    expect(rows[1].mana).toEqual({ play: 2, draw: 2.5, delta: 0.5 });
+    expect(rows[1].untappedLands.delta).toBe(0.3);
+  });
+
+  it('rounds key-card playability to one decimal', () => {
+    const { rows } = preparePlayDrawDelta(play, draw, 2);
+    expect(rows[1].keyCards.Bear).toEqual({ play: 40, draw: 55.3, delta: 15.3 });
+  });
+
+  it('only reports key cards present in both runs', () => {
+    expect(preparePlayDrawDelta(play, draw, 2).keyCardNames).toEqual(['Bear']);
+  });
+
+  it('reports flood / screw rate deltas', () => {
+    const report = preparePlayDrawDelta(play, draw, 2);
+    expect(report.floodRate).toEqual({ play: 10, draw: 14, delta: 4 });
+    expect(report.screwRate).toEqual({ play: 30, draw: 22.5, delta: -7.5 });
+    expect(report.floodThreshold).toEqual({ lands: 5, turn: 5 });
+  });
+
+  it('returns null rates when a run has no rate for the threshold turn', () => {
+    const report = preparePlayDrawDelta({ ...play, floodRate: null }, draw, 2);
+    expect(report.floodRate).toBeNull();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// prepareSignificanceReport
+// ─────────────────────────────────────────────────────────────────────────────
+describe('prepareSignificanceReport', () => {
+  const results = ({ lands, bear, flood, n = 10000 }) => ({
+    handsKept: n,
+    landsPerTurn: lands,
+    landsPerTurnStdDev: lands.map(() => 1),
+    totalManaPerTurn: lands,
+    totalManaPerTurnStdDev: lands.map(() => 1),
+    lifeLossPerTurn: [0, 0],
+    lifeLossPerTurnStdDev: [0, 0],
+    keyCardPlayability: { Bear: bear },
+    floodRate: flood,
+    screwRate: null,
+  });
+  const A = results({ lands: [1, 2], bear: [20, 50], flood: 10 });
+  const B = results({ lands: [1.01, 2.5], bear: [20.5, 60], flood: 10 });
+
+  it('returns null without both results', () => {
+    expect(prepareSignificanceReport(A, null, 2)).toBeNull();
+    expect(prepareSignificanceReport(null, B, 2)).toBeNull();
+  });
+
+  it('builds average, key-card and rate sections', () => {
+    const { sections } = prepareSignificanceReport(A, B, 2);
+    expect(sections.map(s => s.title)).toEqual([
+      'Lands',
+      'Total Mana',
+      'Life Loss',
+      'Bear',
+      'Flood / Screw',
+    ]);
+    expect(sections[0].rows.map(r => r.label)).toEqual(['T1', 'T2']);
+    expect(sections[4].rows.map(r => r.label)).toEqual(['Flood']);
+  });
+
+  it('flags large differences as significant', () => {
+    const { sections, finalTurn } = prepareSignificanceReport(A, B, 2);
+    expect(finalTurn.lands).toMatchObject({ a: 2, b: 2.5, significant: true, moreIterations: 0 });
+    expect(sections[3].rows[1].significant).toBe(true);
+  });
+
+  it('estimates the extra iterations a small difference needs', () => {
+    const { sections } = prepareSignificanceReport(A, B, 2);
+    const t1 = sections[0].rows[0];
+    expect(t1.significant).toBe(false);
+    // (1.96 + 0.84)² · 2 / 0.01² ≈ 157,000 per deck, minus the 10,000 already run
+    expect(t1.moreIterations).toBeGreaterThan(140000);
+    expect(t1.moreIterations).toBeLessThan(160000);
+  });
+
+  it('reports Infinity when both decks measured the same', () => {
+    const { sections, finalTurn } = prepareSignificanceReport(A, B, 2);
+    expect(finalTurn.lifeLoss).toMatchObject({ pValue: 1, moreIterations: Infinity });
+    expect(sections[4].rows[0].moreIterations).toBe(Infinity);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// prepareFanChartData / prepareHistogramData
+// ─────────────────────────────────────────────────────────────────────────────
+describe('prepareFanChartData', () => {
+  const results = {
+    totalManaPerTurn: [0.8, 1.956],
+    percentiles: {
+      totalManaPerTurn: [
+        { p10: 0, p25: 1, p50: 1, p75: 1, p90: 1 },
+        { p10: 1, p25: 2, p50: 2, p75: 2, p90: 3 },
+      ],
+    },
+  };
+
+  it('builds bands, median and rounded mean per turn', () => {
+    expect(prepareFanChartData(results, 'totalManaPerTurn', 2)[1]).toEqual({
+      turn: 2,
+      'P10–P90': [1, 3],
+      'P25–P75': [2, 2],
+      Median: 2,
+      Mean: 1.96,
+    });
+  });
+
+  it('returns [] for results without percentiles', () => {
+    expect(prepareFanChartData({}, 'totalManaPerTurn', 2)).toEqual([]);
+    expect(prepareFanChartData(null, 'totalManaPerTurn', 2)).toEqual([]);
+  });
+});
+
+describe('prepareHistogramData', () => {
+  it('converts counts to bars with % of games', () => {
+    const results = { histograms: { landsPerTurn: [[], [1, 2, 1]] } };
+    expect(prepareHistogramData(results, 'landsPerTurn', 1)).toEqual([
+      { value: 0, count: 1, pct: 25 },
+      { value: 1, count: 2, pct: 50 },
+      { value: 2, count: 1, pct: 25 },
+    ]);
+  });
+
+  it('returns [] for a missing turn or metric', () => {
+    expect(prepareHistogramData({ histograms: {} }, 'landsPerTurn', 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * workerPool.js — Unit Tests
+ *
+ * Runs runSimulationPool against an in-process fake worker that executes the
+ * real monteCarloPartial, checking that:
+ *   – pooled results equal monteCarloSharded for the same seed
+ *   – the result is independent of pool size and shard completion order
+ *   – comparison jobs (A + B) share one queue and both resolve
+ *   – progress reaches the total iteration count
+ *   – a worker ERROR rejects the promise and terminates every worker
+ *   – a CI target stops a job at the same shard as monteCarloSharded
+ *   – a job asking for the exact on-curve figures gets them from one shard
+ *
+ * Run:  npm test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { runSimulationPool, defaultPoolSize } from '../src/simulation/workerPool.js';
+import { monteCarloPartial, monteCarloSharded } from '../src/simulation/monteCarlo.js';
+import { SIM_SET_FIELDS } from '../src/simulation/simConstants.js';
+import { exactOnCurve } from '../src/simulation/hypergeometric.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fixtures
+// ─────────────────────────────────────────────────────────────────────────────
+const deck = {
+  lands: [
+    { name: 'Forest', isLand: true, isBasic: true, produces: ['G'], manaAmount: 1, quantity: 24 },
+  ],
+  creatures: [
+    {
+      name: 'Llanowar Elves',
+      isManaCreature: true,
+      produces: ['G'],
+      manaAmount: 1,
+      cmc: 1,
+      manaCost: '{G}',
+      quantity: 4,
+    },
+  ],
+  spells: [{ name: 'Grizzly Bears', cmc: 2, manaCost: '{1}{G}', quantity: 32 }],
+  artifacts: [],
+  rituals: [],
+  rampSpells: [],
+  exploration: [],
+};
+
+const config = {
+  iterations: 2500,
+  turns: 4,
+  seed: 2024,
+  selectedKeyCards: new Set(['Grizzly Bears']),
+};
+
+/** Set fields → arrays, as App.jsx does before posting to a worker. */
+const serialize = cfg => {
+  const out = { ...cfg };
+  SIM_SET_FIELDS.forEach(f => {
+    out[f] = [...(cfg[f] ?? [])];
+  });
+  return out;
+};
+
+/**
+ * Fake worker mirroring simulationWorker.js. `delayFor(shardIndex)` controls
+ * when each PARTIAL is delivered so tests can scramble completion order.
+ */
+const makeWorkerFactory = ({ delayFor = () => 0, failOn = null } = {}) => {
+  const created = [];
+  const factory = () => {
+    const worker = {
+      terminated: false,
+      onmessage: null,
+      onerror: null,
+      postMessage({ deckId, shardIndex, deckToParse, config: cfg, withExact }) {
+        const rehydrated = { ...cfg };
+        SIM_SET_FIELDS.forEach(f => {
+          rehydrated[f] = new Set(cfg[f] ?? []);
+        });
+        setTimeout(() => {
+          if (worker.terminated) return;
+          if (failOn === shardIndex) {
+            worker.onmessage({ data: { type: 'ERROR', deckId, shardIndex, message: 'boom' } });
+            return;
+          }
+          const partial = monteCarloPartial(deckToParse, rehydrated);
+          const exact = withExact ? exactOnCurve(deckToParse, rehydrated) : undefined;
+          worker.exactRuns = (worker.exactRuns ?? 0) + (withExact ? 1 : 0);
+          worker.onmessage({
+            data: { type: 'PARTIAL', deckId, shardIndex, partial, exactOnCurve: exact },
+          });
+        }, delayFor(shardIndex));
+      },
+      terminate() {
+        worker.terminated = true;
+      },
+    };
+    created.push(worker);
+    return worker;
+  };
+  return { factory, created };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// runSimulationPool
+// ─────────────────────────────────────────────────────────────────────────────
+describe('runSimulationPool', () => {
+  const expected = monteCarloSharded(deck, config);
+
+  it('matches monteCarloSharded for the same seed', async () => {
+    const { factory } = makeWorkerFactory();
+    const { A } = await runSimulationPool(
+      [{ deckId: 'A', deckToParse: deck, config: serialize(config) }],
+      { poolSize: 2, createWorker: factory }
+    );
+    expect(A).toEqual(expected);
+    expect(A.handsKept).toBe(2500);
+    expect(A.seed).toBe(2024);
+  });
+
+  it('gives identical results regardless of pool size and completion order', async () => {
+    const { factory } = makeWorkerFactory({ delayFor: i => (3 - i) * 5 });
+    const { A } = await runSimulationPool(
+      [{ deckId: 'A', deckToParse: deck, config: serialize(config) }],
+      { poolSize: 3, createWorker: factory }
+    );
+    expect(A).toEqual(expected);
+  });
+
+  it('never spawns more workers than there are shards', async () => {
+    const { factory, created } = makeWorkerFactory();
+    await runSimulationPool([{ deckId: 'A', deckToParse: deck, config: serialize(config) }], {
+      poolSize: 16,
+      createWorker: factory,
+    });
+    expect(created).toHaveLength(3);
+    expect(created.every(w => w.terminated)).toBe(true);
+  });
+
+  it('resolves every job in comparison mode', async () => {
+    const { factory } = makeWorkerFactory();
+    const results = await runSimulationPool(
+      [
+        { deckId: 'A', deckToParse: deck, config: serialize(config) },
+        { deckId: 'B', deckToParse: deck, config: serialize({ ...config, turns: 3 }) },
+      ],
+      { poolSize: 2, createWorker: factory }
+    );
+    expect(results.A).toEqual(expected);
+    expect(results.B.landsPerTurn).toHaveLength(3);
+  });
+
+  it('reports progress up to the total iteration count', async () => {
+    const { factory } = makeWorkerFactory();
+    const calls = [];
+    await runSimulationPool([{ deckId: 'A', deckToParse: deck, config: serialize(config) }], {
+      poolSize: 2,
+      createWorker: factory,
+      onProgress: (completed, total) => calls.push([completed, total]),
+    });
+    expect(calls[calls.length - 1]).toEqual([2500, 2500]);
+  });
+
+  it('adds the exact on-curve figures, computed once, to a job that asks for them', async () => {
+    const { factory, created } = makeWorkerFactory();
+    const results = await runSimulationPool(
+      [
+        { deckId: 'A', deckToParse: deck, config: serialize(config), withExact: true },
+        { deckId: 'B', deckToParse: deck, config: serialize(config) },
+      ],
+      { poolSize: 2, createWorker: factory }
+    );
+    expect(results.A).toEqual({ ...expected, exactOnCurve: exactOnCurve(deck, config) });
+    expect(results.A.exactOnCurve['Grizzly Bears'].probability).toBeGreaterThan(0);
+    expect(results.B).toEqual(expected);
+    expect(created.reduce((n, w) => n + (w.exactRuns ?? 0), 0)).toBe(1);
+  });
+
+  it('rejects on a worker ERROR and terminates all workers', async () => {
+    const { factory, created } = makeWorkerFactory({ failOn: 1 });
+    await expect(
+      runSimulationPool([{ deckId: 'A', deckToParse: deck, config: serialize(config) }], {
+        poolSize: 2,
+        createWorker: factory,
+      })
+    ).rejects.toThrow('boom');
+    expect(created.every(w => w.terminated)).toBe(true);
+  });
+});
+
+describe('runSimulationPool — CI early stopping', () => {
+  const ciConfig = { ...config, iterations: 5000, ciTarget: 5 };
+  const expected = monteCarloSharded(deck, ciConfig);
+
+  it('stops at the same shard as monteCarloSharded', async () => {
+    const { factory } = makeWorkerFactory();
+    const { A } = await runSimulationPool(
+      [{ deckId: 'A', deckToParse: deck, config: serialize(ciConfig) }],
+      { poolSize: 1, createWorker: factory }
+    );
+    expect(A).toEqual(expected);
+    expect(A.stoppedEarly).toBe(true);
+    expect(A.handsKept).toBe(1000);
+  });
+
+  it('ignores shards that finish after the stopping point', async () => {
+    // Shard 0 finishes last, so shards 1–2 are already done when it arrives.
+    const { factory } = makeWorkerFactory({ delayFor: i => (i === 0 ? 20 : 0) });
+    const calls = [];
+    const { A } = await runSimulationPool(
+      [{ deckId: 'A', deckToParse: deck, config: serialize(ciConfig) }],
+      {
+        poolSize: 3,
+        createWorker: factory,
+        onProgress: (completed, total) => calls.push([completed, total]),
+      }
+    );
+    expect(A).toEqual(expected);
+    expect(calls[calls.length - 1]).toEqual([1000, 1000]);
+  });
+});
+
+describe('defaultPoolSize', () => {
+  it('returns a positive integer', () => {
+    expect(Number.isInteger(defaultPoolSize())).toBe(true);
+    expect(defaultPoolSize()).toBeGreaterThanOrEqual(1);
+  });
+});